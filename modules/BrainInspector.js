@@ -0,0 +1,247 @@
+/**
+ * Inspetor de cérebro
+ * Desenha (em SVG) a rede neural da bactéria selecionada: arestas coloridas pelo peso
+ * (verde positivo, vermelho negativo, espessura pela magnitude) e nós acesos pela ativação
+ * para o último vetor de inputs da decisão neural. Lista os inputs, a ação escolhida, o
+ * estado de canto e, no modo Q-Learning, as linhas da tabela Q com seus valores.
+ */
+class BrainInspector {
+    /**
+     * Inicializa o inspetor
+     * @param {string} containerId - ID do elemento que recebe o desenho
+     */
+    constructor(containerId = 'brain-content') {
+        this.containerId = containerId;
+        this.width = 230;
+        this.inputLabelWidth = 96;  // Espaço à esquerda para os nomes dos inputs
+        this.outputLabelWidth = 62; // Espaço à direita para os nomes das saídas
+        this.rowHeight = 14;
+        this.compactRowHeight = 10; // Camadas com muitos nós (vários sensores)
+        this.nodeRadius = 4;
+        this.maxQRows = 12;         // Linhas da tabela Q listadas (o estado atual sempre primeiro)
+        this.colors = {
+            positive: '#4CD137',
+            negative: '#ff5c5c',
+            disabled: '#5d6270',
+            nodeOff: [42, 47, 58],
+            nodeOn: [245, 197, 66],
+            stroke: '#9d9dac',
+            text: '#e1e1e6',
+            highlight: '#3a4560'
+        };
+    }
+
+    /**
+     * Redesenha o inspetor para uma bactéria
+     * @param {Bacteria} bacteria - Bactéria selecionada
+     */
+    update(bacteria) {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        if (!bacteria || !bacteria.learning || !bacteria.learning.brain) {
+            this.clear();
+            return;
+        }
+
+        try {
+            const learning = bacteria.learning;
+            const inputs = learning.lastNeuralInputs || [];
+            const graph = learning.brain.getGraph(inputs);
+            this.inputNames = learning.getInputNames();
+            container.innerHTML = this.renderHeader(learning) +
+                this.renderNetwork(graph, learning.lastNeuralInputs !== null) +
+                (learning.useNeural ? '' : this.renderQTable(learning));
+        } catch (error) {
+            console.error("Erro ao desenhar inspetor de cérebro:", error);
+        }
+    }
+
+    /**
+     * Volta à mensagem inicial
+     */
+    clear() {
+        const container = document.getElementById(this.containerId);
+        if (container) {
+            container.innerHTML = '<p class="info-message">Clique em uma bactéria para ver seu cérebro.</p>';
+        }
+    }
+
+    /**
+     * Linha de rótulo e valor no estilo do painel de informações
+     * @param {string} label - Rótulo
+     * @param {string} value - Valor
+     * @returns {string} - HTML
+     */
+    row(label, value) {
+        return `<p><span class="info-label">${label}:</span><span class="info-value">${value}</span></p>`;
+    }
+
+    /**
+     * Tipo do cérebro, modo, ação escolhida, exploração, sensores e situação de canto
+     * @param {BacteriaLearning} learning - Aprendizado da bactéria
+     * @returns {string} - HTML
+     */
+    renderHeader(learning) {
+        const brain = learning.brain;
+        const size = brain.getSize();
+        const type = brain instanceof NeatNetwork
+            ? `NEAT${brain.speciesId !== null ? ` (espécie ${brain.speciesId})` : ''}`
+            : 'Rede fixa';
+        const corner = learning.cornerData || {};
+        const cornerText = corner.isStuck
+            ? `<span style="color:${this.colors.negative}">preso</span> (${corner.framesInCorner || 0} frames)`
+            : (corner.framesInCorner ? `no canto (${corner.framesInCorner} frames)` : 'fora');
+
+        return this.row('Cérebro', `${type}, ${size.nodes} nós, ${size.connections} conexões`) +
+            this.row('Modo', learning.useNeural ? 'Rede neural + Q-Learning' : 'Só Q-Learning') +
+            this.row('Ação escolhida', learning.qLearning.lastAction || '—') +
+            this.row('ε', learning.qLearning.epsilon.toFixed(3)) +
+            this.row('Sensores', `${learning.sensors.count} ${BacteriaSensors.config.type === 'rays' ? 'raios' : 'setores'}, alcance ${learning.sensors.range.toFixed(0)}`) +
+            this.row('Canto', cornerText);
+    }
+
+    /**
+     * Cor de preenchimento de um nó pela ativação (escuro em 0, aceso em 1)
+     * @param {number} value - Ativação
+     * @returns {string} - Cor CSS
+     */
+    activationColor(value) {
+        const t = Math.max(0, Math.min(1, value));
+        const [r, g, b] = this.colors.nodeOff.map((off, i) => Math.round(off + (this.colors.nodeOn[i] - off) * t));
+        return `rgb(${r},${g},${b})`;
+    }
+
+    /**
+     * Nome de um nó de entrada ou saída
+     * @param {Object} node - Nó do grafo
+     * @returns {string}
+     */
+    nodeName(node) {
+        if (node.type === 'bias') return 'Bias';
+        if (node.type === 'input') return (this.inputNames && this.inputNames[node.index]) || `Input ${node.index}`;
+        if (node.type === 'output') return BacteriaLearning.OUTPUT_NAMES[node.index] || `Saída ${node.index}`;
+        return '';
+    }
+
+    /**
+     * Grafo da rede com os nós em colunas por camada
+     * @param {{nodes: Array<Object>, edges: Array<Object>}} graph - Grafo de getGraph
+     * @param {boolean} hasInputs - Se já houve uma decisão neural (senão os inputs são neutros)
+     * @returns {string} - HTML
+     */
+    renderNetwork(graph, hasInputs) {
+        const layers = new Map();
+        for (const node of graph.nodes) {
+            if (!layers.has(node.layer)) layers.set(node.layer, []);
+            layers.get(node.layer).push(node);
+        }
+        const layerIds = [...layers.keys()].sort((a, b) => a - b);
+        const tallest = Math.max(...[...layers.values()].map(nodes => nodes.length));
+        const rowHeight = tallest > 24 ? this.compactRowHeight : this.rowHeight;
+        const height = tallest * rowHeight + 10;
+
+        // Posições: colunas igualmente espaçadas, nós centrados na vertical
+        const left = this.inputLabelWidth;
+        const right = this.width - this.outputLabelWidth;
+        const positions = new Map();
+        layerIds.forEach((layer, column) => {
+            const nodes = layers.get(layer);
+            const x = layerIds.length > 1 ? left + column * (right - left) / (layerIds.length - 1) : left;
+            const offset = (height - nodes.length * rowHeight) / 2 + rowHeight / 2;
+            nodes.forEach((node, i) => positions.set(node.id, { x, y: offset + i * rowHeight }));
+        });
+
+        const parts = [];
+        for (const edge of graph.edges) {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            if (!from || !to) continue;
+            const magnitude = Math.min(1, Math.abs(edge.weight));
+            const color = !edge.enabled ? this.colors.disabled : (edge.weight >= 0 ? this.colors.positive : this.colors.negative);
+            const dash = edge.enabled ? '' : ' stroke-dasharray="2,2"';
+            parts.push(`<line x1="${from.x.toFixed(1)}" y1="${from.y.toFixed(1)}" x2="${to.x.toFixed(1)}" y2="${to.y.toFixed(1)}" ` +
+                `stroke="${color}" stroke-opacity="${(0.15 + 0.75 * magnitude).toFixed(2)}" ` +
+                `stroke-width="${(0.4 + 1.6 * magnitude).toFixed(2)}"${dash}><title>${edge.weight.toFixed(3)}</title></line>`);
+        }
+
+        for (const node of graph.nodes) {
+            const { x, y } = positions.get(node.id);
+            parts.push(`<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${this.nodeRadius}" fill="${this.activationColor(node.value)}" ` +
+                `stroke="${this.colors.stroke}" stroke-width="0.5"><title>${node.value.toFixed(3)}</title></circle>`);
+
+            if (node.type === 'input' || node.type === 'bias') {
+                parts.push(`<text x="${(x - this.nodeRadius - 3).toFixed(1)}" y="${(y + 3).toFixed(1)}" text-anchor="end" ` +
+                    `fill="${this.colors.text}" font-size="8">${this.nodeName(node)} ${node.value.toFixed(2)}</text>`);
+            } else if (node.type === 'output') {
+                parts.push(`<text x="${(x + this.nodeRadius + 3).toFixed(1)}" y="${(y + 3).toFixed(1)}" ` +
+                    `fill="${this.colors.text}" font-size="8">${this.nodeName(node)} ${node.value.toFixed(2)}</text>`);
+            }
+        }
+
+        const legend = `<span style="color:${this.colors.positive}">■</span> Peso positivo ` +
+            `<span style="color:${this.colors.negative}">■</span> Peso negativo` +
+            (hasInputs ? '' : ' — sem decisão neural ainda (inputs neutros)');
+        return `<svg width="${this.width}" height="${height}">${parts.join('')}</svg>` +
+            `<p style="font-size:10px;margin:2px 0 6px">${legend}</p>`;
+    }
+
+    /**
+     * Descrição curta de uma chave de estado da tabela Q
+     * @param {string} stateKey - Chave (JSON) de BacteriaLearning.getStateKey
+     * @returns {string}
+     */
+    describeState(stateKey) {
+        try {
+            const state = JSON.parse(stateKey);
+            const flags = [
+                ['foodNearby', 'comida'],
+                ['mateNearby', 'parceiro'],
+                ['predatorNearby', 'predador'],
+                ['friendsNearby', 'amigos'],
+                ['enemiesNearby', 'inimigos']
+            ].filter(([key]) => state[key]).map(([, label]) => label);
+            return `S${state.health} E${state.energy}${flags.length > 0 ? ' ' + flags.join(', ') : ''}`;
+        } catch (error) {
+            return stateKey;
+        }
+    }
+
+    /**
+     * Linhas da tabela Q, o estado atual primeiro e destacado; o melhor valor de cada linha em negrito
+     * @param {BacteriaLearning} learning - Aprendizado da bactéria
+     * @returns {string} - HTML
+     */
+    renderQTable(learning) {
+        const qLearning = learning.qLearning;
+        const keys = Object.keys(qLearning.qTable);
+        if (keys.length === 0) {
+            return '<p class="info-message">Tabela Q vazia.</p>';
+        }
+
+        const current = qLearning.lastState;
+        const ordered = [
+            ...(current && qLearning.qTable[current] ? [current] : []),
+            ...keys.filter(key => key !== current)
+        ].slice(0, this.maxQRows);
+
+        const header = `<tr><th>Estado</th>${qLearning.actions.map(action => `<th>${action}</th>`).join('')}</tr>`;
+        const rows = ordered.map(key => {
+            const values = qLearning.qTable[key];
+            const best = Math.max(...qLearning.actions.map(action => values[action]));
+            const cells = qLearning.actions.map(action => {
+                const value = values[action];
+                const style = value === best && value !== 0 ? ' style="font-weight:bold"' : '';
+                return `<td${style}>${value.toFixed(2)}</td>`;
+            }).join('');
+            const background = key === current ? ` style="background:${this.colors.highlight}"` : '';
+            return `<tr${background}><td>${this.describeState(key)}</td>${cells}</tr>`;
+        }).join('');
+
+        return this.row('Tabela Q', `${keys.length} estados${keys.length > ordered.length ? `, ${ordered.length} listados` : ''}`) +
+            `<table class="brain-qtable">${header}${rows}</table>`;
+    }
+}
+
+// Torna a classe disponível globalmente
+window.BrainInspector = BrainInspector;
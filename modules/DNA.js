@@ -1,5 +1,8 @@
 /**
  * Sistema genético avançado das bactérias
+ * No modo haploide cada traço tem um único valor em genes. No modo diploide (opcional)
+ * cada traço tem dois alelos em genome, e genes passa a ser o fenótipo expresso a partir
+ * deles com o coeficiente de dominância de cada locus.
  */
 class DNA {
     /**
@@ -26,8 +29,37 @@ class DNA {
         
         this.baseLifespan = defaultLifespan;
         this.fitness = fitness;
+        this.genome = null;      // Alelos por locus (apenas no modo diploide)
+        this.dominance = null;   // Coeficiente de dominância por locus (apenas no modo diploide)
         this.genes = this.initializeGenes(parentDNA);
-        this.adaptedToEnvironment = []; // Nichos ecológicos adaptados
+        // Nichos ecológicos adaptados (herdados da cópia do DNA dos pais)
+        this.adaptedToEnvironment = parentDNA && Array.isArray(parentDNA.adaptedToEnvironment)
+            ? [...parentDNA.adaptedToEnvironment]
+            : [];
+        // Pesos da rede neural herdados (genótipo, nunca treinado); fundadoras recebem
+        // um cérebro aleatório em BacteriaLearning
+        this.brain = parentDNA && parentDNA.brain ? DNA.restoreBrain(parentDNA.brain) : null;
+    }
+
+    /**
+     * Cérebro herdado como rede (DNA salvo traz apenas os dados de toJSON)
+     * @param {NeuralNetwork|NeatNetwork|Object} brain - Rede ou dados serializados
+     * @returns {NeuralNetwork|NeatNetwork}
+     */
+    static restoreBrain(brain) {
+        if (brain instanceof NeuralNetwork || brain instanceof NeatNetwork) return brain;
+        return brain.type === 'neat' ? NeatNetwork.fromJSON(brain) : NeuralNetwork.fromJSON(brain);
+    }
+
+    /**
+     * Cópia exata de um DNA salvo, sem mutação (carregamento de saves)
+     * @param {DNA|Object} data - DNA ou seus dados serializados
+     * @returns {DNA}
+     */
+    static fromJSON(data) {
+        const dna = Object.assign(Object.create(DNA.prototype), JSON.parse(JSON.stringify({ ...data, brain: null })));
+        dna.brain = data.brain ? DNA.restoreBrain(JSON.parse(JSON.stringify(data.brain))) : null;
+        return dna;
     }
 
     /**
@@ -36,10 +68,31 @@ class DNA {
      * @returns {Object} Genes inicializados
      */
     initializeGenes(parentDNA) {
+        // Filhos de genomas diploides herdam os dois alelos de cada locus
+        if (parentDNA && parentDNA.genome) {
+            return this.initializeDiploid(parentDNA.genome, parentDNA.dominance, parentDNA.fitness);
+        }
+
+        // Fundadoras no modo diploide: dois conjuntos aleatórios independentes (heterozigose)
+        if (DNA.diploidMode && !(parentDNA instanceof DNA)) {
+            const genome = parentDNA
+                ? DNA.genomeFromGenes(parentDNA.genes)
+                : DNA.pairGenes(this.randomGenes(), this.randomGenes());
+            return this.initializeDiploid(genome, null, parentDNA ? parentDNA.fitness : this.fitness);
+        }
+
         if (parentDNA) {
             return this.mutateGenes(parentDNA.genes, parentDNA.fitness);
         }
 
+        return this.randomGenes();
+    }
+
+    /**
+     * Sorteia um conjunto de genes (fenótipo haploide)
+     * @returns {Object} Genes aleatórios
+     */
+    randomGenes() {
         return {
             // Atributos físicos
             metabolism: random(0.5, 1.5),    // Taxa de consumo de energia
@@ -52,9 +105,12 @@ class DNA {
             aggressiveness: random(0, 1),    // Tendência a atacar
             sociability: random(0, 1),       // Tendência a se agrupar
             curiosity: random(0, 1),         // Tendência a explorar
+            chemotaxis: random(0, 1),        // Peso da subida dos gradientes químicos no movimento
+            quorumThreshold: random(0.5, 2.5), // Concentração de autoindutor que ativa o quorum
             
             // Atributos reprodutivos
             fertility: random(0.5, 1.5),     // Taxa de reprodução
+            fissionTendency: random(0, 1),   // Preferência pela fissão (modo reprodutivo misto)
             mutationRate: random(0.01, 0.1), // Taxa de mutação
             adaptability: random(0.5, 1.5),  // Capacidade de adaptação
 
@@ -75,9 +131,169 @@ class DNA {
             nightVision: random(0, 1),       // Capacidade de ver no escuro 
             resourceEfficiency: random(0.5, 1.5), // Eficiência no uso de recursos
             diseaseResistance: random(0, 1), // Resistência a doenças
+            camouflage: random(0, 0.2),      // Encurta a distância em que predadores a percebem (com custo de energia)
+            sensorDensity: random(0, 1),     // Número de sensores direcionais (BacteriaSensors, com custo de energia)
+            sensorReach: random(0, 1),       // Alcance dos sensores direcionais
+
+            // Resistência a antibióticos (AntibioticSystem): rara nas fundadoras, com custo metabólico
+            ampicillinResistance: DNA.randomResistance(),
+            tetracyclineResistance: DNA.randomResistance(),
+            ciprofloxacinResistance: DNA.randomResistance(),
         };
     }
 
+    /**
+     * Inicializa o genoma diploide a partir do genoma dos pais e expressa o fenótipo
+     * @param {Object} genome - Alelos por locus
+     * @param {Object} dominance - Coeficientes de dominância (padrão: DNA.dominanceCoefficients)
+     * @param {number} fitness - Valor de fitness
+     * @returns {Object} Fenótipo expresso
+     */
+    initializeDiploid(genome, dominance, fitness = 1.0) {
+        this.dominance = { ...DNA.dominanceCoefficients, ...(dominance || {}) };
+        this.genome = this.mutateGenome(genome, fitness);
+        return this.expressGenes();
+    }
+
+    /**
+     * Expressão gênica: produz o fenótipo (genes) lido pelo restante do código
+     * Com alelos a <= b e dominância h, o fenótipo é a + h * (b - a):
+     * h = 0.5 é aditivo, h = 1 o alelo maior é dominante e h = 0 ele é recessivo
+     * @returns {Object} Fenótipo
+     */
+    expressGenes() {
+        if (!this.genome) return this.genes;
+
+        const flat = {};
+        for (const locus in this.genome) {
+            const [a, b] = this.genome[locus];
+            const low = Math.min(a, b);
+            const high = Math.max(a, b);
+            const h = this.dominance && typeof this.dominance[locus] === 'number' ? this.dominance[locus] : 0.5;
+            flat[locus] = low + h * (high - low);
+        }
+        return DNA.unflattenGenes(flat);
+    }
+
+    /**
+     * Aplica mutações a cada alelo do genoma diploide
+     * @param {Object} genome - Alelos por locus
+     * @param {number} fitness - Valor de fitness
+     * @returns {Object} Genoma mutado
+     */
+    mutateGenome(genome, fitness = 1.0) {
+        const mutationAlleles = genome.mutationRate || [0.05, 0.05];
+        const baseMutationRate = (mutationAlleles[0] + mutationAlleles[1]) / 2;
+        const mutationRate = constrain(baseMutationRate * (1 / Math.max(0.5, fitness)), 0.01, 0.2);
+        const mutationStrength = constrain(0.1 * (1 / fitness), 0.05, 0.3);
+
+        const mutated = {};
+        for (const locus in genome) {
+            const range = this.getGeneRange(locus);
+            mutated[locus] = genome[locus].map(allele =>
+                this.mutateValue(allele, range.min, range.max, mutationRate, mutationStrength)
+            );
+        }
+        return mutated;
+    }
+
+    /**
+     * Meiose com recombinação: produz um gameta com um alelo por locus
+     * Os loci seguem a ordem do genoma, como num cromossomo; entre loci vizinhos
+     * há uma chance de crossover que troca a fita copiada
+     * @param {number} recombinationRate - Chance de crossover entre loci vizinhos
+     * @returns {Object} Gameta (um alelo por locus)
+     */
+    meiosis(recombinationRate = DNA.recombinationRate) {
+        const genome = this.getGenome();
+        const gamete = {};
+        let strand = random() < 0.5 ? 0 : 1;
+
+        for (const locus in genome) {
+            gamete[locus] = genome[locus][strand];
+            if (random() < recombinationRate) {
+                strand = 1 - strand;
+            }
+        }
+        return gamete;
+    }
+
+    /**
+     * Fecundação: une um gameta de cada genitor num novo DNA diploide, sem mutação
+     * @param {DNA} partner - DNA do parceiro (pai)
+     * @returns {DNA} DNA do filho
+     */
+    fertilize(partner) {
+        const childDNA = new DNA();
+        childDNA.generation = max(this.generation, partner.generation) + 1;
+
+        const maternal = this.meiosis();
+        const paternal = partner.meiosis();
+        childDNA.genome = {};
+        for (const locus in maternal) {
+            childDNA.genome[locus] = [
+                maternal[locus],
+                paternal[locus] !== undefined ? paternal[locus] : maternal[locus]
+            ];
+        }
+        childDNA.dominance = { ...DNA.dominanceCoefficients, ...(this.dominance || {}) };
+        childDNA.genes = childDNA.expressGenes();
+        return childDNA;
+    }
+
+    /**
+     * Genoma diploide; genomas haploides são tratados como homozigotos
+     * @returns {Object} Alelos por locus
+     */
+    getGenome() {
+        return this.genome || DNA.genomeFromGenes(this.genes);
+    }
+
+    /**
+     * Alelos de um traço (null no modo haploide)
+     * @param {string} gene - Nome do gene (ou 'color.r', 'color.g', 'color.b')
+     * @returns {Array<number>|null}
+     */
+    getAlleles(gene) {
+        return this.genome && this.genome[gene] ? this.genome[gene] : null;
+    }
+
+    /**
+     * Verifica se o traço é heterozigoto (alelos diferentes além da tolerância)
+     * @param {string} gene - Nome do gene
+     * @param {number} tolerance - Diferença mínima entre alelos
+     * @returns {boolean}
+     */
+    isHeterozygous(gene, tolerance = 0.05) {
+        const alleles = this.getAlleles(gene);
+        return alleles !== null && Math.abs(alleles[0] - alleles[1]) > tolerance;
+    }
+
+    /**
+     * Portadora: tem um alelo acima do limiar que não aparece no fenótipo
+     * @param {string} gene - Nome do gene
+     * @param {number} threshold - Limiar do alelo
+     * @returns {boolean}
+     */
+    isCarrier(gene, threshold = 0.5) {
+        const alleles = this.getAlleles(gene);
+        if (!alleles) return false;
+        const expressed = this.genes[gene];
+        return Math.max(...alleles) >= threshold && typeof expressed === 'number' && expressed < threshold;
+    }
+
+    /**
+     * Aplica mutação ao próprio DNA (alelos no modo diploide, genes no haploide)
+     */
+    mutate() {
+        if (this.genome) {
+            this.genome = this.mutateGenome(this.genome, this.fitness);
+            this.genes = this.expressGenes();
+        } else {
+            this.genes = this.mutateGenes(this.genes, this.fitness);
+        }
+    }
+
     /**
      * Aplica mutações aos genes
      * @param {Object} parentGenes - Genes dos pais
@@ -127,6 +343,10 @@ class DNA {
      * @returns {Object} Intervalo mínimo e máximo
      */
     getGeneRange(gene) {
+        if (gene.startsWith('color.')) {
+            return { min: -50, max: 50 };
+        }
+
         const ranges = {
             metabolism: { min: 0.5, max: 1.5 },
             immunity: { min: 0.5, max: 1.5 },
@@ -136,12 +356,21 @@ class DNA {
             aggressiveness: { min: 0, max: 1 },
             sociability: { min: 0, max: 1 },
             curiosity: { min: 0, max: 1 },
+            chemotaxis: { min: 0, max: 1 },
+            quorumThreshold: { min: 0.5, max: 2.5 },
             fertility: { min: 0.5, max: 1.5 },
+            fissionTendency: { min: 0, max: 1 },
             mutationRate: { min: 0.01, max: 0.1 },
             adaptability: { min: 0.5, max: 1.5 },
             nightVision: { min: 0, max: 1 },
             resourceEfficiency: { min: 0.5, max: 1.5 },
             diseaseResistance: { min: 0, max: 1 },
+            camouflage: { min: 0, max: 1 },
+            sensorDensity: { min: 0, max: 1 },
+            sensorReach: { min: 0, max: 1 },
+            ampicillinResistance: { min: 0, max: 1 },
+            tetracyclineResistance: { min: 0, max: 1 },
+            ciprofloxacinResistance: { min: 0, max: 1 },
             communicationLevel: { min: 0, max: 1 },
             intelligence: { min: 0, max: 1 },
             neuralCommunication: { min: 0, max: 1 },
@@ -171,18 +400,19 @@ class DNA {
 
     /**
      * Combina dois DNAs para criar um novo usando crossover de múltiplos pontos
+     * Se algum dos genitores for diploide, usa meiose com recombinação (combineDiploid)
      * @param {DNA} partner - DNA do parceiro
      * @returns {DNA} Novo DNA combinado
      */
     combine(partner) {
+        if (this.genome || partner.genome) {
+            return this.combineDiploid(partner);
+        }
+
         const childDNA = new DNA();
         childDNA.generation = max(this.generation, partner.generation) + 1;
-        
-        // Combina adaptações ambientais
-        childDNA.adaptedToEnvironment = [...new Set([
-            ...this.adaptedToEnvironment, 
-            ...partner.adaptedToEnvironment
-        ])];
+        childDNA.genome = null; // Permanece haploide mesmo com o modo diploide ativo
+        childDNA.dominance = null;
         
         // Crossover de múltiplos pontos
         const genes = Object.keys(this.genes);
@@ -228,27 +458,95 @@ class DNA {
             }
         }
         
-        // Pequena chance de especialização em um nicho ecológico
-        if (random() < 0.1) {
-            const possibleNiches = ['aquatic', 'terrestrial', 'aerial', 'dark', 'bright', 'hot', 'cold'];
-            const newNiche = possibleNiches[Math.floor(random(0, possibleNiches.length))];
-            
-            if (!childDNA.adaptedToEnvironment.includes(newNiche)) {
-                childDNA.adaptedToEnvironment.push(newNiche);
-                
-                // Especializa genes para o nicho
-                this.specializeForNiche(childGenes, newNiche);
-            }
-        }
-        
         childDNA.genes = childGenes;
         
+        // Combina adaptações ambientais, com pequena chance de especialização nova
+        childDNA.inheritNiches(this, partner);
+        
         // Mutação depois do crossover
         childDNA.genes = childDNA.mutateGenes(childGenes);
         
         return childDNA;
     }
     
+    /**
+     * Combinação diploide: fecundação por meiose, especialização de nicho e mutação dos alelos
+     * @param {DNA} partner - DNA do parceiro
+     * @returns {DNA} Novo DNA combinado
+     */
+    combineDiploid(partner) {
+        const childDNA = this.fertilize(partner);
+
+        // Combina adaptações ambientais, com pequena chance de especialização nova
+        childDNA.inheritNiches(this, partner);
+
+        // Mutação depois da recombinação
+        childDNA.genome = childDNA.mutateGenome(childDNA.genome, childDNA.fitness);
+        childDNA.genes = childDNA.expressGenes();
+
+        return childDNA;
+    }
+
+    /**
+     * Herda os nichos dos pais (sem pares opostos) com chance de especialização nova
+     * @param {...DNA} parents - DNA dos genitores
+     */
+    inheritNiches(...parents) {
+        this.adaptedToEnvironment = [];
+        for (const parent of parents) {
+            if (!parent || !Array.isArray(parent.adaptedToEnvironment)) continue;
+            for (const niche of parent.adaptedToEnvironment) {
+                const opposite = DNA.nicheOpposites[niche];
+                if (!this.adaptedToEnvironment.includes(niche) && !this.adaptedToEnvironment.includes(opposite)) {
+                    this.adaptedToEnvironment.push(niche);
+                }
+            }
+        }
+        this.specializeRandomly();
+    }
+
+    /**
+     * Especialização ocasional em um nicho sorteado
+     * @param {number} chance - Probabilidade de especializar
+     * @returns {string|null} - Nicho adquirido
+     */
+    specializeRandomly(chance = DNA.nicheChance) {
+        if (random() >= chance) return null;
+        const newNiche = DNA.niches[Math.floor(random(0, DNA.niches.length))];
+        return this.addNiche(newNiche) ? newNiche : null;
+    }
+
+    /**
+     * Adapta o DNA a um nicho: especializa os genes e perde a adaptação ao nicho oposto
+     * @param {string} niche - Nicho ecológico
+     * @returns {boolean} - Se o nicho era novo
+     */
+    addNiche(niche) {
+        if (this.adaptedToEnvironment.includes(niche)) return false;
+
+        const opposite = DNA.nicheOpposites[niche];
+        this.adaptedToEnvironment = this.adaptedToEnvironment.filter(n => n !== opposite);
+        this.adaptedToEnvironment.push(niche);
+
+        if (this.genome) {
+            // A especialização desloca os dois alelos pela mesma diferença do fenótipo
+            const before = DNA.flattenGenes(this.genes);
+            const specialized = this.expressGenes();
+            this.specializeForNiche(specialized, niche);
+            const after = DNA.flattenGenes(specialized);
+            for (const locus in after) {
+                const delta = after[locus] - before[locus];
+                if (delta !== 0 && this.genome[locus]) {
+                    this.genome[locus] = this.genome[locus].map(allele => allele + delta);
+                }
+            }
+            this.genes = this.expressGenes();
+        } else {
+            this.specializeForNiche(this.genes, niche);
+        }
+        return true;
+    }
+
     /**
      * Especializa os genes para um nicho ecológico específico
      * @param {Object} genes - Genes a serem especializados
@@ -376,10 +674,119 @@ class DNA {
             gene_neuralCommunication: this.genes.neuralCommunication ? this.genes.neuralCommunication.toFixed(2) : 'N/A',
             gene_vocabularySize: this.genes.vocabularySize ? this.genes.vocabularySize.toFixed(2) : 'N/A',
             adaptedToEnvironment: this.adaptedToEnvironment.join(', ') || 'Nenhum',
+            ploidy: this.genome ? 'Diploide' : 'Haploide',
             generation: this.generation
         };
     }
+
+    /**
+     * Sorteia o valor de um gene de resistência a antibiótico para uma fundadora
+     * A maioria é sensível; uma fração (DNA.resistantFounderRate) já nasce resistente
+     * @returns {number}
+     */
+    static randomResistance() {
+        return random() < DNA.resistantFounderRate ? random(0.5, 1) : random(0, 0.2);
+    }
+
+    /**
+     * Converte genes em um mapa plano de loci (a cor vira 'color.r', 'color.g', 'color.b')
+     * @param {Object} genes - Genes (fenótipo)
+     * @returns {Object} Valor por locus
+     */
+    static flattenGenes(genes) {
+        const flat = {};
+        for (const gene in genes) {
+            if (gene === 'color' && genes.color) {
+                for (const component of ['r', 'g', 'b']) {
+                    flat[`color.${component}`] = genes.color[component];
+                }
+            } else if (typeof genes[gene] === 'number') {
+                flat[gene] = genes[gene];
+            }
+        }
+        return flat;
+    }
+
+    /**
+     * Inverso de flattenGenes
+     * @param {Object} flat - Valor por locus
+     * @returns {Object} Genes (fenótipo)
+     */
+    static unflattenGenes(flat) {
+        const genes = {};
+        for (const locus in flat) {
+            if (locus.startsWith('color.')) {
+                genes.color = genes.color || {};
+                genes.color[locus.slice(6)] = flat[locus];
+            } else {
+                genes[locus] = flat[locus];
+            }
+        }
+        return genes;
+    }
+
+    /**
+     * Genoma homozigoto (dois alelos iguais) a partir de genes haploides
+     * @param {Object} genes - Genes (fenótipo)
+     * @returns {Object} Alelos por locus
+     */
+    static genomeFromGenes(genes) {
+        return DNA.pairGenes(genes, genes);
+    }
+
+    /**
+     * Monta um genoma com um alelo vindo de cada conjunto de genes
+     * @param {Object} first - Genes do primeiro conjunto
+     * @param {Object} second - Genes do segundo conjunto
+     * @returns {Object} Alelos por locus
+     */
+    static pairGenes(first, second) {
+        const a = DNA.flattenGenes(first);
+        const b = DNA.flattenGenes(second);
+        const genome = {};
+        for (const locus in a) {
+            genome[locus] = [a[locus], b[locus] !== undefined ? b[locus] : a[locus]];
+        }
+        return genome;
+    }
 }
 
+// Modo diploide para novas fundadoras (definido pela simulação)
+DNA.diploidMode = false;
+
+// Chance de crossover entre loci vizinhos na meiose
+DNA.recombinationRate = 0.1;
+
+// Coeficientes de dominância do alelo de maior valor (0 recessivo, 0.5 aditivo, 1 dominante)
+// Loci ausentes usam 0.5
+DNA.dominanceCoefficients = {
+    immunity: 0.8,
+    diseaseResistance: 0.9,
+    nightVision: 0.1,
+    intelligence: 0.2,
+    neuralCommunication: 0.1,
+    fertility: 0.7,
+    size: 0.5,
+    speed: 0.6,
+    ampicillinResistance: 0.8,
+    tetracyclineResistance: 0.8,
+    ciprofloxacinResistance: 0.8
+};
+
+// Nichos ecológicos; os opostos não coexistem no mesmo DNA
+DNA.niches = ['aquatic', 'terrestrial', 'aerial', 'dark', 'bright', 'hot', 'cold'];
+DNA.nicheOpposites = {
+    aquatic: 'terrestrial',
+    terrestrial: 'aquatic',
+    dark: 'bright',
+    bright: 'dark',
+    hot: 'cold',
+    cold: 'hot'
+};
+DNA.nicheChance = 0.1; // Chance de especialização nova a cada nascimento
+
+// Fração das fundadoras que já nasce com um alelo de resistência (>= 0.5) a cada antibiótico
+DNA.resistantFounderRate = 0.05;
+
 // Exporta a classe
 window.DNA = DNA; 
\ No newline at end of file
@@ -0,0 +1,318 @@
+/**
+ * Definições declarativas de doenças
+ * Cada definição descreve uma doença que pode surgir na simulação: nomes, atributos
+ * afetados (com modificadores), período de incubação, chance de portador assintomático,
+ * curva de letalidade e parâmetros de transmissão. As definições chegam em JSON (arquivo
+ * ou área de texto do painel de doenças) e são validadas contra DiseaseDefinitions.SCHEMA.
+ *
+ * Parâmetros do tipo "range" aceitam um número fixo ou uma faixa [mín, máx], sorteada
+ * a cada doença criada a partir da definição.
+ */
+class DiseaseDefinitions {
+    /**
+     * Cópia das definições padrão (as doenças originais do simulador)
+     * @returns {Array<Object>}
+     */
+    static getDefaults() {
+        return JSON.parse(JSON.stringify(DiseaseDefinitions.DEFAULTS));
+    }
+
+    /**
+     * Lê e valida definições em JSON
+     * Aceita uma lista de definições, uma única definição ou {diseases: [...]}
+     * @param {string|Object|Array} input - Texto JSON ou objeto já lido
+     * @returns {{definitions: Array<Object>|null, errors: Array<string>}}
+     */
+    static parse(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                return { definitions: null, errors: [`JSON inválido: ${error.message}`] };
+            }
+        }
+
+        if (data && !Array.isArray(data) && Array.isArray(data.diseases)) {
+            data = data.diseases;
+        } else if (data && !Array.isArray(data) && typeof data === 'object') {
+            data = [data];
+        }
+        if (!Array.isArray(data) || data.length === 0) {
+            return { definitions: null, errors: ['Esperada uma lista com pelo menos uma definição de doença'] };
+        }
+
+        const errors = [];
+        data.forEach((definition, i) => {
+            const previous = errors.length;
+            DiseaseDefinitions.validateValue(definition, DiseaseDefinitions.SCHEMA, `[${i}]`, errors);
+            if (errors.length === previous) {
+                DiseaseDefinitions.validateLethality(definition.lethality, `[${i}].lethality`, errors);
+            }
+        });
+
+        return errors.length > 0
+            ? { definitions: null, errors: errors }
+            : { definitions: data, errors: [] };
+    }
+
+    /**
+     * Valida um valor contra um nó do esquema, acumulando as mensagens de erro
+     * @param {*} value - Valor
+     * @param {Object} schema - Nó do esquema
+     * @param {string} path - Caminho do valor (para as mensagens)
+     * @param {Array<string>} errors - Lista de erros
+     */
+    static validateValue(value, schema, path, errors) {
+        if (schema.oneOf) {
+            const matches = schema.oneOf.some(option => {
+                const optionErrors = [];
+                DiseaseDefinitions.validateValue(value, option, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matches) errors.push(`${path}: ${schema.description || 'valor inválido'}`);
+            return;
+        }
+
+        switch (schema.type) {
+            case 'object': {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path}: deve ser um objeto`);
+                    return;
+                }
+                for (const key of schema.required || []) {
+                    if (value[key] === undefined) errors.push(`${path}.${key}: campo obrigatório`);
+                }
+                for (const [key, child] of Object.entries(value)) {
+                    if (!schema.properties[key]) {
+                        errors.push(`${path}.${key}: campo desconhecido`);
+                    } else {
+                        DiseaseDefinitions.validateValue(child, schema.properties[key], `${path}.${key}`, errors);
+                    }
+                }
+                break;
+            }
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path}: deve ser uma lista`);
+                    return;
+                }
+                if (schema.minItems !== undefined && value.length < schema.minItems) {
+                    errors.push(`${path}: deve ter pelo menos ${schema.minItems} itens`);
+                }
+                if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                    errors.push(`${path}: deve ter no máximo ${schema.maxItems} itens`);
+                }
+                value.forEach((item, i) => {
+                    DiseaseDefinitions.validateValue(item, schema.items, `${path}[${i}]`, errors);
+                });
+                break;
+
+            case 'string':
+                if (typeof value !== 'string' || value.trim() === '') {
+                    errors.push(`${path}: deve ser um texto não vazio`);
+                } else if (schema.enum && !schema.enum.includes(value)) {
+                    errors.push(`${path}: "${value}" não é um de ${schema.enum.join(', ')}`);
+                }
+                break;
+
+            case 'number':
+                DiseaseDefinitions.validateNumber(value, schema, path, errors);
+                break;
+
+            case 'range':
+                if (Array.isArray(value)) {
+                    if (value.length !== 2) {
+                        errors.push(`${path}: a faixa deve ser [mín, máx]`);
+                        return;
+                    }
+                    DiseaseDefinitions.validateNumber(value[0], schema, `${path}[0]`, errors);
+                    DiseaseDefinitions.validateNumber(value[1], schema, `${path}[1]`, errors);
+                    if (value[0] > value[1]) errors.push(`${path}: o mínimo da faixa é maior que o máximo`);
+                } else {
+                    DiseaseDefinitions.validateNumber(value, schema, path, errors);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Valida um número e seus limites
+     * @param {*} value - Valor
+     * @param {Object} schema - Nó do esquema (minimum/maximum opcionais)
+     * @param {string} path - Caminho do valor
+     * @param {Array<string>} errors - Lista de erros
+     */
+    static validateNumber(value, schema, path, errors) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${path}: deve ser um número`);
+        } else if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: deve ser no mínimo ${schema.minimum}`);
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: deve ser no máximo ${schema.maximum}`);
+        }
+    }
+
+    /**
+     * O progresso dos pontos da curva de letalidade vai de 0 a 1, em ordem crescente
+     * @param {Array|undefined} lethality - Pontos [progresso, saúde perdida por tick]
+     * @param {string} path - Caminho do valor
+     * @param {Array<string>} errors - Lista de erros
+     */
+    static validateLethality(lethality, path, errors) {
+        if (!Array.isArray(lethality)) return;
+        for (let i = 0; i < lethality.length; i++) {
+            if (lethality[i][0] > 1) {
+                errors.push(`${path}[${i}][0]: o progresso da infecção vai de 0 a 1`);
+            } else if (i > 0 && lethality[i][0] < lethality[i - 1][0]) {
+                errors.push(`${path}[${i}]: os pontos devem estar em ordem crescente de progresso`);
+            }
+        }
+    }
+
+    /**
+     * Sorteia o valor de um parâmetro "range"
+     * @param {number|Array<number>} value - Número fixo ou faixa [mín, máx]
+     * @returns {number}
+     */
+    static sample(value) {
+        return Array.isArray(value) ? random(value[0], value[1]) : value;
+    }
+
+    /**
+     * Nome exibido de uma definição (o primeiro, se houver vários)
+     * @param {Object} definition - Definição
+     * @returns {string}
+     */
+    static getLabel(definition) {
+        return Array.isArray(definition.name) ? definition.name[0] : definition.name;
+    }
+}
+
+/**
+ * Atributos que as doenças podem afetar
+ * factor: o modificador multiplica o atributo; rate: o modificador é uma quantidade por tick.
+ * Em ambos os casos o modificador é o efeito com gravidade 1 (a gravidade da cepa o atenua).
+ */
+DiseaseDefinitions.ATTRIBUTES = {
+    maxSpeed: { name: 'Velocidade máxima', kind: 'factor' },
+    tremor: { name: 'Tremor (força aleatória)', kind: 'rate' },
+    energyDrain: { name: 'Energia extra consumida', kind: 'rate' },
+    fertility: { name: 'Fertilidade (abaixo de 0.5 bloqueia a reprodução)', kind: 'factor' },
+    perception: { name: 'Raio de percepção', kind: 'factor' },
+    mutationRate: { name: 'Taxa de mutação', kind: 'factor' }
+};
+
+/**
+ * Esquema das definições
+ */
+DiseaseDefinitions.SCHEMA = {
+    type: 'object',
+    required: ['name', 'severity', 'transmission'],
+    properties: {
+        name: {
+            oneOf: [
+                { type: 'string' },
+                { type: 'array', minItems: 1, items: { type: 'string' } }
+            ],
+            description: 'deve ser um nome ou uma lista de nomes'
+        },
+        type: { type: 'string' },
+        color: {
+            type: 'array', minItems: 3, maxItems: 3,
+            items: { type: 'number', minimum: 0, maximum: 255 }
+        },
+        severity: { type: 'range', minimum: 0, maximum: 1 },
+        effects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['attribute', 'modifier'],
+                properties: {
+                    attribute: { type: 'string', enum: Object.keys(DiseaseDefinitions.ATTRIBUTES) },
+                    modifier: { type: 'range', minimum: 0 }
+                }
+            }
+        },
+        incubation: { type: 'range', minimum: 0 },
+        asymptomaticChance: { type: 'number', minimum: 0, maximum: 1 },
+        lethality: {
+            type: 'array',
+            items: {
+                type: 'array', minItems: 2, maxItems: 2,
+                items: { type: 'number', minimum: 0 }
+            }
+        },
+        transmission: {
+            type: 'object',
+            required: ['contagion', 'duration'],
+            properties: {
+                contagion: { type: 'range', minimum: 0, maximum: 1 },
+                duration: { type: 'range', minimum: 1 },
+                immunity: { type: 'range', minimum: 0, maximum: 1 },
+                routes: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(Disease.ROUTES) } }
+            }
+        }
+    }
+};
+
+/**
+ * Doenças padrão do simulador
+ * Todas têm incubação (sem sintomas, mas já transmissíveis) e parte dos infectados sem sintomas.
+ * lethality: pontos [progresso da infecção (0-1), saúde perdida por tick], interpolados;
+ * sem routes a doença sorteia as vias de transmissão (Disease.randomRoutes).
+ */
+DiseaseDefinitions.DEFAULTS = [
+    {
+        name: ['Gastroenterite', 'Hipermetabolismo', 'Síndrome Digestiva'],
+        type: 'metabolica',
+        severity: [0.1, 1],
+        incubation: [60, 300],
+        asymptomaticChance: 0.15,
+        effects: [{ attribute: 'energyDrain', modifier: 0.05 }],
+        transmission: { contagion: [0.1, 0.8], duration: [500, 5000], immunity: [0.3, 0.9] }
+    },
+    {
+        name: ['Paralisia Progressiva', 'Tremores Bacterianos', 'Atrofia Motora'],
+        type: 'motora',
+        severity: [0.1, 1],
+        incubation: [60, 300],
+        asymptomaticChance: 0.15,
+        effects: [
+            { attribute: 'maxSpeed', modifier: 0.3 },
+            { attribute: 'tremor', modifier: 0.5 }
+        ],
+        transmission: { contagion: [0.1, 0.8], duration: [500, 5000], immunity: [0.3, 0.9] }
+    },
+    {
+        name: ['Infertilidade Microbiana', 'Desregulação Genética', 'Mutação Inibidora'],
+        type: 'reprodutiva',
+        severity: [0.1, 1],
+        incubation: [60, 300],
+        asymptomaticChance: 0.15,
+        effects: [{ attribute: 'fertility', modifier: 0 }],
+        transmission: { contagion: [0.1, 0.8], duration: [500, 5000], immunity: [0.3, 0.9] }
+    },
+    {
+        name: ['Confusão Neural', 'Desordem Decisória', 'Cegueira Sensorial'],
+        type: 'neural',
+        severity: [0.1, 1],
+        incubation: [60, 300],
+        asymptomaticChance: 0.15,
+        effects: [{ attribute: 'perception', modifier: 0.4 }],
+        transmission: { contagion: [0.1, 0.8], duration: [500, 5000], immunity: [0.3, 0.9] }
+    },
+    {
+        name: ['Necrose Celular', 'Disfunção Mitocondrial', 'Deterioração Sistêmica'],
+        type: 'degenerativa',
+        severity: [0.1, 1],
+        incubation: [60, 300],
+        asymptomaticChance: 0.15,
+        lethality: [[0, 0], [1, 0.08]],
+        transmission: { contagion: [0.1, 0.8], duration: [500, 5000], immunity: [0.3, 0.9] }
+    }
+];
+
+// Torna a classe disponível globalmente
+window.DiseaseDefinitions = DiseaseDefinitions;
@@ -0,0 +1,236 @@
+/**
+ * Painel de linhagens
+ * Desenha (em SVG) a árvore genealógica da bactéria selecionada e a árvore
+ * das linhagens sobreviventes, e exporta a árvore no formato Newick.
+ */
+class LineagePanel {
+    /**
+     * Inicializa o painel
+     * @param {string} containerId - ID do elemento que recebe o desenho
+     */
+    constructor(containerId = 'lineage-content') {
+        this.containerId = containerId;
+        this.mode = 'family';   // 'family' (bactéria selecionada) ou 'survivors'
+        this.maxLeaves = 150;   // Folhas desenhadas na árvore de sobreviventes
+        this.rowHeight = 12;
+        this.width = 230;
+        this.colors = {
+            female: 'rgb(255,150,200)',
+            male: 'rgb(150,200,255)',
+            dead: '#6c6f7a',
+            line: '#5d6270',
+            leaf: '#4CD137',
+            text: '#e1e1e6'
+        };
+
+        this.bindButtons();
+    }
+
+    /**
+     * Liga os botões de modo e de exportação
+     */
+    bindButtons() {
+        try {
+            const familyBtn = document.getElementById('lineage-family-btn');
+            const survivorsBtn = document.getElementById('lineage-survivors-btn');
+            const exportBtn = document.getElementById('lineage-export-btn');
+
+            if (familyBtn) familyBtn.onclick = () => this.setMode('family');
+            if (survivorsBtn) survivorsBtn.onclick = () => this.setMode('survivors');
+            if (exportBtn) exportBtn.onclick = () => this.exportNewick(window.simulation);
+        } catch (error) {
+            console.error("Erro ao configurar botões do painel de linhagens:", error);
+        }
+    }
+
+    /**
+     * Troca o modo de exibição
+     * @param {string} mode - 'family' ou 'survivors'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.update(window.simulation);
+    }
+
+    /**
+     * Redesenha o painel
+     * @param {Simulation} simulation - Simulação atual
+     */
+    update(simulation) {
+        const container = document.getElementById(this.containerId);
+        if (!container || !simulation || !simulation.lineageTracker) return;
+
+        try {
+            const tracker = simulation.lineageTracker;
+            if (this.mode === 'survivors') {
+                container.innerHTML = this.renderSurvivors(tracker);
+            } else {
+                container.innerHTML = this.renderFamily(tracker, simulation.selectedBacteria);
+            }
+        } catch (error) {
+            console.error("Erro ao desenhar painel de linhagens:", error);
+        }
+    }
+
+    /**
+     * Círculo e rótulo de um nó
+     * @returns {string} - SVG
+     */
+    drawNode(x, y, node, label = null) {
+        const fillColor = !node ? 'none' : (node.isFemale ? this.colors.female : this.colors.male);
+        const stroke = !node || !node.alive ? this.colors.dead : '#ffffff';
+        const dash = !node || !node.alive ? ' stroke-dasharray="2,2"' : '';
+        const text = label || (node ? `B${node.id}` : '?');
+        return `<circle cx="${x}" cy="${y}" r="5" fill="${fillColor}" stroke="${stroke}"${dash}/>` +
+            `<text x="${x}" y="${y - 8}" fill="${this.colors.text}" font-size="9" text-anchor="middle">${text}</text>`;
+    }
+
+    /**
+     * Árvore genealógica: avós, pais, a bactéria e seus filhos
+     * @param {LineageTracker} tracker - Rastreador de linhagens
+     * @param {Bacteria} bacteria - Bactéria selecionada
+     * @returns {string} - HTML
+     */
+    renderFamily(tracker, bacteria) {
+        if (!bacteria) {
+            return '<p class="info-message">Clique em uma bactéria para ver sua família.</p>';
+        }
+
+        const family = tracker.getFamily(bacteria.id);
+        if (!family) {
+            return '<p class="info-message">Bactéria ainda não registrada.</p>';
+        }
+
+        const height = 150;
+        const columns = [20, 75, 135, 200];
+        const parts = [];
+        const link = (x1, y1, x2, y2) =>
+            `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${this.colors.line}"/>`;
+
+        // Bactéria selecionada no centro
+        const centerY = height / 2;
+        parts.push(this.drawNode(columns[2], centerY, family.node));
+
+        // Pais e avós à esquerda
+        const pedigree = family.pedigree;
+        [['mother', 0], ['father', 1]].forEach(([role, index]) => {
+            const parentId = role === 'mother' ? pedigree.motherId : pedigree.fatherId;
+            if (parentId === null || parentId === undefined) return;
+            const parent = pedigree[role];
+            const parentY = height * (index === 0 ? 0.3 : 0.7);
+            parts.push(link(columns[1], parentY, columns[2], centerY));
+            parts.push(this.drawNode(columns[1], parentY, parent ? parent.node : null, parent ? null : `B${parentId}`));
+
+            if (!parent) return;
+            [['mother', -1], ['father', 1]].forEach(([grandRole, side]) => {
+                const grandId = grandRole === 'mother' ? parent.motherId : parent.fatherId;
+                if (grandId === null || grandId === undefined) return;
+                const grand = parent[grandRole];
+                const grandY = parentY + side * height * 0.12;
+                parts.push(link(columns[0], grandY, columns[1], parentY));
+                parts.push(this.drawNode(columns[0], grandY, grand ? grand.node : null, grand ? null : `B${grandId}`));
+            });
+        });
+
+        // Filhos à direita
+        const children = family.children.slice(0, 10);
+        children.forEach((child, i) => {
+            const childY = (i + 1) * height / (children.length + 1);
+            parts.push(link(columns[2], centerY, columns[3], childY));
+            parts.push(this.drawNode(columns[3], childY, child));
+        });
+
+        const origin = family.node.motherId === null
+            ? 'Fundadora'
+            : `Linhagem de B${family.node.founderId}`;
+        const extra = family.children.length > children.length
+            ? ` (+${family.children.length - children.length} filhos)`
+            : '';
+
+        return `<p><span class="info-label">${origin}</span><span class="info-value">${family.children.length} filhos${extra}</span></p>` +
+            `<svg width="${this.width}" height="${height}">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Árvore das linhagens sobreviventes (linha materna), com o tempo no eixo X
+     * @param {LineageTracker} tracker - Rastreador de linhagens
+     * @returns {string} - HTML
+     */
+    renderSurvivors(tracker) {
+        const roots = tracker.getSurvivorTree();
+        const summary = tracker.getSummary();
+        if (roots.length === 0) {
+            return '<p class="info-message">Nenhuma linhagem viva.</p>';
+        }
+
+        // Posiciona as folhas em linhas e os nós internos na média dos filhos
+        let row = 0;
+        let maxTick = 1;
+        const layout = (tree, startTick) => {
+            const birthTick = startTick + tree.length;
+            maxTick = Math.max(maxTick, birthTick);
+            const children = tree.children.map(child => layout(child, birthTick));
+            let y;
+            if (children.length === 0) {
+                y = row++ * this.rowHeight;
+            } else {
+                y = (children[0].y + children[children.length - 1].y) / 2;
+            }
+            return { tree, tick: birthTick, y, children };
+        };
+        const placed = roots.map(root => layout(root, root.birthTick - root.length));
+
+        if (row > this.maxLeaves) {
+            return `<p class="info-message">${row} linhagens vivas: grande demais para desenhar. Use a exportação Newick.</p>`;
+        }
+
+        const left = 10;
+        const right = this.width - 40;
+        const scaleX = tick => left + (tick / maxTick) * (right - left);
+        const parts = [];
+
+        const draw = node => {
+            const x = scaleX(node.tick);
+            const y = node.y + 10;
+            for (const child of node.children) {
+                const childX = scaleX(child.tick);
+                const childY = child.y + 10;
+                parts.push(`<path d="M${x},${y} V${childY} H${childX}" fill="none" stroke="${this.colors.line}"/>`);
+                draw(child);
+            }
+            // Bactérias vivas (folhas ou mães ainda vivas)
+            if (node.tree.alive || node.children.length === 0) {
+                parts.push(`<circle cx="${x}" cy="${y}" r="2.5" fill="${this.colors.leaf}"/>`);
+                parts.push(`<text x="${x + 5}" y="${y + 3}" fill="${this.colors.text}" font-size="8">B${node.tree.id}</text>`);
+            }
+        };
+        placed.forEach(draw);
+
+        const height = row * this.rowHeight + 20;
+        return `<p><span class="info-label">Linhagens vivas:</span><span class="info-value">${summary.survivingLineages}</span></p>` +
+            `<svg width="${this.width}" height="${height}">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Baixa a árvore das linhagens sobreviventes em formato Newick
+     * @param {Simulation} simulation - Simulação atual
+     */
+    exportNewick(simulation) {
+        if (!simulation || !simulation.lineageTracker) return;
+
+        try {
+            const newick = simulation.lineageTracker.toNewick();
+            const blob = new Blob([newick + '\n'], { type: 'text/plain' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `linhagens_${simulation.rng.seed}_${simulation.frameCount}.nwk`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error("Erro ao exportar árvore Newick:", error);
+        }
+    }
+}
+
+// Torna a classe disponível globalmente
+window.LineagePanel = LineagePanel;
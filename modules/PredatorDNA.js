@@ -0,0 +1,108 @@
+/**
+ * Genoma dos predadores
+ * Sempre haploide, com os próprios genes (PredatorDNA.GENES). A mutação é a mesma das
+ * bactérias (DNA.mutateGenes / mutateValue), só os intervalos dos genes mudam.
+ * O gene camouflageDetection anula a camuflagem das presas (gene camouflage das bactérias),
+ * o que permite a co-evolução entre predadores e presas.
+ */
+class PredatorDNA extends DNA {
+    /**
+     * Inicializa os genes (o modo diploide das bactérias não se aplica aos predadores)
+     * @param {PredatorDNA} parentDNA - DNA do genitor (opcional)
+     * @returns {Object} Genes inicializados
+     */
+    initializeGenes(parentDNA) {
+        if (parentDNA) {
+            return this.mutateGenes(parentDNA.genes, parentDNA.fitness);
+        }
+        return this.randomGenes();
+    }
+
+    /**
+     * Sorteia os genes de um predador fundador
+     * @returns {Object} Genes aleatórios
+     */
+    randomGenes() {
+        const genes = {};
+        for (const [gene, info] of Object.entries(PredatorDNA.GENES)) {
+            genes[gene] = random(info.founder[0], info.founder[1]);
+        }
+        return genes;
+    }
+
+    /**
+     * Intervalo válido de um gene
+     * @param {string} gene - Nome do gene
+     * @returns {Object} Intervalo mínimo e máximo
+     */
+    getGeneRange(gene) {
+        const info = PredatorDNA.GENES[gene];
+        return info ? { min: info.min, max: info.max } : super.getGeneRange(gene);
+    }
+
+    /**
+     * Combina dois genomas de predador (crossover uniforme seguido de mutação)
+     * @param {PredatorDNA} partner - DNA do parceiro
+     * @param {number} mutationRate - Taxa de mutação base (opcional, padrão: a do genoma)
+     * @returns {PredatorDNA} DNA do filho
+     */
+    combine(partner, mutationRate = null) {
+        const childDNA = new PredatorDNA();
+        childDNA.generation = max(this.generation, partner.generation) + 1;
+
+        const childGenes = {};
+        for (const gene in this.genes) {
+            const fromParent = random() < 0.5 ? this : partner;
+            childGenes[gene] = fromParent.genes[gene] !== undefined ? fromParent.genes[gene] : this.genes[gene];
+        }
+        if (typeof mutationRate === 'number') {
+            childGenes.mutationRate = mutationRate;
+        }
+
+        childDNA.genes = childDNA.mutateGenes(childGenes);
+        return childDNA;
+    }
+
+    /**
+     * Descrição legível dos genes
+     * @returns {string}
+     */
+    getDescription() {
+        return Object.entries(PredatorDNA.GENES)
+            .map(([gene, info]) => `${info.name}: ${(this.genes[gene] || 0).toFixed(2)}`)
+            .join(', ');
+    }
+
+    /**
+     * Média de cada gene numa lista de predadores
+     * @param {Array<Predator>} predators - Predadores
+     * @returns {Object|null} - Média por gene (null sem predadores com DNA)
+     */
+    static averageGenes(predators) {
+        const withDNA = predators.filter(p => p && p.dna instanceof PredatorDNA);
+        if (withDNA.length === 0) return null;
+
+        const averages = {};
+        for (const gene in PredatorDNA.GENES) {
+            averages[gene] = withDNA.reduce((sum, p) => sum + (p.dna.genes[gene] || 0), 0) / withDNA.length;
+        }
+        return averages;
+    }
+}
+
+/**
+ * Genes dos predadores: intervalo válido (min, max), faixa das fundadoras e nome exibido
+ * Os traços físicos são multiplicadores dos valores base do Predator (1 = valor original)
+ */
+PredatorDNA.GENES = {
+    speed: { min: 0.5, max: 1.5, founder: [0.8, 1.2], name: 'Velocidade' },
+    perception: { min: 0.5, max: 1.5, founder: [0.8, 1.2], name: 'Percepção' },
+    stamina: { min: 0.5, max: 1.5, founder: [0.8, 1.2], name: 'Resistência' },
+    attack: { min: 0.5, max: 1.5, founder: [0.8, 1.2], name: 'Ataque' },
+    metabolism: { min: 0.5, max: 1.5, founder: [0.8, 1.2], name: 'Metabolismo' },
+    camouflageDetection: { min: 0, max: 1, founder: [0, 0.2], name: 'Detecção de camuflagem' },
+    mutationRate: { min: 0.01, max: 0.2, founder: [0.05, 0.1], name: 'Taxa de mutação' }
+};
+
+// Exporta a classe
+window.PredatorDNA = PredatorDNA;
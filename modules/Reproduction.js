@@ -1,5 +1,8 @@
 /**
  * Sistema de reprodução das bactérias
+ * Reprodução sexuada (gestação com DNA do parceiro) ou fissão binária, conforme
+ * Reproduction.strategyMode e o gene fissionTendency
+ * O DNA do filho leva também o cérebro herdado (DNA.brain), conforme Reproduction.brainInheritance
  */
 class Reproduction {
     /**
@@ -17,6 +20,12 @@ class Reproduction {
         this.courtingDuration = 120; // 2 segundos
         this.dna = null;
         this.partnerDNA = null;
+        this.learning = null;        // BacteriaLearning da dona (cérebro e fitness)
+        this.partnerLearning = null; // BacteriaLearning do pai da gestação atual
+        this.ownerId = null;   // ID da bactéria dona deste sistema
+        this.partnerId = null; // ID do pai da gestação atual
+        this.fissionEnergyThreshold = 70; // Energia mínima para a fissão
+        this.fissionSizeThreshold = 1.0;  // Fração mínima do tamanho adulto para a fissão
     }
 
     /**
@@ -27,6 +36,14 @@ class Reproduction {
         this.dna = dna;
     }
 
+    /**
+     * Define o aprendizado da bactéria (fonte do cérebro herdado pelos filhos)
+     * @param {BacteriaLearning} learning - Aprendizado da bactéria
+     */
+    setLearning(learning) {
+        this.learning = learning;
+    }
+
     /**
      * Atualiza o sistema de reprodução
      * @returns {DNA|null} DNA do filho se nasceu
@@ -62,7 +79,49 @@ class Reproduction {
     canMateNow() {
         return !this.isPregnant && 
                this.matingCooldown <= 0 && 
-               this.courtingTime <= 0;
+               this.courtingTime <= 0 &&
+               this.getStrategy() === 'sexual';
+    }
+
+    /**
+     * Estratégia reprodutiva desta bactéria
+     * No modo misto o gene fissionTendency decide (>= 0.5: fissão)
+     * @returns {string} 'sexual' ou 'asexual'
+     */
+    getStrategy() {
+        if (Reproduction.strategyMode === 'asexual') return 'asexual';
+        if (Reproduction.strategyMode !== 'mixed') return 'sexual';
+
+        const tendency = this.dna && this.dna.genes ? this.dna.genes.fissionTendency : undefined;
+        return typeof tendency === 'number' && tendency >= 0.5 ? 'asexual' : 'sexual';
+    }
+
+    /**
+     * Verifica se pode se dividir por fissão
+     * @param {number} energy - Energia atual
+     * @param {number} sizeRatio - Tamanho atual / tamanho adulto
+     * @returns {boolean}
+     */
+    canDivide(energy, sizeRatio) {
+        return this.getStrategy() === 'asexual' &&
+               !this.isPregnant &&
+               energy >= this.fissionEnergyThreshold &&
+               sizeRatio >= this.fissionSizeThreshold;
+    }
+
+    /**
+     * Fissão binária: duas cópias mutadas do DNA, uma para cada filha
+     * @returns {Array<DNA>} DNA das duas filhas (parentIds = [mãe])
+     */
+    divide() {
+        return [0, 1].map(() => {
+            const childDNA = new DNA(this.dna);
+            childDNA.parentIds = [this.ownerId];
+            // A cópia já traz os nichos da mãe; rara especialização nova
+            childDNA.specializeRandomly();
+            childDNA.brain = this.inheritBrain();
+            return childDNA;
+        });
     }
 
     /**
@@ -115,7 +174,7 @@ class Reproduction {
             const father = this.isFemale ? other : this;
 
             // Inicia gravidez
-            mother.startPregnancy(father.dna);
+            mother.startPregnancy(father.dna, father.ownerId, father.learning);
 
             // Aplica cooldown em ambos
             this.matingCooldown = this.matingCooldownTime;
@@ -130,21 +189,82 @@ class Reproduction {
     /**
      * Inicia uma gravidez
      * @param {DNA} partnerDNA - DNA do parceiro
+     * @param {number} partnerId - ID do parceiro (pai)
+     * @param {BacteriaLearning} partnerLearning - Aprendizado do parceiro (cérebro herdado)
      */
-    startPregnancy(partnerDNA) {
+    startPregnancy(partnerDNA, partnerId = null, partnerLearning = null) {
         this.isPregnant = true;
         this.pregnancyTime = 0;
         this.partnerDNA = partnerDNA;
+        this.partnerId = partnerId;
+        this.partnerLearning = partnerLearning;
     }
 
     /**
      * Realiza o nascimento
+     * O DNA do filho leva os IDs [mãe, pai] em parentIds para o registro de linhagem
      * @returns {DNA} DNA do filho
      */
     giveBirth() {
-        // Cria DNA do filho
-        let childDNA = new DNA();
+        // Genomas diploides: meiose com recombinação em cada genitor
+        let childDNA;
+        if (this.dna.genome || this.partnerDNA.genome) {
+            childDNA = this.dna.fertilize(this.partnerDNA);
+        } else {
+            childDNA = this.combineHaploid();
+        }
+
+        // Nichos ecológicos dos pais, com pequena chance de especialização nova
+        childDNA.inheritNiches(this.dna, this.partnerDNA);
+
+        // Registra os pais
+        childDNA.parentIds = [this.ownerId, this.partnerId];
+
+        // Cérebro: crossover dos cérebros dos pais com mutação pelo fitness deles
+        childDNA.brain = this.inheritBrain();
+
+        // Reseta estado
+        this.isPregnant = false;
+        this.pregnancyTime = 0;
+        this.partnerDNA = null;
+        this.partnerId = null;
+        this.partnerLearning = null;
+
+        return childDNA;
+    }
+
+    /**
+     * Cérebro do filho a partir do da mãe e do pai da gestação atual (só da mãe na fissão)
+     * Na herança darwiniana os pais passam os pesos com que nasceram; na lamarckiana,
+     * os pesos depois do treino em vida. Um pai com outro número de sensores tem o cérebro
+     * remapeado para o arranjo de inputs da mãe antes do crossover
+     * @returns {NeuralNetwork|null} - null sem o aprendizado da mãe (o filho nasce com um cérebro aleatório)
+     */
+    inheritBrain() {
+        if (!this.learning) return null;
+
+        const mode = Reproduction.brainInheritance;
+        const parents = this.partnerLearning ? [this.learning, this.partnerLearning] : [this.learning];
+        const brains = parents.map(learning => learning.getHeritableBrain(mode));
+        if (brains[1] && brains[1].inputSize !== brains[0].inputSize &&
+            brains[0].inputSize === this.learning.getInputSize()) {
+            brains[1] = brains[1].copy();
+            brains[1].remapInputs(this.learning.getInputMapping(brains[1].inputSize));
+        }
+        const fitness = parents.map(learning => learning.getFitness());
+
+        return NeuralEvolution.inheritBrain(brains[0], brains[1] || null, ...fitness);
+    }
+
+    /**
+     * Combinação haploide: cada gene vem inteiro de um dos pais
+     * @returns {DNA} DNA do filho
+     */
+    combineHaploid() {
+        const childDNA = new DNA();
         childDNA.generation = Math.max(this.dna.generation, this.partnerDNA.generation) + 1;
+        childDNA.genome = null; // Permanece haploide mesmo com o modo diploide ativo
+        childDNA.dominance = null;
 
         // Combina genes dos pais
         for (let gene in this.dna.genes) {
@@ -160,14 +280,23 @@ class Reproduction {
             }
         }
 
-        // Reseta estado
-        this.isPregnant = false;
-        this.pregnancyTime = 0;
-        this.partnerDNA = null;
-
         return childDNA;
     }
 }
 
+/**
+ * Modo reprodutivo da execução:
+ * 'sexual' (padrão), 'asexual' (apenas fissão) ou 'mixed' (gene fissionTendency decide)
+ */
+Reproduction.strategyMode = 'sexual';
+Reproduction.STRATEGY_MODES = ['sexual', 'asexual', 'mixed'];
+
+/**
+ * Herança dos cérebros: 'darwinian' (padrão, pesos do genótipo) ou
+ * 'lamarckian' (pesos aprendidos em vida)
+ */
+Reproduction.brainInheritance = 'darwinian';
+Reproduction.BRAIN_INHERITANCE_MODES = ['darwinian', 'lamarckian'];
+
 // Tornando a classe global
 window.Reproduction = Reproduction; 
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * Painel de cepas
+ * Desenha (em SVG) a árvore filogenética dos patógenos (DiseaseSystem.strains) e a
+ * corrida armamentista: defesas médias dos hospedeiros contra os traços das cepas ativas.
+ */
+class StrainPanel {
+    /**
+     * Inicializa o painel
+     * @param {string} containerId - ID do elemento que recebe o desenho
+     */
+    constructor(containerId = 'strain-content') {
+        this.containerId = containerId;
+        this.maxLeaves = 80;    // Folhas desenhadas na árvore
+        this.rowHeight = 12;
+        this.width = 230;
+        this.chartHeight = 70;
+        this.colors = {
+            dead: '#6c6f7a',
+            line: '#5d6270',
+            text: '#e1e1e6',
+            hostImmunity: '#4a9eff',
+            hostResistance: '#4CD137',
+            contagion: '#ff5c5c',
+            antigenicDrift: '#f5c542'
+        };
+    }
+
+    /**
+     * Redesenha o painel
+     * @param {Simulation} simulation - Simulação atual
+     */
+    update(simulation) {
+        const container = document.getElementById(this.containerId);
+        if (!container || !simulation || !simulation.diseaseSystem) return;
+
+        try {
+            const diseaseSystem = simulation.diseaseSystem;
+            container.innerHTML = this.renderArmsRace(diseaseSystem.strainHistory) +
+                this.renderTree(diseaseSystem);
+        } catch (error) {
+            console.error("Erro ao desenhar painel de cepas:", error);
+        }
+    }
+
+    /**
+     * Cor de uma cepa a partir do seu antígeno (cepas parecidas têm cores parecidas)
+     * @param {Array<number>} antigen - Vetor antigênico
+     * @returns {string} - Cor CSS
+     */
+    antigenColor(antigen) {
+        const channel = i => Math.round(80 + (antigen[i] || 0) * 175);
+        return `rgb(${channel(0)},${channel(1)},${channel(2)})`;
+    }
+
+    /**
+     * Árvore das cepas com o tempo no eixo X
+     * @param {DiseaseSystem} diseaseSystem - Sistema de doenças
+     * @returns {string} - HTML
+     */
+    renderTree(diseaseSystem) {
+        const roots = diseaseSystem.getStrainTree();
+        if (roots.length === 0) {
+            return '<p class="info-message">Nenhuma cepa registrada.</p>';
+        }
+
+        // Posiciona as folhas em linhas e os nós internos na média dos filhos
+        const now = SimulationClock.now();
+        let row = 0;
+        let minTick = Infinity;
+        const layout = node => {
+            minTick = Math.min(minTick, node.record.bornTick);
+            const children = node.children.map(layout);
+            let y;
+            if (children.length === 0) {
+                y = row++ * this.rowHeight;
+            } else {
+                y = (children[0].y + children[children.length - 1].y) / 2;
+            }
+            return { node, y, children };
+        };
+        const placed = roots.map(layout);
+
+        if (row > this.maxLeaves) {
+            return `<p class="info-message">${row} cepas: grande demais para desenhar.</p>`;
+        }
+
+        const left = 10;
+        const right = this.width - 60;
+        const span = Math.max(1, now - minTick);
+        const scaleX = tick => left + ((tick - minTick) / span) * (right - left);
+        const parts = [];
+
+        const draw = item => {
+            const record = item.node.record;
+            const x = scaleX(record.bornTick);
+            const y = item.y + 10;
+            const endX = scaleX(record.extinctTick !== null ? record.extinctTick : now);
+            const color = this.antigenColor(record.genome.antigen);
+
+            // Tempo de vida da cepa
+            const dash = item.node.alive ? '' : ' stroke-dasharray="2,2"';
+            parts.push(`<line x1="${x}" y1="${y}" x2="${endX}" y2="${y}" stroke="${item.node.alive ? color : this.colors.dead}"${dash}/>`);
+
+            for (const child of item.children) {
+                const childX = scaleX(child.node.record.bornTick);
+                const childY = child.y + 10;
+                parts.push(`<path d="M${childX},${y} V${childY}" fill="none" stroke="${this.colors.line}"/>`);
+                draw(child);
+            }
+
+            const radius = item.node.alive ? 2 + Math.min(4, Math.sqrt(item.node.infected)) : 2;
+            parts.push(`<circle cx="${x}" cy="${y}" r="${radius.toFixed(1)}" fill="${item.node.alive ? color : 'none'}" stroke="${color}"/>`);
+            if (item.node.alive) {
+                parts.push(`<text x="${endX + 4}" y="${y + 3}" fill="${this.colors.text}" font-size="8">${record.name} (${item.node.infected})</text>`);
+            }
+        };
+        placed.forEach(draw);
+
+        const stats = diseaseSystem.getStatistics();
+        const height = row * this.rowHeight + 20;
+        return `<p><span class="info-label">Cepas ativas:</span><span class="info-value">${stats.activeStrains} de ${stats.totalStrains}</span></p>` +
+            `<svg width="${this.width}" height="${height}">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Gráfico da corrida armamentista (valores entre 0 e 1)
+     * @param {Array<Object>} history - DiseaseSystem.strainHistory
+     * @returns {string} - HTML
+     */
+    renderArmsRace(history) {
+        if (!history || history.length < 2) return '';
+
+        const series = [
+            ['hostImmunity', 'Imunidade'],
+            ['hostResistance', 'Resistência'],
+            ['contagion', 'Contágio'],
+            ['antigenicDrift', 'Deriva']
+        ];
+        const height = this.chartHeight;
+        const stepX = this.width / (history.length - 1);
+        const parts = [];
+
+        for (const [key] of series) {
+            // Amostras sem infecção (null) interrompem a linha
+            let path = '';
+            let open = false;
+            history.forEach((sample, i) => {
+                const value = sample[key];
+                if (value === null || value === undefined) {
+                    open = false;
+                    return;
+                }
+                const x = (i * stepX).toFixed(1);
+                const y = (height - Math.min(1, value) * height).toFixed(1);
+                path += `${open ? 'L' : 'M'}${x},${y} `;
+                open = true;
+            });
+            if (path) {
+                parts.push(`<path d="${path}" fill="none" stroke="${this.colors[key]}"/>`);
+            }
+        }
+
+        const legend = series.map(([key, label]) =>
+            `<span style="color:${this.colors[key]}">■</span> ${label}`
+        ).join(' ');
+
+        return `<svg width="${this.width}" height="${height}">${parts.join('')}</svg>` +
+            `<p style="font-size:10px;margin:2px 0 6px">${legend}</p>`;
+    }
+}
+
+// Torna a classe disponível globalmente
+window.StrainPanel = StrainPanel;
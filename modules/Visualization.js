@@ -187,12 +187,47 @@ class SimulationVisualization {
                 min: 1,
                 max: 10,
                 title: 'Geração'
+            },
+            quorum: {
+                data: [],
+                maxPoints: 100,
+                color: color(120, 255, 220),
+                visible: true,
+                min: 0,
+                max: 10,
+                title: 'Em Quorum'
+            },
+            predatorGeneration: {
+                data: [],
+                maxPoints: 100,
+                color: color(255, 120, 80),
+                visible: true,
+                min: 1,
+                max: 10,
+                title: 'Geração Predadores'
+            },
+            // Gráfico com várias séries: genes médios dos predadores e camuflagem média das presas
+            predatorGenes: {
+                maxPoints: 100,
+                visible: true,
+                min: 0,
+                max: 1.5,
+                title: 'Co-evolução (genes)',
+                series: {
+                    speed: { data: [], color: color(255, 80, 80), label: 'Vel' },
+                    perception: { data: [], color: color(80, 160, 255), label: 'Perc' },
+                    stamina: { data: [], color: color(80, 220, 120), label: 'Resist' },
+                    attack: { data: [], color: color(255, 170, 0), label: 'Atq' },
+                    metabolism: { data: [], color: color(200, 120, 255), label: 'Metab' },
+                    camouflageDetection: { data: [], color: color(255, 255, 255), label: 'Detec' },
+                    preyCamouflage: { data: [], color: color(120, 255, 220), label: 'Camuf. presas' }
+                }
             }
         };
         
         // Atualiza estatísticas a cada segundo
         this.lastStatUpdate = 0;
-        this.statUpdateInterval = 60; // frames (1 segundo em 60fps)
+        this.statUpdateInterval = 60; // ticks (1 segundo simulado)
     }
 
     /**
@@ -200,20 +235,22 @@ class SimulationVisualization {
      */
     updateGraphs() {
         // Atualiza somente a cada intervalo definido
-        if (frameCount - this.lastStatUpdate < this.statUpdateInterval) {
+        if (SimulationClock.now() - this.lastStatUpdate < this.statUpdateInterval) {
             return;
         }
         
-        this.lastStatUpdate = frameCount;
+        this.lastStatUpdate = SimulationClock.now();
         
         // Verifica se entityManager está disponível
         if (!this.simulation || !this.simulation.entityManager) {
             return;
         }
         
-        // Adiciona dados atuais aos gráficos
-        this.statsGraphs.population.data.push(this.simulation.entityManager.bacteria.length);
-        this.statsGraphs.predators.data.push(this.simulation.entityManager.predators.length);
+        // Adiciona dados atuais aos gráficos; presas e predadores vêm do histórico completo
+        // do PopulationDynamicsTracker (os gráficos mostram só os últimos maxPoints)
+        const latest = this.simulation.populationDynamics ? this.simulation.populationDynamics.getLatest() : null;
+        this.statsGraphs.population.data.push(latest ? latest.prey : this.simulation.entityManager.bacteria.length);
+        this.statsGraphs.predators.data.push(latest ? latest.predators : this.simulation.entityManager.predators.length);
         this.statsGraphs.food.data.push(this.simulation.entityManager.food.length);
         
         // Calcula saúde média
@@ -238,9 +275,34 @@ class SimulationVisualization {
             totalGeneration / this.simulation.entityManager.bacteria.length : 1;
         this.statsGraphs.generation.data.push(avgGeneration);
         
+        // Bactérias em quorum (contadas pelo StatsManager)
+        const statsManager = this.simulation.statsManager;
+        this.statsGraphs.quorum.data.push(statsManager ? statsManager.stats.quorumActiveBacterias : 0);
+        
+        // Co-evolução predador-presa (médias calculadas pelo StatsManager); sem predadores a série fica vazia
+        const stats = statsManager ? statsManager.stats : null;
+        this.statsGraphs.predatorGeneration.data.push(stats ? stats.predatorGeneration : 1);
+        const predatorGenes = stats ? stats.averagePredatorGenes : null;
+        for (const [gene, series] of Object.entries(this.statsGraphs.predatorGenes.series)) {
+            if (gene === 'preyCamouflage') {
+                series.data.push(stats ? stats.averagePreyCamouflage : 0);
+            } else {
+                series.data.push(predatorGenes ? predatorGenes[gene] : null);
+            }
+        }
+        
         // Limita o número de pontos
         for (let key in this.statsGraphs) {
             const graph = this.statsGraphs[key];
+            if (graph.series) {
+                for (const series of Object.values(graph.series)) {
+                    if (series.data.length > graph.maxPoints) {
+                        series.data.shift();
+                    }
+                }
+                continue; // Escala fixa (faixa dos genes)
+            }
+            
             if (graph.data.length > graph.maxPoints) {
                 graph.data.shift();
             }
@@ -287,22 +349,34 @@ class SimulationVisualization {
             textSize(12);
             text(graph.title, statsX + 5, yOffset + 2);
             
-            // Desenha valor atual
-            const currentValue = graph.data[graph.data.length - 1];
-            textAlign(RIGHT, TOP);
-            text(Math.round(currentValue), statsX + graphWidth - 5, yOffset + 2);
-            
-            // Desenha o gráfico
-            stroke(graph.color);
-            noFill();
-            beginShape();
-            for (let i = 0; i < graph.data.length; i++) {
-                const x = map(i, 0, graph.maxPoints, statsX, statsX + graphWidth);
-                const y = map(graph.data[i], graph.min, graph.max, 
-                             yOffset + graphHeight - 5, yOffset + 15);
-                vertex(x, y);
+            if (graph.series) {
+                // Legenda das séries
+                textSize(9);
+                let legendX = statsX + 5;
+                let legendY = yOffset + 16;
+                for (const series of Object.values(graph.series)) {
+                    const labelWidth = textWidth(series.label) + 8;
+                    if (legendX + labelWidth > statsX + graphWidth) {
+                        legendX = statsX + 5;
+                        legendY += 10;
+                    }
+                    fill(series.color);
+                    text(series.label, legendX, legendY);
+                    legendX += labelWidth;
+                }
+                
+                for (const series of Object.values(graph.series)) {
+                    this.drawGraphLine(graph, series.data, series.color, statsX, yOffset, graphWidth, graphHeight);
+                }
+            } else {
+                // Desenha valor atual
+                const currentValue = graph.data[graph.data.length - 1];
+                textAlign(RIGHT, TOP);
+                text(Math.round(currentValue), statsX + graphWidth - 5, yOffset + 2);
+                
+                // Desenha o gráfico
+                this.drawGraphLine(graph, graph.data, graph.color, statsX, yOffset, graphWidth, graphHeight);
             }
-            endShape();
             
             // Desenha linhas guia
             stroke(150, 50);
@@ -312,6 +386,34 @@ class SimulationVisualization {
         }
     }
 
+    /**
+     * Desenha uma linha de um gráfico (valores null interrompem a linha)
+     * @param {Object} graph - Gráfico (maxPoints, min, max)
+     * @param {Array<number|null>} data - Valores
+     * @param {p5.Color} lineColor - Cor da linha
+     * @param {number} statsX - X do gráfico
+     * @param {number} yOffset - Y do gráfico
+     * @param {number} graphWidth - Largura do gráfico
+     * @param {number} graphHeight - Altura do gráfico
+     */
+    drawGraphLine(graph, data, lineColor, statsX, yOffset, graphWidth, graphHeight) {
+        stroke(lineColor);
+        noFill();
+        beginShape();
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] === null || data[i] === undefined) {
+                endShape();
+                beginShape();
+                continue;
+            }
+            const x = map(i, 0, graph.maxPoints, statsX, statsX + graphWidth);
+            const y = map(data[i], graph.min, graph.max, 
+                         yOffset + graphHeight - 5, yOffset + 15);
+            vertex(x, y);
+        }
+        endShape();
+    }
+
     /**
      * Desenha a simulação
      */
@@ -354,6 +456,14 @@ class SimulationVisualization {
         }
 
         // Desenha os elementos
+        this.drawZones();
+        if (this.simulation.showChemicals) {
+            this.drawChemicalOverlay();
+        }
+        this.drawAntibioticOverlay();
+        if (this.simulation.showDiseaseEffects !== false) {
+            this.drawPathogenOverlay();
+        }
         this.drawObstacles();
         this.drawFood();
         this.drawBacterias();
@@ -601,6 +711,14 @@ class SimulationVisualization {
                     fill(0, 255, 0);
                     noStroke();
                     circle(food.position.x, food.position.y, 8);
+
+                    // Comida contaminada por patógenos ganha um anel roxo
+                    if (food.pathogens) {
+                        noFill();
+                        stroke(170, 60, 200);
+                        strokeWeight(2);
+                        circle(food.position.x, food.position.y, 12);
+                    }
                 }
             }
         } catch (error) {
@@ -608,6 +726,26 @@ class SimulationVisualization {
         }
     }
 
+    /**
+     * Desenha as zonas ambientais como círculos translúcidos
+     */
+    drawZones() {
+        try {
+            const environment = this.simulation.environmentSystem;
+            if (!environment || !environment.zonesEnabled) return;
+            
+            noStroke();
+            for (const zone of environment.zones) {
+                const type = EnvironmentSystem.ZONE_TYPES[zone.type];
+                if (!type) continue;
+                fill(type.color[0], type.color[1], type.color[2], 60);
+                circle(zone.x, zone.y, zone.radius * 2);
+            }
+        } catch (error) {
+            console.error("❌ Erro ao desenhar zonas ambientais:", error);
+        }
+    }
+
     /**
      * Desenha os obstáculos
      */
@@ -694,6 +832,46 @@ class SimulationVisualization {
                 console.warn("⚠️ Erro ao calcular geração média:", error);
             }
             
+            // Portadoras de cada plasmídeo, na cor da sobreposição
+            if (this.simulation.plasmidSystem) {
+                const carriers = this.simulation.plasmidSystem.countCarriers(this.simulation.entityManager.bacteria);
+                let px = x;
+                text('Plasmídeos:', px, y);
+                px += textWidth('Plasmídeos: ');
+                for (const [id, type] of Object.entries(PlasmidSystem.TYPES)) {
+                    fill(type.color[0], type.color[1], type.color[2]);
+                    const label = `${id} ${carriers[id]}  `;
+                    text(label, px, y);
+                    px += textWidth(label);
+                }
+                fill(255);
+                y += lineHeight;
+            }
+            
+            // Ocupação das zonas: adaptadas dentro / total dentro, na cor da zona
+            if (this.simulation.environmentSystem && this.simulation.environmentSystem.zonesEnabled) {
+                const niches = this.simulation.environmentSystem.getNicheSummary();
+                let px = x;
+                text('Zonas:', px, y);
+                px += textWidth('Zonas: ');
+                for (const [id, entry] of Object.entries(niches)) {
+                    const color = EnvironmentSystem.ZONE_TYPES[id].color;
+                    fill(Math.max(color[0], 90), Math.max(color[1], 90), Math.max(color[2], 90));
+                    const label = `${EnvironmentSystem.ZONE_TYPES[id].name} ${entry.adaptedInside}/${entry.inside}  `;
+                    text(label, px, y);
+                    px += textWidth(label);
+                }
+                fill(255);
+                y += lineHeight;
+            }
+            
+            // Comparação das estratégias reprodutivas
+            if (Reproduction.strategyMode !== 'sexual' && this.simulation.statsManager) {
+                const stats = this.simulation.statsManager.stats;
+                text(`Sexuadas: ${stats.sexualBacterias} (${stats.sexualBirths} nasc.) | Fissão: ${stats.asexualBacterias} (${stats.asexualBirths} nasc.)`, x, y);
+                y += lineHeight;
+            }
+            
             // Status da simulação (pausada ou em execução)
             if (this.simulation.paused) {
                 fill(255, 100, 100);
@@ -726,6 +904,134 @@ class SimulationVisualization {
         }
     }
 
+    /**
+     * Desenha os campos químicos: cada célula recebe a cor de cada substância,
+     * com opacidade proporcional à concentração relativa ao máximo do campo
+     */
+    drawChemicalOverlay() {
+        const chemicals = this.simulation.chemicalFields;
+        if (!chemicals) return;
+
+        try {
+            push();
+            noStroke();
+            const maxima = chemicals.getMaxima();
+            const cellSize = chemicals.cellSize;
+
+            for (const [id, field] of Object.entries(chemicals.fields)) {
+                // Antibióticos têm sobreposição própria (drawAntibioticOverlay)
+                if (AntibioticSystem.TYPES[id]) continue;
+                const max = maxima[id];
+                if (!(max > 0)) continue;
+                const color = ChemicalFieldSystem.FIELDS[id].color;
+
+                for (let i = 0; i < field.length; i++) {
+                    const level = field[i] / max;
+                    if (level < 0.02) continue;
+                    // Raiz quadrada realça as concentrações baixas, longe das fontes
+                    fill(color[0], color[1], color[2], 120 * Math.sqrt(level));
+                    rect((i % chemicals.cols) * cellSize, Math.floor(i / chemicals.cols) * cellSize, cellSize, cellSize);
+                }
+            }
+            pop();
+        } catch (error) {
+            console.error("❌ Erro ao desenhar campos químicos:", error);
+        }
+    }
+
+    /**
+     * Desenha as zonas de tratamento: ao contrário dos outros campos, a opacidade é
+     * proporcional à concentração absoluta (uma dose de 1 fica quase opaca), para
+     * que a queda entre doses fique visível
+     */
+    drawAntibioticOverlay() {
+        const chemicals = this.simulation.chemicalFields;
+        if (!chemicals || !this.simulation.antibioticSystem) return;
+
+        try {
+            push();
+            noStroke();
+            const cellSize = chemicals.cellSize;
+
+            for (const id of Object.keys(AntibioticSystem.TYPES)) {
+                const field = chemicals.fields[id];
+                if (!field) continue;
+                const color = ChemicalFieldSystem.FIELDS[id].color;
+
+                for (let i = 0; i < field.length; i++) {
+                    if (field[i] < AntibioticSystem.MIN_CONCENTRATION) continue;
+                    fill(color[0], color[1], color[2], 20 + 100 * Math.min(1, field[i]));
+                    rect((i % chemicals.cols) * cellSize, Math.floor(i / chemicals.cols) * cellSize, cellSize, cellSize);
+                }
+            }
+            pop();
+        } catch (error) {
+            console.error("❌ Erro ao desenhar antibióticos:", error);
+        }
+    }
+
+    /**
+     * Desenha a carga de patógenos deixada no chão (todas as cepas somadas)
+     */
+    drawPathogenOverlay() {
+        const diseaseSystem = this.simulation.diseaseSystem;
+        if (!diseaseSystem || !diseaseSystem.reservoir) return;
+
+        try {
+            const reservoir = diseaseSystem.reservoir;
+            const totals = reservoir.getGroundTotals();
+            if (!totals) return;
+
+            push();
+            noStroke();
+            const cellSize = reservoir.cellSize;
+            for (let i = 0; i < totals.length; i++) {
+                if (totals[i] < reservoir.minLoad) continue;
+                fill(170, 60, 200, 20 + 80 * Math.min(1, totals[i]));
+                rect((i % reservoir.cols) * cellSize, Math.floor(i / reservoir.cols) * cellSize, cellSize, cellSize);
+            }
+            pop();
+        } catch (error) {
+            console.error("❌ Erro ao desenhar carga de patógenos:", error);
+        }
+    }
+
+    /**
+     * Brilho pulsante das bactérias em quorum (bioluminescência)
+     * @param {Bacteria} bacteria - Bactéria em quorum
+     */
+    drawBioluminescence(bacteria) {
+        if (!bacteria.pos) return;
+
+        push();
+        noStroke();
+        const size = bacteria.size || 10;
+        const pulse = 0.5 + 0.5 * Math.sin(SimulationClock.now() * 0.1 + bacteria.id);
+        fill(120, 255, 220, 40 + 50 * pulse);
+        circle(bacteria.pos.x, bacteria.pos.y, size * (2 + 0.4 * pulse));
+        pop();
+    }
+
+    /**
+     * Desenha um anel por plasmídeo em volta da bactéria, na cor do plasmídeo
+     * @param {Bacteria} bacteria - Bactéria portadora
+     */
+    drawPlasmidOverlay(bacteria) {
+        if (!Array.isArray(bacteria.plasmids) || bacteria.plasmids.length === 0 || !bacteria.pos) return;
+
+        push();
+        noFill();
+        strokeWeight(2);
+        const size = bacteria.size || 10;
+        bacteria.plasmids.forEach((id, index) => {
+            const type = PlasmidSystem.TYPES[id];
+            if (!type) return;
+            stroke(type.color[0], type.color[1], type.color[2], 220);
+            circle(bacteria.pos.x, bacteria.pos.y, size * 1.4 + index * 5);
+        });
+        pop();
+    }
+
     /**
      * Desenha as bactérias na tela
      */
@@ -782,7 +1088,13 @@ class SimulationVisualization {
                     
                     // Verifica se a bactéria tem um método draw
                     if (typeof bacteria.draw === 'function') {
+                        if (bacteria.stateManager && bacteria.stateManager.quorumState) {
+                            this.drawBioluminescence(bacteria);
+                        }
                         bacteria.draw();
+                        if (this.simulation.showPlasmids) {
+                            this.drawPlasmidOverlay(bacteria);
+                        }
                     } else {
                         // Tenta desenhar a bactéria usando propriedades básicas
                         if (bacteria.pos && typeof bacteria.pos.x === 'number' && typeof bacteria.pos.y === 'number') {
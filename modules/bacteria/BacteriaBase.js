@@ -9,8 +9,9 @@ class BacteriaBase {
      * @param {number} y - Posição Y inicial
      * @param {Object} parentDNA - DNA dos pais (opcional)
      * @param {number} energy - Energia inicial
+     * @param {DNA} dna - DNA pronto, usado sem mutação no lugar de um filho de parentDNA (saves)
      */
-    constructor(x, y, parentDNA = null, energy = 100) {
+    constructor(x, y, parentDNA = null, energy = 100, dna = null) {
         // Verifica se o primeiro parâmetro é um objeto (compatibilidade retroativa)
         if (typeof x === 'object' && x !== null) {
             // Extrai valores do objeto, com validação
@@ -57,14 +58,21 @@ class BacteriaBase {
         }
 
         // Inicializa DNA primeiro para ter acesso ao tempo de vida
-        this.dna = new DNA(parentDNA);
+        this.dna = dna || new DNA(parentDNA);
+
+        // Linhagem: IDs [mãe, pai] registrados no nascimento (vazio para fundadoras)
+        this.parentIds = parentDNA && Array.isArray(parentDNA.parentIds) ? [...parentDNA.parentIds] : [];
+        this.birthTick = SimulationClock.now();
+
+        // Plasmídeos carregados junto ao DNA (IDs); atribuídos pelo PlasmidSystem no primeiro tick
+        this.plasmids = null;
 
         // Atributos básicos
         this.health = energy;
         this.energy = energy;
         this.age = 0;
         this.lifespan = this.dna.baseLifespan;
-        this.lastMealTime = frameCount;
+        this.lastMealTime = SimulationClock.now();
         
         // Valores padrão para os atributos
         this.healthLossRate = 0.05;
@@ -80,10 +88,13 @@ class BacteriaBase {
 
         // Atributos relacionados a doenças
         this.isInfected = false;              // Indica se está infectada
-        this.activeDiseases = new Set();      // Conjunto de doenças ativas
+        this.activeDiseases = new Map();      // Doenças ativas (nome -> Disease)
         this.immuneMemory = new Set();        // Memória de doenças para as quais já tem imunidade
         this.canReproduce = true;             // Flag que pode ser alterada por doenças
-        this.id = Date.now() + Math.floor(random(0, 1000000)); // ID único
+        this.hasSymptoms = false;             // Infectada fora da incubação e não assintomática (DiseaseSystem)
+        this.avoidanceTargets = null;         // Posições das quais se afasta (DistancingBehavior)
+        this.avoidanceWeight = 0;             // Peso do afastamento (atenção aos sintomas)
+        this.id = RandomService.nextId();     // ID único (contador do serviço de aleatoriedade)
 
         // Raio de percepção
         this.perceptionRadius = 150;
@@ -168,7 +179,7 @@ class BacteriaBase {
         }
         
         // Atualiza o último tempo de alimentação
-        this.lastMealTime = frameCount;
+        this.lastMealTime = SimulationClock.now();
 
         // Atualiza o Q-Learning se disponível
         if (this.qLearning && this.qLearning.lastState && this.qLearning.lastAction) {
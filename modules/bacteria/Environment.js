@@ -122,7 +122,7 @@ class BacteriaEnvironment {
         this.identifyObstacles(obstacles, conditions);
 
         // Verifica bactérias compatíveis para reprodução (com cooldown)
-        const currentTime = frameCount;
+        const currentTime = SimulationClock.now();
         const mateDetectionReady = currentTime - this.lastMateDetectionTime >= this.mateDetectionCooldown;
         
         // Só busca parceiros se estiver fora do período de cooldown
@@ -207,7 +207,7 @@ class BacteriaEnvironment {
     identifyNearbyBacteria(entities, conditions) {
         if (!Array.isArray(entities) || !this.bacteria || !this.bacteria.pos) return;
         
-        const currentFrame = frameCount;
+        const currentFrame = SimulationClock.now();
         const nearbyBacteria = [];
         const sameSpeciesBacteria = [];
         const differentSpeciesBacteria = [];
@@ -276,7 +276,7 @@ class BacteriaEnvironment {
     identifyObstacles(obstacles, conditions) {
         if (!Array.isArray(obstacles) || !this.bacteria || !this.bacteria.pos) return;
         
-        const currentFrame = frameCount;
+        const currentFrame = SimulationClock.now();
         const identifiedObstacles = [];
         
         // Limpa entradas antigas do mapa de obstáculos
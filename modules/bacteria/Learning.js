@@ -9,19 +9,44 @@ class BacteriaLearning {
     constructor(bacteria) {
         this.bacteria = bacteria;
         
-        // Sistema de aprendizado Q-Learning
+        // Sistema de aprendizado Q-Learning (α, γ e o decaimento de ε vêm de BacteriaLearning.hyperparameters)
         this.qLearning = {
             qTable: {},
-            learningRate: 0.1,
-            discountFactor: 0.9,
-            lastState: null,
+            epsilon: BacteriaLearning.hyperparameters.epsilon, // Chance de ação aleatória, decai a cada decisão
+            lastState: null,    // Chave do estado em que a última ação foi escolhida
             lastAction: null,
+            lastEnergy: null,   // Energia no momento da última decisão (recompensa de modelagem)
             actions: ['explore', 'seekFood', 'seekMate', 'rest']
         };
 
-        // Sistema Neural
-        this.brain = new NeuralNetwork(12, 12, 5); // 12 inputs, 12 neurônios na camada oculta, 5 outputs
-        this.useNeural = true; // Flag para alternar entre Q-Learning e Rede Neural
+        // Curva de aprendizado: médias da recompensa e do erro TD (simples nas primeiras
+        // 100 recompensas, depois móveis), para que recém-nascidas não entrem com zero
+        this.averageReward = 0;
+        this.averageTDError = 0;
+        this.rewardSamples = 0;
+        this.pendingReward = 0; // Recompensa extra somada à próxima observação (ex.: saiu do canto)
+
+        // Replay de experiências do modo neural
+        this.replayTrainer = new NeuralReplayTrainer(BacteriaLearning.hyperparameters.replayCapacity);
+        this.decisionsSinceReplay = 0;
+        this.lastNeuralAction = null; // Inputs e saídas usadas na última decisão neural
+
+        // Sensores direcionais: o arranjo (fixo durante a vida) define o tamanho da entrada da rede
+        this.sensors = new BacteriaSensors(bacteria);
+        const inputSize = this.getInputSize();
+
+        // Sistema Neural: o cérebro herdado (DNA.brain) é o genótipo; a bactéria treina uma cópia
+        const dna = bacteria.dna;
+        this.inheritedBrain = !!(dna && dna.brain);
+        if (this.inheritedBrain && dna.brain.inputSize !== inputSize) {
+            // Nasceu com outro número de sensores que os pais: a camada de entrada acompanha os genes
+            dna.brain.remapInputs(this.getInputMapping(dna.brain.inputSize));
+        }
+        this.brain = this.inheritedBrain ? dna.brain.copy() : BacteriaLearning.createBrain(inputSize);
+        if (dna && !dna.brain) {
+            dna.brain = this.brain.copy();
+        }
+        this.useNeural = BacteriaLearning.mode === 'neural'; // Flag para alternar entre Q-Learning e Rede Neural
         this.lastNeuralInputs = null;
         this.lastNeuralOutputs = null;
         
@@ -36,7 +61,103 @@ class BacteriaLearning {
     }
 
     /**
-     * Normaliza os inputs para a rede neural
+     * Cérebro aleatório de uma fundadora, conforme BacteriaLearning.brainType
+     * @param {number} inputSize - Número de inputs (ver getInputSize)
+     * @returns {NeuralNetwork|NeatNetwork}
+     */
+    static createBrain(inputSize = 12) {
+        if (BacteriaLearning.brainType === 'neat') {
+            return new NeatNetwork(inputSize, 5); // 5 outputs; os nós ocultos surgem por evolução
+        }
+        return new NeuralNetwork(inputSize, 12, 5); // 12 neurônios na camada oculta, 5 outputs
+    }
+
+    /**
+     * Potencial Φ do nível de energia usado na modelagem da recompensa (ver observeReward)
+     * @param {number} energy - Energia (0-100)
+     * @returns {number}
+     */
+    static energyPotential(energy) {
+        if (energy < 20) return -0.5;
+        if (energy > 80) return 0.3;
+        return 0;
+    }
+
+    /**
+     * Tamanho da entrada da rede: estado interno, leituras dos sensores e posição relativa
+     * @returns {number}
+     */
+    getInputSize() {
+        return BacteriaLearning.INTERNAL_INPUT_NAMES.length + this.sensors.getInputCount() +
+            BacteriaLearning.POSITION_INPUT_NAMES.length;
+    }
+
+    /**
+     * Nomes dos inputs da rede, na ordem de neuralDecisionContinuous
+     * @returns {Array<string>}
+     */
+    getInputNames() {
+        return [
+            ...BacteriaLearning.INTERNAL_INPUT_NAMES,
+            ...BacteriaSensors.getInputNames(this.sensors.count),
+            ...BacteriaLearning.POSITION_INPUT_NAMES
+        ];
+    }
+
+    /**
+     * De qual input de um cérebro com outro tamanho vem cada input desta bactéria
+     * Estado interno e posição mantêm o índice; cada sensor reaproveita o sensor antigo de
+     * direção mais próxima. Sem um arranjo reconhecível, todos os inputs são novos.
+     * @param {number} oldSize - Tamanho da entrada do cérebro herdado
+     * @returns {Array<number|null>} - Índice antigo de cada input (null = pesos novos aleatórios)
+     */
+    getInputMapping(oldSize) {
+        const internal = BacteriaLearning.INTERNAL_INPUT_NAMES.length;
+        const position = BacteriaLearning.POSITION_INPUT_NAMES.length;
+        const channels = BacteriaSensors.CHANNELS.length;
+        const oldCount = (oldSize - internal - position) / channels;
+        const known = Number.isInteger(oldCount) && oldCount > 0;
+
+        const mapping = [];
+        for (let i = 0; i < internal; i++) {
+            mapping.push(known ? i : null);
+        }
+        for (let sensor = 0; sensor < this.sensors.count; sensor++) {
+            const source = known ? BacteriaSensors.nearestSensor(sensor, this.sensors.count, oldCount) : 0;
+            for (let channel = 0; channel < channels; channel++) {
+                mapping.push(known ? internal + source * channels + channel : null);
+            }
+        }
+        for (let i = 0; i < position; i++) {
+            mapping.push(known ? internal + oldCount * channels + i : null);
+        }
+        return mapping;
+    }
+
+    /**
+     * Cérebro passado aos filhos
+     * @param {string} mode - 'darwinian' (pesos com que nasceu) ou 'lamarckian' (pesos treinados)
+     * @returns {NeuralNetwork}
+     */
+    getHeritableBrain(mode = 'darwinian') {
+        const dna = this.bacteria.dna;
+        return mode === 'lamarckian' || !dna || !dna.brain ? this.brain : dna.brain;
+    }
+
+    /**
+     * Fitness usado na mutação do cérebro dos filhos: saúde + energia (0-2, 1 = normal)
+     * Pais em boa condição passam cérebros com mutações menores
+     * @returns {number}
+     */
+    getFitness() {
+        const health = typeof this.bacteria.health === 'number' ? this.bacteria.health : 50;
+        const energy = this.bacteria.stateManager ? this.bacteria.stateManager.currentEnergy : 50;
+        return constrain((health + energy) / 100, 0.5, 2);
+    }
+
+    /**
+     * Normaliza os inputs para a rede neural: estado interno seguido das leituras dos sensores
+     * (a posição relativa é acrescentada em neuralDecisionContinuous)
      * @param {Object} conditions - Condições do ambiente
      * @returns {Array} - Array normalizado de inputs
      */
@@ -85,19 +206,17 @@ class BacteriaLearning {
         return [
             this.bacteria && typeof this.bacteria.health === 'number' ? this.bacteria.health / 100 : 0.5, // Saúde normalizada
             normalizedEnergy, // Energia normalizada (já calculada)
-            conditions.foodNearby ? 1 : 0, // Comida próxima
-            conditions.foodDistance ? Math.min(1, 1/conditions.foodDistance) : 0, // Distância inversamente proporcional
-            conditions.mateNearby ? 1 : 0, // Parceiro próximo
-            conditions.mateDistance ? Math.min(1, 1/conditions.mateDistance) : 0, // Distância inversamente proporcional
-            conditions.predatorNearby ? 1 : 0, // Predador próximo
-            conditions.friendsNearby ? 1 : 0, // Amigos próximos
             ageNormalized, // Idade normalizada (com proteção contra NaN)
-            curiosity // Curiosidade (com proteção contra valores inválidos)
+            curiosity, // Curiosidade (com proteção contra valores inválidos)
+            ...this.sensors.sense() // Proximidade de comida, bactérias, predadores e obstáculos por direção
         ];
     }
 
     /**
-     * Decide a próxima ação usando Q-Learning ou Rede Neural
+     * Decide a próxima ação
+     * Antes de decidir, a recompensa da decisão anterior é observada no estado que ela
+     * produziu e aplicada (TD no Q-Learning, replay no modo neural). O Q-Learning escolhe
+     * a ação; no modo neural a rede define também os parâmetros de movimento.
      * @param {Object} conditions - Condições do ambiente
      * @returns {Object} - Parâmetros de movimento e ação escolhida
      */
@@ -105,23 +224,88 @@ class BacteriaLearning {
         // Garante que conditions seja um objeto válido
         conditions = conditions || {};
         
-        // Normaliza os inputs para a rede neural
-        const normalizedInputs = this.normalizeInputs(conditions);
+        const stateKey = this.getStateKey(conditions);
+        if (this.qLearning.lastState && this.qLearning.lastAction) {
+            this.applyReward(this.observeReward(this.qLearning.lastAction, conditions), stateKey);
+        }
         
-        // Se usar rede neural, pega decisão dela
-        if (this.useNeural) {
-            const result = this.neuralDecisionContinuous(conditions);
-            // Armazena para aprendizado
-            this.lastNeuralInputs = normalizedInputs;
-            this.lastNeuralOutputs = result;
-            return result;
-        } else {
-            // Caso contrário, usa Q-Learning
-            return {
-                action: this.qLearningDecision(conditions),
-                movementParams: this.movementParams
-            };
+        const action = this.qLearningDecision(conditions, stateKey);
+        const movementParams = this.useNeural ? this.neuralDecisionContinuous(conditions) : this.movementParams;
+        return { action, movementParams };
+    }
+    
+    /**
+     * Energia atual da bactéria (0-100), com fallback para o sistema antigo
+     * @returns {number}
+     */
+    getEnergy() {
+        try {
+            if (this.bacteria.stateManager && this.bacteria.stateManager.currentEnergy !== undefined) {
+                return this.bacteria.stateManager.currentEnergy;
+            }
+            if (this.bacteria.states && typeof this.bacteria.states.getEnergy === 'function') {
+                return this.bacteria.states.getEnergy();
+            }
+        } catch (error) {
+            console.warn(`Erro ao obter energia da bactéria ${this.bacteria.id}:`, error);
+        }
+        return 50;
+    }
+    
+    /**
+     * Chave do estado na tabela Q, a mesma na decisão e na atualização
+     * @param {Object} conditions - Condições do ambiente
+     * @returns {string}
+     */
+    getStateKey(conditions) {
+        conditions = conditions || {};
+        const health = typeof this.bacteria.health === 'number' ? this.bacteria.health : 50;
+        return JSON.stringify({
+            health: Math.floor(health / 10) * 10,
+            energy: Math.floor(this.getEnergy() / 10) * 10,
+            foodNearby: conditions.foodNearby || false,
+            mateNearby: conditions.mateNearby || false,
+            predatorNearby: conditions.predatorNearby || false,
+            friendsNearby: conditions.friendsNearby || false,
+            enemiesNearby: conditions.enemiesNearby || false
+        });
+    }
+    
+    /**
+     * Linha da tabela Q de um estado, criada com zeros se ainda não existir
+     * @param {string} stateKey - Chave do estado
+     * @returns {Object} - Ação -> valor Q
+     */
+    getQValues(stateKey) {
+        if (!this.qLearning.qTable[stateKey]) {
+            this.qLearning.qTable[stateKey] = {};
+            for (const action of this.qLearning.actions) {
+                this.qLearning.qTable[stateKey][action] = 0;
+            }
         }
+        return this.qLearning.qTable[stateKey];
+    }
+    
+    /**
+     * Recompensa da última ação, observada nas condições atuais
+     * O nível de energia entra como modelagem por potencial, γ·Φ(depois) − Φ(antes): premia
+     * as ações que levam a energia para cima sem que a curva de aprendizado acompanhe só a
+     * oferta de comida, e sem mudar a política ótima
+     * @param {string} action - Ação tomada
+     * @param {Object} conditions - Condições observadas depois da ação
+     * @returns {number}
+     */
+    observeReward(action, conditions) {
+        let reward = typeof this.bacteria.calculateReward === 'function'
+            ? this.bacteria.calculateReward(action, conditions)
+            : this.calculateReward(conditions);
+        if (this.qLearning.lastEnergy !== null) {
+            reward += BacteriaLearning.hyperparameters.discountFactor * BacteriaLearning.energyPotential(this.getEnergy()) -
+                BacteriaLearning.energyPotential(this.qLearning.lastEnergy);
+        }
+        reward += this.pendingReward;
+        this.pendingReward = 0;
+        return Number.isFinite(reward) ? reward : 0;
     }
     
     /**
@@ -193,7 +377,7 @@ class BacteriaLearning {
                     if (this.cornerData.timeInCorner > 60) { // 60 frames = ~1 segundo
                         this.cornerData.isStuck = true;
                         // Registra quando ficou presa para aprendizado
-                        this.cornerData.lastCornerTime = frameCount;
+                        this.cornerData.lastCornerTime = SimulationClock.now();
                     }
                 } else {
                     // Se moveu o suficiente, diminui o contador (mas não reseta completamente)
@@ -206,53 +390,8 @@ class BacteriaLearning {
                 if (this.cornerData.isStuck) {
                     this.cornerData.isStuck = false;
                     
-                    // Aplica reforço positivo por ter saído do canto
-                    // O cérebro aprende que o comportamento que levou a sair do canto é bom
-                    if (this.lastNeuralOutputs && this.lastNeuralInputs) {
-                        console.log("Bactéria aprendeu a sair do canto!");
-                        
-                        // Verifica se movementParams existe e é um array ou objeto válido
-                        if (this.lastNeuralOutputs.movementParams) {
-                            try {
-                                // Extrai os valores necessários para o treino
-                                const targetArray = [];
-                                
-                                // Se movementParams for um objeto, converte para array
-                                if (typeof this.lastNeuralOutputs.movementParams === 'object' && !Array.isArray(this.lastNeuralOutputs.movementParams)) {
-                                    // Extrai os 5 valores necessários para o treinamento
-                                    // Direção normalizada para 0-1
-                                    targetArray.push(this.lastNeuralOutputs.movementParams.direction / TWO_PI);
-                                    // Velocidade
-                                    targetArray.push(this.lastNeuralOutputs.movementParams.speed);
-                                    // Intensidade do wandering
-                                    targetArray.push(this.lastNeuralOutputs.movementParams.wanderStrength);
-                                    // Intensidade do noise
-                                    targetArray.push(this.lastNeuralOutputs.movementParams.noiseStrength);
-                                    // Peso do alvo
-                                    targetArray.push(this.lastNeuralOutputs.movementParams.targetWeight);
-                                } else if (Array.isArray(this.lastNeuralOutputs.movementParams)) {
-                                    // Se já for um array, usa diretamente
-                                    targetArray.push(...this.lastNeuralOutputs.movementParams);
-                                } else {
-                                    // Se não for nem objeto nem array, cria valores padrão
-                                    targetArray.push(0.5, 0.5, 0.5, 0.5, 0.5);
-                                }
-                                
-                                // Valida o tamanho do array
-                                while (targetArray.length < 5) {
-                                    targetArray.push(0.5); // Preenche com valores padrão se necessário
-                                }
-                                
-                                // Agora treina com o array validado
-                                console.log("Treinando com targets:", targetArray);
-                                this.brain.train(this.lastNeuralInputs, targetArray);
-                            } catch (error) {
-                                console.error("Erro ao treinar rede neural após sair do canto:", error);
-                            }
-                        } else {
-                            console.warn("Impossível treinar: movementParams inválido", this.lastNeuralOutputs);
-                        }
-                    }
+                    // Sair do canto é recompensado na próxima observação (replay do modo neural)
+                    this.pendingReward += BacteriaLearning.hyperparameters.cornerEscapeReward;
                 }
             }
             
@@ -263,7 +402,6 @@ class BacteriaLearning {
             const cornerInput = this.cornerData.isStuck ? 1 : (isInCorner ? 0.5 : 0);
             
             // Substitui o último input (curiosidade) por cornerInput quando a bactéria está presa
-            // para manter apenas 12 inputs no total
             if (this.cornerData.isStuck) {
                 conditions.curiosity = cornerInput; // Substitui curiosidade por cornerInput quando presa
             }
@@ -289,13 +427,18 @@ class BacteriaLearning {
                 };
             }
             
+            // Exploração: ruído gaussiano nas saídas; o replay reforça as variações que renderam mais
+            const noise = BacteriaLearning.hyperparameters.policyNoise;
+            const actionOutputs = outputs.map(output => Math.max(0, Math.min(1, output + randomGaussian(0, noise))));
+            this.lastNeuralAction = { inputs: positionInputs, outputs: actionOutputs };
+            
             // Decodifica os outputs para os parâmetros de movimento
             const movementParams = {
-                direction: outputs[0] * TWO_PI, // Direção entre 0 e 2π
-                speed: outputs[1], // Velocidade entre 0 e 1
-                wanderStrength: outputs[2], // Intensidade do wandering entre 0 e 1
-                noiseStrength: outputs[3], // Intensidade do ruído entre 0 e 1
-                targetWeight: outputs[4] // Peso do alvo entre 0 e 1
+                direction: actionOutputs[0] * TWO_PI, // Direção entre 0 e 2π
+                speed: actionOutputs[1], // Velocidade entre 0 e 1
+                wanderStrength: actionOutputs[2], // Intensidade do wandering entre 0 e 1
+                noiseStrength: actionOutputs[3], // Intensidade do ruído entre 0 e 1
+                targetWeight: actionOutputs[4] // Peso do alvo entre 0 e 1
             };
             
             // Verifica se a bactéria está perto das bordas
@@ -318,7 +461,6 @@ class BacteriaLearning {
                 // Se está muito tempo no canto, considera preso
                 if (this.cornerData.framesInCorner > 60 && !this.cornerData.isStuck) {
                     this.cornerData.isStuck = true;
-                    console.log("Bactéria presa no canto por muito tempo!");
                     
                     // Pode aplicar alguma penalidade aqui, mas continua usando os parâmetros normais
                 }
@@ -326,59 +468,16 @@ class BacteriaLearning {
                 // Se saiu do canto e estava preso, considera que aprendeu a sair
                 if (this.cornerData.isStuck) {
                     this.cornerData.isStuck = false;
-                    
-                    // Aplica reforço positivo por ter saído do canto
-                    // O cérebro aprende que o comportamento que levou a sair do canto é bom
-                    if (this.lastNeuralOutputs && this.lastNeuralInputs) {
-                        console.log("Bactéria aprendeu a sair do canto!");
-                        
-                        // Verificação já implementada anteriormente
-                    }
+                    // O reforço por sair do canto já entrou em pendingReward acima
                 }
                 
                 // Resetar contador de frames no canto
                 this.cornerData.framesInCorner = 0;
             }
             
-            // Treina com base na entrada atual se a bactéria não estiver presa
-            if (!this.cornerData.isStuck && random() < 0.01) { // Treina ocasionalmente (1% de chance)
-                try {
-                    // Cria um array de targets baseado nos parâmetros de movimento atuais
-                    const targetArray = [
-                        movementParams.direction / TWO_PI,
-                        movementParams.speed,
-                        movementParams.wanderStrength,
-                        movementParams.noiseStrength,
-                        movementParams.targetWeight
-                    ];
-                    
-                    // Valida o array de targets
-                    if (Array.isArray(targetArray) && targetArray.length === 5) {
-                        // Salva para possível uso futuro
-                        this.lastNeuralInputs = positionInputs;
-                        this.lastNeuralOutputs = { movementParams: targetArray };
-                        
-                        // Treina a rede para reforçar o comportamento atual
-                        this.brain.train(positionInputs, targetArray);
-                    } else {
-                        console.warn("Array de targets inválido para treinamento:", targetArray);
-                    }
-                } catch (error) {
-                    console.error("Erro durante treinamento neural ocasional:", error);
-                }
-            } else {
-                // Se estiver presa ou não for momento de treinar, apenas salva os dados para uso futuro
-                this.lastNeuralInputs = positionInputs;
-                this.lastNeuralOutputs = { 
-                    movementParams: [
-                        movementParams.direction / TWO_PI,
-                        movementParams.speed,
-                        movementParams.wanderStrength,
-                        movementParams.noiseStrength,
-                        movementParams.targetWeight
-                    ]
-                };
-            }
+            // Salva para aprendizado (o treino acontece no replay, guiado pela recompensa)
+            this.lastNeuralInputs = positionInputs;
+            this.lastNeuralOutputs = { movementParams: actionOutputs };
             
             return movementParams;
         } catch (error) {
@@ -395,153 +494,88 @@ class BacteriaLearning {
     }
 
     /**
-     * Implementa Q-Learning para decidir a próxima ação
+     * Implementa Q-Learning para decidir a próxima ação (ε-greedy com ε decrescente)
      * @param {Object} conditions - Condições do ambiente
+     * @param {string} stateKey - Chave do estado (calculada a partir de conditions se omitida)
      * @returns {string} - Ação escolhida
      */
-    qLearningDecision(conditions) {
-        conditions = conditions || {};
+    qLearningDecision(conditions, stateKey = null) {
+        stateKey = stateKey || this.getStateKey(conditions);
+        const qValues = this.getQValues(stateKey);
+        const params = BacteriaLearning.hyperparameters;
         
-        // Obtém a energia atual (com fallback seguro)
-        let currentEnergy = 50; // Valor padrão
-        try {
-            // Tenta obter energia do stateManager (nova implementação)
-            if (this.bacteria.stateManager && this.bacteria.stateManager.currentEnergy !== undefined) {
-                currentEnergy = this.bacteria.stateManager.currentEnergy;
-            }
-            // Fallback para o sistema antigo se disponível
-            else if (this.bacteria.states && typeof this.bacteria.states.getEnergy === 'function') {
-                currentEnergy = this.bacteria.states.getEnergy();
+        let action;
+        if (random() < this.qLearning.epsilon) {
+            // Exploração: ação aleatória
+            action = this.qLearning.actions[Math.floor(random(this.qLearning.actions.length))];
+        } else {
+            // Escolhe a ação com maior valor Q para este estado
+            action = this.qLearning.actions[0];
+            for (const candidate of this.qLearning.actions) {
+                if (qValues[candidate] > qValues[action]) {
+                    action = candidate;
+                }
             }
-        } catch (error) {
-            console.warn(`Erro ao obter energia da bactéria ${this.bacteria.id} para Q-Learning:`, error);
         }
         
-        // Verifica se a ação foi recentemente recompensada
-        // Converte as condições em uma string para usar como chave no mapa
-        const stateKey = JSON.stringify({
-            health: Math.floor(this.bacteria.health / 10) * 10,
-            energy: Math.floor(currentEnergy / 10) * 10,
-            foodNearby: conditions.foodNearby || false,
-            mateNearby: conditions.mateNearby || false,
-            predatorNearby: conditions.predatorNearby || false,
-            friendsNearby: conditions.friendsNearby || false,
-            enemiesNearby: conditions.enemiesNearby || false
-        });
+        // A exploração diminui à medida que a bactéria acumula experiência
+        this.qLearning.epsilon = Math.max(params.minEpsilon, this.qLearning.epsilon * params.epsilonDecay);
         
-        // Inicializa valores na tabela Q se necessário
-        if (!this.qLearning.qTable[stateKey]) {
-            this.qLearning.qTable[stateKey] = {};
-            for (const action of this.qLearning.actions) {
-                this.qLearning.qTable[stateKey][action] = 0;
-            }
-        }
+        // Armazena estado e ação para a atualização quando o próximo estado for observado
+        this.qLearning.lastState = stateKey;
+        this.qLearning.lastAction = action;
+        this.qLearning.lastEnergy = this.getEnergy();
         
-        // Epsilon-greedy: 10% de chance de exploração aleatória
-        if (random() < 0.1) {
-            // Ação aleatória
-            const randomAction = this.qLearning.actions[
-                Math.floor(random(this.qLearning.actions.length))
-            ];
-            
-            // Armazena estado e ação para aprendizado futuro
-            this.qLearning.lastState = conditions;
-            this.qLearning.lastAction = randomAction;
-            
-            return randomAction;
-        }
-        
-        // Escolhe a ação com maior valor Q para este estado
-        let bestAction = this.qLearning.actions[0];
-        let maxQ = this.qLearning.qTable[stateKey][bestAction] || 0;
-        
-        for (const action of this.qLearning.actions) {
-            const actionValue = this.qLearning.qTable[stateKey][action] || 0;
-            if (actionValue > maxQ) {
-                maxQ = actionValue;
-                bestAction = action;
-            }
-        }
-        
-        // Armazena estado e ação para aprendizado futuro
-        this.qLearning.lastState = conditions;
-        this.qLearning.lastAction = bestAction;
-        
-        return bestAction;
+        return action;
     }
 
     /**
-     * Aplica recompensa para o aprendizado
+     * Aplica a recompensa da última decisão
+     * Atualiza a tabela Q (TD de um passo) e, no modo neural, guarda a experiência e
+     * treina a rede por replay a cada replayInterval decisões
      * @param {number} reward - Valor da recompensa
+     * @param {string} nextStateKey - Estado observado depois da ação
      */
-    applyReward(reward) {
-        // Atualiza o Q-Learning se foi a última decisão
-        if (!this.useNeural && this.qLearning.lastState && this.qLearning.lastAction) {
-            this.updateQTable(this.qLearning.lastState, this.qLearning.lastAction, reward);
+    applyReward(reward, nextStateKey) {
+        const params = BacteriaLearning.hyperparameters;
+        this.rewardSamples++;
+        const rate = Math.max(0.01, 1 / this.rewardSamples);
+        this.averageReward += rate * (reward - this.averageReward);
+        
+        if (this.qLearning.lastState && this.qLearning.lastAction) {
+            const tdError = this.updateQTable(this.qLearning.lastState, this.qLearning.lastAction, reward, nextStateKey);
+            this.averageTDError += rate * (Math.abs(tdError) - this.averageTDError);
         }
         
-        // Atualiza a rede neural se foi a última decisão
-        if (this.useNeural && this.lastNeuralInputs && this.lastNeuralOutputs) {
-            // Ajusta os pesos com base na recompensa
-            // Para simplificar, apenas reforçamos os outputs atuais quando a recompensa é positiva
-            if (reward > 0) {
-                this.brain.train(this.lastNeuralInputs, this.lastNeuralOutputs.movementParams);
+        if (this.useNeural && this.lastNeuralAction) {
+            this.replayTrainer.remember(this.lastNeuralAction.inputs, this.lastNeuralAction.outputs, reward);
+            this.decisionsSinceReplay++;
+            if (this.decisionsSinceReplay >= params.replayInterval) {
+                this.decisionsSinceReplay = 0;
+                this.replayTrainer.replay(this.brain, params.replayBatchSize, params.policyStepSize);
             }
         }
     }
 
     /**
-     * Atualiza a tabela Q com base na recompensa recebida
-     * @param {Object} state - Estado anterior
+     * Atualiza a tabela Q com um passo de diferença temporal:
+     * Q(s,a) ← Q(s,a) + α·(r + γ·max Q(s',·) − Q(s,a))
+     * @param {string} stateKey - Estado em que a ação foi escolhida
      * @param {string} action - Ação tomada
      * @param {number} reward - Recompensa recebida
+     * @param {string|null} nextStateKey - Estado observado depois da ação (null = terminal)
+     * @returns {number} - Erro TD
      */
-    updateQTable(state, action, reward) {
-        if (!state || !action) return;
-        
-        // Garante que as condições são objetos válidos
-        state = state || {};
-        
-        // Obtém a energia atual (com fallback seguro)
-        let currentEnergy = 50; // Valor padrão
+    updateQTable(stateKey, action, reward, nextStateKey = null) {
+        if (!stateKey || !action) return 0;
         
-        try {
-            // Tenta obter energia atual do stateManager (nova implementação)
-            if (this.bacteria.stateManager && this.bacteria.stateManager.currentEnergy !== undefined) {
-                currentEnergy = this.bacteria.stateManager.currentEnergy;
-            }
-            // Fallback para o sistema antigo se disponível
-            else if (this.bacteria.states && typeof this.bacteria.states.getEnergy === 'function') {
-                currentEnergy = this.bacteria.states.getEnergy();
-            }
-        } catch (error) {
-            console.warn(`Erro ao obter energia atual para updateQTable:`, error);
-        }
+        const params = BacteriaLearning.hyperparameters;
+        const qValues = this.getQValues(stateKey);
+        const nextValue = nextStateKey ? Math.max(...Object.values(this.getQValues(nextStateKey))) : 0;
         
-        // Converte condições em chave para a tabela Q
-        const stateKey = JSON.stringify({
-            health: Math.floor(this.bacteria.health / 10) * 10,
-            energy: Math.floor(currentEnergy / 10) * 10,
-            foodNearby: state.foodNearby || false,
-            mateNearby: state.mateNearby || false,
-            predatorNearby: state.predatorNearby || false
-        });
-        
-        // Inicializa valores na tabela Q se necessário
-        if (!this.qLearning.qTable[stateKey]) {
-            this.qLearning.qTable[stateKey] = {};
-            for (const a of this.qLearning.actions) {
-                this.qLearning.qTable[stateKey][a] = 0;
-            }
-        }
-        
-        // Atualiza valor Q para o estado e ação atual usando a equação de Bellman
-        const oldQ = this.qLearning.qTable[stateKey][action] || 0;
-        const newQ = oldQ + this.qLearning.learningRate * (
-            reward + this.qLearning.discountFactor * oldQ - oldQ
-        );
-        
-        this.qLearning.qTable[stateKey][action] = newQ;
+        const tdError = reward + params.discountFactor * nextValue - qValues[action];
+        qValues[action] += params.learningRate * tdError;
+        return tdError;
     }
 
     /**
@@ -620,5 +654,44 @@ class BacteriaLearning {
     }
 }
 
+/**
+ * Cérebro das novas fundadoras: 'fixed' (NeuralNetwork, uma camada oculta) ou
+ * 'neat' (NeatNetwork, topologia evolutiva); os filhos herdam o tipo dos pais
+ */
+BacteriaLearning.brainType = 'fixed';
+BacteriaLearning.BRAIN_TYPES = ['fixed', 'neat'];
+
+/**
+ * Modo de aprendizado: 'neural' (o Q-Learning escolhe a ação e a rede, treinada por replay,
+ * os parâmetros de movimento) ou 'qlearning' (só a tabela Q, movimento fixo)
+ */
+BacteriaLearning.mode = 'neural';
+BacteriaLearning.MODES = ['neural', 'qlearning'];
+
+/**
+ * Nomes dos inputs da rede que não vêm dos sensores (estado interno no início, posição
+ * relativa no fim; ver getInputNames) e das saídas (parâmetros de movimento)
+ */
+BacteriaLearning.INTERNAL_INPUT_NAMES = ['Saúde', 'Energia', 'Idade', 'Curiosidade'];
+BacteriaLearning.POSITION_INPUT_NAMES = ['Posição X', 'Posição Y'];
+BacteriaLearning.OUTPUT_NAMES = ['Direção', 'Velocidade', 'Vagueio', 'Ruído', 'Peso do alvo'];
+
+/**
+ * Hiperparâmetros do aprendizado, compartilhados por todas as bactérias (ajustáveis no painel de aprendizado)
+ */
+BacteriaLearning.hyperparameters = {
+    learningRate: 0.1,        // α da atualização TD
+    discountFactor: 0.9,      // γ: peso do valor do próximo estado
+    epsilon: 0.3,             // ε inicial de cada bactéria
+    epsilonDecay: 0.999,      // Fator aplicado a ε a cada decisão
+    minEpsilon: 0.02,         // Exploração mínima
+    replayCapacity: 200,      // Experiências guardadas por bactéria (modo neural)
+    replayBatchSize: 16,      // Experiências por lote de replay
+    replayInterval: 30,       // Decisões entre lotes de replay
+    policyStepSize: 0.5,      // Passo do gradiente de política em direção às saídas vantajosas
+    policyNoise: 0.1,         // Desvio do ruído de exploração nas saídas da rede
+    cornerEscapeReward: 1.0   // Recompensa extra por sair de um canto
+};
+
 // Exporta a classe para uso global
 window.BacteriaLearning = BacteriaLearning; 
\ No newline at end of file
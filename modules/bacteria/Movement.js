@@ -78,6 +78,9 @@ class BacteriaMovement {
                 }
             }
             
+            // Quimiotaxia: inclina a direção para a subida do gradiente, conforme o gene
+            this.applyChemotaxis();
+            
             // Ajusta a velocidade com base no tipo de bactéria
             let speed = 2.0 * speedFactor; // Velocidade base
             
@@ -94,11 +97,11 @@ class BacteriaMovement {
                     case 2: // Espirilo - movimento rápido
                         speed = 3.0 * speedFactor;
                         // Adiciona movimento em espiral
-                        this._movementAngle += sin(frameCount * 0.05) * 0.1;
+                        this._movementAngle += sin(SimulationClock.now() * 0.05) * 0.1;
                         break;
                     case 3: // Vibrião - movimento variável
                         // Ocasionalmente acelera
-                        speed = (frameCount % 120 < 20) ? 3.0 * speedFactor : 2.0 * speedFactor;
+                        speed = (SimulationClock.now() % 120 < 20) ? 3.0 * speedFactor : 2.0 * speedFactor;
                         break;
                 }
             }
@@ -155,6 +158,75 @@ class BacteriaMovement {
         }
     }
 
+    /**
+     * Ajusta a direção do passeio aleatório pelo gradiente químico percebido
+     * (bacteria.chemicalGradient, definido pelo ChemicalFieldSystem)
+     */
+    applyChemotaxis() {
+        const gradient = this.bacteria.chemicalGradient;
+        const chemotaxis = this.movement && this.movement.chemotaxis;
+        if (!gradient || !chemotaxis) return;
+        
+        const weight = this.bacteria.dna && this.bacteria.dna.genes
+            ? this.bacteria.dna.genes.chemotaxis || 0
+            : 0;
+        this._movementAngle = chemotaxis.steerAngle(this._movementAngle, gradient, weight);
+    }
+
+    /**
+     * Agregação: passeio aleatório que sobe o gradiente indicado com peso máximo
+     * @param {{x: number, y: number}} gradient - Gradiente a seguir (ex.: autoindutor)
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {number} speedFactor - Multiplicador de velocidade
+     */
+    aggregate(gradient, deltaTime = 1, speedFactor = 0.3) {
+        const chemotaxis = this.movement && this.movement.chemotaxis;
+        if (chemotaxis && gradient && this._movementAngle !== undefined) {
+            this._movementAngle = chemotaxis.steerAngle(this._movementAngle, gradient, 1);
+        }
+        this.moveRandom(deltaTime, speedFactor);
+    }
+
+    /**
+     * Afastamento: passeio aleatório que se desvia das posições indicadas
+     * (vizinhas com sintomas, ou todas as vizinhas de uma bactéria em isolamento)
+     * @param {Array<p5.Vector>} positions - Posições a evitar
+     * @param {number} weight - Peso do desvio (0-1)
+     * @param {number} deltaTime - Tempo desde o último frame
+     * @param {number} speedFactor - Multiplicador de velocidade
+     */
+    avoid(positions, weight = 1, deltaTime = 1, speedFactor = 1.0) {
+        const chemotaxis = this.movement && this.movement.chemotaxis;
+        const away = this.getAvoidanceDirection(positions);
+        if (chemotaxis && away && this._movementAngle !== undefined) {
+            this._movementAngle = chemotaxis.steerAngle(this._movementAngle, away, weight);
+        }
+        this.moveRandom(deltaTime, speedFactor);
+    }
+
+    /**
+     * Direção de afastamento: soma das direções opostas às posições, pesadas pela proximidade
+     * @param {Array<p5.Vector>} positions - Posições a evitar
+     * @returns {{x: number, y: number}|null} - Vetor unitário, ou null sem posições
+     */
+    getAvoidanceDirection(positions) {
+        if (!positions || positions.length === 0) return null;
+
+        let x = 0;
+        let y = 0;
+        for (const position of positions) {
+            const dx = this.bacteria.pos.x - position.x;
+            const dy = this.bacteria.pos.y - position.y;
+            const distanceSq = Math.max(1, dx * dx + dy * dy);
+            x += dx / distanceSq;
+            y += dy / distanceSq;
+        }
+
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude === 0) return null;
+        return { x: x / magnitude, y: y / magnitude };
+    }
+
     /**
      * Move a bactéria em direção a uma posição com comportamento natural
      * @param {p5.Vector} target - Posição alvo
@@ -221,14 +293,14 @@ class BacteriaMovement {
                     case 2: // Espirilo - rápido mas com caminho espiral
                         speed = 3.5 * speedMultiplier;
                         // Adiciona componente perpendicular ao movimento
-                        const perpFactor = sin(frameCount * 0.05) * 0.3;
+                        const perpFactor = sin(SimulationClock.now() * 0.05) * 0.3;
                         const perpX = -normalizedDirY * perpFactor;
                         const perpY = normalizedDirX * perpFactor;
                         normalizedDirX += perpX;
                         normalizedDirY += perpY;
                         break;
                     case 3: // Vibrião - movimento com acelerações
-                        speed = (frameCount % 90 < 30) ? 3.5 * speedMultiplier : 2.0 * speedMultiplier;
+                        speed = (SimulationClock.now() % 90 < 30) ? 3.5 * speedMultiplier : 2.0 * speedMultiplier;
                         break;
                 }
             }
@@ -1156,6 +1228,12 @@ class BacteriaMovement {
                 // Aplica a força resultante
                 this.applyForce(finalForce);
                 
+                // O passeio aleatório segue _movementAngle: o grupo também desvia a direção
+                const chemotaxis = this.movement && this.movement.chemotaxis;
+                if (chemotaxis && this._movementAngle !== undefined) {
+                    this._movementAngle = chemotaxis.steerAngle(this._movementAngle, finalForce, 1);
+                }
+                
                 // Log de depuração
                 if (this.bacteria && this.bacteria.age % 300 === 0) {
                     console.log(`Bactéria ${this.bacteria.id} aplicando comportamento de grupo com ${sameBacteria.length} bactérias - força: ${finalForce.mag().toFixed(2)}`);
@@ -0,0 +1,399 @@
+/**
+ * Sensores direcionais da bactéria
+ * Um arranjo de N setores angulares (ou N raios) em volta da direção de movimento mede a
+ * distância até o objeto mais próximo de cada canal: comida, bactérias, predadores e
+ * obstáculos (as bordas do mundo contam como obstáculo). Cada leitura é a proximidade
+ * 1 - d/alcance (0 quando não há nada no alcance), então a rede sabe de que lado está cada coisa.
+ * Obstáculos e bordas são medidos pelo raio central de cada setor.
+ * O número de sensores e o alcance são fixados no nascimento: vêm dos genes sensorDensity
+ * e sensorReach (0-1) quando BacteriaSensors.config.evolve está ligado.
+ */
+class BacteriaSensors {
+    /**
+     * Inicializa os sensores
+     * @param {BacteriaBase} bacteria - Referência para a bactéria
+     */
+    constructor(bacteria) {
+        this.bacteria = bacteria;
+
+        // Arranjo fixo durante a vida (define o tamanho da camada de entrada do cérebro)
+        const layout = BacteriaSensors.getLayout(bacteria && bacteria.dna ? bacteria.dna.genes : null);
+        this.count = layout.count;
+        this.range = layout.range;
+
+        this.heading = 0;         // Direção de movimento (radianos), estimada pelo deslocamento
+        this.lastPosition = null;
+        this.lastReadings = null; // Leituras do tick lastSenseTick (sense() roda uma vez por tick)
+        this.lastSenseTick = -1;
+    }
+
+    /**
+     * Número de sensores e alcance para um conjunto de genes
+     * @param {Object|null} genes - Genes da bactéria (null usa a configuração fixa)
+     * @returns {{count: number, range: number}}
+     */
+    static getLayout(genes) {
+        const config = BacteriaSensors.config;
+        if (!config.evolve || !genes) {
+            return { count: config.count, range: config.range };
+        }
+        const density = typeof genes.sensorDensity === 'number' ? genes.sensorDensity : 0.5;
+        const reach = typeof genes.sensorReach === 'number' ? genes.sensorReach : 0.5;
+        return {
+            count: Math.round(config.minCount + Math.max(0, Math.min(1, density)) * (config.maxCount - config.minCount)),
+            range: config.minRange + Math.max(0, Math.min(1, reach)) * (config.maxRange - config.minRange)
+        };
+    }
+
+    /**
+     * Direções dos sensores em relação à direção de movimento (centro de cada setor ou raio)
+     * @param {number} count - Número de sensores
+     * @returns {Array<number>} - Ângulos em radianos
+     */
+    static getDirections(count) {
+        const fieldOfView = Math.min(360, BacteriaSensors.config.fieldOfView) * Math.PI / 180;
+        const width = fieldOfView / count;
+        return Array.from({ length: count }, (_, i) =>
+            fieldOfView >= 2 * Math.PI ? i * width : -fieldOfView / 2 + (i + 0.5) * width
+        );
+    }
+
+    /**
+     * Sensor de um arranjo antigo mais próximo de um sensor do arranjo novo
+     * (usado para reaproveitar os pesos quando o número de sensores muda entre gerações)
+     * @param {number} index - Sensor no arranjo novo
+     * @param {number} count - Sensores no arranjo novo
+     * @param {number} oldCount - Sensores no arranjo antigo
+     * @returns {number}
+     */
+    static nearestSensor(index, count, oldCount) {
+        if (BacteriaSensors.config.fieldOfView >= 360) {
+            return Math.round(index * oldCount / count) % oldCount;
+        }
+        return Math.min(oldCount - 1, Math.floor((index + 0.5) * oldCount / count));
+    }
+
+    /**
+     * Nomes das leituras, na ordem de sense(): para cada sensor, um valor por canal
+     * @param {number} count - Número de sensores
+     * @returns {Array<string>}
+     */
+    static getInputNames(count) {
+        const names = [];
+        for (const direction of BacteriaSensors.getDirections(count)) {
+            let degrees = Math.round(direction * 180 / Math.PI);
+            if (degrees > 180) degrees -= 360;
+            for (const channel of BacteriaSensors.CHANNELS) {
+                names.push(`${degrees}° ${BacteriaSensors.CHANNEL_NAMES[channel]}`);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Número de leituras produzidas por sense()
+     * @returns {number}
+     */
+    getInputCount() {
+        return this.count * BacteriaSensors.CHANNELS.length;
+    }
+
+    /**
+     * Energia gasta por tick para manter os sensores (cresce com o número e o alcance)
+     * @returns {number}
+     */
+    getEnergyCost() {
+        const config = BacteriaSensors.config;
+        return config.energyCost * this.count * (this.range / config.maxRange);
+    }
+
+    /**
+     * Atualiza a direção de movimento a partir do deslocamento desde a última leitura
+     */
+    updateHeading() {
+        const pos = this.bacteria.pos;
+        if (this.lastPosition) {
+            const dx = pos.x - this.lastPosition.x;
+            const dy = pos.y - this.lastPosition.y;
+            if (dx * dx + dy * dy > 1e-4) {
+                this.heading = Math.atan2(dy, dx);
+            }
+        }
+        this.lastPosition = { x: pos.x, y: pos.y };
+    }
+
+    /**
+     * Canal de uma entidade do grid espacial
+     * @param {Object} entity - Entidade
+     * @returns {number} - Índice em CHANNELS (-1 se a entidade não é percebida)
+     */
+    getChannel(entity) {
+        if (entity === this.bacteria) return -1;
+        if (entity instanceof Food) return 0;
+        if (entity instanceof Predator) return 2; // Predator estende Bacteria: testar antes
+        if (entity instanceof Bacteria) return 1;
+        return -1;
+    }
+
+    /**
+     * Índice do setor que contém um ângulo absoluto
+     * @param {number} angle - Ângulo (radianos)
+     * @returns {number} - Setor (-1 fora do campo de visão)
+     */
+    getSector(angle) {
+        const fieldOfView = Math.min(360, BacteriaSensors.config.fieldOfView) * Math.PI / 180;
+        const width = fieldOfView / this.count;
+        let relative = angle - this.heading;
+        relative = ((relative + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) - Math.PI;
+
+        if (fieldOfView >= 2 * Math.PI) {
+            return Math.floor(((relative + width / 2) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) / width) % this.count;
+        }
+        if (Math.abs(relative) > fieldOfView / 2) return -1;
+        return Math.min(this.count - 1, Math.floor((relative + fieldOfView / 2) / width));
+    }
+
+    /**
+     * Distância ao longo de um raio até um círculo
+     * @param {number} dx - Direção do raio (x, unitária)
+     * @param {number} dy - Direção do raio (y, unitária)
+     * @param {number} cx - Centro do círculo relativo à bactéria (x)
+     * @param {number} cy - Centro do círculo relativo à bactéria (y)
+     * @param {number} radius - Raio do círculo
+     * @returns {number|null} - Distância até a borda do círculo, ou null sem interseção
+     */
+    static rayCircle(dx, dy, cx, cy, radius) {
+        const projection = cx * dx + cy * dy;
+        if (projection < 0) return null;
+        const perpendicular = cx * cx + cy * cy - projection * projection;
+        if (perpendicular > radius * radius) return null;
+        return Math.max(0, projection - Math.sqrt(radius * radius - perpendicular));
+    }
+
+    /**
+     * Distância ao longo de um raio até um retângulo (método das faixas)
+     * @param {number} px - Origem do raio (x)
+     * @param {number} py - Origem do raio (y)
+     * @param {number} dx - Direção do raio (x, unitária)
+     * @param {number} dy - Direção do raio (y, unitária)
+     * @param {Object} rect - Retângulo {x, y, w, h}
+     * @returns {number|null} - Distância de entrada (0 se a origem está dentro), ou null sem interseção
+     */
+    static rayRect(px, py, dx, dy, rect) {
+        let near = -Infinity;
+        let far = Infinity;
+
+        // Faixa vertical (x)
+        if (Math.abs(dx) < 1e-9) {
+            if (px < rect.x || px > rect.x + rect.w) return null;
+        } else {
+            const t1 = (rect.x - px) / dx;
+            const t2 = (rect.x + rect.w - px) / dx;
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+        }
+
+        // Faixa horizontal (y)
+        if (Math.abs(dy) < 1e-9) {
+            if (py < rect.y || py > rect.y + rect.h) return null;
+        } else {
+            const t1 = (rect.y - py) / dy;
+            const t2 = (rect.y + rect.h - py) / dy;
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+        }
+
+        if (far < Math.max(near, 0)) return null;
+        return Math.max(near, 0);
+    }
+
+    /**
+     * Distância de um ponto até um retângulo (0 dentro dele)
+     * @param {number} px - Ponto (x)
+     * @param {number} py - Ponto (y)
+     * @param {Object} rect - Retângulo {x, y, w, h}
+     * @returns {number}
+     */
+    static distanceToRect(px, py, rect) {
+        const dx = Math.max(rect.x - px, 0, px - (rect.x + rect.w));
+        const dy = Math.max(rect.y - py, 0, py - (rect.y + rect.h));
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Distância ao longo de um raio até a borda do mundo
+     * @param {number} px - Origem do raio (x)
+     * @param {number} py - Origem do raio (y)
+     * @param {number} dx - Direção do raio (x, unitária)
+     * @param {number} dy - Direção do raio (y, unitária)
+     * @param {number} worldWidth - Largura do mundo
+     * @param {number} worldHeight - Altura do mundo
+     * @returns {number}
+     */
+    static rayBounds(px, py, dx, dy, worldWidth, worldHeight) {
+        let distance = Infinity;
+        if (dx > 1e-9) distance = Math.min(distance, (worldWidth - px) / dx);
+        if (dx < -1e-9) distance = Math.min(distance, -px / dx);
+        if (dy > 1e-9) distance = Math.min(distance, (worldHeight - py) / dy);
+        if (dy < -1e-9) distance = Math.min(distance, -py / dy);
+        return Math.max(0, distance);
+    }
+
+    /**
+     * Sensores (raios) cuja direção cai num cone em volta de um ângulo relativo à direção de movimento
+     * @param {number} center - Ângulo do cone relativo à direção de movimento (radianos)
+     * @param {number} halfWidth - Meia abertura do cone (radianos)
+     * @returns {Array<number>} - Índices dos sensores
+     */
+    getSensorsInCone(center, halfWidth) {
+        const fieldOfView = Math.min(360, BacteriaSensors.config.fieldOfView) * Math.PI / 180;
+        const width = fieldOfView / this.count;
+        const fullCircle = fieldOfView >= 2 * Math.PI;
+        const margin = 1e-6;
+        const sensors = [];
+
+        // O cone pode atravessar ±π: testa também as cópias deslocadas de uma volta
+        for (const shift of [-2 * Math.PI, 0, 2 * Math.PI]) {
+            const from = center + shift - halfWidth - margin;
+            const to = center + shift + halfWidth + margin;
+            const offset = fullCircle ? 0 : fieldOfView / 2 - width / 2;
+            const first = Math.max(0, Math.ceil((from + offset) / width));
+            const last = Math.min(this.count - 1, Math.floor((to + offset) / width));
+            for (let sensor = first; sensor <= last; sensor++) sensors.push(sensor);
+        }
+        return sensors;
+    }
+
+    /**
+     * Lê os sensores
+     * O arranjo é lido uma vez por tick; os candidatos vêm do grid espacial num raio limitado ao
+     * alcance e cada um é atribuído pelo ângulo ao seu setor (ou aos raios do cone que ocupa)
+     * @returns {Array<number>} - count × CHANNELS proximidades (0-1), sensor a sensor
+     */
+    sense() {
+        const tick = SimulationClock.now();
+        if (this.lastReadings && this.lastSenseTick === tick) return this.lastReadings;
+
+        const channels = BacteriaSensors.CHANNELS.length;
+        const readings = Array(this.getInputCount()).fill(0);
+        const pos = this.bacteria.pos;
+        if (!pos || !Number.isFinite(pos.x) || !Number.isFinite(pos.y)) return readings;
+
+        try {
+            this.updateHeading();
+
+            // Menor distância por sensor e canal
+            const nearest = new Float64Array(this.count * channels).fill(this.range);
+            const record = (sensor, channel, distance) => {
+                const index = sensor * channels + channel;
+                if (sensor >= 0 && distance < nearest[index]) nearest[index] = distance;
+            };
+
+            const angles = BacteriaSensors.getDirections(this.count);
+            const directions = angles.map(angle => ({
+                x: Math.cos(this.heading + angle),
+                y: Math.sin(this.heading + angle)
+            }));
+            const useRays = BacteriaSensors.config.type === 'rays';
+
+            // Comida, bactérias e predadores (círculos) vindos do grid espacial
+            const simulation = this.bacteria.simulation;
+            const queryRadius = this.range + BacteriaSensors.MAX_ENTITY_RADIUS;
+            let candidates = [];
+            if (simulation && simulation.spatialGrid) {
+                candidates = simulation.spatialGrid.queryRadius(pos, queryRadius);
+            } else if (simulation && simulation.entityManager) {
+                const entityManager = simulation.entityManager;
+                candidates = [...entityManager.food, ...entityManager.bacteria, ...entityManager.predators];
+            }
+
+            for (const entity of candidates) {
+                const channel = this.getChannel(entity);
+                if (channel < 0) continue;
+                const entityPos = entity.pos || entity.position;
+                if (!entityPos) continue;
+
+                const cx = entityPos.x - pos.x;
+                const cy = entityPos.y - pos.y;
+                const radius = (entity.size || 10) / 2;
+                const distance = Math.sqrt(cx * cx + cy * cy);
+                if (distance - radius >= this.range) continue;
+
+                if (!useRays) {
+                    record(this.getSector(Math.atan2(cy, cx)), channel, Math.max(0, distance - radius));
+                    continue;
+                }
+
+                // Só os raios dentro do cone ocupado pelo círculo podem cruzá-lo
+                const sensors = distance <= radius
+                    ? angles.map((_, sensor) => sensor)
+                    : this.getSensorsInCone(Math.atan2(cy, cx) - this.heading, Math.asin(radius / distance));
+                for (const sensor of sensors) {
+                    const hit = BacteriaSensors.rayCircle(directions[sensor].x, directions[sensor].y, cx, cy, radius);
+                    if (hit !== null) record(sensor, channel, hit);
+                }
+            }
+
+            // Obstáculos ao alcance e bordas do mundo pelo raio de cada sensor
+            const obstacleChannel = BacteriaSensors.CHANNELS.indexOf('obstacle');
+            const obstacles = simulation && simulation.entityManager
+                ? simulation.entityManager.obstacles.filter(obstacle =>
+                    BacteriaSensors.distanceToRect(pos.x, pos.y, obstacle) < this.range)
+                : [];
+            const worldWidth = simulation && simulation.width ? simulation.width : (typeof width !== 'undefined' ? width : 800);
+            const worldHeight = simulation && simulation.height ? simulation.height : (typeof height !== 'undefined' ? height : 600);
+            directions.forEach((direction, sensor) => {
+                record(sensor, obstacleChannel, BacteriaSensors.rayBounds(pos.x, pos.y, direction.x, direction.y, worldWidth, worldHeight));
+                for (const obstacle of obstacles) {
+                    const distance = BacteriaSensors.rayRect(pos.x, pos.y, direction.x, direction.y, obstacle);
+                    if (distance !== null) record(sensor, obstacleChannel, distance);
+                }
+            });
+
+            for (let i = 0; i < readings.length; i++) {
+                readings[i] = Math.max(0, 1 - nearest[i] / this.range);
+            }
+        } catch (error) {
+            console.error(`Erro ao ler sensores da bactéria ${this.bacteria.id}:`, error);
+        }
+
+        this.lastReadings = readings;
+        this.lastSenseTick = tick;
+        return readings;
+    }
+}
+
+/**
+ * Configuração dos sensores, compartilhada por todas as bactérias (ajustável no painel de aprendizado)
+ * Número e alcance valem para as bactérias que nascerem depois da mudança
+ */
+BacteriaSensors.config = {
+    type: 'sectors',      // 'sectors' (objeto mais próximo em cada fatia) ou 'rays' (primeiro objeto cruzado)
+    fieldOfView: 360,     // Campo de visão em graus, centrado na direção de movimento
+    evolve: true,         // Número e alcance vêm dos genes sensorDensity e sensorReach
+    count: 6,             // Sensores quando não evoluem
+    range: 150,           // Alcance (px) quando não evolui
+    minCount: 2,          // Faixa do número de sensores codificada pelo gene sensorDensity
+    maxCount: 12,
+    minRange: 60,         // Faixa do alcance codificada pelo gene sensorReach
+    maxRange: 300,
+    energyCost: 0.002     // Energia por sensor por tick, no alcance máximo
+};
+BacteriaSensors.TYPES = ['sectors', 'rays'];
+
+// Maior raio de entidade considerado na busca do grid (comida, bactérias e predadores)
+BacteriaSensors.MAX_ENTITY_RADIUS = 20;
+
+/**
+ * Canais de cada sensor, na ordem das leituras
+ */
+BacteriaSensors.CHANNELS = ['food', 'bacteria', 'predator', 'obstacle'];
+BacteriaSensors.CHANNEL_NAMES = {
+    food: 'comida',
+    bacteria: 'bactéria',
+    predator: 'predador',
+    obstacle: 'obstáculo'
+};
+
+// Exporta a classe para uso global
+window.BacteriaSensors = BacteriaSensors;
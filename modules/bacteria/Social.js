@@ -11,8 +11,8 @@ class BacteriaSocial {
         
         // Atributos de comunicação e relacionamentos
         this.communicationId = null;    // ID único para comunicação
-        this.lastCommunication = 0;     // Último frame em que se comunicou
-        this.communicationCooldown = 60;  // Frames de espera entre comunicações
+        this.lastCommunication = 0;     // Último tick em que se comunicou
+        this.communicationCooldown = 60;  // Ticks de espera entre comunicações
         this.friendships = new Map();     // Mapa de amizades
         this.enemies = new Map();         // Mapa de inimizades
         this.communityRole = this.determineCommunityRole(); // Papel na comunidade
@@ -72,7 +72,7 @@ class BacteriaSocial {
         }
         
         // Se tudo falhar, usa um ID aleatório
-        bacteria.communicationId = Math.floor(Math.random() * 10000) + 1000;
+        bacteria.communicationId = Math.floor(random(10000)) + 1000;
         return bacteria.communicationId;
     }
     
@@ -85,7 +85,7 @@ class BacteriaSocial {
         const id = this.getBacteriaId(bacteria);
         this.friendships.set(id, {
             level: level,
-            since: frameCount
+            since: SimulationClock.now()
         });
         
         // Remove da lista de inimigos se existir
@@ -103,7 +103,7 @@ class BacteriaSocial {
         const id = this.getBacteriaId(bacteria);
         this.enemies.set(id, {
             level: level,
-            since: frameCount
+            since: SimulationClock.now()
         });
         
         // Remove da lista de amigos se existir
@@ -143,7 +143,7 @@ class BacteriaSocial {
         }
         
         // Limita freqüência de comunicação
-        if (frameCount - this.lastCommunication < this.communicationCooldown) {
+        if (SimulationClock.now() - this.lastCommunication < this.communicationCooldown) {
             return false;
         }
         
@@ -175,13 +175,13 @@ class BacteriaSocial {
                 const currentFriendship = this.friendships.get(this.getBacteriaId(target));
                 const newLevel = Math.min(10, currentFriendship.level + random(0.5, 1.5));
                 this.addFriend(target, newLevel);
-                this.lastCommunication = frameCount;
+                this.lastCommunication = SimulationClock.now();
                 return true;
             } else if (this.isEnemy(target)) {
                 // Chance de reconciliação baseada em sociabilidade
                 if (random() < sociability * 0.2) {
                     this.addFriend(target, 1);
-                    this.lastCommunication = frameCount;
+                    this.lastCommunication = SimulationClock.now();
                     return true;
                 }
             } else {
@@ -191,7 +191,7 @@ class BacteriaSocial {
                 } else {
                     this.addFriend(target, random(1, 3));
                 }
-                this.lastCommunication = frameCount;
+                this.lastCommunication = SimulationClock.now();
                 return true;
             }
         }
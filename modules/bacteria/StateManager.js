@@ -35,6 +35,13 @@ class BacteriaStateManager {
         // Contador de alternâncias entre estados
         this.stateAlternations = {};
         
+        // Comportamento coletivo de quorum sensing ('biofilm', 'defending' ou null),
+        // definido pelo QuorumSensingSystem a cada tick
+        this.quorumState = null;
+        
+        // Isolamento de uma bactéria com sintomas, definido pelo DistancingBehavior a cada tick
+        this.isolating = false;
+        
         // Parâmetros contínuos de movimento
         this.movementParams = {
             direction: 0,           // Direção de 0-360 graus
@@ -105,7 +112,7 @@ class BacteriaStateManager {
             
             // Se houver muitas alternâncias rápidas entre dois estados, força um terceiro estado
             if (this.stateAlternations[statePair] > 3 && 
-                frameCount - this.lastStateChangeTime < 90) {
+                SimulationClock.now() - this.lastStateChangeTime < 90) {
                 console.log(`Detectado loop entre ${this.currentState} e ${state}. Forçando estado 'resting'`);
                 state = 'resting';
                 this.stateAlternations = {}; // Reseta contadores
@@ -113,12 +120,12 @@ class BacteriaStateManager {
             
             // Configura a transição suave entre estados
             this.isTransitioning = true;
-            this.transitionStartTime = frameCount;
+            this.transitionStartTime = SimulationClock.now();
             this.transitionFromState = this.currentState;
             this.transitionToState = state;
             
             this.lastState = this.currentState;
-            this.lastStateChangeTime = frameCount;
+            this.lastStateChangeTime = SimulationClock.now();
             this.currentState = state;
             
             // Log da mudança de estado
@@ -139,6 +146,43 @@ class BacteriaStateManager {
         }
     }
     
+    /**
+     * Verifica se o estado atual é um comportamento coletivo de quorum sensing
+     * @returns {boolean}
+     */
+    isQuorumState() {
+        return BacteriaStateManager.QUORUM_STATES.includes(this.currentState);
+    }
+    
+    /**
+     * Verifica se o estado atual é definido de fora (isolamento ou quorum sensing),
+     * sem as trocas forçadas de descanso e exploração
+     * @returns {boolean}
+     */
+    isImposedState() {
+        return this.currentState === 'isolating' || this.isQuorumState();
+    }
+    
+    /**
+     * Entra num estado definido de fora (isolamento ou comportamento coletivo do quorum sensing)
+     * Tem prioridade sobre a decisão da IA e ignora os cooldowns de troca de estado
+     * @param {string} state - 'isolating', 'biofilm' ou 'defending' ('exploring' ao sair do isolamento)
+     */
+    enterImposedState(state) {
+        if (this.currentState === state) return;
+        
+        this.isTransitioning = true;
+        this.transitionStartTime = SimulationClock.now();
+        this.transitionFromState = this.currentState;
+        this.transitionToState = state;
+        
+        this.lastState = this.currentState;
+        this.lastStateChangeTime = SimulationClock.now();
+        this.currentState = state;
+        this.restingTime = 0;
+        this.stateTimer = 0;
+    }
+    
     /**
      * Processa a transição suave entre estados
      */
@@ -146,7 +190,7 @@ class BacteriaStateManager {
         if (!this.isTransitioning) return;
         
         // Calcula o progresso da transição (0 a 1)
-        const elapsed = frameCount - this.transitionStartTime;
+        const elapsed = SimulationClock.now() - this.transitionStartTime;
         const progress = Math.min(1, elapsed / this.transitionDuration);
         
         // Se a transição foi concluída
@@ -211,11 +255,22 @@ class BacteriaStateManager {
             this.setMovementParams(actionOutput.movementParams);
         }
         
-        // Define o estado com base na decisão da IA (se fornecida)
-        if (actionOutput && actionOutput.action) {
+        // Isolamento por sintomas tem prioridade sobre o quorum sensing e a IA
+        if (this.isolating) {
+            this.enterImposedState('isolating');
+        } else if (this.quorumState) {
+            // Quorum sensing: acima do limiar de autoindutor, o comportamento coletivo tem prioridade
+            this.enterImposedState(this.quorumState);
+        } else if (actionOutput && actionOutput.action) {
+            // Define o estado com base na decisão da IA (se fornecida)
             this.setCurrentState(actionOutput.action);
         }
         
+        // Sem sintomas, a bactéria sai do isolamento
+        if (!this.isolating && this.currentState === 'isolating') {
+            this.enterImposedState('exploring');
+        }
+        
         // Decrementa cooldowns
         if (this.stateChangeCooldown > 0) {
             this.stateChangeCooldown--;
@@ -255,10 +310,30 @@ class BacteriaStateManager {
         } else if (this.currentState === 'fleeing') {
             // Gasto alto de energia durante fuga
             this.consumeEnergy(0.25);
+        } else if (this.currentState === 'biofilm') {
+            // Biofilme: bactérias agregadas e quase paradas gastam pouco
+            this.consumeEnergy(0.03);
+        } else if (this.currentState === 'defending') {
+            // Produção de toxina
+            this.consumeEnergy(0.12);
+        } else if (this.currentState === 'isolating') {
+            // Isolamento: quase parada, afastada das outras
+            this.consumeEnergy(0.05);
+        }
+        
+        // Manter a camuflagem contra predadores custa energia
+        const genes = this.bacteria && this.bacteria.dna ? this.bacteria.dna.genes : null;
+        if (genes && genes.camouflage > 0) {
+            this.consumeEnergy(genes.camouflage * 0.02);
+        }
+        
+        // Manter os sensores direcionais também custa energia (mais sensores e mais alcance, mais gasto)
+        if (this.bacteria && this.bacteria.learning && this.bacteria.learning.sensors) {
+            this.consumeEnergy(this.bacteria.learning.sensors.getEnergyCost());
         }
         
         // Se a energia estiver muito baixa, força o estado de descanso
-        if (this.currentEnergy < 15 && this.currentState !== 'resting') {
+        if (this.currentEnergy < 15 && this.currentState !== 'resting' && !this.isImposedState()) {
             this.setCurrentState('resting');
         }
         
@@ -266,7 +341,8 @@ class BacteriaStateManager {
         this.stateTimer++;
         if (this.stateTimer > this.forceExploreInterval && 
             this.currentState !== 'exploring' && 
-            this.currentState !== 'reproducing') {
+            this.currentState !== 'reproducing' &&
+            !this.isImposedState()) {
             this.setCurrentState('exploring');
             this.stateTimer = 0;
         }
@@ -308,10 +384,24 @@ class BacteriaStateManager {
             case 'seekingFood': return 1.2; // Um pouco mais rápido ao buscar comida
             case 'reproducing': return 0.8; // Mais lento ao se reproduzir
             case 'resting': return 0; // Parado ao descansar
+            case 'biofilm': return 0.3; // Agregação lenta
+            case 'defending': return 0.5;
+            case 'isolating': return 0.3; // Isolamento: pouco movimento
             default: return 1; // Velocidade normal explorando
         }
     }
+    
+    /**
+     * Multiplicador do dano recebido de predadores no estado atual
+     * @returns {number} Multiplicador de dano
+     */
+    getDamageMultiplier() {
+        return this.currentState === 'biofilm' ? 0.5 : 1; // A matriz do biofilme protege
+    }
 }
 
+// Comportamentos coletivos ativados pelo quorum sensing
+BacteriaStateManager.QUORUM_STATES = ['biofilm', 'defending'];
+
 // Exporta a classe para uso global
 window.BacteriaStateManager = BacteriaStateManager; 
\ No newline at end of file
@@ -54,7 +54,7 @@ class BacteriaVisualizationComponent {
      * @returns {number} Tipo de bactéria (0-3)
      */
     static selectBacteriaType() {
-        const rand = Math.random();
+        const rand = random();
         let cumulative = 0;
         
         // Bacilos (tipo 0)
@@ -203,8 +203,8 @@ class BacteriaVisualizationComponent {
             color(255, 150, 200) : // Rosa para fêmeas
             color(150, 200, 255);  // Azul para machos
             
-        // Ajuste de cor se estiver infectada
-        if (this.bacteria.isInfected) {
+        // Ajuste de cor se tiver sintomas (incubação e portadoras assintomáticas não aparecem)
+        if (this.bacteria.hasSymptoms) {
             return color(200, 150, 0); // Tom amarelado para indicar infecção
         }
         
@@ -286,8 +286,8 @@ class BacteriaVisualizationComponent {
         // Ajustes de cor baseados no estado
         let currentColor = baseColor;
         
-        // Ajuste de cor se estiver infectada
-        if (this.bacteria.isInfected) {
+        // Ajuste de cor se tiver sintomas (incubação e portadoras assintomáticas não aparecem)
+        if (this.bacteria.hasSymptoms) {
             currentColor = color(200, 150, 0); // Tom amarelado para indicar infecção
         }
         
@@ -321,6 +321,11 @@ class BacteriaVisualizationComponent {
                     // Apenas intensifica a cor original para exploração
                     currentColor = lerpColor(currentColor, color(255), 0.1);
                     break;
+                    
+                case "isolating":
+                    // Acinzentada durante o isolamento
+                    currentColor = lerpColor(currentColor, color(120), 0.4);
+                    break;
             }
             
             // Ajuste baseado na energia (mais transparente com menos energia)
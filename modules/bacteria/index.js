@@ -14,8 +14,8 @@ class Bacteria extends BacteriaBase {
         const parentDNA = params.parentDNA || null;
         const energy = typeof params.energy === 'number' ? params.energy : 100;
         
-        // Chama construtor da classe pai com parâmetros individuais
-        super(x, y, parentDNA, energy);
+        // Chama construtor da classe pai com parâmetros individuais (params.dna: DNA restaurado de um save)
+        super(x, y, parentDNA, energy, params.dna || null);
         
         // Garante que this.pos é um vetor válido
         if (!this.pos || typeof this.pos.x !== 'number' || isNaN(this.pos.x)) {
@@ -28,6 +28,14 @@ class Bacteria extends BacteriaBase {
         this.initialEnergy = typeof params.initialEnergy === 'number' ? params.initialEnergy : energy;
         this.isFemale = params.isFemale === true;
         
+        // Tamanho adulto: filhas de fissão nascem menores e crescem até ele
+        this.adultSize = this.size;
+        this.growthRate = 0.02; // Pixels por tick
+        
+        // Efeito das zonas ambientais (definido pelo EnvironmentSystem a cada tick)
+        this.zoneSpeedFactor = 1;
+        this.currentZones = [];
+        
         // Inicializa comportamentos
         this.initBehaviors();
         
@@ -139,6 +147,8 @@ class Bacteria extends BacteriaBase {
         this.social = new BacteriaSocial(this);
         this.reproduction = new Reproduction(this.isFemale);
         this.reproduction.setDNA(this.dna);
+        this.reproduction.setLearning(this.learning);
+        this.reproduction.ownerId = this.id;
     }
     
     /**
@@ -421,11 +431,17 @@ class Bacteria extends BacteriaBase {
         console.log(`Processando movimento da bactéria ${this.id}: estado=${stateInfo.state}`);
         
         // Obtém os parâmetros de movimento atuais
-        const params = stateInfo.movementParams || {
+        const baseParams = stateInfo.movementParams || {
             speed: 1.0,
             targetWeight: 0.5
         };
         
+        // Zonas ambientais aceleram as adaptadas e freiam as demais
+        const params = {
+            ...baseParams,
+            speed: (baseParams.speed || 1.0) * this.zoneSpeedFactor
+        };
+        
         // Não move se estiver descansando
         if (stateInfo.state === 'resting') {
             // Mesmo em descanso, aplica pequenos movimentos para parecer mais natural
@@ -433,6 +449,41 @@ class Bacteria extends BacteriaBase {
             return;
         }
         
+        // Biofilme: agregação lenta subindo o gradiente do autoindutor
+        if (stateInfo.state === 'biofilm') {
+            this.movement.aggregate(this.signalGradient, deltaTime, params.speed * 0.3);
+            return;
+        }
+        
+        // Defesa coletiva: movimento lento enquanto libera a toxina
+        if (stateInfo.state === 'defending') {
+            this.movement.moveRandom(deltaTime, params.speed * 0.5);
+            return;
+        }
+        
+        // Isolamento: com sintomas, anda devagar para longe das vizinhas
+        if (stateInfo.state === 'isolating') {
+            this.movement.avoid(this.avoidanceTargets, this.avoidanceWeight, deltaTime, params.speed * 0.3);
+            return;
+        }
+        
+        // Ataque coletivo: protetoras avançam sobre o predador (PreyDefenseSystem)
+        if (this.mobTarget && this.mobTarget.pos) {
+            this.movement.moveTowards(this.mobTarget.pos, deltaTime, params.speed * 1.2);
+            return;
+        }
+        
+        // Com predador por perto, agrupa-se com as vizinhas da mesma espécie (diluição do risco)
+        if (this.flockmates && typeof this.movement.flock === 'function') {
+            this.movement.flock(this.flockmates);
+        }
+        
+        // Distanciamento: afasta-se das vizinhas com sintomas (a fuga de predadores tem prioridade)
+        if (this.avoidanceTargets && stateInfo.state !== 'fleeing') {
+            this.movement.avoid(this.avoidanceTargets, this.avoidanceWeight, deltaTime, params.speed || 1.0);
+            return;
+        }
+        
         // Estado de busca por comida
         if ((stateInfo.state === 'seekingFood' || stateInfo.state === 'seekFood') && conditions.nearestFood) {
             const targetWeight = params.targetWeight || 0.5;
@@ -813,9 +864,7 @@ class Bacteria extends BacteriaBase {
         // Energia atual
         const energy = this.stateManager ? this.stateManager.currentEnergy : 50;
         
-        // Recompensa baseada na energia (valores negativos quando baixa energia)
-        if (energy < 20) reward -= 0.5;
-        else if (energy > 80) reward += 0.3;
+        // O nível de energia entra como modelagem por potencial (BacteriaLearning.observeReward)
         
         // Recompensas específicas por ação
         switch (action) {
@@ -901,15 +950,20 @@ class Bacteria extends BacteriaBase {
      */
     reproduce(partner) {
         // Verifica compatibilidade
-        if (!this.canReproduceWith(partner)) {
+        if (!this.canReproduceWith(partner) ||
+            !this.reproduction.canMateNow() || !partner.reproduction.canMateNow()) {
             return null;
         }
         
-        // Recupera o DNA do parceiro
-        const partnerDNA = partner.dna;
+        // A fêmea gera o filho com o DNA do macho
+        const mother = this.isFemale ? this : partner;
+        const father = this.isFemale ? partner : this;
+        mother.reproduction.startPregnancy(father.dna, father.id, father.learning);
+        const childDNA = mother.reproduction.giveBirth();
         
-        // Realiza a reprodução
-        const childDNA = this.reproduction.reproduce(partnerDNA);
+        // Período de recuperação para ambos
+        this.reproduction.matingCooldown = this.reproduction.matingCooldownTime;
+        partner.reproduction.matingCooldown = partner.reproduction.matingCooldownTime;
         
         // Gasta energia reproduzindo
         this.stateManager.consumeEnergy(30);
@@ -924,10 +978,30 @@ class Bacteria extends BacteriaBase {
             y: childY,
             parentDNA: childDNA,
             energy: 60,
-            initialState: "resting"
+            initialState: "resting",
+            isFemale: random() > 0.5
         });
     }
     
+    /**
+     * Cresce até o tamanho adulto enquanto tiver energia (mais devagar carregando plasmídeos)
+     */
+    grow() {
+        if (this.size < this.adultSize && this.stateManager && this.stateManager.currentEnergy > 50) {
+            const growth = this.growthRate * (1 - PlasmidSystem.getGrowthCost(this));
+            this.size = Math.min(this.adultSize, this.size + growth);
+        }
+    }
+    
+    /**
+     * Verifica se está pronta para a fissão binária (energia e tamanho suficientes)
+     * @returns {boolean}
+     */
+    canDivide() {
+        if (!this.reproduction || !this.stateManager) return false;
+        return this.reproduction.canDivide(this.stateManager.currentEnergy, this.size / this.adultSize);
+    }
+    
     /**
      * Verifica se pode reproduzir com outra bactéria
      * @param {Bacteria} partner - Parceiro potencial
@@ -431,7 +431,7 @@ class NeuralCommunication {
             // Verificação final para garantir que não há NaN
             if (isNaN(actionParams.direction)) {
                 console.warn('NeuralCommunication: Direção NaN detectada na decodificação');
-                actionParams.direction = Math.random() * Math.PI * 2;
+                actionParams.direction = random(TWO_PI);
             }
             
             if (isNaN(actionParams.magnitude) || actionParams.magnitude < 0) {
@@ -472,7 +472,7 @@ class NeuralCommunication {
      */
     getDefaultActionParams() {
         return {
-            direction: Math.random() * Math.PI * 2, // Direção aleatória
+            direction: random(TWO_PI), // Direção aleatória
             magnitude: 0.5, // Magnitude média
             duration: 90, // 3 segundos em 30fps
             type: this.interpretActionType(this.getDefaultMessage().slice(3)) // Primeiro tipo de ação
@@ -515,7 +515,7 @@ class NeuralCommunication {
             // Normaliza os parâmetros para garantir valores válidos
             let direction = typeof params.direction === 'number' && !isNaN(params.direction) 
                 ? params.direction 
-                : Math.random() * Math.PI * 2;
+                : random(TWO_PI);
                 
             let magnitude = typeof params.magnitude === 'number' && !isNaN(params.magnitude) 
                 ? Math.max(0, Math.min(1, params.magnitude)) 
@@ -608,7 +608,7 @@ class NeuralCommunication {
         
         try {
             const action = bacteria.lastCommunicationAction;
-            const timePassed = frameCount - action.time;
+            const timePassed = SimulationClock.now() - action.time;
             
             // Só avalia após passar tempo suficiente
             if (timePassed < action.params.duration) return;
@@ -662,7 +662,7 @@ class NeuralCommunication {
             
             this.rewardMemory[bacteria.id].push({
                 reward: reward,
-                time: frameCount
+                time: SimulationClock.now()
             });
             
             // Limpa a referência da ação
@@ -726,7 +726,7 @@ class NeuralCommunication {
                 
                 // Limpa recompensas antigas
                 this.rewardMemory[bacteriaId] = rewards.filter(r => 
-                    frameCount - r.time < 300 // Mantém apenas últimos 300 frames
+                    SimulationClock.now() - r.time < 300 // Mantém apenas últimos 300 ticks
                 );
             }
             
@@ -793,7 +793,7 @@ class NeuralCommunication {
             // Verifica se o índice do token dominante é válido
             if (maxTokenIndex >= message.length || isNaN(maxTokenIndex)) {
                 console.warn('NeuralCommunication: Índice de token dominante inválido:', maxTokenIndex);
-                maxTokenIndex = Math.floor(Math.random() * message.length); // Fallback para índice aleatório
+                maxTokenIndex = Math.floor(random(message.length)); // Fallback para índice aleatório
             }
             
             // Decodifica a mensagem para obter os parâmetros da ação
@@ -202,7 +202,11 @@ window.Controls = class Controls {
             window.EnvironmentControls &&
             window.VisualizationControls &&
             window.SaveControls &&
-            window.DiseaseControls
+            window.DiseaseControls &&
+            window.EpidemiologyControls &&
+            window.AntibioticControls &&
+            window.PopulationDynamicsControls &&
+            window.LearningControls
         ) {
             console.log("Todos os módulos de controle já estão carregados");
             return Promise.resolve();
@@ -234,6 +238,10 @@ window.Controls = class Controls {
             'modules/controls/VisualizationControls.js',
             'modules/controls/SaveControls.js',
             'modules/controls/DiseaseControls.js',
+            'modules/controls/EpidemiologyControls.js',
+            'modules/controls/AntibioticControls.js',
+            'modules/controls/PopulationDynamicsControls.js',
+            'modules/controls/LearningControls.js',
             'modules/controls/Controls.js'
         ];
 
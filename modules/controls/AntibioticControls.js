@@ -0,0 +1,201 @@
+/**
+ * Painel de antibióticos
+ * Pincel de zonas de tratamento, doses globais, esquema de dosagem automático,
+ * frequência dos alelos de resistência e exportação do histórico (CSV)
+ */
+// Verifica se a classe já foi definida antes de declarar
+if (!window.AntibioticControls) {
+    window.AntibioticControls = class AntibioticControls extends ControlsBase {
+        /**
+         * Configura o painel
+         */
+        setupControls() {
+            // Contêiner principal
+            this.controlsDiv = createDiv();
+            this.controlsDiv.class('controls-panel');
+            this.controlsDiv.id('antibiotic-controls');
+            this.controlsDiv.parent('controls-container');
+
+            // Título
+            const titleDiv = createDiv('Antibióticos');
+            titleDiv.class('controls-title');
+            titleDiv.parent(this.controlsDiv);
+
+            // Antibiótico usado pelo pincel, pelas doses e pelo esquema
+            this.typeSelect = createSelect();
+            this.typeSelect.parent(this.controlsDiv);
+            for (const [id, type] of Object.entries(AntibioticSystem.TYPES)) {
+                this.typeSelect.option(type.name, id);
+            }
+            this.typeSelect.changed(() => this.applySettings());
+
+            // Pincel
+            this.brushCheckbox = createCheckbox('Pincel de tratamento (clique e arraste)', false);
+            this.brushCheckbox.parent(this.controlsDiv);
+            this.brushCheckbox.changed(() => {
+                // Enquanto ativo, cliques no canvas pintam antibiótico em vez de selecionar
+                if (window.simulation) {
+                    window.simulation.isPaintingAntibiotic = this.brushCheckbox.checked();
+                }
+            });
+
+            // Dose
+            const doseContainer = createDiv();
+            doseContainer.parent(this.controlsDiv);
+            doseContainer.class('control-group');
+            createSpan('Dose: ').parent(doseContainer);
+            this.doseSlider = createSlider(0.1, 3, 0.5, 0.1);
+            this.doseSlider.parent(doseContainer);
+            this.doseLabel = createSpan('0.5');
+            this.doseLabel.parent(doseContainer);
+            this.doseSlider.input(() => this.applySettings());
+
+            // Doses avulsas
+            const applyButton = createButton('Aplicar dose global');
+            applyButton.class('control-button');
+            applyButton.parent(this.controlsDiv);
+            applyButton.mousePressed(() => {
+                const system = this.getSystem();
+                if (system) system.applyGlobal();
+            });
+
+            const clearButton = createButton('Remover antibióticos');
+            clearButton.class('control-button');
+            clearButton.parent(this.controlsDiv);
+            clearButton.mousePressed(() => {
+                const system = this.getSystem();
+                if (system) system.clear();
+            });
+
+            // Esquema de dosagem
+            this.scheduleSelect = createSelect();
+            this.scheduleSelect.parent(this.controlsDiv);
+            for (const [id, schedule] of Object.entries(AntibioticSystem.SCHEDULES)) {
+                this.scheduleSelect.option(schedule.name, id);
+            }
+            this.scheduleSelect.changed(() => this.applySettings(true));
+
+            // Período
+            const periodContainer = createDiv();
+            periodContainer.parent(this.controlsDiv);
+            periodContainer.class('control-group');
+            createSpan('Período: ').parent(periodContainer);
+            this.periodSlider = createSlider(60, 3000, 600, 60);
+            this.periodSlider.parent(periodContainer);
+            this.periodLabel = createSpan('600');
+            this.periodLabel.parent(periodContainer);
+            this.periodSlider.input(() => this.applySettings());
+
+            // Estatísticas
+            this.statsDiv = createDiv();
+            this.statsDiv.class('disease-stats');
+            this.statsDiv.parent(this.controlsDiv);
+
+            // Exportação
+            const csvButton = createButton('Exportar histórico (CSV)');
+            csvButton.class('control-button');
+            csvButton.parent(this.controlsDiv);
+            csvButton.mousePressed(() => this.exportHistory());
+
+            // Atualiza as estatísticas periodicamente
+            setInterval(() => {
+                this.updateStats();
+            }, 1000);
+        }
+
+        /**
+         * Sistema de antibióticos da simulação atual
+         * @returns {AntibioticSystem|null}
+         */
+        getSystem() {
+            if (!window.simulation) return null;
+            return window.simulation.antibioticSystem || null;
+        }
+
+        /**
+         * Repassa os valores do painel ao sistema
+         * @param {boolean} restartSchedule - Se o esquema recomeça do primeiro período
+         */
+        applySettings(restartSchedule = false) {
+            const system = this.getSystem();
+            const type = this.typeSelect.value();
+            const dose = this.doseSlider.value();
+            const period = this.periodSlider.value();
+
+            this.doseLabel.html(Number(dose).toFixed(1));
+            this.periodLabel.html(period);
+
+            if (!system) return;
+            system.selectedType = type;
+            system.dose = dose;
+            system.period = period;
+
+            const schedule = this.scheduleSelect.value();
+            if (restartSchedule || schedule !== system.schedule || type !== system.scheduleType) {
+                system.setSchedule(schedule, type);
+            }
+        }
+
+        /**
+         * Atualiza as estatísticas do painel
+         */
+        updateStats() {
+            const system = this.getSystem();
+            if (!system || !this.statsDiv) return;
+
+            try {
+                const summary = system.getSummary();
+                let statsHtml = 'Alelos resistentes:<br>';
+                for (const [id, type] of Object.entries(AntibioticSystem.TYPES)) {
+                    const color = ChemicalFieldSystem.FIELDS[id].color;
+                    statsHtml += `<span style="color:rgb(${color.join(',')})">■</span> ${type.name}: ` +
+                        `${(summary.frequencies[id] * 100).toFixed(1)}% ` +
+                        `(conc. ${summary.concentrations[id].toFixed(2)})<br>`;
+                }
+                statsHtml += `Mortes: ${summary.kills} | Curas: ${summary.cures}`;
+                this.statsDiv.html(statsHtml);
+            } catch (error) {
+                console.error("Erro ao atualizar painel de antibióticos:", error);
+            }
+        }
+
+        /**
+         * Baixa o histórico de frequências e concentrações
+         */
+        exportHistory() {
+            const system = this.getSystem();
+            if (!system) return;
+
+            try {
+                const blob = new Blob([system.historyToCSV() + '\n'], { type: 'text/csv' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `antibioticos_${window.simulation.rng.seed}_${window.simulation.frameCount}.csv`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (error) {
+                console.error("Erro ao exportar histórico de antibióticos:", error);
+            }
+        }
+
+        /**
+         * Configura os event listeners
+         * Mantido para compatibilidade com a interface dos outros controles
+         * @param {Object} callbacks - Objeto com os callbacks da aplicação
+         */
+        setupEventListeners(callbacks) {
+        }
+
+        /**
+         * Retorna o estado atual do painel
+         * @returns {Object} Estado atual
+         */
+        getState() {
+            return {
+                brushEnabled: this.brushCheckbox ? this.brushCheckbox.checked() : false,
+                antibiotic: this.typeSelect ? this.typeSelect.value() : null,
+                schedule: this.scheduleSelect ? this.scheduleSelect.value() : null
+            };
+        }
+    }
+}
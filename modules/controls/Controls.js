@@ -65,6 +65,15 @@ window.ControlsImpl = class extends ControlsBase {
         this.saveControls = new SaveControls(this.container);
         this.predatorControls = new PredatorControls(this.container);
         this.diseaseControls = new DiseaseControls(this.container);
+        this.diseaseControls.setupControls();
+        this.epidemiologyControls = new EpidemiologyControls();
+        this.epidemiologyControls.setupControls();
+        this.antibioticControls = new AntibioticControls();
+        this.antibioticControls.setupControls();
+        this.populationDynamicsControls = new PopulationDynamicsControls();
+        this.populationDynamicsControls.setupControls();
+        this.learningControls = new LearningControls();
+        this.learningControls.setupControls();
 
         // Adiciona estilos comuns a todos os controles
         this.applyCommonStyles();
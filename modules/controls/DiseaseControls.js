@@ -18,6 +18,7 @@ if (!window.DiseaseControls) {
                 maxDiseases: 5,
                 infectionRange: 50,
                 showDiseaseEffects: true,
+                behavioralDistancing: true,
                 diseaseDuration: 3000,
                 ...config
             };
@@ -47,7 +48,7 @@ if (!window.DiseaseControls) {
                     if (window.simulation && window.simulation.diseaseSystem) {
                         // Se desativado, remove todas as doenças ativas
                         if (!value) {
-                            window.simulation.diseaseSystem.diseases = [];
+                            window.simulation.diseaseSystem.clearDiseases();
                         }
                     }
                 }
@@ -110,6 +111,18 @@ if (!window.DiseaseControls) {
                 }
             );
             
+            // Toggle do distanciamento (bactérias atentas evitam doentes e se isolam com sintomas)
+            this.createToggle(
+                'Distanciamento Comportamental',
+                this.state.behavioralDistancing,
+                (value) => {
+                    this.setState({ behavioralDistancing: value });
+                    if (window.simulation && window.simulation.diseaseSystem) {
+                        window.simulation.diseaseSystem.distancing.enabled = value;
+                    }
+                }
+            );
+            
             // Toggle para mostrar efeitos visuais das doenças
             this.createToggle(
                 'Efeitos Visuais',
@@ -122,13 +135,20 @@ if (!window.DiseaseControls) {
                 }
             );
             
+            // Definição usada pelo botão de criar doença
+            this.definitionSelect = createSelect();
+            this.definitionSelect.parent(this.controlsDiv);
+            this.updateDefinitionSelect();
+
             // Botão para criar doença manualmente
             const createDiseaseButton = createButton('Criar Nova Doença');
             createDiseaseButton.class('control-button');
             createDiseaseButton.parent(this.controlsDiv);
             createDiseaseButton.mousePressed(() => {
                 if (window.simulation && window.simulation.diseaseSystem) {
-                    window.simulation.diseaseSystem.createRandomDisease();
+                    const diseaseSystem = window.simulation.diseaseSystem;
+                    const index = this.definitionSelect.value();
+                    diseaseSystem.createRandomDisease(index === 'random' ? null : diseaseSystem.definitions[index]);
                 }
             });
             
@@ -138,10 +158,12 @@ if (!window.DiseaseControls) {
             clearDiseasesButton.parent(this.controlsDiv);
             clearDiseasesButton.mousePressed(() => {
                 if (window.simulation && window.simulation.diseaseSystem) {
-                    window.simulation.diseaseSystem.diseases = [];
+                    window.simulation.diseaseSystem.clearDiseases();
                 }
             });
             
+            this.setupDefinitionEditor();
+            
             // Estatísticas de doenças
             this.statsDiv = createDiv();
             this.statsDiv.class('disease-stats');
@@ -154,6 +176,114 @@ if (!window.DiseaseControls) {
             }, 1000);
         }
         
+        /**
+         * Editor das definições de doenças (JSON, ver DiseaseDefinitions)
+         */
+        setupDefinitionEditor() {
+            const editorTitle = createDiv('Definições de doenças (JSON)');
+            editorTitle.class('control-item');
+            editorTitle.parent(this.controlsDiv);
+
+            this.definitionsInput = createElement('textarea');
+            this.definitionsInput.attribute('rows', '10');
+            this.definitionsInput.attribute('spellcheck', 'false');
+            this.definitionsInput.style('width', '100%');
+            this.definitionsInput.style('font-family', 'monospace');
+            this.definitionsInput.style('font-size', '11px');
+            this.definitionsInput.parent(this.controlsDiv);
+            this.showDefinitions(DiseaseDefinitions.DEFAULTS);
+
+            const applyButton = createButton('Aplicar Definições');
+            applyButton.class('control-button');
+            applyButton.parent(this.controlsDiv);
+            applyButton.mousePressed(() => this.applyDefinitions(this.definitionsInput.value()));
+
+            // Arquivo .json lido no navegador
+            const fileLabel = createDiv('Carregar arquivo JSON:');
+            fileLabel.class('control-item');
+            fileLabel.parent(this.controlsDiv);
+            const fileInput = createFileInput((file) => {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    this.definitionsInput.value(reader.result);
+                    this.applyDefinitions(reader.result);
+                };
+                reader.onerror = () => this.showDefinitionErrors([`Não foi possível ler ${file.name}`]);
+                reader.readAsText(file.file);
+            });
+            fileInput.attribute('accept', '.json,application/json');
+            fileInput.parent(this.controlsDiv);
+
+            const resetButton = createButton('Restaurar Padrão');
+            resetButton.class('control-button');
+            resetButton.parent(this.controlsDiv);
+            resetButton.mousePressed(() => {
+                this.showDefinitions(DiseaseDefinitions.DEFAULTS);
+                this.applyDefinitions(DiseaseDefinitions.getDefaults());
+            });
+
+            // Resultado da validação
+            this.definitionStatusDiv = createDiv();
+            this.definitionStatusDiv.class('disease-stats');
+            this.definitionStatusDiv.parent(this.controlsDiv);
+        }
+
+        /**
+         * Mostra definições no editor
+         * @param {Array<Object>} definitions - Definições
+         */
+        showDefinitions(definitions) {
+            this.definitionsInput.value(JSON.stringify(definitions, null, 2));
+        }
+
+        /**
+         * Valida e carrega definições no sistema de doenças
+         * @param {string|Array<Object>} input - JSON (texto ou objeto)
+         */
+        applyDefinitions(input) {
+            if (!window.simulation || !window.simulation.diseaseSystem) return;
+
+            try {
+                const errors = window.simulation.diseaseSystem.loadDefinitions(input);
+                if (errors.length > 0) {
+                    this.showDefinitionErrors(errors);
+                    return;
+                }
+                const count = window.simulation.diseaseSystem.definitions.length;
+                this.definitionStatusDiv.style('color', '');
+                this.definitionStatusDiv.html(`${count} definições carregadas. Novas doenças seguem estas definições.`);
+                this.updateDefinitionSelect();
+            } catch (error) {
+                console.error("Erro ao carregar definições de doenças:", error);
+            }
+        }
+
+        /**
+         * Lista os erros de validação (as definições anteriores continuam valendo)
+         * @param {Array<string>} errors - Mensagens de erro
+         */
+        showDefinitionErrors(errors) {
+            this.definitionStatusDiv.style('color', 'rgb(255, 100, 100)');
+            this.definitionStatusDiv.html('Definições não carregadas:<br>' +
+                errors.map(error => `- ${error}`).join('<br>'));
+        }
+
+        /**
+         * Atualiza as opções do seletor de definição
+         */
+        updateDefinitionSelect() {
+            const definitions = window.simulation && window.simulation.diseaseSystem
+                ? window.simulation.diseaseSystem.definitions
+                : DiseaseDefinitions.DEFAULTS;
+
+            this.definitionSelect.html('');
+            this.definitionSelect.option('Definição aleatória', 'random');
+            definitions.forEach((definition, i) => {
+                this.definitionSelect.option(DiseaseDefinitions.getLabel(definition), i);
+            });
+            this.definitionSelect.selected('random');
+        }
+
         /**
          * Atualiza as estatísticas exibidas
          */
@@ -163,13 +293,21 @@ if (!window.DiseaseControls) {
             const stats = window.simulation.diseaseSystem.getStatistics();
             let statsHtml = 'Estatísticas das Doenças:<br>';
             statsHtml += `Doenças ativas: ${stats.activeDiseases}<br>`;
-            statsHtml += `Total de infectados: ${stats.totalInfected}<br>`;
+            statsHtml += `Cepas ativas: ${stats.activeStrains} (${stats.totalStrains} surgidas)<br>`;
+            statsHtml += `Total de infectados: ${stats.totalInfected} (${stats.symptomatic} com sintomas)<br>`;
             statsHtml += `Taxa de infecção: ${(stats.infectionRate * 100).toFixed(1)}%<br>`;
+            statsHtml += 'Infecções por via: ' + Object.entries(Disease.ROUTES)
+                .map(([route, definition]) => `${definition.name} ${stats.routes[route] || 0}`)
+                .join(' | ') + '<br>';
+            statsHtml += stats.distancing.enabled
+                ? `Em isolamento: ${stats.distancing.isolating} | Evitando doentes: ${stats.distancing.avoiding}<br>`
+                : 'Distanciamento desativado<br>';
             
             if (stats.diseaseNames.length > 0) {
                 statsHtml += '<br>Doenças:<br>';
                 for (const disease of stats.diseaseNames) {
-                    statsHtml += `- ${disease.name}: ${disease.infected} infectados, ${disease.immune} imunes<br>`;
+                    const routes = disease.routes.map(route => Disease.ROUTES[route].name).join(', ');
+                    statsHtml += `- ${disease.name} (geração ${disease.generation}, ${routes}): ${disease.infected} infectados (${disease.asymptomatic} assintomáticos), ${disease.immune} imunes<br>`;
                 }
             }
             
@@ -0,0 +1,220 @@
+/**
+ * Painel de epidemiologia
+ * Curvas S/I/R do surto escolhido, R0, Rt, intervalo serial e exportação (CSV/JSON)
+ * dos dados do EpidemiologyTracker
+ */
+// Verifica se a classe já foi definida antes de declarar
+if (!window.EpidemiologyControls) {
+    window.EpidemiologyControls = class EpidemiologyControls extends ControlsBase {
+        /**
+         * Inicializa o painel de epidemiologia
+         */
+        constructor() {
+            super();
+
+            this.selectedOutbreak = null; // ID do surto exibido (null: o mais recente)
+            this.chartWidth = 220;
+            this.chartHeight = 100;
+            this.colors = {
+                S: '#4a9eff',
+                I: '#ff5c5c',
+                R: '#4CD137'
+            };
+        }
+
+        /**
+         * Configura o painel
+         */
+        setupControls() {
+            // Contêiner principal
+            this.controlsDiv = createDiv();
+            this.controlsDiv.class('controls-panel');
+            this.controlsDiv.id('epidemiology-controls');
+            this.controlsDiv.parent('controls-container');
+
+            // Título
+            const titleDiv = createDiv('Epidemiologia');
+            titleDiv.class('controls-title');
+            titleDiv.parent(this.controlsDiv);
+
+            // Seleção do surto
+            this.outbreakSelect = createSelect();
+            this.outbreakSelect.parent(this.controlsDiv);
+            this.outbreakSelect.option('Surto mais recente', '');
+            this.outbreakSelect.changed(() => {
+                const value = this.outbreakSelect.value();
+                this.selectedOutbreak = value === '' ? null : Number(value);
+                this.updateStats();
+            });
+
+            // Gráfico S/I/R
+            this.chartDiv = createDiv();
+            this.chartDiv.parent(this.controlsDiv);
+
+            // Estimativas
+            this.statsDiv = createDiv();
+            this.statsDiv.class('disease-stats');
+            this.statsDiv.parent(this.controlsDiv);
+            this.statsDiv.html('Nenhum surto registrado.');
+
+            // Exportação
+            const csvButton = createButton('Exportar CSV');
+            csvButton.class('control-button');
+            csvButton.parent(this.controlsDiv);
+            csvButton.mousePressed(() => this.export('csv'));
+
+            const jsonButton = createButton('Exportar JSON');
+            jsonButton.class('control-button');
+            jsonButton.parent(this.controlsDiv);
+            jsonButton.mousePressed(() => this.export('json'));
+
+            // Atualiza o painel periodicamente
+            setInterval(() => {
+                this.updateStats();
+            }, 1000);
+        }
+
+        /**
+         * Rastreador epidemiológico da simulação atual
+         * @returns {EpidemiologyTracker|null}
+         */
+        getTracker() {
+            if (!window.simulation || !window.simulation.diseaseSystem) return null;
+            return window.simulation.diseaseSystem.epidemiology || null;
+        }
+
+        /**
+         * Atualiza a lista de surtos, o gráfico e as estimativas
+         */
+        updateStats() {
+            const tracker = this.getTracker();
+            if (!tracker || !this.statsDiv) return;
+
+            try {
+                const outbreaks = [...tracker.outbreaks.values()];
+                this.updateOutbreakOptions(outbreaks);
+
+                const outbreak = this.selectedOutbreak !== null && tracker.outbreaks.has(this.selectedOutbreak)
+                    ? tracker.outbreaks.get(this.selectedOutbreak)
+                    : outbreaks[outbreaks.length - 1];
+
+                if (!outbreak) {
+                    this.chartDiv.html('');
+                    this.statsDiv.html('Nenhum surto registrado.');
+                    return;
+                }
+
+                const summary = tracker.summarizeOutbreak(outbreak);
+                const format = value => value === null ? '-' : value.toFixed(2);
+                const interval = (label, value) => value
+                    ? `${label}: ${value.mean.toFixed(0)} ± ${value.sd.toFixed(0)} ticks (${value.count} transmissões)`
+                    : `${label}: -`;
+
+                let statsHtml = `${summary.name} (${summary.endTick === null ? 'ativo' : 'encerrado'})<br>`;
+                statsHtml += `S: ${summary.S} | I: ${summary.I} | R: ${summary.R}<br>`;
+                statsHtml += `Em incubação: ${summary.E} | Assintomáticos: ${summary.A}<br>`;
+                statsHtml += `Casos: ${summary.cases} | Pico: ${summary.peak}<br>`;
+                statsHtml += 'Vias: ' + Object.entries(Disease.ROUTES)
+                    .map(([route, definition]) => `${definition.name} ${summary.routes[route] || 0}`)
+                    .join(' | ') + '<br>';
+                statsHtml += `R0: ${format(summary.R0)} | Rt: ${format(summary.Rt)}<br>`;
+                statsHtml += interval('Intervalo de geração', summary.generationInterval) + '<br>';
+                statsHtml += interval('Intervalo serial', summary.serialInterval);
+
+                this.chartDiv.html(this.renderChart(tracker.getSamples(outbreak, this.chartWidth)));
+                this.statsDiv.html(statsHtml);
+            } catch (error) {
+                console.error("Erro ao atualizar painel de epidemiologia:", error);
+            }
+        }
+
+        /**
+         * Mantém as opções do seletor iguais aos surtos guardados
+         * @param {Array<Object>} outbreaks - Surtos do rastreador
+         */
+        updateOutbreakOptions(outbreaks) {
+            const signature = outbreaks.map(outbreak => outbreak.id).join(',');
+            if (signature === this.optionsSignature) return;
+            this.optionsSignature = signature;
+
+            const select = this.outbreakSelect.elt;
+            while (select.options.length > 1) {
+                select.remove(1);
+            }
+            for (const outbreak of outbreaks) {
+                this.outbreakSelect.option(`#${outbreak.id} ${outbreak.name}`, String(outbreak.id));
+            }
+            select.value = this.selectedOutbreak !== null && outbreaks.some(o => o.id === this.selectedOutbreak)
+                ? String(this.selectedOutbreak)
+                : '';
+        }
+
+        /**
+         * Curvas S/I/R em SVG
+         * @param {Array<Object>} samples - Amostras {tick, S, I, R}, já reduzidas a no máximo uma por pixel
+         * @returns {string} - HTML
+         */
+        renderChart(samples) {
+            if (!samples || samples.length < 2) return '';
+
+            const width = this.chartWidth;
+            const height = this.chartHeight;
+            const maxTotal = Math.max(1, ...samples.map(sample => sample.S + sample.I + sample.R));
+            const scaleX = width / (samples.length - 1);
+
+            const parts = ['S', 'I', 'R'].map(key => {
+                const points = samples.map((sample, i) =>
+                    `${(i * scaleX).toFixed(1)},${(height - (sample[key] / maxTotal) * height).toFixed(1)}`
+                ).join(' ');
+                return `<polyline points="${points}" fill="none" stroke="${this.colors[key]}" stroke-width="1.5"/>`;
+            });
+
+            const first = samples[0].tick;
+            const last = samples[samples.length - 1].tick;
+            const legend = ['S', 'I', 'R'].map(key =>
+                `<span style="color:${this.colors[key]}">■</span> ${key}`
+            ).join(' ');
+
+            return `<svg width="${width}" height="${height}" style="background:#1e2129">${parts.join('')}</svg>` +
+                `<div style="font-size:10px">${legend} — ticks ${first} a ${last}</div>`;
+        }
+
+        /**
+         * Baixa os dados epidemiológicos
+         * @param {string} format - 'csv' (séries S/I/R) ou 'json' (surtos completos)
+         */
+        export(format) {
+            const tracker = this.getTracker();
+            if (!tracker) return;
+
+            try {
+                const content = format === 'csv' ? tracker.toCSV() : tracker.toJSON();
+                const type = format === 'csv' ? 'text/csv' : 'application/json';
+                const blob = new Blob([content + '\n'], { type: type });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `epidemiologia_${window.simulation.rng.seed}_${window.simulation.frameCount}.${format}`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (error) {
+                console.error("Erro ao exportar dados epidemiológicos:", error);
+            }
+        }
+
+        /**
+         * Configura os event listeners
+         * Mantido para compatibilidade com a interface dos outros controles
+         * @param {Object} callbacks - Objeto com os callbacks da aplicação
+         */
+        setupEventListeners(callbacks) {
+        }
+
+        /**
+         * Retorna o estado atual do painel
+         * @returns {Object} Estado atual
+         */
+        getState() {
+            return { selectedOutbreak: this.selectedOutbreak };
+        }
+    }
+}
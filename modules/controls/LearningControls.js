@@ -0,0 +1,289 @@
+/**
+ * Painel de aprendizado por reforço
+ * Modo de aprendizado, hiperparâmetros do Q-Learning (α, γ, ε) e do replay neural,
+ * sensores direcionais (BacteriaSensors.config) e a curva de aprendizado
+ * (recompensa média e ε ao longo do tempo)
+ */
+// Verifica se a classe já foi definida antes de declarar
+if (!window.LearningControls) {
+    window.LearningControls = class LearningControls extends ControlsBase {
+        /**
+         * Inicializa o painel de aprendizado
+         */
+        constructor() {
+            super();
+
+            this.chartWidth = 220;
+            this.chartHeight = 100;
+            this.colors = {
+                reward: '#4CD137',
+                exploration: '#f5c542'
+            };
+
+            // Hiperparâmetros ajustáveis: chave em BacteriaLearning.hyperparameters, rótulo e faixa
+            this.sliderSpecs = [
+                { key: 'learningRate', label: 'Taxa α', min: 0.01, max: 1, step: 0.01 },
+                { key: 'discountFactor', label: 'Desconto γ', min: 0, max: 0.99, step: 0.01 },
+                { key: 'epsilon', label: 'ε inicial', min: 0, max: 1, step: 0.05 },
+                { key: 'epsilonDecay', label: 'Decaimento de ε', min: 0.99, max: 1, step: 0.0005 },
+                { key: 'minEpsilon', label: 'ε mínimo', min: 0, max: 0.5, step: 0.01 },
+                { key: 'replayBatchSize', label: 'Lote do replay', min: 4, max: 64, step: 4 },
+                { key: 'replayInterval', label: 'Intervalo do replay', min: 5, max: 120, step: 5 },
+                { key: 'policyStepSize', label: 'Passo da política', min: 0.05, max: 2, step: 0.05 },
+                { key: 'policyNoise', label: 'Ruído de exploração', min: 0, max: 0.5, step: 0.01 }
+            ];
+            this.sliders = {};
+
+            // Sensores direcionais: chave em BacteriaSensors.config, rótulo e faixa
+            this.sensorSliderSpecs = [
+                { key: 'fieldOfView', label: 'Campo de visão (°)', min: 90, max: 360, step: 10 },
+                { key: 'count', label: 'Sensores (sem evolução)', min: 2, max: 12, step: 1 },
+                { key: 'range', label: 'Alcance (sem evolução)', min: 60, max: 300, step: 10 }
+            ];
+            this.sensorSliders = {};
+        }
+
+        /**
+         * Configura o painel
+         */
+        setupControls() {
+            // Contêiner principal
+            this.controlsDiv = createDiv();
+            this.controlsDiv.class('controls-panel');
+            this.controlsDiv.id('learning-controls');
+            this.controlsDiv.parent('controls-container');
+
+            // Título
+            const titleDiv = createDiv('Aprendizado por Reforço');
+            titleDiv.class('controls-title');
+            titleDiv.parent(this.controlsDiv);
+
+            // Modo de aprendizado
+            this.modeSelect = createSelect();
+            this.modeSelect.parent(this.controlsDiv);
+            this.modeSelect.option('Rede neural + Q-Learning', 'neural');
+            this.modeSelect.option('Só Q-Learning', 'qlearning');
+            this.modeSelect.selected(BacteriaLearning.mode);
+            this.modeSelect.changed(() => this.applyMode());
+
+            // Hiperparâmetros
+            for (const spec of this.sliderSpecs) {
+                const container = createDiv();
+                container.parent(this.controlsDiv);
+                container.class('control-group');
+                createSpan(`${spec.label}: `).parent(container);
+                const value = BacteriaLearning.hyperparameters[spec.key];
+                const slider = createSlider(spec.min, spec.max, value, spec.step);
+                slider.parent(container);
+                const label = createSpan(this.formatValue(value, spec.step));
+                label.parent(container);
+                slider.input(() => this.applySettings());
+                this.sliders[spec.key] = { slider, label, spec };
+            }
+
+            // Sensores direcionais
+            const sensorsTitle = createDiv('Sensores direcionais');
+            sensorsTitle.style('font-weight', 'bold');
+            sensorsTitle.style('margin', '8px 0 4px');
+            sensorsTitle.parent(this.controlsDiv);
+
+            this.sensorTypeSelect = createSelect();
+            this.sensorTypeSelect.parent(this.controlsDiv);
+            this.sensorTypeSelect.option('Setores angulares', 'sectors');
+            this.sensorTypeSelect.option('Raios', 'rays');
+            this.sensorTypeSelect.selected(BacteriaSensors.config.type);
+            this.sensorTypeSelect.changed(() => this.applySensorSettings());
+
+            this.sensorEvolveCheckbox = createCheckbox('Número e alcance evoluem (genes)', BacteriaSensors.config.evolve);
+            this.sensorEvolveCheckbox.parent(this.controlsDiv);
+            this.sensorEvolveCheckbox.changed(() => this.applySensorSettings());
+
+            for (const spec of this.sensorSliderSpecs) {
+                const container = createDiv();
+                container.parent(this.controlsDiv);
+                container.class('control-group');
+                createSpan(`${spec.label}: `).parent(container);
+                const value = BacteriaSensors.config[spec.key];
+                const slider = createSlider(spec.min, spec.max, value, spec.step);
+                slider.parent(container);
+                const label = createSpan(this.formatValue(value, spec.step));
+                label.parent(container);
+                slider.input(() => this.applySensorSettings());
+                this.sensorSliders[spec.key] = { slider, label, spec };
+            }
+
+            const sensorsNote = createDiv('Número e alcance valem para as bactérias que nascerem depois.');
+            sensorsNote.style('font-size', '10px');
+            sensorsNote.style('color', '#aaa');
+            sensorsNote.style('margin-bottom', '10px');
+            sensorsNote.parent(this.controlsDiv);
+
+            // Exploração das bactérias vivas
+            const resetButton = createButton('Reiniciar exploração (ε)');
+            resetButton.class('control-button');
+            resetButton.parent(this.controlsDiv);
+            resetButton.mousePressed(() => this.resetExploration());
+
+            // Curva de aprendizado
+            this.chartDiv = createDiv();
+            this.chartDiv.parent(this.controlsDiv);
+
+            // Estatísticas
+            this.statsDiv = createDiv();
+            this.statsDiv.class('disease-stats');
+            this.statsDiv.parent(this.controlsDiv);
+            this.statsDiv.html('Sem dados ainda.');
+
+            // Atualiza o painel periodicamente
+            setInterval(() => {
+                this.updateStats();
+            }, 1000);
+        }
+
+        /**
+         * Formata um valor com as casas decimais do passo do slider
+         * @param {number} value - Valor
+         * @param {number} step - Passo do slider
+         * @returns {string}
+         */
+        formatValue(value, step) {
+            const decimals = step >= 1 ? 0 : Math.min(4, String(step).split('.')[1].length);
+            return Number(value).toFixed(decimals);
+        }
+
+        /**
+         * Repassa os sliders aos hiperparâmetros compartilhados
+         */
+        applySettings() {
+            for (const { slider, label, spec } of Object.values(this.sliders)) {
+                const value = Number(slider.value());
+                BacteriaLearning.hyperparameters[spec.key] = value;
+                label.html(this.formatValue(value, spec.step));
+            }
+        }
+
+        /**
+         * Repassa o tipo, a evolução e os sliders dos sensores à configuração compartilhada
+         */
+        applySensorSettings() {
+            const type = this.sensorTypeSelect.value();
+            if (BacteriaSensors.TYPES.includes(type)) {
+                BacteriaSensors.config.type = type;
+            }
+            BacteriaSensors.config.evolve = this.sensorEvolveCheckbox.checked();
+            for (const { slider, label, spec } of Object.values(this.sensorSliders)) {
+                const value = Number(slider.value());
+                BacteriaSensors.config[spec.key] = value;
+                label.html(this.formatValue(value, spec.step));
+            }
+        }
+
+        /**
+         * Aplica o modo de aprendizado às novas bactérias e às vivas
+         */
+        applyMode() {
+            const mode = this.modeSelect.value();
+            if (!BacteriaLearning.MODES.includes(mode)) return;
+            BacteriaLearning.mode = mode;
+
+            for (const bacteria of this.getBacteria()) {
+                if (bacteria.learning) {
+                    bacteria.learning.useNeural = mode === 'neural';
+                }
+            }
+        }
+
+        /**
+         * Devolve o ε de todas as bactérias vivas ao valor inicial
+         */
+        resetExploration() {
+            for (const bacteria of this.getBacteria()) {
+                if (bacteria.learning && bacteria.learning.qLearning) {
+                    bacteria.learning.qLearning.epsilon = BacteriaLearning.hyperparameters.epsilon;
+                }
+            }
+        }
+
+        /**
+         * Bactérias vivas da simulação atual
+         * @returns {Array<Bacteria>}
+         */
+        getBacteria() {
+            if (!window.simulation || !window.simulation.entityManager) return [];
+            return window.simulation.entityManager.bacteria;
+        }
+
+        /**
+         * Atualiza a curva e as estatísticas
+         */
+        updateStats() {
+            if (!window.simulation || !window.simulation.statsManager || !this.statsDiv) return;
+
+            try {
+                const statsManager = window.simulation.statsManager;
+                const history = statsManager.learningHistory;
+                const summary = statsManager.getLearningSummary();
+
+                this.chartDiv.html(history.length >= 2 ? this.renderCurve(history) : '');
+                this.statsDiv.html(
+                    `Recompensa média: ${summary.averageReward.toFixed(3)}<br>` +
+                    `ε médio: ${summary.explorationRate.toFixed(3)}<br>` +
+                    `Erro TD médio: ${summary.averageTDError.toFixed(3)}<br>` +
+                    `Recompensa no início / agora: ${summary.earlyReward.toFixed(3)} / ${summary.lateReward.toFixed(3)}<br>` +
+                    `Sensores médios: ${statsManager.stats.averageSensorCount.toFixed(1)}, alcance ${statsManager.stats.averageSensorRange.toFixed(0)}`
+                );
+            } catch (error) {
+                console.error("Erro ao atualizar painel de aprendizado:", error);
+            }
+        }
+
+        /**
+         * Recompensa média e ε ao longo do tempo em SVG (cada série na própria escala)
+         * @param {Array<Object>} history - Amostras {tick, averageReward, explorationRate}
+         * @returns {string} - HTML
+         */
+        renderCurve(history) {
+            const width = this.chartWidth;
+            const height = this.chartHeight;
+            const step = Math.max(1, Math.ceil(history.length / width));
+            const samples = history.filter((sample, i) => i % step === 0 || i === history.length - 1);
+            const scaleX = width / Math.max(1, samples.length - 1);
+
+            const parts = [['averageReward', 'reward'], ['explorationRate', 'exploration']].map(([key, color]) => {
+                const values = samples.map(sample => sample[key]);
+                const min = Math.min(0, ...values);
+                const range = Math.max(1e-6, Math.max(...values) - min);
+                const points = values.map((value, i) =>
+                    `${(i * scaleX).toFixed(1)},${(height - ((value - min) / range) * height).toFixed(1)}`
+                ).join(' ');
+                return `<polyline points="${points}" fill="none" stroke="${this.colors[color]}" stroke-width="1.5"/>`;
+            });
+
+            const first = history[0].tick;
+            const last = history[history.length - 1].tick;
+            const legend = `<span style="color:${this.colors.reward}">■</span> Recompensa ` +
+                `<span style="color:${this.colors.exploration}">■</span> ε`;
+
+            return `<svg width="${width}" height="${height}" style="background:#1e2129">${parts.join('')}</svg>` +
+                `<div style="font-size:10px">${legend} — ticks ${first} a ${last}</div>`;
+        }
+
+        /**
+         * Configura os event listeners
+         * Mantido para compatibilidade com a interface dos outros controles
+         * @param {Object} callbacks - Objeto com os callbacks da aplicação
+         */
+        setupEventListeners(callbacks) {
+        }
+
+        /**
+         * Retorna o estado atual do painel
+         * @returns {Object} Estado atual
+         */
+        getState() {
+            return {
+                learning: this.modeSelect ? this.modeSelect.value() : BacteriaLearning.mode
+            };
+        }
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * Painel de dinâmica populacional
+ * Séries de presas e predadores, retrato de fase (presas × predadores) com a trajetória
+ * do modelo de Lotka–Volterra ajustado, parâmetros do ajuste, período e amplitude das
+ * oscilações e exportação do histórico (PopulationDynamicsTracker) em CSV
+ */
+// Verifica se a classe já foi definida antes de declarar
+if (!window.PopulationDynamicsControls) {
+    window.PopulationDynamicsControls = class PopulationDynamicsControls extends ControlsBase {
+        /**
+         * Inicializa o painel de dinâmica populacional
+         */
+        constructor() {
+            super();
+
+            this.chartWidth = 220;
+            this.chartHeight = 100;
+            this.portraitSize = 180;
+            this.renderedLength = -1; // Amostras no último desenho (só redesenha quando há novas)
+            this.colors = {
+                prey: '#4CD137',
+                predators: '#ff5c5c',
+                model: '#f5c542'
+            };
+        }
+
+        /**
+         * Configura o painel
+         */
+        setupControls() {
+            // Contêiner principal
+            this.controlsDiv = createDiv();
+            this.controlsDiv.class('controls-panel');
+            this.controlsDiv.id('population-dynamics-controls');
+            this.controlsDiv.parent('controls-container');
+
+            // Título
+            const titleDiv = createDiv('Dinâmica Predador-Presa');
+            titleDiv.class('controls-title');
+            titleDiv.parent(this.controlsDiv);
+
+            // Séries temporais e retrato de fase
+            this.chartDiv = createDiv();
+            this.chartDiv.parent(this.controlsDiv);
+
+            this.portraitDiv = createDiv();
+            this.portraitDiv.parent(this.controlsDiv);
+
+            // Ajuste e oscilações
+            this.statsDiv = createDiv();
+            this.statsDiv.class('disease-stats');
+            this.statsDiv.parent(this.controlsDiv);
+            this.statsDiv.html('Sem dados ainda.');
+
+            // Exportação
+            const csvButton = createButton('Exportar histórico (CSV)');
+            csvButton.class('control-button');
+            csvButton.parent(this.controlsDiv);
+            csvButton.mousePressed(() => this.export());
+
+            // Atualiza o painel periodicamente
+            setInterval(() => {
+                this.updateStats();
+            }, 1000);
+        }
+
+        /**
+         * Rastreador da simulação atual
+         * @returns {PopulationDynamicsTracker|null}
+         */
+        getTracker() {
+            if (!window.simulation) return null;
+            return window.simulation.populationDynamics || null;
+        }
+
+        /**
+         * Atualiza gráficos e estimativas
+         */
+        updateStats() {
+            const tracker = this.getTracker();
+            if (!tracker || !this.statsDiv) return;
+
+            try {
+                if (tracker.length === this.renderedLength) return;
+                this.renderedLength = tracker.length;
+
+                if (tracker.length < 2) {
+                    this.chartDiv.html('');
+                    this.portraitDiv.html('');
+                    this.statsDiv.html('Sem dados ainda.');
+                    return;
+                }
+
+                // O ajuste usa o histórico completo; os gráficos, só amostras reduzidas
+                const analysis = tracker.getAnalysis();
+                this.chartDiv.html(this.renderSeries(tracker.getSamples(this.chartWidth)));
+                this.portraitDiv.html(this.renderPortrait(tracker.getSamples(this.portraitSize * 2), analysis.fit));
+                this.statsDiv.html(this.renderAnalysis(analysis));
+            } catch (error) {
+                console.error("Erro ao atualizar painel de dinâmica populacional:", error);
+            }
+        }
+
+        /**
+         * Presas e predadores ao longo do tempo em SVG (cada série na própria escala)
+         * @param {Array<Object>} samples - Amostras reduzidas {tick, prey, predators}
+         * @returns {string} - HTML
+         */
+        renderSeries(samples) {
+            const width = this.chartWidth;
+            const height = this.chartHeight;
+            const scaleX = width / Math.max(1, samples.length - 1);
+
+            const parts = ['prey', 'predators'].map(key => {
+                const max = Math.max(1, ...samples.map(sample => sample[key]));
+                const points = samples.map((sample, i) =>
+                    `${(i * scaleX).toFixed(1)},${(height - (sample[key] / max) * height).toFixed(1)}`
+                ).join(' ');
+                return `<polyline points="${points}" fill="none" stroke="${this.colors[key]}" stroke-width="1.5"/>`;
+            });
+
+            const first = samples[0].tick;
+            const last = samples[samples.length - 1].tick;
+            const legend = `<span style="color:${this.colors.prey}">■</span> Presas ` +
+                `<span style="color:${this.colors.predators}">■</span> Predadores`;
+
+            return `<svg width="${width}" height="${height}" style="background:#1e2129">${parts.join('')}</svg>` +
+                `<div style="font-size:10px">${legend} — ticks ${first} a ${last}</div>`;
+        }
+
+        /**
+         * Retrato de fase: presas no eixo X, predadores no eixo Y; a trajetória do modelo
+         * ajustado (tracejada) parte da primeira amostra e dura o mesmo tempo
+         * @param {Array<Object>} samples - Amostras reduzidas {tick, prey, predators}
+         * @param {Object|null} fit - Ajuste de Lotka–Volterra
+         * @returns {string} - HTML
+         */
+        renderPortrait(samples, fit) {
+            const size = this.portraitSize;
+
+            let model = [];
+            if (fit) {
+                const duration = samples[samples.length - 1].tick - samples[0].tick;
+                const step = Math.max(1, Math.ceil(duration / (size * 2)));
+                model = PopulationDynamicsTracker.integrate(fit, samples[0].prey, samples[0].predators, duration, step);
+            }
+
+            const maxPrey = Math.max(1, ...samples.map(s => s.prey), ...model.map(p => Math.min(p.prey, 1000)));
+            const maxPredators = Math.max(1, ...samples.map(s => s.predators), ...model.map(p => Math.min(p.predators, 1000)));
+            const toPoint = (prey, predators) =>
+                `${((Math.min(prey, maxPrey) / maxPrey) * size).toFixed(1)},${(size - (Math.min(predators, maxPredators) / maxPredators) * size).toFixed(1)}`;
+
+            const observed = samples.map(s => toPoint(s.prey, s.predators)).join(' ');
+            let svg = `<polyline points="${observed}" fill="none" stroke="#4a9eff" stroke-width="1"/>`;
+
+            if (model.length > 1) {
+                const fitted = model.map(p => toPoint(p.prey, p.predators)).join(' ');
+                svg += `<polyline points="${fitted}" fill="none" stroke="${this.colors.model}" stroke-width="1" stroke-dasharray="3,2"/>`;
+            }
+            if (fit && fit.equilibrium) {
+                const [x, y] = toPoint(fit.equilibrium.prey, fit.equilibrium.predators).split(',');
+                svg += `<circle cx="${x}" cy="${y}" r="3" fill="${this.colors.model}"/>`;
+            }
+
+            // Posição atual
+            const last = samples[samples.length - 1];
+            const [x, y] = toPoint(last.prey, last.predators).split(',');
+            svg += `<circle cx="${x}" cy="${y}" r="3" fill="#ffffff"/>`;
+
+            return `<svg width="${size}" height="${size}" style="background:#1e2129">${svg}</svg>` +
+                `<div style="font-size:10px">Presas (0-${Math.round(maxPrey)}) × Predadores (0-${Math.round(maxPredators)}); ` +
+                `<span style="color:${this.colors.model}">- -</span> modelo ajustado, ● equilíbrio</div>`;
+        }
+
+        /**
+         * Texto com o ajuste e as oscilações
+         * @param {Object} analysis - Resultado de PopulationDynamicsTracker.getAnalysis
+         * @returns {string} - HTML
+         */
+        renderAnalysis(analysis) {
+            const format = (value, digits = 4) => value === null || value === undefined ? '-' : value.toPrecision(digits);
+            const fit = analysis.fit;
+            let html = `Amostras: ${analysis.samples}<br>`;
+
+            if (fit) {
+                html += `α: ${format(fit.alpha)} | β: ${format(fit.beta)}<br>`;
+                html += `γ: ${format(fit.gamma)} | δ: ${format(fit.delta)}<br>`;
+                html += `R² presas: ${fit.r2Prey.toFixed(2)} | R² predadores: ${fit.r2Predators.toFixed(2)}<br>`;
+                html += fit.equilibrium
+                    ? `Equilíbrio: ${fit.equilibrium.prey.toFixed(1)} presas, ${fit.equilibrium.predators.toFixed(1)} predadores<br>`
+                    : 'Equilíbrio: -<br>';
+                html += `Período previsto: ${fit.predictedPeriod ? fit.predictedPeriod.toFixed(0) + ' ticks' : '-'}<br>`;
+            } else {
+                html += 'Ajuste de Lotka–Volterra: dados insuficientes (as duas populações precisam coexistir)<br>';
+            }
+
+            for (const [key, label] of [['prey', 'Presas'], ['predators', 'Predadores']]) {
+                const oscillation = analysis[key];
+                html += oscillation
+                    ? `${label}: período ${oscillation.period.toFixed(0)} ticks, amplitude ${oscillation.amplitude.toFixed(1)} (${oscillation.cycles} ciclos)<br>`
+                    : `${label}: nenhum ciclo completo<br>`;
+            }
+            return html;
+        }
+
+        /**
+         * Baixa o histórico em CSV
+         */
+        export() {
+            const tracker = this.getTracker();
+            if (!tracker) return;
+
+            try {
+                const blob = new Blob([tracker.toCSV() + '\n'], { type: 'text/csv' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `predador_presa_${window.simulation.rng.seed}_${window.simulation.frameCount}.csv`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (error) {
+                console.error("Erro ao exportar dinâmica populacional:", error);
+            }
+        }
+
+        /**
+         * Configura os event listeners
+         * Mantido para compatibilidade com a interface dos outros controles
+         * @param {Object} callbacks - Objeto com os callbacks da aplicação
+         */
+        setupEventListeners(callbacks) {
+        }
+
+        /**
+         * Retorna o estado atual do painel
+         * @returns {Object} Estado atual
+         */
+        getState() {
+            return {};
+        }
+    }
+}
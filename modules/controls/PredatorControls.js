@@ -37,6 +37,15 @@ class PredatorControls {
         this.elements.predatorReproductionCheck.parent(section);
         this.elements.predatorReproductionCheck.class('predator-control');
         
+        // Checkboxes da caça em matilha e da defesa coletiva das presas
+        this.elements.packHuntingCheck = createCheckbox('Caça em Matilha', true);
+        this.elements.packHuntingCheck.parent(section);
+        this.elements.packHuntingCheck.class('predator-control');
+        
+        this.elements.preyDefenseCheck = createCheckbox('Defesa Coletiva das Presas', true);
+        this.elements.preyDefenseCheck.parent(section);
+        this.elements.preyDefenseCheck.class('predator-control');
+        
         // Slider para custo de reprodução
         const reproductionCostDiv = createDiv();
         reproductionCostDiv.class('slider-container');
@@ -122,22 +131,36 @@ class PredatorControls {
         this.elements.predatorMutationRateValue.parent(mutationRateDiv);
         this.elements.predatorMutationRateValue.class('slider-value');
         
-        // Slider para limite de predadores
-        const predatorLimitDiv = createDiv();
-        predatorLimitDiv.class('slider-container');
-        predatorLimitDiv.parent(section);
-        
-        const predatorLimitLabel = createDiv('Limite de Predadores:');
-        predatorLimitLabel.parent(predatorLimitDiv);
-        predatorLimitLabel.class('slider-label');
-        
-        this.elements.predatorLimitSlider = createSlider(0, 10, 2, 1);
-        this.elements.predatorLimitSlider.parent(predatorLimitDiv);
-        this.elements.predatorLimitSlider.class('predator-slider');
-        
-        this.elements.predatorLimitValue = createDiv('2');
-        this.elements.predatorLimitValue.parent(predatorLimitDiv);
-        this.elements.predatorLimitValue.class('slider-value');
+        // Sliders com o teto de população de cada espécie (0 = espécie ausente)
+        const speciesTitle = createDiv('Espécies (limite de população):');
+        speciesTitle.parent(section);
+        speciesTitle.class('slider-label');
+        
+        this.elements.speciesLimitSliders = {};
+        this.elements.speciesLimitValues = {};
+        for (const [speciesId, species] of Object.entries(Predator.SPECIES)) {
+            const speciesDiv = createDiv();
+            speciesDiv.class('slider-container');
+            speciesDiv.parent(section);
+            
+            const speciesLabel = createDiv(species.name);
+            speciesLabel.parent(speciesDiv);
+            speciesLabel.class('slider-label');
+            speciesLabel.style('border-left', `8px solid rgb(${species.color.join(',')})`);
+            speciesLabel.style('padding-left', '4px');
+            
+            const slider = createSlider(0, 20, species.limit, 1);
+            slider.parent(speciesDiv);
+            slider.class('predator-slider');
+            this.elements.speciesLimitSliders[speciesId] = slider;
+            
+            const value = createDiv(String(species.limit));
+            value.parent(speciesDiv);
+            value.class('slider-value');
+            this.elements.speciesLimitValues[speciesId] = value;
+        }
+        
+        this.createFoodWebMatrix(section);
         
         // Aplica estilos CSS
         this.applyStyles();
@@ -145,6 +168,71 @@ class PredatorControls {
         this.initialized = true;
     }
     
+    /**
+     * Cria a matriz editável da teia alimentar: linhas são os consumidores, colunas as
+     * presas, e cada célula a eficiência de transferência (0 = não come)
+     * @param {p5.Element} section - Seção dos controles
+     */
+    createFoodWebMatrix(section) {
+        const title = createDiv('Teia alimentar (eficiência consumidor → presa):');
+        title.parent(section);
+        title.class('slider-label');
+        
+        const table = createElement('table');
+        table.parent(section);
+        table.style('font-size', '10px');
+        table.style('color', '#d0d0d0');
+        table.style('border-collapse', 'collapse');
+        table.style('margin-bottom', '8px');
+        
+        const preyKeys = FoodWeb.getPreyKeys();
+        const shortName = key => key === 'bacteria' ? 'Bact.' : Predator.SPECIES[key].name.slice(0, 5) + '.';
+        
+        const header = createElement('tr');
+        header.parent(table);
+        createElement('th', '').parent(header);
+        for (const preyKey of preyKeys) {
+            createElement('th', shortName(preyKey)).parent(header);
+        }
+        
+        this.elements.foodWebInputs = {};
+        for (const consumerKey of Object.keys(Predator.SPECIES)) {
+            const row = createElement('tr');
+            row.parent(table);
+            createElement('td', shortName(consumerKey)).parent(row);
+            
+            for (const preyKey of preyKeys) {
+                const cell = createElement('td');
+                cell.parent(row);
+                const input = createInput(String(FoodWeb.DEFAULT_MATRIX[consumerKey][preyKey] || 0), 'number');
+                input.parent(cell);
+                input.attribute('min', '0');
+                input.attribute('max', '1');
+                input.attribute('step', '0.1');
+                input.style('width', '34px');
+                input.style('font-size', '10px');
+                input.changed(() => {
+                    if (window.simulation && window.simulation.foodWeb) {
+                        window.simulation.foodWeb.setEfficiency(consumerKey, preyKey, input.value());
+                    }
+                });
+                this.elements.foodWebInputs[`${consumerKey}>${preyKey}`] = input;
+            }
+        }
+        
+        const restoreButton = createButton('Restaurar teia padrão');
+        restoreButton.parent(section);
+        restoreButton.mousePressed(() => {
+            if (window.simulation && window.simulation.foodWeb) {
+                window.simulation.foodWeb.restoreDefaults();
+            }
+            for (const [key, input] of Object.entries(this.elements.foodWebInputs)) {
+                const [consumerKey, preyKey] = key.split('>');
+                input.value(String(FoodWeb.DEFAULT_MATRIX[consumerKey][preyKey] || 0));
+            }
+        });
+    }
+    
     /**
      * Aplica estilos aos elementos
      */
@@ -206,6 +294,14 @@ class PredatorControls {
             notifyChange();
         });
         
+        this.elements.packHuntingCheck.changed(() => {
+            notifyChange();
+        });
+        
+        this.elements.preyDefenseCheck.changed(() => {
+            notifyChange();
+        });
+        
         this.elements.predatorReproductionCostSlider.input(() => {
             const value = this.elements.predatorReproductionCostSlider.value();
             this.elements.predatorReproductionCostValue.html(value);
@@ -236,11 +332,12 @@ class PredatorControls {
             notifyChange();
         });
         
-        this.elements.predatorLimitSlider.input(() => {
-            const value = this.elements.predatorLimitSlider.value();
-            this.elements.predatorLimitValue.html(value);
-            notifyChange();
-        });
+        for (const [speciesId, slider] of Object.entries(this.elements.speciesLimitSliders)) {
+            slider.input(() => {
+                this.elements.speciesLimitValues[speciesId].html(slider.value());
+                notifyChange();
+            });
+        }
     }
 
     /**
@@ -252,12 +349,17 @@ class PredatorControls {
         
         return {
             predatorReproductionEnabled: this.elements.predatorReproductionCheck.checked(),
+            packHuntingEnabled: this.elements.packHuntingCheck.checked(),
+            preyDefenseEnabled: this.elements.preyDefenseCheck.checked(),
             predatorReproductionCost: parseFloat(this.elements.predatorReproductionCostSlider.value()),
             predatorReproductionCooldown: parseFloat(this.elements.predatorReproductionCooldownSlider.value()),
             predatorMinEnergy: parseFloat(this.elements.predatorMinEnergySlider.value()),
             predatorReproductionRange: parseFloat(this.elements.predatorReproductionRangeSlider.value()),
             predatorMutationRate: parseFloat(this.elements.predatorMutationRateSlider.value()),
-            predatorLimit: parseInt(this.elements.predatorLimitSlider.value())
+            speciesLimits: Object.fromEntries(
+                Object.entries(this.elements.speciesLimitSliders)
+                    .map(([speciesId, slider]) => [speciesId, parseInt(slider.value())])
+            )
         };
     }
 }
@@ -23,6 +23,12 @@ window.SimulationControls = class SimulationControls extends ControlsBase {
         this.speedSlider.elt.type = 'range';
         this.addControlRow(simDiv, 'Velocidade:', this.speedSlider);
 
+        // Semente do gerador aleatório (mesma semente = mesma história ao reiniciar)
+        this.seedInput = createInput('');
+        this.seedInput.attribute('placeholder', 'aleatória');
+        this.seedInput.style('width', '110px');
+        this.addControlRow(simDiv, 'Semente:', this.seedInput);
+
         // Botões de controle principais
         const mainButtonsDiv = createDiv();
         mainButtonsDiv.style('margin', '15px 0');
@@ -191,6 +197,59 @@ window.SimulationControls = class SimulationControls extends ControlsBase {
         this.feedingIntervalSlider = createSlider(1, 15, 8, 1);
         this.feedingIntervalSlider.elt.type = 'range';
         this.addControlRow(simDiv, 'Intervalo Alimentação (min):', this.feedingIntervalSlider);
+
+        // Genoma diploide (vale para as novas fundadoras; filhos seguem o genoma dos pais)
+        this.diploidCheckbox = createCheckbox('', false);
+        this.addControlRow(simDiv, 'Genoma Diploide:', this.diploidCheckbox);
+        
+        const diploidDesc = createDiv('Dois alelos por traço com dominância e meiose. Aplica-se às novas bactérias.');
+        diploidDesc.style('font-size', '10px');
+        diploidDesc.style('color', '#aaa');
+        diploidDesc.style('margin-bottom', '10px');
+        diploidDesc.style('padding-left', '5px');
+        simDiv.child(diploidDesc);
+        
+        // Modo reprodutivo da execução
+        this.reproductionModeSelect = createSelect();
+        this.reproductionModeSelect.option('Sexuada', 'sexual');
+        this.reproductionModeSelect.option('Fissão binária', 'asexual');
+        this.reproductionModeSelect.option('Mista (gene)', 'mixed');
+        this.reproductionModeSelect.selected('sexual');
+        this.addControlRow(simDiv, 'Reprodução:', this.reproductionModeSelect);
+        
+        const reproductionDesc = createDiv('Na fissão, bactérias com energia e tamanho suficientes se dividem em duas cópias mutadas. No modo misto o gene fissionTendency escolhe a estratégia.');
+        reproductionDesc.style('font-size', '10px');
+        reproductionDesc.style('color', '#aaa');
+        reproductionDesc.style('margin-bottom', '10px');
+        reproductionDesc.style('padding-left', '5px');
+        simDiv.child(reproductionDesc);
+        
+        // Herança dos cérebros
+        this.brainInheritanceSelect = createSelect();
+        this.brainInheritanceSelect.option('Darwiniana', 'darwinian');
+        this.brainInheritanceSelect.option('Lamarckiana', 'lamarckian');
+        this.brainInheritanceSelect.selected('darwinian');
+        this.addControlRow(simDiv, 'Herança Neural:', this.brainInheritanceSelect);
+        
+        const brainInheritanceDesc = createDiv('Os filhos herdam um crossover dos cérebros dos pais: os pesos com que nasceram (darwiniana) ou os pesos depois do aprendizado em vida (lamarckiana).');
+        brainInheritanceDesc.style('font-size', '10px');
+        brainInheritanceDesc.style('color', '#aaa');
+        brainInheritanceDesc.style('margin-bottom', '10px');
+        brainInheritanceDesc.style('padding-left', '5px');
+        simDiv.child(brainInheritanceDesc);
+
+        this.brainTypeSelect = createSelect();
+        this.brainTypeSelect.option('Rede fixa', 'fixed');
+        this.brainTypeSelect.option('NEAT', 'neat');
+        this.brainTypeSelect.selected('fixed');
+        this.addControlRow(simDiv, 'Cérebro:', this.brainTypeSelect);
+
+        const brainTypeDesc = createDiv('Rede fixa: 12 entradas, 12 neurônios ocultos e 5 saídas. NEAT: as fundadoras nascem só com entradas e saídas, e as mutações acrescentam conexões e neurônios. Vale para as próximas fundadoras (reinicie para aplicar).');
+        brainTypeDesc.style('font-size', '10px');
+        brainTypeDesc.style('color', '#aaa');
+        brainTypeDesc.style('margin-bottom', '10px');
+        brainTypeDesc.style('padding-left', '5px');
+        simDiv.child(brainTypeDesc);
         
         // Botão para ativar/desativar chat de bactérias
         this.chatToggleDiv = createDiv();
@@ -357,6 +416,41 @@ window.SimulationControls = class SimulationControls extends ControlsBase {
             }
         });
 
+        // Campo de semente: aplicado ao reiniciar a simulação
+        this.seedInput.changed(() => {
+            if (callbacks && callbacks.onSeedChange) {
+                callbacks.onSeedChange(String(this.seedInput.value()).trim());
+            }
+        });
+
+        // Modo genético das novas bactérias
+        this.diploidCheckbox.changed(() => {
+            if (callbacks && callbacks.onChange) {
+                callbacks.onChange(this.getState());
+            }
+        });
+
+        // Modo reprodutivo
+        this.reproductionModeSelect.changed(() => {
+            if (callbacks && callbacks.onChange) {
+                callbacks.onChange(this.getState());
+            }
+        });
+
+        // Herança dos cérebros
+        this.brainInheritanceSelect.changed(() => {
+            if (callbacks && callbacks.onChange) {
+                callbacks.onChange(this.getState());
+            }
+        });
+
+        // Tipo de cérebro
+        this.brainTypeSelect.changed(() => {
+            if (callbacks && callbacks.onChange) {
+                callbacks.onChange(this.getState());
+            }
+        });
+
         // Configura o botão de reiniciar
         this.resetButton.mousePressed(() => {
             if (callbacks && callbacks.onReset) {
@@ -736,7 +830,12 @@ window.SimulationControls = class SimulationControls extends ControlsBase {
             healthLossRate: Number(this.healthLossSlider?.value()) || 0.05,
             feedingInterval: Number(this.feedingIntervalSlider?.value()) || 4,
             initialBacteria: Number(this.initialBacteriaSlider?.value()) || 20,
-            femaleRatio: Number(this.femaleRatioSlider?.value()) || 50
+            femaleRatio: Number(this.femaleRatioSlider?.value()) || 50,
+            seed: this.seedInput ? String(this.seedInput.value()).trim() : '',
+            diploid: this.diploidCheckbox ? this.diploidCheckbox.checked() : false,
+            reproductionMode: this.reproductionModeSelect ? this.reproductionModeSelect.value() : 'sexual',
+            brainInheritance: this.brainInheritanceSelect ? this.brainInheritanceSelect.value() : 'darwinian',
+            brain: this.brainTypeSelect ? this.brainTypeSelect.value() : 'fixed'
         };
     }
 
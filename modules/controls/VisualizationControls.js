@@ -68,6 +68,24 @@ if (!window.VisualizationControls) {
                 }
             });
             
+            // Sobreposição de cores por plasmídeo
+            this.elements.showPlasmidsCheck = createCheckbox('Mostrar Plasmídeos', false);
+            this.elements.showPlasmidsCheck.parent(section);
+            this.elements.showPlasmidsCheck.changed(() => {
+                if (this.callbacks.onPlasmidsToggle) {
+                    this.callbacks.onPlasmidsToggle(this.elements.showPlasmidsCheck.checked());
+                }
+            });
+            
+            // Sobreposição dos campos químicos (nutrientes, resíduos e sinalização)
+            this.elements.showChemicalsCheck = createCheckbox('Mostrar Campos Químicos', false);
+            this.elements.showChemicalsCheck.parent(section);
+            this.elements.showChemicalsCheck.changed(() => {
+                if (this.callbacks.onChemicalsToggle) {
+                    this.callbacks.onChemicalsToggle(this.elements.showChemicalsCheck.checked());
+                }
+            });
+            
             // Título para controles de gráficos
             const graphsHeading = createElement('h4', 'Gráficos');
             graphsHeading.parent(section);
@@ -78,7 +96,10 @@ if (!window.VisualizationControls) {
                 { id: 'predators', label: 'Predadores' },
                 { id: 'food', label: 'Comida' },
                 { id: 'avgHealth', label: 'Saúde Média' },
-                { id: 'generation', label: 'Geração' }
+                { id: 'generation', label: 'Geração' },
+                { id: 'quorum', label: 'Em Quorum' },
+                { id: 'predatorGeneration', label: 'Geração Predadores' },
+                { id: 'predatorGenes', label: 'Co-evolução (genes)' }
             ];
             
             for (const graph of graphTypes) {
@@ -128,8 +149,17 @@ if (!window.VisualizationControls) {
                 this.elements.showGridCheck.changed(notifyChange);
             }
             
+            if (this.elements.showPlasmidsCheck) {
+                this.elements.showPlasmidsCheck.changed(notifyChange);
+            }
+            
+            if (this.elements.showChemicalsCheck) {
+                this.elements.showChemicalsCheck.changed(notifyChange);
+            }
+            
             // Configura listeners para os controles de gráficos
-            const graphTypes = ['population', 'predators', 'food', 'avgHealth', 'generation'];
+            const graphTypes = ['population', 'predators', 'food', 'avgHealth', 'generation', 'quorum',
+                'predatorGeneration', 'predatorGenes'];
             for (const type of graphTypes) {
                 const control = this.elements[`show${type}Graph`];
                 if (control) {
@@ -166,12 +196,17 @@ if (!window.VisualizationControls) {
                 showGender: this.elements.showGenderCheck.checked(),
                 showTrails: this.elements.showTrailsCheck.checked(),
                 showGrid: this.elements.showGridCheck.checked(),
+                showPlasmids: this.elements.showPlasmidsCheck.checked(),
+                showChemicals: this.elements.showChemicalsCheck.checked(),
                 graphs: {
                     population: this.elements.showpopulationGraph.checked(),
                     predators: this.elements.showpredatorsGraph.checked(),
                     food: this.elements.showfoodGraph.checked(),
                     avgHealth: this.elements.showavgHealthGraph.checked(),
-                    generation: this.elements.showgenerationGraph.checked()
+                    generation: this.elements.showgenerationGraph.checked(),
+                    quorum: this.elements.showquorumGraph.checked(),
+                    predatorGeneration: this.elements.showpredatorGenerationGraph.checked(),
+                    predatorGenes: this.elements.showpredatorGenesGraph.checked()
                 }
             };
         }
@@ -195,6 +230,12 @@ if (!window.VisualizationControls) {
             if (state.showGrid !== undefined) 
                 this.elements.showGridCheck.checked(state.showGrid);
                 
+            if (state.showPlasmids !== undefined) 
+                this.elements.showPlasmidsCheck.checked(state.showPlasmids);
+                
+            if (state.showChemicals !== undefined) 
+                this.elements.showChemicalsCheck.checked(state.showChemicals);
+                
             if (state.graphs) {
                 if (state.graphs.population !== undefined)
                     this.elements.showpopulationGraph.checked(state.graphs.population);
@@ -210,6 +251,15 @@ if (!window.VisualizationControls) {
                     
                 if (state.graphs.generation !== undefined)
                     this.elements.showgenerationGraph.checked(state.graphs.generation);
+                    
+                if (state.graphs.quorum !== undefined)
+                    this.elements.showquorumGraph.checked(state.graphs.quorum);
+                    
+                if (state.graphs.predatorGeneration !== undefined)
+                    this.elements.showpredatorGenerationGraph.checked(state.graphs.predatorGeneration);
+                    
+                if (state.graphs.predatorGenes !== undefined)
+                    this.elements.showpredatorGenesGraph.checked(state.graphs.predatorGenes);
             }
         }
     };
@@ -1,6 +1,16 @@
 /**
  * Sistema de Doenças e Infecções para o Simulador de Bactérias
  * Permite a criação, propagação e combate às doenças no ecossistema
+ *
+ * Cada doença é uma cepa com genoma próprio (traços + vetor antigênico). A cada
+ * transmissão o patógeno pode mutar e originar uma cepa filha; a memória imune
+ * guarda o antígeno das cepas já vencidas e protege parcialmente contra cepas
+ * antigenicamente próximas. As cepas formam uma árvore (this.strains).
+ * Além do contato, as cepas podem se transmitir por comida, chão e corpos
+ * (vias em Disease.ROUTES, reservatórios em this.reservoir).
+ * As doenças que podem surgir vêm de definições declarativas (DiseaseDefinitions).
+ * Os sintomas só aparecem após a incubação (e nunca nos portadores assintomáticos);
+ * bactérias atentas se afastam das vizinhas com sintomas (this.distancing).
  */
 class DiseaseSystem {
     /**
@@ -9,12 +19,56 @@ class DiseaseSystem {
      */
     constructor(simulation) {
         this.simulation = simulation;
-        this.diseases = [];                // Lista de doenças ativas no ambiente
+        this.diseases = [];                // Lista de cepas ativas no ambiente
         this.infectionRange = 50;          // Distância para contágio
         this.randomDiseaseChance = 0.0005; // Chance de surgimento espontâneo de doença
-        this.maxDiseases = 5;              // Número máximo de doenças simultâneas
+        this.maxDiseases = 5;              // Número máximo de surtos (doenças de origem distinta) simultâneos
         this.diseaseHistory = [];          // Histórico de doenças para análise
-        this.immunityMemory = new Map();   // Mapa de imunidades adquiridas por cada bactéria
+        this.immunityMemory = new Map();   // ID da bactéria -> Map(ID da cepa -> antígeno)
+        this.definitions = DiseaseDefinitions.getDefaults(); // Doenças que podem surgir
+
+        // Evolução dos patógenos
+        this.mutationRate = 0.05;          // Chance de uma transmissão gerar uma nova cepa
+        this.mutationStrength = 0.1;       // Desvio padrão da mutação dos traços (relativo à faixa)
+        this.antigenDrift = 0.08;          // Desvio padrão da deriva de cada componente do antígeno
+        this.crossImmunityRange = 0.3;     // Distância antigênica a partir da qual a memória não protege
+        this.maxActiveStrains = 30;        // Acima disso as transmissões não geram cepas novas
+        this.maxStrainRecords = 400;       // Cepas guardadas na árvore (extintas sem descendentes saem primeiro)
+        this.historyInterval = 60;         // Ticks entre amostras da corrida armamentista
+        this.maxHistory = 300;
+
+        this.epidemiology = new EpidemiologyTracker(this); // Séries S/I/R, cadeias de transmissão, R0/Rt
+        this.reservoir = new PathogenReservoir(this);      // Comida, chão e corpos contaminados
+        this.distancing = new DistancingBehavior(this);    // Isolamento e afastamento de doentes
+        this.reset();
+    }
+
+    /**
+     * Remove todas as doenças e zera a árvore de cepas (nova execução)
+     */
+    reset() {
+        this.diseases = [];
+        this.diseaseHistory = [];
+        this.immunityMemory = new Map();
+        this.strains = new Map();          // ID da cepa -> registro (nó da árvore de cepas)
+        this.strainHistory = [];           // Amostras de hospedeiros x patógenos
+        this.nextStrainId = 1;
+        this.routeCounts = {};             // Via de transmissão -> infecções por ela
+        for (const route of Object.keys(Disease.ROUTES)) {
+            this.routeCounts[route] = 0;
+        }
+        this.epidemiology.reset();
+        this.reservoir.reset();
+        this.distancing.reset();
+    }
+
+    /**
+     * Bactérias vivas da simulação
+     * @returns {Array<Bacteria>}
+     */
+    getBacteria() {
+        const entityManager = this.simulation.entityManager;
+        return entityManager && Array.isArray(entityManager.bacteria) ? entityManager.bacteria : [];
     }
 
     /**
@@ -23,7 +77,7 @@ class DiseaseSystem {
     update() {
         try {
             // Chance de surgimento de nova doença
-            if (this.diseases.length < this.maxDiseases && random() < this.randomDiseaseChance) {
+            if (this.countOutbreaks() < this.maxDiseases && random() < this.randomDiseaseChance) {
                 this.createRandomDisease();
             }
 
@@ -33,75 +87,267 @@ class DiseaseSystem {
                     const disease = this.diseases[i];
                     disease.update();
 
-                    // Remove doenças extintas
-                    if (disease.infectedBacteria.size === 0) {
+                    // Remove doenças extintas (sem hospedeiros nem carga nos reservatórios)
+                    if (disease.infectedBacteria.size === 0 && !this.reservoir.hasReservoir(disease)) {
                         this.diseaseHistory.push({
                             name: disease.name,
                             type: disease.type,
+                            strainId: disease.strainId,
                             severity: disease.severity,
                             duration: disease.duration,
                             maxInfected: disease.maxInfected,
                             endTime: this.simulation.time
                         });
+                        this.markExtinct(disease);
                         this.diseases.splice(i, 1);
                     }
                 } catch (error) {
                     console.error("Erro ao atualizar doença específica:", error);
                     // Remove a doença problemática
+                    this.markExtinct(this.diseases[i]);
                     this.diseases.splice(i, 1);
                 }
             }
 
+            // Bactérias mortas pela curva de letalidade viram corpos
+            this.removeKilled();
+
             // Verifica propagação de doenças
             try {
                 this.checkDiseaseSpread();
             } catch (error) {
                 console.error("Erro na propagação de doenças:", error);
             }
+
+            // Vias ambientais: chão e corpos (a comida é tratada nas interações)
+            this.reservoir.update(this.getBacteria());
+
+            // Sintomas visíveis e distanciamento (valem a partir do próximo tick)
+            this.updateSymptoms();
+            this.distancing.update(this.getBacteria());
+
+            this.epidemiology.update(this.getBacteria());
+
+            if (SimulationClock.now() % this.historyInterval === 0) {
+                this.recordStrainHistory();
+                this.pruneImmunityMemory();
+            }
         } catch (error) {
             console.error("Erro global no sistema de doenças:", error);
         }
     }
 
     /**
-     * Cria uma nova doença aleatória
+     * Marca as bactérias com sintomas de alguma doença (bacteria.hasSymptoms)
+     * Infectadas em incubação e portadoras assintomáticas não têm sintomas
      */
-    createRandomDisease() {
-        // Define tipos de doenças possíveis
-        const diseaseTypes = [
-            "metabolica",      // Afeta o metabolismo (consumo de energia)
-            "motora",          // Afeta a movimentação (velocidade)
-            "reprodutiva",     // Afeta a reprodução
-            "neural",          // Afeta o sistema neural (tomada de decisão)
-            "degenerativa"     // Afeta a saúde geral (diminui com o tempo)
-        ];
+    updateSymptoms() {
+        for (const b of this.getBacteria()) {
+            if (!b) continue;
+            b.hasSymptoms = false;
+            if (!b.isInfected || !b.activeDiseases) continue;
+            for (const disease of b.activeDiseases.values()) {
+                if (disease && typeof disease.isSymptomatic === 'function' && disease.isSymptomatic(b.id)) {
+                    b.hasSymptoms = true;
+                    break;
+                }
+            }
+        }
+    }
 
-        // Nomes de doenças para cada tipo
-        const diseaseNames = {
-            "metabolica": ["Gastroenterite", "Hipermetabolismo", "Síndrome Digestiva"],
-            "motora": ["Paralisia Progressiva", "Tremores Bacterianos", "Atrofia Motora"],
-            "reprodutiva": ["Infertilidade Microbiana", "Desregulação Genética", "Mutação Inibidora"],
-            "neural": ["Confusão Neural", "Desordem Decisória", "Cegueira Sensorial"],
-            "degenerativa": ["Necrose Celular", "Disfunção Mitocondrial", "Deterioração Sistêmica"]
-        };
+    /**
+     * Remove as bactérias mortas pela letalidade das doenças
+     * Os casos são fechados como 'removed' na próxima atualização da doença
+     */
+    removeKilled() {
+        const bacteria = this.getBacteria();
+        const entityManager = this.simulation.entityManager;
+        for (let i = bacteria.length - 1; i >= 0; i--) {
+            const b = bacteria[i];
+            if (!b || !b.killedByDisease || b.health > 0) continue;
 
-        // Seleciona tipo e nome da doença
-        const type = random(diseaseTypes);
-        const name = random(diseaseNames[type]);
-        
-        // Determina características da doença
-        const severity = random(0.1, 1);      // Gravidade: 0.1 (leve) a 1 (grave)
-        const immunity = random(0.3, 0.9);    // Fator de imunidade: facilidade de combater
-        const duration = random(500, 5000);   // Duração em frames
-        const contagion = random(0.1, 0.8);   // Taxa de contágio
-        
-        // Cria a doença
-        const disease = new Disease(name, type, severity, immunity, duration, contagion);
+            entityManager.addDeadBacteria(b);
+            bacteria.splice(i, 1);
+            if (this.simulation.statsManager) {
+                this.simulation.statsManager.stats.deaths++;
+                this.simulation.statsManager.stats.diseaseDeaths++;
+            }
+        }
+    }
+
+    /**
+     * Elimina todas as doenças ativas (controles da interface)
+     * As bactérias infectadas são curadas sem adquirir imunidade
+     */
+    clearDiseases() {
+        const byId = new Map(this.getBacteria().map(b => [b.id, b]));
+        for (const disease of this.diseases) {
+            for (const bacteriaId of disease.infectedBacteria.keys()) {
+                const bacteria = byId.get(bacteriaId);
+                if (bacteria && bacteria.activeDiseases) {
+                    bacteria.activeDiseases.delete(disease.name);
+                    bacteria.isInfected = bacteria.activeDiseases.size > 0;
+                }
+            }
+            this.reservoir.clearStrain(disease);
+            this.markExtinct(disease);
+        }
+        this.diseases = [];
+    }
+
+    /**
+     * Número de surtos ativos (cepas agrupadas pela doença de origem)
+     * @returns {number}
+     */
+    countOutbreaks() {
+        return new Set(this.diseases.map(disease => disease.rootStrainId)).size;
+    }
+
+    /**
+     * Registra uma cepa na árvore e a torna ativa
+     * @param {Disease} disease - Cepa nova (fundadora ou mutante)
+     * @returns {Disease}
+     */
+    registerStrain(disease) {
+        disease.system = this;
+        disease.strainId = this.nextStrainId++;
+        if (disease.parentStrainId === null) {
+            disease.rootStrainId = disease.strainId;
+        } else {
+            disease.name = `${disease.baseName}-${disease.strainId}`;
+        }
+
+        this.strains.set(disease.strainId, {
+            id: disease.strainId,
+            parentId: disease.parentStrainId,
+            rootId: disease.rootStrainId,
+            name: disease.name,
+            type: disease.type,
+            generation: disease.generation,
+            genome: disease.getGenome(),
+            bornTick: SimulationClock.now(),
+            extinctTick: null,
+            disease: disease,              // Referência enquanto a cepa está ativa
+            totalInfected: 0
+        });
         this.diseases.push(disease);
-        
+        this.pruneStrainRecords();
+        return disease;
+    }
+
+    /**
+     * Marca uma cepa como extinta na árvore
+     * @param {Disease} disease - Cepa removida
+     */
+    markExtinct(disease) {
+        const record = disease ? this.strains.get(disease.strainId) : null;
+        if (!record) return;
+        record.extinctTick = SimulationClock.now();
+        record.totalInfected = disease.infectedCount;
+        record.disease = null;
+    }
+
+    /**
+     * Limita o tamanho da árvore removendo as cepas extintas mais antigas sem descendentes registrados
+     */
+    pruneStrainRecords() {
+        if (this.strains.size <= this.maxStrainRecords) return;
+
+        const parents = new Set();
+        for (const record of this.strains.values()) {
+            if (record.parentId !== null) parents.add(record.parentId);
+        }
+        // Map mantém a ordem de inserção: as primeiras são as mais antigas
+        for (const [id, record] of this.strains) {
+            if (this.strains.size <= this.maxStrainRecords) break;
+            if (record.extinctTick !== null && !parents.has(id)) {
+                this.strains.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Tenta gerar uma cepa mutante a partir de uma transmissão
+     * @param {Disease} disease - Cepa transmitida
+     * @returns {Disease} - A cepa mutante ou a própria cepa, se não houve mutação
+     */
+    maybeMutate(disease) {
+        if (this.diseases.length >= this.maxActiveStrains || random() >= this.mutationRate) {
+            return disease;
+        }
+        return this.registerStrain(disease.mutate(this.mutationStrength, this.antigenDrift));
+    }
+
+    /**
+     * Substitui as definições de doenças após validá-las
+     * As doenças ativas continuam; só as novas seguem as novas definições
+     * @param {string|Object|Array} input - JSON (texto ou objeto) com as definições
+     * @returns {Array<string>} - Erros de validação (vazio se as definições foram aceitas)
+     */
+    loadDefinitions(input) {
+        const result = DiseaseDefinitions.parse(input);
+        if (result.errors.length === 0) {
+            this.definitions = result.definitions;
+        }
+        return result.errors;
+    }
+
+    /**
+     * Cria uma cepa fundadora a partir de uma definição, sorteando os parâmetros com faixa
+     * @param {Object} definition - Definição validada (DiseaseDefinitions)
+     * @returns {Disease} - Doença ainda não registrada
+     */
+    createFromDefinition(definition) {
+        const sample = DiseaseDefinitions.sample;
+        const transmission = definition.transmission;
+        const name = Array.isArray(definition.name) ? random(definition.name) : definition.name;
+
+        const disease = new Disease(
+            name,
+            definition.type || 'personalizada',
+            sample(definition.severity),
+            transmission.immunity !== undefined ? sample(transmission.immunity) : random(0.3, 0.9),
+            sample(transmission.duration),
+            sample(transmission.contagion)
+        );
+        disease.definitionName = DiseaseDefinitions.getLabel(definition);
+        disease.effects = (definition.effects || []).map(effect => ({
+            attribute: effect.attribute,
+            modifier: sample(effect.modifier)
+        }));
+        disease.incubation = definition.incubation !== undefined ? Math.round(sample(definition.incubation)) : 0;
+        disease.asymptomaticChance = definition.asymptomaticChance || 0;
+        disease.lethality = (definition.lethality || []).map(point => [...point]);
+        disease.routes = transmission.routes ? [...transmission.routes] : Disease.randomRoutes();
+        if (definition.color) {
+            disease.color = color(definition.color[0], definition.color[1], definition.color[2], 150);
+        }
+        return disease;
+    }
+
+    /**
+     * Cria uma nova doença (também pelo botão do painel), respeitando o limite de surtos simultâneos
+     * @param {Object|null} definition - Definição usada (padrão: sorteada entre as carregadas)
+     * @returns {Disease|null} - null sem definições ou com maxDiseases surtos ativos
+     */
+    createRandomDisease(definition = null) {
+        if (this.countOutbreaks() >= this.maxDiseases) {
+            console.warn(`Limite de ${this.maxDiseases} surtos simultâneos atingido; nenhuma doença criada`);
+            return null;
+        }
+        if (!definition) {
+            if (this.definitions.length === 0) return null;
+            definition = random(this.definitions);
+        }
+
+        // Cria a doença (cepa fundadora, com antígeno aleatório)
+        const disease = this.registerStrain(this.createFromDefinition(definition));
+        const name = disease.name;
+
         // Infecta uma bactéria aleatória como paciente zero
-        if (this.simulation.bacteria.length > 0) {
-            const patientZero = random(this.simulation.bacteria);
+        const bacteria = this.getBacteria();
+        if (bacteria.length > 0) {
+            const patientZero = random(bacteria);
             disease.infectBacteria(patientZero);
             
             // Adiciona mensagem no sistema de comunicação
@@ -124,13 +370,22 @@ class DiseaseSystem {
      * Verifica a propagação de doenças entre bactérias próximas
      */
     checkDiseaseSpread() {
+        const bacteria = this.getBacteria();
+        const byId = new Map();
+        for (const b of bacteria) {
+            if (b && b.id !== undefined) byId.set(b.id, b);
+        }
+
+        // Cópias das listas: cepas mutantes e novos infectados só transmitem no próximo tick
+        const diseases = this.diseases.filter(disease => disease.routes.includes('contact'));
+
         // Usa o grid espacial para otimização se disponível
-        if (this.simulation.spatialGrid && this.diseases.length > 0) {
-            for (const disease of this.diseases) {
+        if (this.simulation.spatialGrid && diseases.length > 0) {
+            for (const disease of diseases) {
                 // Para cada bactéria infectada
-                for (const infectedId of disease.infectedBacteria.keys()) {
+                for (const infectedId of [...disease.infectedBacteria.keys()]) {
                     // Encontra a bactéria pelo ID
-                    const infected = this.simulation.bacteria.find(b => b.id === infectedId);
+                    const infected = byId.get(infectedId);
                     if (!infected) continue;
                     
                     // Busca bactérias próximas
@@ -147,43 +402,24 @@ class DiseaseSystem {
                     
                     // Tenta infectar bactérias próximas
                     for (const target of nearbyBacteria) {
-                        const immunityFactor = target.dna.genes.immunity;
-                        const contagionChance = disease.contagion * (1 - immunityFactor * 0.8);
-                        
-                        // Verifica se esta bactéria já teve esta doença antes
-                        if (this.immunityMemory.has(target.id)) {
-                            const memories = this.immunityMemory.get(target.id);
-                            if (memories.has(disease.name)) {
-                                continue; // Já é imune a esta doença específica
-                            }
-                        }
-                        
-                        // Tenta infectar baseado na chance de contágio
-                        if (random() < contagionChance) {
-                            disease.infectBacteria(target);
-                        }
+                        this.tryTransmission(disease, infected.id, target);
                     }
                 }
             }
         } else {
             // Abordagem alternativa sem grid espacial (menos eficiente)
-            for (const disease of this.diseases) {
-                for (const bacteria of this.simulation.bacteria) {
-                    if (disease.infectedBacteria.has(bacteria.id)) {
+            for (const disease of diseases) {
+                for (const source of bacteria) {
+                    if (disease.infectedBacteria.has(source.id)) {
                         // Esta bactéria está infectada, procura por alvos próximos
-                        for (const target of this.simulation.bacteria) {
-                            if (target !== bacteria && 
+                        for (const target of bacteria) {
+                            if (target !== source && 
                                 !disease.infectedBacteria.has(target.id) && 
                                 !disease.immuneBacteria.has(target.id)) {
                                 
-                                const d = dist(bacteria.pos.x, bacteria.pos.y, target.pos.x, target.pos.y);
+                                const d = dist(source.pos.x, source.pos.y, target.pos.x, target.pos.y);
                                 if (d < this.infectionRange) {
-                                    const immunityFactor = target.dna.genes.immunity;
-                                    const contagionChance = disease.contagion * (1 - immunityFactor * 0.8);
-                                    
-                                    if (random() < contagionChance) {
-                                        disease.infectBacteria(target);
-                                    }
+                                    this.tryTransmission(disease, source.id, target);
                                 }
                             }
                         }
@@ -193,6 +429,63 @@ class DiseaseSystem {
         }
     }
 
+    /**
+     * Chance de uma cepa infectar uma bactéria exposta
+     * Combina o contágio da cepa com as defesas do hospedeiro: genes immunity e
+     * diseaseResistance, plasmídeos de resistência e memória imune cruzada
+     * @param {Disease} disease - Cepa
+     * @param {Bacteria} target - Bactéria exposta
+     * @returns {number} - Probabilidade (0-1)
+     */
+    getContagionChance(disease, target) {
+        const genes = target.dna && target.dna.genes ? target.dna.genes : {};
+        const immunityFactor = genes.immunity || 0;
+        const geneResistance = genes.diseaseResistance || 0;
+        const plasmidResistance = Math.min(0.9, PlasmidSystem.getTrait(target, 'diseaseResistance'));
+        const crossProtection = this.getCrossProtection(target, disease);
+
+        return disease.contagion *
+            (1 - immunityFactor * 0.8) *
+            (1 - geneResistance * 0.5) *
+            (1 - plasmidResistance) *
+            (1 - crossProtection);
+    }
+
+    /**
+     * Tenta transmitir uma cepa para uma bactéria exposta; a transmissão pode gerar uma cepa mutante
+     * @param {Disease} disease - Cepa do portador ou do reservatório
+     * @param {number|null} sourceId - ID da bactéria transmissora (null se desconhecida, como no chão)
+     * @param {Bacteria} target - Bactéria exposta
+     * @param {string} route - Via de transmissão (chave de Disease.ROUTES)
+     * @param {number} exposure - Fator de exposição (0-1) aplicado à chance de contágio
+     * @returns {boolean} - Se houve infecção
+     */
+    tryTransmission(disease, sourceId, target, route = 'contact', exposure = 1) {
+        if (disease.immuneBacteria.has(target.id)) return false;
+        // Sem superinfecção: quem já carrega uma cepa da mesma doença não pega outra
+        if (this.carriesLineage(target, disease.rootStrainId)) return false;
+        if (random() >= this.getContagionChance(disease, target) * exposure) return false;
+        const infected = this.maybeMutate(disease).infectBacteria(target, sourceId, route);
+        if (infected) {
+            this.routeCounts[route] = (this.routeCounts[route] || 0) + 1;
+        }
+        return infected;
+    }
+
+    /**
+     * Verifica se a bactéria está infectada por alguma cepa descendente da mesma doença de origem
+     * @param {Bacteria} bacteria - Bactéria
+     * @param {number} rootStrainId - ID da cepa fundadora
+     * @returns {boolean}
+     */
+    carriesLineage(bacteria, rootStrainId) {
+        if (!bacteria.activeDiseases) return false;
+        for (const disease of bacteria.activeDiseases.values()) {
+            if (disease && disease.rootStrainId === rootStrainId) return true;
+        }
+        return false;
+    }
+
     /**
      * Adiciona imunidade adquirida para uma bactéria
      * @param {Bacteria} bacteria - A bactéria que adquiriu imunidade
@@ -200,10 +493,114 @@ class DiseaseSystem {
      */
     addImmunityMemory(bacteria, disease) {
         if (!this.immunityMemory.has(bacteria.id)) {
-            this.immunityMemory.set(bacteria.id, new Set());
+            this.immunityMemory.set(bacteria.id, new Map());
         }
         
-        this.immunityMemory.get(bacteria.id).add(disease.name);
+        this.immunityMemory.get(bacteria.id).set(disease.strainId, [...disease.antigen]);
+    }
+
+    /**
+     * Proteção da memória imune contra uma cepa
+     * Imunidade completa contra cepas já vencidas; contra as demais, cai linearmente
+     * com a distância antigênica até a cepa mais parecida da memória
+     * @param {Bacteria} bacteria - Bactéria exposta
+     * @param {Disease} disease - Cepa
+     * @returns {number} - Proteção (0-1)
+     */
+    getCrossProtection(bacteria, disease) {
+        const memories = this.immunityMemory.get(bacteria.id);
+        if (!memories || memories.size === 0) return 0;
+        if (memories.has(disease.strainId)) return 1;
+
+        let protection = 0;
+        for (const antigen of memories.values()) {
+            const distance = Disease.antigenicDistance(antigen, disease.antigen);
+            protection = Math.max(protection, 1 - distance / this.crossImmunityRange);
+        }
+        return Math.max(0, protection);
+    }
+
+    /**
+     * Descarta a memória imune de bactérias que já morreram
+     */
+    pruneImmunityMemory() {
+        const alive = new Set(this.getBacteria().map(b => b.id));
+        for (const id of this.immunityMemory.keys()) {
+            if (!alive.has(id)) {
+                this.immunityMemory.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Registra uma amostra da corrida armamentista: defesas médias dos hospedeiros
+     * contra os traços médios das infecções ativas
+     */
+    recordStrainHistory() {
+        const bacteria = this.getBacteria();
+        let immunity = 0;
+        let resistance = 0;
+        for (const b of bacteria) {
+            immunity += b.dna.genes.immunity || 0;
+            resistance += b.dna.genes.diseaseResistance || 0;
+        }
+
+        // Traços dos patógenos ponderados pelo número de infectados de cada cepa
+        let infections = 0;
+        let contagion = 0;
+        let severity = 0;
+        let drift = 0;
+        for (const disease of this.diseases) {
+            const count = disease.infectedBacteria.size;
+            const root = this.strains.get(disease.rootStrainId);
+            infections += count;
+            contagion += disease.contagion * count;
+            severity += disease.severity * count;
+            drift += (root ? Disease.antigenicDistance(root.genome.antigen, disease.antigen) : 0) * count;
+        }
+
+        const population = Math.max(1, bacteria.length);
+        const weight = Math.max(1, infections);
+        this.strainHistory.push({
+            tick: SimulationClock.now(),
+            hostImmunity: immunity / population,
+            hostResistance: resistance / population,
+            contagion: infections > 0 ? contagion / weight : null,
+            severity: infections > 0 ? severity / weight : null,
+            antigenicDrift: infections > 0 ? drift / weight : null,
+            infected: infections,
+            activeStrains: this.diseases.length
+        });
+        if (this.strainHistory.length > this.maxHistory) {
+            this.strainHistory.shift();
+        }
+    }
+
+    /**
+     * Árvore das cepas registradas (raízes = doenças espontâneas)
+     * @returns {Array<Object>} - Nós {record, children, alive, infected}
+     */
+    getStrainTree() {
+        const nodes = new Map();
+        for (const record of this.strains.values()) {
+            nodes.set(record.id, {
+                record: record,
+                children: [],
+                alive: record.disease !== null,
+                infected: record.disease ? record.disease.infectedBacteria.size : 0
+            });
+        }
+
+        const roots = [];
+        for (const node of nodes.values()) {
+            const parent = node.record.parentId !== null ? nodes.get(node.record.parentId) : null;
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+        return roots;
     }
 
     /**
@@ -212,10 +609,11 @@ class DiseaseSystem {
     draw() {
         if (!this.simulation.visualization.showDiseaseEffects) return;
         
+        const bacteria = this.getBacteria();
         for (const disease of this.diseases) {
             for (const infectedId of disease.infectedBacteria.keys()) {
-                const bacteria = this.simulation.bacteria.find(b => b.id === infectedId);
-                if (!bacteria) continue;
+                const infected = bacteria.find(b => b.id === infectedId);
+                if (!infected) continue;
                 
                 // Desenha efeito visual da infecção
                 push();
@@ -223,7 +621,7 @@ class DiseaseSystem {
                 stroke(disease.color);
                 strokeWeight(1);
                 drawingContext.setLineDash([2, 3]);
-                ellipse(bacteria.pos.x, bacteria.pos.y, bacteria.size * 2.5);
+                ellipse(infected.pos.x, infected.pos.y, infected.size * 2.5);
                 drawingContext.setLineDash([]);
                 pop();
             }
@@ -235,8 +633,13 @@ class DiseaseSystem {
      */
     getStatistics() {
         const stats = {
-            activeDiseases: this.diseases.length,
+            activeDiseases: this.countOutbreaks(),
+            activeStrains: this.diseases.length,
+            totalStrains: this.nextStrainId - 1,
             totalInfected: 0,
+            symptomatic: this.getBacteria().filter(b => b && b.hasSymptoms).length,
+            routes: { ...this.routeCounts },
+            distancing: this.distancing.getSummary(),
             diseaseNames: [],
             infectionRate: 0
         };
@@ -246,18 +649,47 @@ class DiseaseSystem {
             stats.totalInfected += disease.infectedBacteria.size;
             stats.diseaseNames.push({
                 name: disease.name,
+                routes: disease.routes,
+                generation: disease.generation,
                 infected: disease.infectedBacteria.size,
+                asymptomatic: disease.asymptomaticBacteria.size,
                 immune: disease.immuneBacteria.size
             });
         }
         
         // Taxa de infecção da população
-        if (this.simulation.bacteria.length > 0) {
-            stats.infectionRate = stats.totalInfected / this.simulation.bacteria.length;
+        const population = this.getBacteria().length;
+        if (population > 0) {
+            stats.infectionRate = stats.totalInfected / population;
         }
         
         return stats;
     }
+
+    /**
+     * Resumo para estatísticas e modo headless
+     * @returns {Object}
+     */
+    getSummary() {
+        const stats = this.getStatistics();
+        let maxGeneration = 0;
+        for (const disease of this.diseases) {
+            maxGeneration = Math.max(maxGeneration, disease.generation);
+        }
+        const last = this.strainHistory[this.strainHistory.length - 1];
+
+        return {
+            outbreaks: stats.activeDiseases,
+            activeStrains: stats.activeStrains,
+            totalStrains: stats.totalStrains,
+            infected: stats.totalInfected,
+            symptomatic: stats.symptomatic,
+            maxGeneration: maxGeneration,
+            distancing: stats.distancing,
+            routes: stats.routes,
+            antigenicDrift: last && last.antigenicDrift !== null ? last.antigenicDrift : 0
+        };
+    }
 }
 
 /**
@@ -272,14 +704,33 @@ class Disease {
      * @param {number} immunity - Dificuldade de adquirir imunidade (0-1)
      * @param {number} duration - Duração da doença em frames
      * @param {number} contagion - Taxa de contágio (0-1)
+     * @param {Array<number>} antigen - Vetor antigênico (aleatório se omitido)
      */
-    constructor(name, type, severity, immunity, duration, contagion) {
+    constructor(name, type, severity, immunity, duration, contagion, antigen = null) {
         this.name = name;
+        this.baseName = name;                // Nome da doença de origem (compartilhado pelas cepas)
         this.type = type;
         this.severity = severity;
         this.immunity = immunity;
         this.duration = duration;
         this.contagion = contagion;
+        this.antigen = antigen || Disease.randomAntigen();
+        this.routes = ['contact'];           // Vias de transmissão (chaves de Disease.ROUTES)
+
+        // Sintomas (preenchidos a partir da definição: DiseaseSystem.createFromDefinition)
+        this.definitionName = null;          // Definição de origem
+        this.effects = [];                   // Atributos afetados: {attribute, modifier}
+        this.incubation = 0;                 // Ticks sem sintomas após a infecção
+        this.asymptomaticChance = 0;         // Chance de um infectado nunca ter sintomas
+        this.lethality = [];                 // Curva de letalidade: [progresso, saúde perdida por tick]
+        this.asymptomaticBacteria = new Set(); // IDs dos portadores assintomáticos
+
+        // Identidade da cepa (definida pelo DiseaseSystem.registerStrain)
+        this.strainId = null;
+        this.parentStrainId = null;
+        this.rootStrainId = null;
+        this.generation = 0;                 // Mutações desde a cepa fundadora
+        this.system = null;                  // DiseaseSystem dono da cepa
         
         this.infectedBacteria = new Map();   // Map de ID da bactéria -> tempo de infecção
         this.immuneBacteria = new Map();     // Map de ID da bactéria -> tempo de imunização
@@ -301,11 +752,19 @@ class Disease {
                 if (!bacteria) {
                     // Bactéria não existe mais, remove da lista
                     this.infectedBacteria.delete(bacteriaId);
+                    if (this.system) {
+                        this.system.epidemiology.recordEnd(this, bacteriaId, 'removed');
+                    }
                     continue;
                 }
                 
-                // Aplica efeitos da doença baseado no tipo
-                this.applyDiseaseEffects(bacteria);
+                // Sintomas só depois da incubação e nunca nos portadores assintomáticos
+                if (this.isSymptomatic(bacteriaId)) {
+                    this.applyDiseaseEffects(bacteria);
+                    if (this.applyLethality(bacteria, infectionTime / this.duration)) {
+                        continue;
+                    }
+                }
                 
                 // Controla o tempo de infecção
                 const newInfectionTime = infectionTime + 1;
@@ -338,6 +797,32 @@ class Disease {
         }
     }
 
+    /**
+     * Verifica se uma bactéria infectada já tem sintomas
+     * @param {number} bacteriaId - ID da bactéria
+     * @returns {boolean}
+     */
+    isSymptomatic(bacteriaId) {
+        if (this.asymptomaticBacteria.has(bacteriaId)) return false;
+        const infectionTime = this.infectedBacteria.get(bacteriaId);
+        return infectionTime !== undefined && infectionTime >= this.incubation;
+    }
+
+    /**
+     * Intensidade de um efeito na gravidade desta cepa
+     * O modificador da definição é o efeito com gravidade 1: fatores se aproximam de 1
+     * e taxas de 0 conforme a gravidade diminui
+     * @param {Object} effect - Efeito {attribute, modifier}
+     * @returns {number}
+     */
+    getEffectValue(effect) {
+        const attribute = DiseaseDefinitions.ATTRIBUTES[effect.attribute];
+        if (attribute && attribute.kind === 'factor') {
+            return 1 - (1 - effect.modifier) * this.severity;
+        }
+        return effect.modifier * this.severity;
+    }
+
     /**
      * Aplica os efeitos da doença em uma bactéria
      * @param {Bacteria} bacteria - A bactéria afetada
@@ -350,24 +835,28 @@ class Disease {
         }
 
         try {
-            // Aplica efeitos com base no tipo da doença
-            switch (this.type) {
-                case "motora":
-                    // Reduz a velocidade máxima
-                    if (bacteria.movement) {
-                        // Armazena a velocidade máxima original na primeira aplicação
-                        if (bacteria.movement.baseMaxSpeed === undefined) {
-                            bacteria.movement.baseMaxSpeed = bacteria.movement.maxSpeed;
+            // Aplica cada atributo afetado (DiseaseDefinitions.ATTRIBUTES)
+            for (const effect of this.effects) {
+                const value = this.getEffectValue(effect);
+
+                switch (effect.attribute) {
+                    case "maxSpeed":
+                        // Reduz (ou aumenta) a velocidade máxima
+                        if (bacteria.movement) {
+                            // Armazena a velocidade máxima original na primeira aplicação
+                            if (bacteria.movement.baseMaxSpeed === undefined) {
+                                bacteria.movement.baseMaxSpeed = bacteria.movement.maxSpeed;
+                            }
+                            bacteria.movement.maxSpeed = bacteria.movement.baseMaxSpeed * value;
                         }
-                        
-                        // Reduz a velocidade para 30-50% do normal
-                        bacteria.movement.maxSpeed = bacteria.movement.baseMaxSpeed * (0.3 + (this.severity * 0.2));
-                        
+                        break;
+
+                    case "tremor":
                         // Adiciona um tremor aleatório ao movimento
                         if (bacteria.movement && bacteria.movement.velocity) {
-                            const tremor = createVector(random(-0.5, 0.5), random(-0.5, 0.5));
-                            tremor.mult(this.severity);
-                            
+                            const tremor = createVector(random(-1, 1), random(-1, 1));
+                            tremor.mult(value);
+
                             // Verifica se a função applyForce existe antes de chamar
                             if (typeof bacteria.movement.applyForce === 'function') {
                                 bacteria.movement.applyForce(tremor);
@@ -375,40 +864,38 @@ class Disease {
                                 bacteria.movement.movement.applyForce(tremor);
                             }
                         }
-                    }
-                    break;
-                    
-                case "reprodutiva":
-                    // Impede a reprodução
-                    bacteria.canReproduce = false;
-                    break;
-                    
-                case "metabolica":
-                    // Consome energia extra
-                    if (bacteria.stateManager && typeof bacteria.stateManager.consumeEnergy === 'function') {
-                        bacteria.stateManager.consumeEnergy(0.05 * this.severity * deltaTime);
-                    }
-                    break;
-                    
-                case "genetica":
-                    // Aumenta chance de mutação e pode reduzir fitness
-                    if (bacteria.dna && bacteria.dna.genes) {
-                        // Aumenta a taxa de mutação temporariamente
-                        const originalMutationRate = bacteria.dna.genes.mutationRate || 0.05;
-                        bacteria.dna.genes.mutationRate = originalMutationRate * (1 + this.severity);
-                        
-                        // Pequena chance de mutar um gene aleatório
-                        if (random() < 0.001 * this.severity * deltaTime) {
-                            const keys = Object.keys(bacteria.dna.genes);
-                            const randomKey = keys[Math.floor(random(keys.length))];
-                            if (randomKey && randomKey !== "mutationRate") {
-                                // Aplica uma pequena mutação
-                                const currentValue = bacteria.dna.genes[randomKey];
-                                bacteria.dna.genes[randomKey] = currentValue * (1 + random(-0.1, 0.1));
+                        break;
+
+                    case "energyDrain":
+                        // Consome energia extra
+                        if (bacteria.stateManager && typeof bacteria.stateManager.consumeEnergy === 'function') {
+                            bacteria.stateManager.consumeEnergy(value * deltaTime);
+                        }
+                        break;
+
+                    case "fertility":
+                        // Abaixo da metade da fertilidade a reprodução é bloqueada
+                        bacteria.canReproduce = value >= 0.5;
+                        break;
+
+                    case "perception":
+                        // Encolhe o raio de percepção
+                        if (bacteria.basePerceptionRadius === undefined) {
+                            bacteria.basePerceptionRadius = bacteria.perceptionRadius;
+                        }
+                        bacteria.perceptionRadius = bacteria.basePerceptionRadius * value;
+                        break;
+
+                    case "mutationRate":
+                        // Altera a taxa de mutação herdada pelos descendentes
+                        if (bacteria.dna && bacteria.dna.genes) {
+                            if (bacteria.baseMutationRate === undefined) {
+                                bacteria.baseMutationRate = bacteria.dna.genes.mutationRate || 0.05;
                             }
+                            bacteria.dna.genes.mutationRate = bacteria.baseMutationRate * value;
                         }
-                    }
-                    break;
+                        break;
+                }
             }
             
             // Efeitos adicionais temporários
@@ -421,11 +908,60 @@ class Disease {
         }
     }
 
+    /**
+     * Perda de saúde pela curva de letalidade
+     * @param {Bacteria} bacteria - A bactéria afetada
+     * @param {number} progress - Progresso da infecção (0-1)
+     * @returns {boolean} - Se a bactéria morreu
+     */
+    applyLethality(bacteria, progress) {
+        const loss = Disease.interpolate(this.lethality, progress);
+        if (loss <= 0) return false;
+
+        bacteria.health -= loss;
+        if (bacteria.health <= 0) {
+            bacteria.killedByDisease = this;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Restaura os atributos alterados pelos efeitos da doença
+     * @param {Bacteria} bacteria - A bactéria recuperada
+     */
+    restoreEffects(bacteria) {
+        for (const effect of this.effects) {
+            switch (effect.attribute) {
+                case "maxSpeed":
+                    if (bacteria.movement && bacteria.movement.baseMaxSpeed !== undefined) {
+                        bacteria.movement.maxSpeed = bacteria.movement.baseMaxSpeed;
+                    }
+                    break;
+                case "fertility":
+                    bacteria.canReproduce = true;
+                    break;
+                case "perception":
+                    if (bacteria.basePerceptionRadius !== undefined) {
+                        bacteria.perceptionRadius = bacteria.basePerceptionRadius;
+                    }
+                    break;
+                case "mutationRate":
+                    if (bacteria.baseMutationRate !== undefined && bacteria.dna && bacteria.dna.genes) {
+                        bacteria.dna.genes.mutationRate = bacteria.baseMutationRate;
+                    }
+                    break;
+            }
+        }
+    }
+
     /**
      * Infecta uma bactéria com esta doença
      * @param {Bacteria} bacteria - A bactéria a ser infectada
+     * @param {number|null} infectorId - ID da bactéria transmissora (null para o paciente zero)
+     * @param {string|null} route - Via de transmissão (null para o paciente zero)
      */
-    infectBacteria(bacteria) {
+    infectBacteria(bacteria, infectorId = null, route = null) {
         // Verificar se a bactéria é válida
         if (!bacteria || !bacteria.id) {
             console.warn("Tentativa de infectar uma bactéria inválida");
@@ -439,51 +975,22 @@ class Disease {
         
         // Registra a infecção
         this.infectedBacteria.set(bacteria.id, 0);
+        this.infectedCount++;
+        if (this.asymptomaticChance > 0 && random() < this.asymptomaticChance) {
+            this.asymptomaticBacteria.add(bacteria.id);
+        }
+        if (this.system) {
+            this.system.epidemiology.recordInfection(this, bacteria, infectorId, route);
+        }
         
         // Altera o estado visual da bactéria
         bacteria.isInfected = true;
         
-        // Verifica e inicializa activeDiseases conforme seu tipo atual
+        // Registra a doença no Map de doenças ativas (criado em BacteriaBase)
         if (!bacteria.activeDiseases) {
             bacteria.activeDiseases = new Map();
-        } else if (bacteria.activeDiseases instanceof Set) {
-            // Converte de Set para Map se necessário
-            console.log("Convertendo activeDiseases de Set para Map");
-            const oldDiseases = bacteria.activeDiseases;
-            bacteria.activeDiseases = new Map();
-            oldDiseases.forEach(disease => {
-                if (typeof disease === 'string') {
-                    bacteria.activeDiseases.set(disease, this);
-                } else if (disease && disease.name) {
-                    bacteria.activeDiseases.set(disease.name, disease);
-                }
-            });
-        }
-        
-        // Adiciona a doença com segurança, verificando se é um Map
-        try {
-            if (bacteria.activeDiseases instanceof Map) {
-                bacteria.activeDiseases.set(this.name, this);
-            } else if (bacteria.activeDiseases instanceof Set) {
-                // Fallback para Set se a conversão falhou
-                bacteria.activeDiseases.add(this.name);
-            } else {
-                console.error("bacteria.activeDiseases não é nem Map nem Set:", bacteria.activeDiseases);
-                // Recria como Map em último caso
-                bacteria.activeDiseases = new Map();
-                bacteria.activeDiseases.set(this.name, this);
-            }
-        } catch (error) {
-            console.error("Erro ao adicionar doença:", error);
-            // Em caso de erro, tenta uma abordagem alternativa
-            try {
-                bacteria.activeDiseases = new Map();
-                bacteria.activeDiseases.set(this.name, this);
-            } catch (e) {
-                console.error("Falha completa ao configurar doença:", e);
-                return false;
-            }
         }
+        bacteria.activeDiseases.set(this.name, this);
         
         return true;
     }
@@ -491,8 +998,10 @@ class Disease {
     /**
      * Recupera uma bactéria da doença
      * @param {Bacteria} bacteria - A bactéria a ser recuperada
+     * @param {boolean} acquireImmunity - Se a recuperação gera imunidade (curas por antibiótico não geram)
+     * @param {string} outcome - Desfecho registrado na epidemiologia
      */
-    recoverBacteria(bacteria) {
+    recoverBacteria(bacteria, acquireImmunity = true, outcome = 'recovered') {
         if (!bacteria || !bacteria.id) {
             console.warn("Tentativa de recuperar uma bactéria inválida");
             return;
@@ -502,7 +1011,9 @@ class Disease {
         this.infectedBacteria.delete(bacteria.id);
         
         // Adiciona à lista de imunes
-        this.immuneBacteria.set(bacteria.id, frameCount);
+        if (acquireImmunity) {
+            this.immuneBacteria.set(bacteria.id, SimulationClock.now());
+        }
         
         // Atualiza o contador de recuperados
         this.recoveredCount++;
@@ -510,18 +1021,8 @@ class Disease {
         // Remove da lista de doenças ativas da bactéria
         try {
             if (bacteria.activeDiseases) {
-                if (bacteria.activeDiseases instanceof Map) {
-                    bacteria.activeDiseases.delete(this.name);
-                    if (bacteria.activeDiseases.size === 0) {
-                        bacteria.isInfected = false;
-                    }
-                } else if (bacteria.activeDiseases instanceof Set) {
-                    bacteria.activeDiseases.delete(this.name);
-                    if (bacteria.activeDiseases.size === 0) {
-                        bacteria.isInfected = false;
-                    }
-                } else {
-                    console.warn("Tipo de activeDiseases desconhecido durante recuperação:", typeof bacteria.activeDiseases);
+                bacteria.activeDiseases.delete(this.name);
+                if (bacteria.activeDiseases.size === 0) {
                     bacteria.isInfected = false;
                 }
             } else {
@@ -533,18 +1034,15 @@ class Disease {
         }
         
         // Restaura propriedades afetadas pela doença
-        if (this.type === "motora" && bacteria.movement) {
-            // Verifica se o movimento e baseMaxSpeed existem
-            if (bacteria.movement && bacteria.movement.baseMaxSpeed !== undefined) {
-                bacteria.movement.maxSpeed = bacteria.movement.baseMaxSpeed;
-            }
-        } else if (this.type === "reprodutiva") {
-            bacteria.canReproduce = true;
-        }
+        this.restoreEffects(bacteria);
+        this.asymptomaticBacteria.delete(bacteria.id);
         
         // Registra a imunidade adquirida no sistema central
-        if (bacteria.simulation && bacteria.simulation.diseaseSystem) {
-            bacteria.simulation.diseaseSystem.addImmunityMemory(bacteria, this);
+        if (this.system) {
+            if (acquireImmunity) {
+                this.system.addImmunityMemory(bacteria, this);
+            }
+            this.system.epidemiology.recordEnd(this, bacteria.id, outcome);
         }
     }
 
@@ -558,8 +1056,12 @@ class Disease {
             // Tenta várias formas de localizar as bactérias
             let bacteria = [];
             
+            // Método 0: sistema de doenças dono da cepa
+            if (this.system) {
+                bacteria = this.system.getBacteria();
+            }
             // Método 1: window.simulation.bacteria (forma mais comum)
-            if (window.simulation && window.simulation.bacteria) {
+            else if (window.simulation && window.simulation.bacteria) {
                 bacteria = window.simulation.bacteria;
             }
             // Método 2: via simulationInstance (para novos sistemas)
@@ -585,6 +1087,110 @@ class Disease {
         }
     }
 
+    /**
+     * Genoma da cepa (cópia dos traços e do antígeno)
+     * @returns {Object} - {severity, immunity, duration, contagion, antigen}
+     */
+    getGenome() {
+        return {
+            severity: this.severity,
+            immunity: this.immunity,
+            duration: this.duration,
+            contagion: this.contagion,
+            antigen: [...this.antigen]
+        };
+    }
+
+    /**
+     * Cria uma cepa filha com traços mutados e deriva antigênica
+     * @param {number} strength - Desvio padrão da mutação de cada traço, relativo à sua faixa
+     * @param {number} drift - Desvio padrão da mutação de cada componente do antígeno
+     * @returns {Disease} - Cepa mutante (ainda não registrada)
+     */
+    mutate(strength, drift) {
+        const traits = {};
+        for (const [trait, range] of Object.entries(Disease.GENOME_RANGES)) {
+            const value = this[trait] + randomGaussian(0, strength * (range.max - range.min));
+            traits[trait] = Math.min(range.max, Math.max(range.min, value));
+        }
+        const antigen = this.antigen.map(value =>
+            Math.min(1, Math.max(0, value + randomGaussian(0, drift)))
+        );
+
+        const child = new Disease(this.baseName, this.type, traits.severity, traits.immunity,
+            traits.duration, traits.contagion, antigen);
+        child.parentStrainId = this.strainId;
+        child.rootStrainId = this.rootStrainId;
+        child.generation = this.generation + 1;
+        child.routes = [...this.routes];
+        child.definitionName = this.definitionName;
+        child.effects = this.effects.map(effect => ({ ...effect }));
+        child.incubation = this.incubation;
+        child.asymptomaticChance = this.asymptomaticChance;
+        child.lethality = this.lethality.map(point => [...point]);
+        child.color = this.color;
+        return child;
+    }
+
+    /**
+     * Vias de transmissão de uma cepa fundadora: contato e cada via ambiental
+     * com a chance definida em Disease.ROUTES
+     * @returns {Array<string>}
+     */
+    static randomRoutes() {
+        return Object.entries(Disease.ROUTES)
+            .filter(([route, definition]) => random() < definition.chance)
+            .map(([route]) => route);
+    }
+
+    /**
+     * Interpolação linear de uma curva de pontos [x, y] (constante fora dos extremos)
+     * @param {Array<Array<number>>} points - Pontos em ordem crescente de x
+     * @param {number} x - Posição
+     * @returns {number} - 0 se a curva está vazia
+     */
+    static interpolate(points, x) {
+        if (!points || points.length === 0) return 0;
+        if (x <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (x <= x1) {
+                const [x0, y0] = points[i - 1];
+                return x1 === x0 ? y1 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
+    /**
+     * Antígeno aleatório de uma cepa fundadora
+     * @returns {Array<number>}
+     */
+    static randomAntigen() {
+        const antigen = [];
+        for (let i = 0; i < Disease.ANTIGEN_SIZE; i++) {
+            antigen.push(random());
+        }
+        return antigen;
+    }
+
+    /**
+     * Distância antigênica entre duas cepas (euclidiana normalizada para 0-1)
+     * @param {Array<number>} a - Antígeno
+     * @param {Array<number>} b - Antígeno
+     * @returns {number}
+     */
+    static antigenicDistance(a, b) {
+        if (!a || !b) return 1;
+        const size = Math.min(a.length, b.length);
+        if (size === 0) return 1;
+        let sum = 0;
+        for (let i = 0; i < size; i++) {
+            sum += (a[i] - b[i]) * (a[i] - b[i]);
+        }
+        return Math.sqrt(sum / size);
+    }
+
     /**
      * Define uma cor baseada no tipo de doença
      * @returns {p5.Color} - Cor da doença
@@ -607,6 +1213,30 @@ class Disease {
     }
 }
 
+/**
+ * Genoma dos patógenos
+ * ANTIGEN_SIZE: componentes do vetor antigênico (cada um entre 0 e 1);
+ * GENOME_RANGES: faixas dos traços que mutam a cada nova cepa.
+ */
+Disease.ANTIGEN_SIZE = 4;
+Disease.GENOME_RANGES = {
+    severity: { min: 0.1, max: 1 },
+    immunity: { min: 0.1, max: 0.9 },
+    duration: { min: 500, max: 5000 },
+    contagion: { min: 0.05, max: 0.9 }
+};
+
+/**
+ * Vias de transmissão
+ * chance: probabilidade de uma doença espontânea usar a via (o contato é sempre usado)
+ */
+Disease.ROUTES = {
+    contact: { name: 'Contato', chance: 1 },
+    food: { name: 'Alimento', chance: 0.5 },
+    environment: { name: 'Ambiente', chance: 0.4 },
+    corpse: { name: 'Cadáver', chance: 0.4 }
+};
+
 // Exporta as classes para uso global
 window.DiseaseSystem = DiseaseSystem;
 window.Disease = Disease; 
\ No newline at end of file
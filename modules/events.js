@@ -28,7 +28,7 @@ class RandomEvents {
                 probability: 0.1,
                 action: (simulation) => {
                     simulation.bacteria
-                        .filter(() => Math.random() < 0.3)
+                        .filter(() => random() < 0.3)
                         .forEach(b => {
                             b.dna.mutate(0.2);
                             b.health += 20;
@@ -63,12 +63,12 @@ class RandomEvents {
         const totalProbability = this.events.reduce((sum, event) => sum + event.probability, 0);
         
         // Escolhe um número aleatório
-        let random = Math.random() * totalProbability;
+        let roll = random(totalProbability);
         
         // Encontra o evento baseado na probabilidade
         for (let event of this.events) {
-            random -= event.probability;
-            if (random <= 0) {
+            roll -= event.probability;
+            if (roll <= 0) {
                 if (event.action(simulation)) {
                     return event;
                 }
@@ -0,0 +1,79 @@
+/**
+ * Verificação headless do crossover de cérebros entre pais com números de sensores diferentes
+ * O número de sensores evolui (gene sensorDensity), então casais com arranjos de inputs
+ * diferentes são comuns. O cérebro do pai deve ser remapeado para o arranjo da mãe e
+ * cruzado com o dela, em vez de o filho herdar só o cérebro materno.
+ *
+ * Uso: node modules/headless/CrossoverCheck.js --seed 42 --steps 3000 --brain neat
+ * Imprime os nascimentos sexuais e quantos tiveram crossover (JSON) e termina com código 1
+ * se algum casal com sensores diferentes ficou sem crossover.
+ */
+const { createHeadlessSimulation, parseArgs } = require('./HeadlessRunner.js');
+
+/**
+ * Conta os nascimentos sexuais e os crossovers de uma simulação
+ * @param {Object} settings - Opções
+ * @param {number} settings.seed - Semente do gerador aleatório
+ * @param {number} settings.steps - Ticks simulados
+ * @param {string} settings.brain - Tipo de cérebro ('fixed' ou 'neat')
+ * @returns {Object} - {births, crossed, mixedBirths, mixedCrossed}; mixed = pais com números de sensores diferentes
+ */
+function countCrossovers(settings) {
+    const { context, simulation } = createHeadlessSimulation({
+        seed: settings.seed,
+        reproduction: 'sexual',
+        brain: settings.brain
+    });
+    const counts = { births: 0, crossed: 0, mixedBirths: 0, mixedCrossed: 0 };
+
+    // Marca os crossovers feitos durante cada herança de cérebro
+    let crossovers = 0;
+    for (const Network of [context.NeuralNetwork, context.NeatNetwork]) {
+        const crossover = Network.prototype.crossover;
+        Network.prototype.crossover = function(...args) {
+            crossovers++;
+            return crossover.apply(this, args);
+        };
+    }
+
+    const inheritBrain = context.Reproduction.prototype.inheritBrain;
+    context.Reproduction.prototype.inheritBrain = function() {
+        const partner = this.partnerLearning;
+        const before = crossovers;
+        const brain = inheritBrain.call(this);
+        if (this.learning && partner) {
+            const crossed = crossovers > before ? 1 : 0;
+            const mixed = partner.sensors.count !== this.learning.sensors.count;
+            counts.births++;
+            counts.crossed += crossed;
+            if (mixed) {
+                counts.mixedBirths++;
+                counts.mixedCrossed += crossed;
+            }
+        }
+        return brain;
+    };
+
+    simulation.step(settings.steps);
+    return counts;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const settings = {
+        seed: args.seed !== undefined ? args.seed : 42,
+        steps: args.steps || 3000,
+        brain: args.brain || 'fixed'
+    };
+
+    const counts = countCrossovers(settings);
+    console.log(JSON.stringify({ ...settings, ...counts }));
+
+    const ok = counts.mixedBirths > 0 && counts.mixedCrossed === counts.mixedBirths;
+    console.log(`crossover com sensores diferentes: ${counts.mixedCrossed}/${counts.mixedBirths} -> ${ok ? 'ok' : 'FALHOU'}`);
+    process.exit(ok ? 0 : 1);
+}
+
+module.exports = {
+    countCrossovers
+};
@@ -0,0 +1,422 @@
+/**
+ * Executor headless da simulação para Node.js
+ * Carrega os scripts do navegador num contexto isolado com o substituto do p5.js
+ * e avança a simulação com step(n), sem canvas, DOM ou controles.
+ *
+ * Uso: node modules/headless/HeadlessRunner.js --steps 36000 --bacteria 40 --report 600 --seed 42
+ * Com --newick a árvore das linhagens sobreviventes é impressa no final.
+ * Com --schedule pulsed|continuous|escalating (e --antibiotic, --dose, --period) um esquema
+ * de antibiótico é aplicado desde o início; --resistance imprime o histórico de resistência (CSV).
+ * Com --diseases arquivo.json as doenças surgem das definições do arquivo (DiseaseDefinitions).
+ * Com --distancing off as bactérias não se distanciam das doentes (para comparar surtos).
+ * Com --learning qlearning o movimento não vem da rede neural; --curve imprime a curva
+ * de aprendizado (recompensa, ε e erro TD) em CSV.
+ * Com --sensors rays os sensores direcionais são raios (padrão: setores); --sensor-count N
+ * fixa o número de sensores em vez de deixá-lo evoluir.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Mesma ordem do index.html, sem p5.js, controles de interface e sketch.js
+const HEADLESS_SCRIPTS = [
+    'modules/headless/P5Shim.js',
+    'modules/constants.js',
+    'modules/utils.js',
+    'modules/randomService.js',
+    'modules/DNA.js',
+    'modules/PredatorDNA.js',
+    'modules/movement/MovementBase.js',
+    'modules/movement/MovementSteering.js',
+    'modules/movement/MovementObstacle.js',
+    'modules/movement/MovementChemotaxis.js',
+    'modules/movement/index.js',
+    'modules/neural/ActivationFunctions.js',
+    'modules/neural/Memory.js',
+    'modules/neural/Evolution.js',
+    'modules/neural/NeuralNetwork.js',
+    'modules/neural/NeatNetwork.js',
+    'modules/neural/ReplayTrainer.js',
+    'modules/neural/index.js',
+    'modules/Behavior.js',
+    'modules/Reproduction.js',
+    'modules/Visualization.js',
+    'modules/disease.js',
+    'modules/DiseaseDefinitions.js',
+    'modules/food.js',
+    'modules/obstacle.js',
+    'modules/bacteria/BacteriaBase.js',
+    'modules/bacteria/StateManager.js',
+    'modules/bacteria/Environment.js',
+    'modules/bacteria/Movement.js',
+    'modules/bacteria/Sensors.js',
+    'modules/bacteria/Learning.js',
+    'modules/bacteria/Social.js',
+    'modules/bacteria/Visualization.js',
+    'modules/bacteria/index.js',
+    'modules/bacteria.js',
+    'modules/predatorStates.js',
+    'modules/predator.js',
+    'modules/events.js',
+    'modules/save.js',
+    'modules/simulation/SimulationClock.js',
+    'modules/simulation/LineageTracker.js',
+    'modules/simulation/EpidemiologyTracker.js',
+    'modules/simulation/PathogenReservoir.js',
+    'modules/simulation/DistancingBehavior.js',
+    'modules/simulation/PlasmidSystem.js',
+    'modules/simulation/ChemicalFieldSystem.js',
+    'modules/simulation/QuorumSensingSystem.js',
+    'modules/simulation/AntibioticSystem.js',
+    'modules/simulation/FoodWeb.js',
+    'modules/simulation/PackHuntingSystem.js',
+    'modules/simulation/PreyDefenseSystem.js',
+    'modules/simulation/PopulationDynamicsTracker.js',
+    'modules/simulation/NeatSpeciation.js',
+    'modules/simulation/EntityManager.js',
+    'modules/simulation/StatsManager.js',
+    'modules/simulation/EnvironmentSystem.js',
+    'modules/simulation/RenderSystem.js',
+    'modules/simulation/InteractionSystem.js',
+    'modules/simulation/SimulationControlSystem.js',
+    'modules/simulation/Simulation.js'
+];
+
+// Embutidos do JavaScript ligados como constantes do contexto antes dos scripts: a busca de
+// propriedades no objeto global de um contexto vm passa por interceptadores e fica dezenas de
+// vezes mais lenta que uma ligação léxica (é o custo dominante nos laços das redes e sensores)
+const CONTEXT_BUILTINS = [
+    'Math', 'Number', 'Array', 'Object', 'JSON', 'Map', 'Set', 'String', 'Boolean', 'Date', 'Error',
+    'Symbol', 'isNaN', 'isFinite', 'parseInt', 'parseFloat', 'Float64Array', 'Uint32Array', 'console'
+];
+
+/**
+ * Lê um script do projeto respeitando arquivos salvos em UTF-16
+ * @param {string} file - Caminho relativo à raiz do projeto
+ * @returns {string} - Código-fonte
+ */
+function readScript(file) {
+    const buffer = fs.readFileSync(path.join(ROOT, file));
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return buffer.toString('utf16le').replace(/^﻿/, '');
+    }
+    return buffer.toString('utf8');
+}
+
+/**
+ * Cria um contexto com todos os scripts da simulação carregados
+ * @param {Object} options - Opções
+ * @param {boolean} options.verbose - Mantém os logs dos módulos no console
+ * @returns {Object} - Objeto global do contexto (equivalente ao window)
+ */
+function createHeadlessContext(options = {}) {
+    const quiet = () => {};
+    const sandbox = {
+        console: options.verbose ? console : {
+            log: quiet,
+            info: quiet,
+            debug: quiet,
+            warn: quiet,
+            error: console.error.bind(console)
+        },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval
+    };
+    const context = vm.createContext(sandbox);
+    vm.runInContext(CONTEXT_BUILTINS.map(name => `const ${name} = globalThis.${name};`).join('\n'), context,
+        { filename: 'headless-builtins.js' });
+
+    for (const file of HEADLESS_SCRIPTS) {
+        vm.runInContext(readScript(file), context, { filename: file });
+    }
+
+    return context;
+}
+
+/**
+ * Cria uma simulação headless já populada
+ * @param {Object} options - Opções
+ * @param {number} options.width - Largura do mundo
+ * @param {number} options.height - Altura do mundo
+ * @param {number} options.bacteria - Número inicial de bactérias
+ * @param {number} options.femaleRatio - Porcentagem de fêmeas
+ * @param {number} options.predators - Número inicial de predadores (caçadores)
+ * @param {string} options.species - Fundadores de outras espécies, ex.: 'grazer:2,super:2'
+ * @param {number} options.food - Quantidade inicial de comida
+ * @param {number} options.obstacles - Número de obstáculos
+ * @param {number|string} options.seed - Semente do gerador aleatório
+ * @param {boolean} options.diploid - Fundadoras com genoma diploide
+ * @param {string} options.reproduction - Modo reprodutivo: 'sexual', 'asexual' ou 'mixed'
+ * @param {string} options.inheritance - Herança dos cérebros: 'darwinian' ou 'lamarckian'
+ * @param {string} options.brain - Tipo de cérebro: 'fixed' ou 'neat'
+ * @param {string} options.learning - Modo de aprendizado: 'neural' ou 'qlearning'
+ * @param {string} options.sensors - Sensores direcionais: 'sectors' ou 'rays'
+ * @param {number} options['sensor-count'] - Número fixo de sensores (sem evolução), limitado a BacteriaSensors.config.minCount-maxCount
+ * @param {boolean} options.verbose - Mantém os logs dos módulos
+ * @returns {{context: Object, simulation: Simulation}}
+ */
+function createHeadlessSimulation(options = {}) {
+    const settings = {
+        width: 800,
+        height: 600,
+        bacteria: 20,
+        femaleRatio: 50,
+        predators: 2,
+        food: 80,
+        obstacles: 5,
+        ...options
+    };
+
+    const context = createHeadlessContext(settings);
+    context.width = settings.width;
+    context.height = settings.height;
+
+    const simulation = new context.Simulation(null, {
+        headless: true,
+        width: settings.width,
+        height: settings.height,
+        seed: settings.seed,
+        diploid: settings.diploid === true,
+        reproduction: settings.reproduction,
+        brainInheritance: settings.inheritance,
+        brain: settings.brain,
+        learning: settings.learning,
+        sensors: settings.sensors,
+        sensorCount: settings['sensor-count']
+    });
+    context.simulation = simulation;
+
+    const entityManager = simulation.entityManager;
+    entityManager.generateFood(settings.food);
+    entityManager.generateObstacles(settings.obstacles);
+    simulation.environmentSystem.generateZones();
+    entityManager.addMultipleBacteria(settings.bacteria, settings.femaleRatio);
+
+    // Fundadores: 'predators' caçadores e as espécies extras de --species (ex.: grazer:2,super:2)
+    const founders = { [context.Predator.DEFAULT_SPECIES]: settings.predators, ...parseSpecies(settings.species) };
+    for (const [speciesId, count] of Object.entries(founders)) {
+        if (!context.Predator.SPECIES[speciesId]) {
+            console.error(`Espécie de predador desconhecida: ${speciesId}`);
+            continue;
+        }
+        entityManager.predatorLimits[speciesId] = Math.max(entityManager.getPredatorLimit(speciesId),
+            count, context.Predator.SPECIES[speciesId].limit || 4);
+        for (let i = 0; i < count; i++) {
+            entityManager.addPredator(speciesId, context.random(settings.width), context.random(settings.height));
+        }
+    }
+
+    return { context, simulation };
+}
+
+/**
+ * Lê a lista de espécies de predadores extras no formato espécie:quantidade,...
+ * @param {string|undefined} value - Valor de --species
+ * @returns {Object} - Espécie -> número de fundadores
+ */
+function parseSpecies(value) {
+    const founders = {};
+    if (typeof value !== 'string') return founders;
+    for (const entry of value.split(',')) {
+        const [speciesId, count] = entry.split(':');
+        if (!speciesId) continue;
+        founders[speciesId.trim()] = count === undefined ? 2 : Math.max(0, parseInt(count) || 0);
+    }
+    return founders;
+}
+
+/**
+ * Resumo compacto do estado atual
+ * @param {Simulation} simulation - Simulação headless
+ * @returns {Object} - Contagens principais
+ */
+function summarize(simulation) {
+    const entityManager = simulation.entityManager;
+    return {
+        tick: simulation.frameCount,
+        seed: simulation.rng.seed,
+        bacteria: entityManager.bacteria.length,
+        predators: entityManager.predators.length,
+        predatorEvolution: summarizePredators(simulation),
+        foodWeb: summarizeFoodWeb(simulation),
+        groupPredation: summarizeGroupPredation(simulation),
+        food: entityManager.food.length,
+        lineages: simulation.lineageTracker.getSummary().survivingLineages,
+        plasmids: simulation.plasmidSystem.getSummary().carriers,
+        niches: Object.fromEntries(
+            Object.entries(simulation.environmentSystem.getNicheSummary())
+                .map(([zone, entry]) => [entry.niche, entry.adapted])
+        ),
+        quorum: simulation.quorumSensing.countActive(entityManager.bacteria),
+        diseases: simulation.diseaseSystem.getSummary(),
+        antibiotics: summarizeAntibiotics(simulation.antibioticSystem),
+        strategies: {
+            sexual: simulation.statsManager.stats.sexualBacterias,
+            asexual: simulation.statsManager.stats.asexualBacterias
+        },
+        brains: simulation.statsManager.getBrainSummary(),
+        learning: simulation.statsManager.getLearningSummary()
+    };
+}
+
+/**
+ * Co-evolução predador-presa: geração e genes médios dos predadores (3 casas)
+ * e camuflagem média das presas
+ * @param {Simulation} simulation - Simulação headless
+ * @returns {Object}
+ */
+function summarizePredators(simulation) {
+    const stats = simulation.statsManager.stats;
+    const genes = stats.averagePredatorGenes;
+    return {
+        births: stats.predatorBirths,
+        deaths: stats.predatorDeaths,
+        highestGeneration: stats.highestPredatorGeneration,
+        genes: genes
+            ? Object.fromEntries(Object.entries(genes).map(([gene, value]) => [gene, Number(value.toFixed(3))]))
+            : null,
+        preyCamouflage: Number(stats.averagePreyCamouflage.toFixed(3))
+    };
+}
+
+/**
+ * Teia alimentar: predadores vivos por espécie, presas abatidas por relação
+ * (consumidor>presa) e predadores devorados
+ * @param {Simulation} simulation - Simulação headless
+ * @returns {Object}
+ */
+function summarizeFoodWeb(simulation) {
+    const stats = simulation.statsManager.stats;
+    return {
+        species: stats.predatorsBySpecies,
+        kills: simulation.foodWeb.getSummary().kills,
+        predatorsEaten: stats.predatorsEaten
+    };
+}
+
+/**
+ * Caça em matilha e defesa coletiva das presas (dano e ganho dividido com 1 casa)
+ * @param {Simulation} simulation - Simulação headless
+ * @returns {Object}
+ */
+function summarizeGroupPredation(simulation) {
+    const packs = simulation.packHunting.getSummary();
+    const defense = simulation.preyDefense.getSummary();
+    return {
+        packs: { ...packs, sharedReward: Number(packs.sharedReward.toFixed(1)) },
+        defense: { ...defense, mobDamage: Number(defense.mobDamage.toFixed(1)) }
+    };
+}
+
+/**
+ * Frequências de resistência (3 casas) e mortes/curas dos antibióticos
+ * @param {AntibioticSystem} antibioticSystem - Sistema de antibióticos
+ * @returns {Object}
+ */
+function summarizeAntibiotics(antibioticSystem) {
+    const summary = antibioticSystem.getSummary();
+    return {
+        schedule: summary.schedule,
+        resistance: Object.fromEntries(
+            Object.entries(summary.frequencies).map(([id, value]) => [id, Number(value.toFixed(3))])
+        ),
+        kills: summary.kills,
+        cures: summary.cures
+    };
+}
+
+/**
+ * Lê argumentos no formato --nome valor
+ * @param {Array<string>} argv - Argumentos da linha de comando
+ * @returns {Object} - Argumentos numéricos
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = isNaN(Number(next)) ? next : Number(next);
+            i++;
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const steps = args.steps || 3600;
+    const report = args.report || 600;
+
+    const { simulation } = createHeadlessSimulation(args);
+
+    if (args.diseases) {
+        const errors = simulation.diseaseSystem.loadDefinitions(fs.readFileSync(args.diseases, 'utf8'));
+        if (errors.length > 0) {
+            console.error(`Definições de doenças inválidas em ${args.diseases}:`);
+            errors.forEach(error => console.error(`  ${error}`));
+            process.exit(1);
+        }
+    }
+
+    if (args.distancing === 'off') {
+        simulation.diseaseSystem.distancing.enabled = false;
+    }
+
+    if (args.packs === 'off') {
+        simulation.packHunting.enabled = false;
+    }
+
+    if (args.defense === 'off') {
+        simulation.preyDefense.enabled = false;
+    }
+
+    if (args.schedule) {
+        const antibiotics = simulation.antibioticSystem;
+        if (args.dose) antibiotics.dose = args.dose;
+        if (args.period) antibiotics.period = args.period;
+        antibiotics.setSchedule(args.schedule, args.antibiotic || antibiotics.scheduleType);
+    }
+
+    for (let done = 0; done < steps; done += report) {
+        simulation.step(Math.min(report, steps - done));
+        console.log(JSON.stringify(summarize(simulation)));
+    }
+
+    if (args.newick) {
+        console.log(simulation.lineageTracker.toNewick());
+    }
+
+    if (args.epidemiology) {
+        const tracker = simulation.diseaseSystem.epidemiology;
+        console.log(args.epidemiology === 'csv' ? tracker.toCSV() : tracker.toJSON());
+    }
+
+    if (args.resistance) {
+        console.log(simulation.antibioticSystem.historyToCSV());
+    }
+
+    if (args.curve) {
+        console.log(simulation.statsManager.learningHistoryToCSV());
+    }
+
+    if (args.dynamics) {
+        const tracker = simulation.populationDynamics;
+        console.log(args.dynamics === 'csv' ? tracker.toCSV() : JSON.stringify(tracker.getAnalysis(), null, 2));
+    }
+}
+
+module.exports = {
+    HEADLESS_SCRIPTS,
+    createHeadlessContext,
+    createHeadlessSimulation,
+    parseArgs,
+    summarize
+};
@@ -0,0 +1,332 @@
+/**
+ * Substituto mínimo das funções globais do p5.js para execução sem navegador
+ * Fornece vetores, matemática, tempo e cores para que a simulação rode em Node
+ * sem canvas. As funções de desenho e de DOM viram operações vazias.
+ */
+
+// Em Node não existe window: o objeto global faz o papel dele
+if (typeof window === 'undefined') {
+    globalThis.window = globalThis;
+}
+
+/**
+ * Implementação compatível com p5.Vector (apenas 2D/3D cartesiano)
+ */
+class HeadlessVector {
+    /**
+     * Cria um novo vetor
+     * @param {number} x - Componente X
+     * @param {number} y - Componente Y
+     * @param {number} z - Componente Z
+     */
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x = 0, y = 0, z = 0) {
+        if (typeof x === 'object' && x !== null) {
+            this.x = x.x || 0;
+            this.y = x.y || 0;
+            this.z = x.z || 0;
+        } else {
+            this.x = x;
+            this.y = y;
+            this.z = z;
+        }
+        return this;
+    }
+
+    copy() {
+        return new HeadlessVector(this.x, this.y, this.z);
+    }
+
+    add(x, y, z) {
+        if (typeof x === 'object' && x !== null) {
+            this.x += x.x || 0;
+            this.y += x.y || 0;
+            this.z += x.z || 0;
+        } else {
+            this.x += x || 0;
+            this.y += y || 0;
+            this.z += z || 0;
+        }
+        return this;
+    }
+
+    sub(x, y, z) {
+        if (typeof x === 'object' && x !== null) {
+            this.x -= x.x || 0;
+            this.y -= x.y || 0;
+            this.z -= x.z || 0;
+        } else {
+            this.x -= x || 0;
+            this.y -= y || 0;
+            this.z -= z || 0;
+        }
+        return this;
+    }
+
+    mult(n) {
+        this.x *= n;
+        this.y *= n;
+        this.z *= n;
+        return this;
+    }
+
+    div(n) {
+        if (n === 0) return this;
+        this.x /= n;
+        this.y /= n;
+        this.z /= n;
+        return this;
+    }
+
+    magSq() {
+        return this.x * this.x + this.y * this.y + this.z * this.z;
+    }
+
+    mag() {
+        return Math.sqrt(this.magSq());
+    }
+
+    normalize() {
+        const len = this.mag();
+        if (len !== 0) this.mult(1 / len);
+        return this;
+    }
+
+    limit(max) {
+        const mSq = this.magSq();
+        if (mSq > max * max) {
+            this.div(Math.sqrt(mSq)).mult(max);
+        }
+        return this;
+    }
+
+    setMag(n) {
+        return this.normalize().mult(n);
+    }
+
+    heading() {
+        return Math.atan2(this.y, this.x);
+    }
+
+    rotate(angle) {
+        const newHeading = this.heading() + angle;
+        const len = this.mag();
+        this.x = Math.cos(newHeading) * len;
+        this.y = Math.sin(newHeading) * len;
+        return this;
+    }
+
+    dot(x, y, z) {
+        if (typeof x === 'object' && x !== null) {
+            return this.x * x.x + this.y * x.y + this.z * (x.z || 0);
+        }
+        return this.x * (x || 0) + this.y * (y || 0) + this.z * (z || 0);
+    }
+
+    dist(v) {
+        return v.copy ? v.copy().sub(this).mag() : Math.hypot(v.x - this.x, v.y - this.y);
+    }
+
+    lerp(x, y, z, amt) {
+        if (typeof x === 'object' && x !== null) {
+            amt = y;
+            y = x.y;
+            z = x.z || 0;
+            x = x.x;
+        }
+        this.x += (x - this.x) * amt;
+        this.y += (y - this.y) * amt;
+        this.z += (z - this.z) * amt;
+        return this;
+    }
+
+    reflect(normal) {
+        const n = normal.copy().normalize();
+        return this.sub(n.mult(2 * this.dot(n)));
+    }
+
+    array() {
+        return [this.x, this.y, this.z];
+    }
+
+    static add(v1, v2) {
+        return v1.copy().add(v2);
+    }
+
+    static sub(v1, v2) {
+        return v1.copy().sub(v2);
+    }
+
+    static mult(v, n) {
+        return v.copy().mult(n);
+    }
+
+    static div(v, n) {
+        return v.copy().div(n);
+    }
+
+    static dist(v1, v2) {
+        return v1.dist(v2);
+    }
+
+    static dot(v1, v2) {
+        return v1.dot(v2);
+    }
+
+    static lerp(v1, v2, amt) {
+        return v1.copy().lerp(v2, amt);
+    }
+
+    static reflect(v, normal) {
+        return v.copy().reflect(normal);
+    }
+
+    static fromAngle(angle, length = 1) {
+        return new HeadlessVector(length * Math.cos(angle), length * Math.sin(angle), 0);
+    }
+
+    static random2D() {
+        return HeadlessVector.fromAngle(random(Math.PI * 2));
+    }
+}
+
+/**
+ * Cor simples compatível com os acessos feitos pela simulação (levels, toString)
+ */
+class HeadlessColor {
+    constructor(r = 0, g = r, b = r, a = 255) {
+        this.levels = [r, g, b, a];
+    }
+
+    setAlpha(a) {
+        this.levels[3] = a;
+    }
+
+    toString() {
+        const [r, g, b, a] = this.levels;
+        return `rgba(${r},${g},${b},${a / 255})`;
+    }
+}
+
+window.p5 = window.p5 || {};
+window.p5.Vector = HeadlessVector;
+window.p5.Color = HeadlessColor;
+
+// Constantes
+window.PI = Math.PI;
+window.TWO_PI = Math.PI * 2;
+window.HALF_PI = Math.PI / 2;
+window.QUARTER_PI = Math.PI / 4;
+['CENTER', 'LEFT', 'RIGHT', 'TOP', 'BOTTOM', 'CORNER', 'RADIUS', 'CLOSE', 'ROUND', 'BOLD', 'NORMAL']
+    .forEach(name => { window[name] = name.toLowerCase(); });
+
+// Estado global que o p5 normalmente mantém
+window.width = window.width || 800;
+window.height = window.height || 600;
+window.frameCount = 0;
+window.mouseX = 0;
+window.mouseY = 0;
+
+// Vetores e matemática
+window.createVector = (x = 0, y = 0, z = 0) => new HeadlessVector(x, y, z);
+window.random = function(min, max) {
+    const rand = Math.random();
+    if (typeof min === 'undefined') return rand;
+    if (Array.isArray(min)) return min[Math.floor(rand * min.length)];
+    if (typeof max === 'undefined') return rand * min;
+    if (min > max) [min, max] = [max, min];
+    return rand * (max - min) + min;
+};
+window.randomGaussian = function(mean = 0, sd = 1) {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+window.dist = (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1);
+window.constrain = (n, low, high) => Math.max(Math.min(n, high), low);
+window.map = function(n, start1, stop1, start2, stop2, withinBounds) {
+    const value = (n - start1) / (stop1 - start1) * (stop2 - start2) + start2;
+    if (!withinBounds) return value;
+    return start2 < stop2 ? constrain(value, start2, stop2) : constrain(value, stop2, start2);
+};
+window.lerp = (start, stop, amt) => start + (stop - start) * amt;
+window.sq = n => n * n;
+window.mag = (a, b) => Math.hypot(a, b);
+window.norm = (n, start, stop) => map(n, start, stop, 0, 1);
+window.degrees = rad => rad * 180 / Math.PI;
+window.radians = deg => deg * Math.PI / 180;
+['abs', 'ceil', 'floor', 'round', 'sqrt', 'pow', 'exp', 'sin', 'cos', 'tan', 'atan2', 'min', 'max']
+    .forEach(name => { window[name] = (...args) => Math[name](...args.flat()); });
+window.log = Math.log;
+
+// Ruído suave 1D-3D (value noise interpolado), suficiente para o movimento
+window.noise = function(x = 0, y = 0, z = 0) {
+    const hash = (i, j, k) => {
+        const s = Math.sin(i * 127.1 + j * 311.7 + k * 74.7) * 43758.5453;
+        return s - Math.floor(s);
+    };
+    const smooth = t => t * t * (3 - 2 * t);
+    const xi = Math.floor(x), yi = Math.floor(y), zi = Math.floor(z);
+    const xf = smooth(x - xi), yf = smooth(y - yi), zf = smooth(z - zi);
+    const lerpAxis = (a, b, t) => a + (b - a) * t;
+    const layer = k => lerpAxis(
+        lerpAxis(hash(xi, yi, k), hash(xi + 1, yi, k), xf),
+        lerpAxis(hash(xi, yi + 1, k), hash(xi + 1, yi + 1, k), xf),
+        yf
+    );
+    return lerpAxis(layer(zi), layer(zi + 1), zf);
+};
+window.noiseSeed = () => {};
+window.noiseDetail = () => {};
+window.randomSeed = () => {};
+
+// Tempo: derivado do contador de frames para não depender do relógio real
+window.millis = () => window.frameCount * 1000 / 60;
+window.keyIsDown = () => false;
+
+// Cores
+window.color = function(r, g, b, a) {
+    if (r instanceof HeadlessColor) return r;
+    if (Array.isArray(r)) return new HeadlessColor(...r);
+    if (typeof r !== 'number') return new HeadlessColor(0);
+    if (typeof g === 'undefined') return new HeadlessColor(r, r, r);
+    if (typeof b === 'undefined') return new HeadlessColor(r, r, r, g);
+    return new HeadlessColor(r, g, b, typeof a === 'number' ? a : 255);
+};
+window.red = c => color(c).levels[0];
+window.green = c => color(c).levels[1];
+window.blue = c => color(c).levels[2];
+window.alpha = c => color(c).levels[3];
+window.lerpColor = function(c1, c2, amt) {
+    const a = color(c1).levels;
+    const b = color(c2).levels;
+    return new HeadlessColor(...a.map((v, i) => lerp(v, b[i], amt)));
+};
+
+// Funções de desenho não fazem nada sem canvas
+[
+    'background', 'fill', 'noFill', 'stroke', 'noStroke', 'strokeWeight', 'ellipse', 'circle',
+    'rect', 'line', 'point', 'triangle', 'arc', 'text', 'textSize', 'textAlign', 'textStyle',
+    'push', 'pop', 'translate', 'rotate', 'scale', 'beginShape', 'endShape', 'vertex',
+    'curveVertex', 'rectMode', 'ellipseMode', 'colorMode', 'image', 'tint', 'noTint'
+].forEach(name => { window[name] = () => {}; });
+window.textWidth = text => String(text).length * 6;
+
+// Armazenamento em memória para o sistema de saves
+if (typeof window.localStorage === 'undefined') {
+    const storage = new Map();
+    window.localStorage = {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => { storage.set(key, String(value)); },
+        removeItem: key => { storage.delete(key); },
+        clear: () => { storage.clear(); }
+    };
+}
+
+window.HeadlessVector = HeadlessVector;
+window.HeadlessColor = HeadlessColor;
@@ -0,0 +1,105 @@
+/**
+ * Verificação headless do custo dos plasmídeos (passagens seriadas)
+ * Como num experimento de laboratório, uma população assexuada cresce até o limite
+ * populacional e só uma amostra aleatória segue para a passagem seguinte. Com comida
+ * sobrando o plasmídeo metabólico (pM) só custa e deve se perder; com comida escassa
+ * o benefício supera o custo e ele se mantém.
+ *
+ * Uso: node modules/headless/PlasmidCheck.js --seed 42 --passages 10
+ * Imprime a prevalência de cada plasmídeo por passagem (JSON) e termina com código 1
+ * se o pM não for perdido com comida farta.
+ */
+const { createHeadlessSimulation, parseArgs } = require('./HeadlessRunner.js');
+
+// Comida gerada a cada intervalo do EnvironmentSystem em cada regime
+const FOOD_REGIMES = {
+    plentiful: 200,
+    scarce: 4
+};
+
+// Prevalência abaixo da qual o plasmídeo é considerado perdido
+const LOST_PREVALENCE = 0.05;
+
+/**
+ * Executa as passagens seriadas num regime de comida
+ * @param {string} regime - Chave de FOOD_REGIMES
+ * @param {Object} settings - Opções
+ * @param {number} settings.seed - Semente do gerador aleatório
+ * @param {number} settings.passages - Número de passagens
+ * @param {number} settings.founders - Bactérias que seguem para cada passagem
+ * @param {number} settings.maxTicks - Ticks máximos de crescimento por passagem
+ * @returns {Array<Object>} - Prevalências no fim de cada passagem (a primeira entrada é a das fundadoras)
+ */
+function runPassages(regime, settings) {
+    const { context, simulation } = createHeadlessSimulation({
+        seed: settings.seed,
+        bacteria: settings.founders,
+        predators: 0,
+        reproduction: 'asexual'
+    });
+    const entityManager = simulation.entityManager;
+    const plasmids = simulation.plasmidSystem;
+
+    // Metade das fundadoras com pM, para que a perda e o ganho sejam visíveis
+    context.PlasmidSystem.TYPES.pM.founderRate = 0.5;
+    // Sem ciclo dia/noite a oferta de comida fica constante (à noite ela cai para 30%)
+    simulation.environmentSystem.dayNightEnabled = false;
+    simulation.environmentSystem.foodSpawnAmount = FOOD_REGIMES[regime];
+
+    const sample = passage => {
+        const population = entityManager.bacteria.length;
+        const carriers = plasmids.countCarriers(entityManager.bacteria);
+        const prevalence = {};
+        for (const [id, count] of Object.entries(carriers)) {
+            prevalence[id] = population > 0 ? Number((count / population).toFixed(2)) : 0;
+        }
+        return { regime, passage, tick: context.SimulationClock.now(), population, prevalence };
+    };
+
+    simulation.step(1); // Atribui os plasmídeos das fundadoras
+    const history = [sample(0)];
+
+    for (let passage = 1; passage <= settings.passages; passage++) {
+        for (let ticks = 0; ticks < settings.maxTicks && entityManager.bacteria.length < entityManager.populationLimit; ticks += 50) {
+            simulation.step(50);
+        }
+        history.push(sample(passage));
+
+        // Diluição: só uma amostra aleatória segue para a próxima passagem
+        const survivors = [...entityManager.bacteria];
+        for (let i = survivors.length - 1; i > 0; i--) {
+            const j = Math.floor(context.random(i + 1));
+            [survivors[i], survivors[j]] = [survivors[j], survivors[i]];
+        }
+        entityManager.bacteria = survivors.slice(0, settings.founders);
+    }
+    return history;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const settings = {
+        seed: args.seed !== undefined ? args.seed : 42,
+        passages: args.passages || 10,
+        founders: args.founders || 30,
+        maxTicks: args['max-ticks'] || 1500
+    };
+
+    const results = {};
+    for (const regime of Object.keys(FOOD_REGIMES)) {
+        results[regime] = runPassages(regime, settings);
+        results[regime].forEach(entry => console.log(JSON.stringify(entry)));
+    }
+
+    const initial = results.plentiful[0].prevalence.pM;
+    const plentiful = results.plentiful[results.plentiful.length - 1].prevalence.pM;
+    const scarce = results.scarce[results.scarce.length - 1].prevalence.pM;
+    const lost = plentiful <= LOST_PREVALENCE && plentiful < scarce;
+    console.log(`pM: fundadoras ${initial}, comida farta ${plentiful}, comida escassa ${scarce} -> ${lost ? 'ok' : 'FALHOU'}`);
+    process.exit(lost ? 0 : 1);
+}
+
+module.exports = {
+    FOOD_REGIMES,
+    runPassages
+};
@@ -0,0 +1,109 @@
+/**
+ * Verificação headless de salvar e carregar o estado da simulação
+ * Uma simulação roda --ticks ticks e salva. Logo depois de carregar o save, o mundo deve ser
+ * o da simulação no momento do salvamento: mesmo estado do gerador aleatório (a sequência
+ * continua de onde parou), relógio, comida e bactérias (posição, DNA, sexo, energia e ID).
+ * Depois, carregar o mesmo save na simulação que o gerou (que seguiu rodando) e numa simulação
+ * nova e avançar --steps ticks deve dar o mesmo mundo nas duas.
+ * O save não guarda predadores, doenças nem o que as bactérias aprenderam em vida, então a
+ * verificação roda sem predadores e a execução ininterrupta é só informativa.
+ *
+ * Uso: node modules/headless/SaveLoadCheck.js --seed 42 --ticks 600 --steps 300
+ * Imprime o resultado (JSON) e termina com código 1 se alguma comparação falhar.
+ */
+const { createHeadlessSimulation, parseArgs } = require('./HeadlessRunner.js');
+
+/**
+ * Retrato do que o save guarda (e do estado do gerador), para comparação
+ * @param {Simulation} simulation - Simulação
+ * @returns {string} - JSON
+ */
+function snapshot(simulation) {
+    const entityManager = simulation.entityManager;
+    return JSON.stringify({
+        random: simulation.rng.getState(),
+        clock: simulation.clock.getState(),
+        bacteria: entityManager.bacteria.map(b => ({
+            id: b.id,
+            x: b.pos.x,
+            y: b.pos.y,
+            isFemale: b.isFemale,
+            energy: b.stateManager.currentEnergy,
+            genes: b.dna.genes,
+            brain: b.dna.brain
+        })),
+        food: entityManager.food.map(f => [f.position.x, f.position.y, f.nutrition])
+    });
+}
+
+/**
+ * Posições das bactérias (compara a evolução depois do carregamento)
+ * @param {Simulation} simulation - Simulação
+ * @returns {string}
+ */
+function fingerprint(simulation) {
+    return simulation.entityManager.bacteria
+        .map(b => `${b.id}:${b.pos.x.toFixed(6)},${b.pos.y.toFixed(6)}`)
+        .join('|');
+}
+
+/**
+ * Salva, continua e carrega o save em duas simulações
+ * @param {Object} settings - Opções
+ * @param {number} settings.seed - Semente do gerador aleatório
+ * @param {number} settings.ticks - Ticks antes de salvar
+ * @param {number} settings.steps - Ticks depois de carregar
+ * @returns {Object} - Resultado de cada comparação
+ */
+function checkSaveLoad(settings) {
+    const options = { seed: settings.seed, predators: 0 };
+    const { simulation: original } = createHeadlessSimulation(options);
+    original.step(settings.ticks);
+
+    original.saveState();
+    const saves = original.saveSystem.getSavesList();
+    const state = original.saveSystem.loadState(saves[saves.length - 1].id);
+    const saved = snapshot(original);
+
+    // Execução ininterrupta a partir do momento do salvamento
+    original.step(settings.steps);
+    const uninterrupted = fingerprint(original);
+
+    // Carrega na simulação que gerou o save (e seguiu rodando) e numa nova
+    original.loadState(state);
+    const reloaded = snapshot(original);
+    original.step(settings.steps);
+
+    const { simulation: fresh } = createHeadlessSimulation(options);
+    fresh.loadState(state);
+    const loaded = snapshot(fresh);
+    fresh.step(settings.steps);
+
+    return {
+        restoredInPlace: reloaded === saved,
+        restoredFresh: loaded === saved,
+        sameAfterSteps: fingerprint(original) === fingerprint(fresh),
+        matchesUninterrupted: fingerprint(original) === uninterrupted,
+        bacteria: original.entityManager.bacteria.length
+    };
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const settings = {
+        seed: args.seed !== undefined ? args.seed : 42,
+        ticks: args.ticks || 600,
+        steps: args.steps || 300
+    };
+
+    const result = checkSaveLoad(settings);
+    console.log(JSON.stringify({ ...settings, ...result }));
+
+    const ok = result.restoredInPlace && result.restoredFresh && result.sameAfterSteps;
+    console.log(`salvar e carregar: ${ok ? 'ok' : 'FALHOU'}`);
+    process.exit(ok ? 0 : 1);
+}
+
+module.exports = {
+    checkSaveLoad
+};
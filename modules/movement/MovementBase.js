@@ -127,7 +127,7 @@ class MovementBase {
         this.noiseOffsetY += this.noiseStep;
         
         // Adiciona variação extra para evitar padrões repetitivos
-        if (frameCount % 120 === 0) {
+        if (SimulationClock.now() % 120 === 0) {
             this.noiseOffsetX += random(-0.5, 0.5);
             this.noiseOffsetY += random(-0.5, 0.5);
         }
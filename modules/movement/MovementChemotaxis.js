@@ -0,0 +1,65 @@
+/**
+ * Classe com o comportamento de quimiotaxia para o sistema de movimento
+ * A entidade sobe o gradiente de um campo químico (ChemicalFieldSystem)
+ */
+class MovementChemotaxis {
+    /**
+     * Inicializa a quimiotaxia
+     * @param {MovementBase} movementBase - Referência para o sistema base de movimento
+     */
+    constructor(movementBase) {
+        this.base = movementBase;
+        this.threshold = 0.0001; // Gradientes menores que isto não são percebidos
+        this.turnRate = 0.2;     // Fração máxima da diferença de direção corrigida por tick
+    }
+
+    /**
+     * Aplica uma força na direção de subida do gradiente
+     * @param {{x: number, y: number}} gradient - Gradiente no ponto atual
+     * @param {number} weight - Peso do comportamento (gene de quimiotaxia, 0-1)
+     * @returns {boolean} - Se o gradiente foi seguido
+     */
+    followGradient(gradient, weight = 1) {
+        if (!this.isPerceptible(gradient) || weight <= 0) return false;
+
+        const desired = createVector(gradient.x, gradient.y);
+        desired.normalize();
+        desired.mult(this.base.maxSpeed);
+
+        const steer = p5.Vector.sub(desired, this.base.velocity);
+        steer.limit(this.base.maxForce * weight);
+        this.base.applyForce(steer);
+        return true;
+    }
+
+    /**
+     * Inclina uma direção de passeio aleatório para a subida do gradiente
+     * (equivalente a "correr e tombar": menos desvios quando a concentração aumenta)
+     * @param {number} angle - Direção atual em radianos
+     * @param {{x: number, y: number}} gradient - Gradiente no ponto atual
+     * @param {number} weight - Peso do comportamento (gene de quimiotaxia, 0-1)
+     * @returns {number} - Nova direção em radianos
+     */
+    steerAngle(angle, gradient, weight = 1) {
+        if (!this.isPerceptible(gradient) || weight <= 0) return angle;
+
+        const target = Math.atan2(gradient.y, gradient.x);
+        let difference = target - angle;
+        difference = Math.atan2(Math.sin(difference), Math.cos(difference)); // Entre -PI e PI
+
+        return angle + difference * this.turnRate * Math.min(1, weight);
+    }
+
+    /**
+     * Verifica se o gradiente é forte o bastante para ser percebido
+     * @param {{x: number, y: number}} gradient - Gradiente
+     * @returns {boolean}
+     */
+    isPerceptible(gradient) {
+        if (!gradient) return false;
+        return Math.abs(gradient.x) + Math.abs(gradient.y) > this.threshold;
+    }
+}
+
+// Exportação da classe
+window.MovementChemotaxis = MovementChemotaxis;
@@ -14,6 +14,7 @@ class Movement {
         this.base = new MovementBase(position, size);
         this.steering = new MovementSteering(this.base);
         this.obstacle = new MovementObstacle(this.base);
+        this.chemotaxis = new MovementChemotaxis(this.base);
         
         // Expõe propriedades para compatibilidade
         this.position = this.base.position;
@@ -102,6 +103,15 @@ class Movement {
         this.steering.separate(others, desiredSeparation);
     }
 
+    /**
+     * Sobe o gradiente de um campo químico
+     * @param {{x: number, y: number}} gradient - Gradiente no ponto atual
+     * @param {number} weight - Peso do comportamento (0-1)
+     */
+    followGradient(gradient, weight = 1) {
+        this.chemotaxis.followGradient(gradient, weight);
+    }
+
     /**
      * Evita obstáculos (método mantido por compatibilidade)
      * @param {Array} obstacles - Lista de obstáculos
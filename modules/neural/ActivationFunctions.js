@@ -55,6 +55,22 @@ class ActivationFunctions {
         }
     }
     
+    /**
+     * Derivada da função de ativação, calculada a partir do valor já ativado
+     * @param {string} fnName - Nome da função de ativação
+     * @param {number} x - Valor já ativado
+     * @returns {number} - Derivada
+     */
+    static derivative(fnName, x) {
+        switch (fnName) {
+            case 'sigmoid': return x * (1 - x);
+            case 'relu': return x > 0 ? 1 : 0;
+            case 'leakyrelu': return x > 0 ? 1 : 0.01;
+            case 'tanh': return 1 - (x * x);
+            default: return x > 0 ? 1 : 0;
+        }
+    }
+    
     /**
      * Retorna lista de funções de ativação disponíveis
      * @returns {Array} - Lista de nomes de funções de ativação
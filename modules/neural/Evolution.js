@@ -84,6 +84,28 @@ class NeuralEvolution {
     static shouldMutateActivation(probability) {
         return random() < probability;
     }
+
+    /**
+     * Cérebro de um filho: crossover dos pesos e da função de ativação dos pais,
+     * seguido de mutação com intensidade inversa ao fitness médio dos pais
+     * Com um só genitor (fissão) ou redes de tipos ou formatos diferentes, parte de uma cópia do primeiro
+     * @param {NeuralNetwork|NeatNetwork} brain1 - Cérebro herdável do primeiro genitor
+     * @param {NeuralNetwork|NeatNetwork|null} brain2 - Cérebro herdável do segundo genitor
+     * @param {number} fitness1 - Fitness do primeiro genitor (1 = normal)
+     * @param {number} fitness2 - Fitness do segundo genitor (no NEAT, o mais apto passa a estrutura)
+     * @returns {NeuralNetwork|NeatNetwork} - Cérebro do filho
+     */
+    static inheritBrain(brain1, brain2, fitness1 = 1, fitness2 = fitness1) {
+        const compatible = brain2 &&
+            brain1.constructor === brain2.constructor &&
+            brain1.inputSize === brain2.inputSize &&
+            brain1.hiddenSize === brain2.hiddenSize &&
+            brain1.outputSize === brain2.outputSize;
+
+        const child = compatible ? brain1.crossover(brain2, fitness1, fitness2) : brain1.copy();
+        child.mutate(brain2 ? (fitness1 + fitness2) / 2 : fitness1);
+        return child;
+    }
 }
 
 // Exportar a classe
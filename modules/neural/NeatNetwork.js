@@ -0,0 +1,566 @@
+/**
+ * Rede neural com topologia evolutiva (estilo NEAT)
+ * O genoma é uma lista de genes de nó (entrada, bias, ocultos e saída) e de genes de
+ * conexão com número de inovação. A rede começa com as entradas ligadas direto às saídas
+ * e ganha nós e conexões por mutação (complexificação); o crossover alinha os genes pelo
+ * número de inovação. Tem a mesma interface de NeuralNetwork (predict, train, crossover,
+ * mutate, copy, toJSON), então pode ser o cérebro de BacteriaLearning.
+ * A rede é sempre acíclica (feed-forward).
+ */
+class NeatNetwork {
+    /**
+     * Inicializa a rede mínima: cada entrada e o bias ligados a cada saída
+     * @param {number} inputSize - Número de entradas
+     * @param {number} outputSize - Número de saídas
+     */
+    constructor(inputSize = 12, outputSize = 5) {
+        this.inputSize = inputSize;
+        this.outputSize = outputSize;
+
+        // Genes de nó: ids 0..inputSize-1 são entradas; bias e saídas têm ids fixos
+        // (NeatNetwork.BIAS_ID e seguintes), que não mudam com o número de entradas
+        this.nodes = [];
+        for (let i = 0; i < inputSize; i++) this.nodes.push({ id: i, type: 'input' });
+        this.nodes.push({ id: NeatNetwork.BIAS_ID, type: 'bias' });
+        for (let o = 0; o < outputSize; o++) this.nodes.push({ id: NeatNetwork.BIAS_ID + 1 + o, type: 'output' });
+
+        // Genes de conexão
+        this.connections = [];
+        for (const from of this.nodes.filter(node => node.type === 'input' || node.type === 'bias')) {
+            for (const to of this.getOutputIds()) {
+                this.connections.push(this.createConnection(from.id, to, random(-1, 1)));
+            }
+        }
+
+        // Memória de experiência (mesma interface de NeuralNetwork)
+        this.memory = new NeuralMemory(100);
+
+        // Parâmetros de aprendizado e mutação
+        this.learningRate = 0.1;
+        this.mutationRate = 0.1;         // Chance de cada peso sofrer mutação
+        this.mutationIntensity = 0.2;
+        this.addConnectionRate = 0.15;   // Chance de uma conexão nova por mutação
+        this.addNodeRate = 0.08;         // Chance de um nó novo por mutação
+
+        // Função de ativação dos nós ocultos e de saída
+        this.activationFnName = 'sigmoid';
+
+        // Espécie atribuída por NeatSpeciation
+        this.speciesId = null;
+
+        this.order = null; // Ordem topológica (recalculada após mudanças de estrutura)
+    }
+
+    /**
+     * Número de inovação de uma conexão; a mesma ligação recebe o mesmo número em qualquer genoma
+     * @param {number} from - Nó de origem
+     * @param {number} to - Nó de destino
+     * @returns {number}
+     */
+    static getInnovation(from, to) {
+        const key = `${from}>${to}`;
+        if (!NeatNetwork.innovations.has(key)) {
+            NeatNetwork.innovations.set(key, NeatNetwork.nextInnovation++);
+        }
+        return NeatNetwork.innovations.get(key);
+    }
+
+    /**
+     * Id do nó criado ao dividir uma conexão; a mesma divisão gera o mesmo nó em qualquer genoma
+     * @param {number} innovation - Inovação da conexão dividida
+     * @returns {number}
+     */
+    static getSplitNode(innovation) {
+        if (!NeatNetwork.splits.has(innovation)) {
+            NeatNetwork.splits.set(innovation, NeatNetwork.nextNodeId++);
+        }
+        return NeatNetwork.splits.get(innovation);
+    }
+
+    /**
+     * Esvazia os registros de inovações e de nós (nova população)
+     */
+    static resetInnovations() {
+        NeatNetwork.innovations.clear();
+        NeatNetwork.nextInnovation = 1;
+        NeatNetwork.splits.clear();
+        NeatNetwork.nextNodeId = 1000;
+    }
+
+    /**
+     * Cria um gene de conexão
+     * @param {number} from - Nó de origem
+     * @param {number} to - Nó de destino
+     * @param {number} weight - Peso
+     * @returns {Object}
+     */
+    createConnection(from, to, weight) {
+        return { innovation: NeatNetwork.getInnovation(from, to), from: from, to: to, weight: weight, enabled: true };
+    }
+
+    /**
+     * Ids dos nós de saída, na ordem das saídas
+     * @returns {Array<number>}
+     */
+    getOutputIds() {
+        return this.nodes.filter(node => node.type === 'output').map(node => node.id);
+    }
+
+    /**
+     * Tamanho da rede
+     * @returns {{nodes: number, connections: number}} - Nós e conexões ativas
+     */
+    getSize() {
+        return {
+            nodes: this.nodes.length,
+            connections: this.connections.filter(connection => connection.enabled).length
+        };
+    }
+
+    /**
+     * Ordem de avaliação dos nós (Kahn sobre as conexões ativas)
+     * @returns {Array<number>} - Ids dos nós ocultos e de saída
+     */
+    getOrder() {
+        if (this.order) return this.order;
+
+        const incoming = new Map(this.nodes.map(node => [node.id, 0]));
+        const outgoing = new Map(this.nodes.map(node => [node.id, []]));
+        for (const connection of this.connections) {
+            if (!connection.enabled) continue;
+            incoming.set(connection.to, incoming.get(connection.to) + 1);
+            outgoing.get(connection.from).push(connection.to);
+        }
+
+        const queue = this.nodes.filter(node => incoming.get(node.id) === 0).map(node => node.id);
+        const order = [];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+            for (const to of outgoing.get(id)) {
+                incoming.set(to, incoming.get(to) - 1);
+                if (incoming.get(to) === 0) queue.push(to);
+            }
+        }
+
+        const types = new Map(this.nodes.map(node => [node.id, node.type]));
+        this.order = order.filter(id => types.get(id) === 'hidden' || types.get(id) === 'output');
+        return this.order;
+    }
+
+    /**
+     * Prepara os inputs: ajusta o tamanho e limita a 0-1 (como em NeuralNetwork.predict)
+     * @param {Array} inputs - Inputs brutos
+     * @returns {Array<number>}
+     */
+    processInputs(inputs) {
+        let processed = [...inputs];
+        if (processed.length < this.inputSize) {
+            processed = [...processed, ...Array(this.inputSize - processed.length).fill(0.5)];
+        } else if (processed.length > this.inputSize) {
+            processed = processed.slice(0, this.inputSize);
+        }
+        return processed.map(input =>
+            typeof input !== 'number' || isNaN(input) || !isFinite(input) ? 0.5 : Math.max(0, Math.min(1, input))
+        );
+    }
+
+    /**
+     * Propaga os inputs pela rede
+     * @param {Array<number>} inputs - Inputs já processados
+     * @returns {Map<number, number>} - Valor de cada nó
+     */
+    feedForward(inputs) {
+        const values = new Map();
+        inputs.forEach((value, i) => values.set(i, value));
+        values.set(NeatNetwork.BIAS_ID, 1);
+
+        const incoming = new Map();
+        for (const connection of this.connections) {
+            if (!connection.enabled) continue;
+            if (!incoming.has(connection.to)) incoming.set(connection.to, []);
+            incoming.get(connection.to).push(connection);
+        }
+
+        for (const id of this.getOrder()) {
+            let sum = 0;
+            for (const connection of incoming.get(id) || []) {
+                sum += connection.weight * (values.get(connection.from) || 0);
+            }
+            values.set(id, ActivationFunctions.activate(this.activationFnName, sum));
+        }
+        return values;
+    }
+
+    /**
+     * Troca a camada de entrada (mudança no número de sensores entre gerações)
+     * Só as conexões que saem de entradas mudam: cada entrada herda as conexões da entrada
+     * antiga indicada, com o peso dividido entre as cópias (k entradas copiadas da mesma
+     * origem somam o sinal da original), e as entradas sem origem ganham ligações aleatórias
+     * a todas as saídas, como na rede mínima. Bias, saídas e ocultos mantêm ids e inovações.
+     * @param {Array<number|null>} mapping - Para cada input novo, o índice do input antigo ou null
+     */
+    remapInputs(mapping) {
+        const oldSize = this.inputSize;
+        const newSize = mapping.length;
+        const types = new Map(this.nodes.map(node => [node.id, node.type]));
+        const copies = new Map();
+        for (const source of mapping) {
+            if (source !== null) copies.set(source, (copies.get(source) || 0) + 1);
+        }
+
+        const connections = [];
+        for (const connection of this.connections) {
+            if (types.get(connection.from) !== 'input') {
+                connections.push(connection);
+                continue;
+            }
+            mapping.forEach((source, i) => {
+                if (source !== connection.from) return;
+                const gene = this.createConnection(i, connection.to, connection.weight / copies.get(source));
+                gene.enabled = connection.enabled;
+                connections.push(gene);
+            });
+        }
+
+        const outputs = this.nodes.filter(node => node.type === 'output');
+        this.nodes = [
+            ...mapping.map((_, i) => ({ id: i, type: 'input' })),
+            ...this.nodes.filter(node => node.type !== 'input')
+        ];
+        this.inputSize = newSize;
+
+        mapping.forEach((source, i) => {
+            if (source !== null && source < oldSize) return;
+            for (const output of outputs) {
+                connections.push(this.createConnection(i, output.id, random(-1, 1)));
+            }
+        });
+        this.connections = connections;
+        this.order = null;
+    }
+
+    /**
+     * Grafo da rede com as ativações para um vetor de inputs (mesmo formato de NeuralNetwork.getGraph)
+     * A camada de cada nó oculto é o maior caminho desde as entradas; as saídas ficam na última
+     * @param {Array<number>} inputs - Inputs brutos
+     * @returns {{nodes: Array<Object>, edges: Array<Object>}}
+     */
+    getGraph(inputs = []) {
+        const values = this.feedForward(this.processInputs(inputs));
+
+        const depth = new Map();
+        for (const id of this.getOrder()) {
+            const parents = this.connections.filter(connection => connection.enabled && connection.to === id);
+            depth.set(id, Math.max(1, ...parents.map(connection => (depth.get(connection.from) || 0) + 1)));
+        }
+        const outputIds = this.getOutputIds();
+        const lastLayer = Math.max(1, ...this.nodes
+            .filter(node => node.type === 'hidden')
+            .map(node => (depth.get(node.id) || 1) + 1));
+
+        const nodes = this.nodes.map(node => ({
+            id: node.id,
+            type: node.type,
+            index: node.type === 'output' ? outputIds.indexOf(node.id) : node.id,
+            layer: node.type === 'output' ? lastLayer : (depth.get(node.id) || 0),
+            value: values.get(node.id) || 0
+        }));
+        const edges = this.connections.map(connection => ({
+            from: connection.from,
+            to: connection.to,
+            weight: connection.weight,
+            enabled: connection.enabled
+        }));
+        return { nodes, edges };
+    }
+
+    /**
+     * Prediz uma ação baseada nos inputs
+     * @param {Array} inputs - Array de inputs
+     * @returns {Array} - Array de outputs (0-1)
+     */
+    predict(inputs) {
+        if (!inputs || !Array.isArray(inputs)) {
+            return Array(this.outputSize).fill(0.5);
+        }
+
+        try {
+            const values = this.feedForward(this.processInputs(inputs));
+            const outputs = this.getOutputIds().map(id => {
+                const output = values.get(id);
+                return typeof output === 'number' && isFinite(output) ? Math.max(0, Math.min(1, output)) : 0.5;
+            });
+
+            if (this.memory && typeof this.memory.storeExperience === 'function') {
+                this.memory.storeExperience(inputs, outputs);
+            }
+            return outputs;
+        } catch (error) {
+            console.error('Erro na rede NEAT:', error);
+            return Array(this.outputSize).fill(0.5);
+        }
+    }
+
+    /**
+     * Treina a rede ajustando as conexões que chegam às saídas (regra delta);
+     * a estrutura só muda por evolução
+     * @param {Array} inputs - Array de inputs
+     * @param {Array} targets - Array de targets esperados
+     * @returns {number} - Erro médio
+     */
+    train(inputs, targets) {
+        if (!Array.isArray(inputs) || !Array.isArray(targets)) return 1;
+
+        try {
+            const values = this.feedForward(this.processInputs(inputs));
+            const outputIds = this.getOutputIds();
+            let totalError = 0;
+
+            outputIds.forEach((id, i) => {
+                const target = typeof targets[i] === 'number' && isFinite(targets[i])
+                    ? Math.max(0, Math.min(1, targets[i]))
+                    : 0.5;
+                const output = values.get(id);
+                const error = target - output;
+                totalError += Math.abs(error);
+
+                const gradient = error * ActivationFunctions.derivative(this.activationFnName, output) * this.learningRate;
+                for (const connection of this.connections) {
+                    if (connection.enabled && connection.to === id) {
+                        connection.weight += gradient * (values.get(connection.from) || 0);
+                    }
+                }
+            });
+
+            return totalError / outputIds.length;
+        } catch (error) {
+            console.error('Erro no treinamento da rede NEAT:', error);
+            return 1;
+        }
+    }
+
+    /**
+     * Verifica se existe caminho de um nó a outro
+     * Considera também as conexões desativadas, que o crossover pode reativar
+     * @param {number} from - Nó inicial
+     * @param {number} to - Nó procurado
+     * @returns {boolean}
+     */
+    hasPath(from, to) {
+        const stack = [from];
+        const visited = new Set();
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === to) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            for (const connection of this.connections) {
+                if (connection.from === id) stack.push(connection.to);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Mutação estrutural: liga dois nós ainda não ligados sem criar ciclos
+     * @returns {boolean} - Se a conexão foi criada
+     */
+    addConnectionMutation() {
+        const sources = this.nodes.filter(node => node.type !== 'output');
+        const targets = this.nodes.filter(node => node.type === 'hidden' || node.type === 'output');
+
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const from = sources[Math.floor(random(sources.length))].id;
+            const to = targets[Math.floor(random(targets.length))].id;
+            if (from === to || this.connections.some(c => c.from === from && c.to === to)) continue;
+            if (this.hasPath(to, from)) continue;
+
+            this.connections.push(this.createConnection(from, to, random(-1, 1)));
+            this.order = null;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Mutação estrutural: divide uma conexão ativa com um nó oculto novo
+     * (entrada com peso 1 e saída com o peso antigo, preservando o comportamento)
+     * @returns {boolean} - Se o nó foi criado
+     */
+    addNodeMutation() {
+        const enabled = this.connections.filter(connection => connection.enabled);
+        if (enabled.length === 0) return false;
+
+        const connection = enabled[Math.floor(random(enabled.length))];
+        const id = NeatNetwork.getSplitNode(connection.innovation);
+        if (this.nodes.some(node => node.id === id)) return false;
+
+        connection.enabled = false;
+        this.nodes.push({ id: id, type: 'hidden' });
+        this.connections.push(this.createConnection(connection.from, id, 1));
+        this.connections.push(this.createConnection(id, connection.to, connection.weight));
+        this.order = null;
+        return true;
+    }
+
+    /**
+     * Aplica mutações de peso e de estrutura
+     * @param {number} fitness - Valor de fitness (opcional; maior = mutações de peso menores)
+     */
+    mutate(fitness = 1) {
+        const intensity = NeuralEvolution.adjustIntensity(this.mutationIntensity, fitness);
+        for (const connection of this.connections) {
+            if (random() < this.mutationRate) {
+                connection.weight += random(-intensity, intensity);
+            }
+        }
+
+        if (random() < this.addConnectionRate) this.addConnectionMutation();
+        if (random() < this.addNodeRate) this.addNodeMutation();
+
+        if (NeuralEvolution.shouldMutateActivation(0.05)) {
+            this.activationFnName = NeuralEvolution.randomActivationFunction();
+        }
+    }
+
+    /**
+     * Crossover alinhado pelo número de inovação: genes em comum vêm de qualquer um dos
+     * pais; genes disjuntos e excedentes vêm do genitor mais apto (desta rede no empate).
+     * A estrutura é a de um só genitor, o que mantém a rede acíclica
+     * @param {NeatNetwork} other - Outra rede
+     * @param {number} fitness - Fitness do dono desta rede
+     * @param {number} otherFitness - Fitness do dono da outra rede
+     * @returns {NeatNetwork} - Nova rede
+     */
+    crossover(other, fitness = 0, otherFitness = 0) {
+        if (otherFitness > fitness) {
+            return other.crossover(this, otherFitness, fitness);
+        }
+
+        const child = this.copy();
+        const otherGenes = new Map(other.connections.map(connection => [connection.innovation, connection]));
+
+        for (const connection of child.connections) {
+            const match = otherGenes.get(connection.innovation);
+            if (!match) continue;
+            if (random() < 0.5) connection.weight = match.weight;
+            // Gene desativado em um dos pais tende a continuar desativado
+            if (!connection.enabled || !match.enabled) {
+                connection.enabled = random() >= 0.75;
+            }
+        }
+
+        child.activationFnName = random() < 0.5 ? this.activationFnName : other.activationFnName;
+        child.mutationRate = (this.mutationRate + other.mutationRate) / 2;
+        child.order = null;
+        return child;
+    }
+
+    /**
+     * Cópia independente do genoma (sem a memória de experiências)
+     * @returns {NeatNetwork}
+     */
+    copy() {
+        return NeatNetwork.fromJSON(this.toJSON());
+    }
+
+    /**
+     * Dados serializáveis da rede (usados ao salvar o DNA)
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            type: 'neat',
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            nodes: this.nodes.map(node => ({ ...node })),
+            connections: this.connections.map(connection => ({ ...connection })),
+            learningRate: this.learningRate,
+            mutationRate: this.mutationRate,
+            mutationIntensity: this.mutationIntensity,
+            addConnectionRate: this.addConnectionRate,
+            addNodeRate: this.addNodeRate,
+            activationFnName: this.activationFnName
+        };
+    }
+
+    /**
+     * Recria uma rede a partir de toJSON, registrando suas inovações e nós
+     * @param {Object} data - Dados da rede
+     * @returns {NeatNetwork}
+     */
+    static fromJSON(data) {
+        const network = Object.create(NeatNetwork.prototype);
+        network.inputSize = data.inputSize;
+        network.outputSize = data.outputSize;
+        network.nodes = data.nodes.map(node => ({ ...node }));
+        network.connections = data.connections.map(connection => ({ ...connection }));
+        network.memory = new NeuralMemory(100);
+        network.learningRate = data.learningRate;
+        network.mutationRate = data.mutationRate;
+        network.mutationIntensity = data.mutationIntensity;
+        network.addConnectionRate = data.addConnectionRate;
+        network.addNodeRate = data.addNodeRate;
+        network.activationFnName = data.activationFnName;
+        network.speciesId = null;
+        network.order = null;
+
+        // Saves antigos numeravam bias e saídas logo após as entradas
+        const bias = network.nodes.find(node => node.type === 'bias');
+        if (bias && bias.id !== NeatNetwork.BIAS_ID) {
+            const first = bias.id;
+            const renumber = id => id >= first && id <= first + network.outputSize ? id - first + NeatNetwork.BIAS_ID : id;
+            for (const node of network.nodes) node.id = renumber(node.id);
+            network.connections = network.connections.map(connection => {
+                const gene = network.createConnection(renumber(connection.from), renumber(connection.to), connection.weight);
+                gene.enabled = connection.enabled;
+                return gene;
+            });
+        }
+
+        // Redes carregadas de um save continuam compatíveis com as novas inovações
+        for (const connection of network.connections) {
+            const key = `${connection.from}>${connection.to}`;
+            if (!NeatNetwork.innovations.has(key)) {
+                NeatNetwork.innovations.set(key, connection.innovation);
+            }
+            NeatNetwork.nextInnovation = Math.max(NeatNetwork.nextInnovation, connection.innovation + 1);
+        }
+        for (const node of network.nodes) {
+            NeatNetwork.nextNodeId = Math.max(NeatNetwork.nextNodeId, node.id + 1);
+        }
+        return network;
+    }
+
+    /**
+     * Limpa recursos
+     */
+    dispose() {
+        this.memory.clear();
+    }
+}
+
+/**
+ * Registro global de inovações: ligação 'origem>destino' -> número de inovação
+ */
+NeatNetwork.innovations = new Map();
+NeatNetwork.nextInnovation = 1;
+
+/**
+ * Nós criados por divisão de conexão: inovação dividida -> id do nó
+ */
+NeatNetwork.splits = new Map();
+
+/**
+ * Id fixo do bias; as saídas usam os ids seguintes. Entradas ficam abaixo dele
+ */
+NeatNetwork.BIAS_ID = 500;
+
+/**
+ * Próximo id livre para nós ocultos (acima das entradas, bias e saídas de qualquer rede)
+ */
+NeatNetwork.nextNodeId = 1000;
+
+// Exporta a classe
+window.NeatNetwork = NeatNetwork;
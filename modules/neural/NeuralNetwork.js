@@ -59,23 +59,7 @@ class NeuralNetwork {
      * @returns {number} - Derivada da função de ativação
      */
     activationDerivative(x) {
-        switch (this.activationFnName) {
-            case 'sigmoid':
-                // A derivada do sigmoid é: f(x) * (1 - f(x))
-                return x * (1 - x);
-            case 'relu':
-                // A derivada do ReLU é: 1 se x > 0, 0 caso contrário
-                return x > 0 ? 1 : 0;
-            case 'leakyrelu':
-                // A derivada do LeakyReLU é: 1 se x > 0, alpha caso contrário
-                return x > 0 ? 1 : 0.01;
-            case 'tanh':
-                // A derivada do tanh é: 1 - (f(x))²
-                return 1 - (x * x);
-            default:
-                // Derivada padrão (relu)
-                return x > 0 ? 1 : 0;
-        }
+        return ActivationFunctions.derivative(this.activationFnName, x);
     }
     
     /**
@@ -131,15 +115,7 @@ class NeuralNetwork {
             // Camada oculta - forward pass
             let hidden = [];
             try {
-                hidden = this.weightsIH.map((row, i) => {
-                    const sum = row.reduce((acc, weight, j) => {
-                        const weightedInput = weight * processedInputs[j];
-                        return isNaN(weightedInput) ? acc : acc + weightedInput;
-                    }, 0);
-                    
-                    const biasedSum = sum + this.biasH[i][0];
-                    return isNaN(biasedSum) ? 0.5 : this.activate(biasedSum);
-                });
+                hidden = this.forwardLayer(this.weightsIH, this.biasH, processedInputs);
             } catch (hiddenError) {
                 console.error("Erro ao calcular camada oculta:", hiddenError);
                 hidden = Array(this.hiddenSize).fill(0.5);
@@ -154,15 +130,7 @@ class NeuralNetwork {
             // Camada de saída - forward pass
             let outputs = [];
             try {
-                outputs = this.weightsHO.map((row, i) => {
-                    const sum = row.reduce((acc, weight, j) => {
-                        const weightedHidden = weight * hidden[j];
-                        return isNaN(weightedHidden) ? acc : acc + weightedHidden;
-                    }, 0);
-                    
-                    const biasedSum = sum + this.biasO[i][0];
-                    return isNaN(biasedSum) ? 0.5 : this.activate(biasedSum);
-                });
+                outputs = this.forwardLayer(this.weightsHO, this.biasO, hidden);
             } catch (outputError) {
                 console.error("Erro ao calcular camada de saída:", outputError);
                 outputs = Array(this.outputSize).fill(0.5);
@@ -303,6 +271,146 @@ class NeuralNetwork {
         }
     }
 
+    /**
+     * Tamanho da rede (mesma medida de NeatNetwork.getSize)
+     * @returns {{nodes: number, connections: number}} - Neurônios (com o bias) e pesos
+     */
+    getSize() {
+        return {
+            nodes: this.inputSize + 1 + this.hiddenSize + this.outputSize,
+            connections: (this.inputSize + 1) * this.hiddenSize + (this.hiddenSize + 1) * this.outputSize
+        };
+    }
+
+    /**
+     * Troca a camada de entrada (mudança no número de sensores entre gerações)
+     * @param {Array<number|null>} mapping - Para cada input novo, o índice do input antigo cujos
+     *     pesos ele herda, ou null para pesos aleatórios
+     */
+    remapInputs(mapping) {
+        this.weightsIH = this.weightsIH.map(row =>
+            mapping.map(source => source !== null && source < row.length ? row[source] : random(-1, 1))
+        );
+        this.inputSize = mapping.length;
+    }
+
+    /**
+     * Grafo da rede com as ativações para um vetor de inputs (usado pelo inspetor de cérebro)
+     * Não armazena nada na memória de experiências; os bias ficam fora do grafo
+     * @param {Array<number>} inputs - Inputs (ajustados e limitados a 0-1 como em predict)
+     * @returns {{nodes: Array<Object>, edges: Array<Object>}} - Nós {id, type, index, layer, value}
+     *     e arestas {from, to, weight, enabled}
+     */
+    getGraph(inputs = []) {
+        const processed = Array.from({ length: this.inputSize }, (_, i) => {
+            const input = inputs[i];
+            return typeof input !== 'number' || isNaN(input) || !isFinite(input) ? 0.5 : Math.max(0, Math.min(1, input));
+        });
+        const hidden = this.weightsIH.map((row, i) =>
+            this.activate(row.reduce((sum, weight, j) => sum + weight * processed[j], this.biasH[i][0]))
+        );
+        const outputs = this.weightsHO.map((row, i) =>
+            Math.max(0, Math.min(1, this.activate(row.reduce((sum, weight, j) => sum + weight * hidden[j], this.biasO[i][0]))))
+        );
+
+        const nodes = [
+            ...processed.map((value, i) => ({ id: `i${i}`, type: 'input', index: i, layer: 0, value })),
+            ...hidden.map((value, i) => ({ id: `h${i}`, type: 'hidden', index: i, layer: 1, value })),
+            ...outputs.map((value, i) => ({ id: `o${i}`, type: 'output', index: i, layer: 2, value }))
+        ];
+        const edges = [];
+        this.weightsIH.forEach((row, h) => row.forEach((weight, i) => edges.push({ from: `i${i}`, to: `h${h}`, weight, enabled: true })));
+        this.weightsHO.forEach((row, o) => row.forEach((weight, h) => edges.push({ from: `h${h}`, to: `o${o}`, weight, enabled: true })));
+        return { nodes, edges };
+    }
+
+    /**
+     * Cópia independente dos pesos, bias e parâmetros (sem a memória de experiências)
+     * @returns {NeuralNetwork} - Nova rede neural
+     */
+    copy() {
+        return NeuralNetwork.fromJSON(this.toJSON());
+    }
+
+    /**
+     * Dados serializáveis da rede (usados ao salvar o DNA)
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            inputSize: this.inputSize,
+            hiddenSize: this.hiddenSize,
+            outputSize: this.outputSize,
+            weightsIH: this.weightsIH.map(row => [...row]),
+            weightsHO: this.weightsHO.map(row => [...row]),
+            biasH: this.biasH.map(row => [...row]),
+            biasO: this.biasO.map(row => [...row]),
+            learningRate: this.learningRate,
+            mutationRate: this.mutationRate,
+            mutationIntensity: this.mutationIntensity,
+            activationFnName: this.activationFnName
+        };
+    }
+
+    /**
+     * Recria uma rede a partir de toJSON
+     * @param {Object} data - Dados da rede
+     * @returns {NeuralNetwork} - Nova rede neural
+     */
+    static fromJSON(data) {
+        const network = new NeuralNetwork(data.inputSize, data.hiddenSize, data.outputSize);
+        network.weightsIH = data.weightsIH.map(row => [...row]);
+        network.weightsHO = data.weightsHO.map(row => [...row]);
+        network.biasH = data.biasH.map(row => [...row]);
+        network.biasO = data.biasO.map(row => [...row]);
+        network.learningRate = data.learningRate;
+        network.mutationRate = data.mutationRate;
+        network.mutationIntensity = data.mutationIntensity;
+        network.activationFnName = data.activationFnName;
+        return network;
+    }
+
+    /**
+     * Propaga valores por uma camada (laços simples: é o trecho mais quente da simulação)
+     * Produtos inválidos são ignorados e somas inválidas viram 0.5
+     * @param {Array<Array<number>>} weights - Pesos (uma linha por neurônio da camada)
+     * @param {Array<Array<number>>} biases - Biases ([valor] por neurônio)
+     * @param {Array<number>} values - Ativações da camada anterior
+     * @returns {Array<number>} - Ativações da camada
+     */
+    forwardLayer(weights, biases, values) {
+        const activations = new Array(weights.length);
+        for (let i = 0; i < weights.length; i++) {
+            const row = weights[i];
+            let sum = 0;
+            for (let j = 0; j < row.length; j++) {
+                const weighted = row[j] * values[j];
+                if (weighted === weighted) sum += weighted; // Falso só para NaN
+            }
+            const biasedSum = sum + biases[i][0];
+            activations[i] = isNaN(biasedSum) ? 0.5 : this.activate(biasedSum);
+        }
+        return activations;
+    }
+
+    /**
+     * Aplica os gradientes de uma camada aos pesos e biases (ignora deltas inválidos)
+     * @param {Array<Array<number>>} weights - Pesos da camada
+     * @param {Array<Array<number>>} biases - Biases da camada
+     * @param {Array<number>} gradients - Gradiente de cada neurônio (já com a taxa de aprendizado)
+     * @param {Array<number>} values - Ativações da camada anterior
+     */
+    updateLayer(weights, biases, gradients, values) {
+        for (let i = 0; i < weights.length; i++) {
+            const row = weights[i];
+            for (let j = 0; j < row.length; j++) {
+                const delta = gradients[i] * values[j];
+                if (delta === delta) row[j] += delta; // Falso só para NaN
+            }
+            if (!isNaN(gradients[i])) biases[i][0] += gradients[i];
+        }
+    }
+
     /**
      * Treina a rede com um conjunto de inputs e targets
      * @param {Array} inputs - Array de inputs
@@ -384,15 +492,7 @@ class NeuralNetwork {
             // Camada oculta - forward pass
             let hidden = [];
             try {
-                hidden = this.weightsIH.map((row, i) => {
-                    const sum = row.reduce((acc, weight, j) => {
-                        const weightedInput = weight * processedInputs[j];
-                        return isNaN(weightedInput) ? acc : acc + weightedInput;
-                    }, 0);
-                    
-                    const biasedSum = sum + this.biasH[i][0];
-                    return isNaN(biasedSum) ? 0.5 : this.activate(biasedSum);
-                });
+                hidden = this.forwardLayer(this.weightsIH, this.biasH, processedInputs);
             } catch (hiddenError) {
                 console.error("Erro ao calcular camada oculta durante treino:", hiddenError);
                 hidden = Array(this.hiddenSize).fill(0.5);
@@ -409,15 +509,7 @@ class NeuralNetwork {
             // Camada de saída - forward pass
             let outputs = [];
             try {
-                outputs = this.weightsHO.map((row, i) => {
-                    const sum = row.reduce((acc, weight, j) => {
-                        const weightedHidden = weight * hidden[j];
-                        return isNaN(weightedHidden) ? acc : acc + weightedHidden;
-                    }, 0);
-                    
-                    const biasedSum = sum + this.biasO[i][0];
-                    return isNaN(biasedSum) ? 0.5 : this.activate(biasedSum);
-                });
+                outputs = this.forwardLayer(this.weightsHO, this.biasO, hidden);
             } catch (outputError) {
                 console.error("Erro ao calcular camada de saída durante treino:", outputError);
                 outputs = Array(this.outputSize).fill(0.5);
@@ -433,43 +525,21 @@ class NeuralNetwork {
             );
             
             // Backpropagation - camada oculta
-            const hiddenErrors = this.weightsHO[0].map((_, i) => {
-                return this.weightsHO.reduce((error, row, j) => {
-                    return error + outputGradients[j] * row[i];
-                }, 0);
-            });
+            const hiddenErrors = new Array(hidden.length).fill(0);
+            for (let j = 0; j < this.weightsHO.length; j++) {
+                const row = this.weightsHO[j];
+                for (let i = 0; i < hiddenErrors.length; i++) {
+                    hiddenErrors[i] += outputGradients[j] * row[i];
+                }
+            }
             
             const hiddenGradients = hidden.map((h, i) => 
                 hiddenErrors[i] * this.activationDerivative(h) * this.learningRate
             );
             
-            // Atualiza pesos camada oculta -> saída
-            this.weightsHO.forEach((row, i) => {
-                row.forEach((_, j) => {
-                    const delta = outputGradients[i] * hidden[j];
-                    if (!isNaN(delta)) {
-                        this.weightsHO[i][j] += delta;
-                    }
-                });
-                // Atualiza bias
-                if (!isNaN(outputGradients[i])) {
-                    this.biasO[i][0] += outputGradients[i];
-                }
-            });
-            
-            // Atualiza pesos entrada -> camada oculta
-            this.weightsIH.forEach((row, i) => {
-                row.forEach((_, j) => {
-                    const delta = hiddenGradients[i] * processedInputs[j];
-                    if (!isNaN(delta)) {
-                        this.weightsIH[i][j] += delta;
-                    }
-                });
-                // Atualiza bias
-                if (!isNaN(hiddenGradients[i])) {
-                    this.biasH[i][0] += hiddenGradients[i];
-                }
-            });
+            // Atualiza pesos camada oculta -> saída e entrada -> camada oculta (e os biases)
+            this.updateLayer(this.weightsHO, this.biasO, outputGradients, hidden);
+            this.updateLayer(this.weightsIH, this.biasH, hiddenGradients, processedInputs);
             
             // Calcula erro médio
             const meanError = errors.reduce((sum, err) => sum + Math.abs(err), 0) / errors.length;
@@ -0,0 +1,90 @@
+/**
+ * Treinador por replay de experiências para o modo neural
+ * Cada decisão guarda em uma NeuralMemory os inputs, as saídas efetivamente usadas
+ * (previsão da rede + ruído de exploração) e a recompensa observada em seguida.
+ * O replay sorteia lotes da memória e aplica um passo de gradiente de política
+ * (REINFORCE com baseline): a saída prevista se aproxima da saída usada quando a
+ * recompensa superou a média recente e se afasta dela quando ficou abaixo.
+ * A vantagem é normalizada pelo desvio padrão recente da recompensa e limitada a
+ * ±maxAdvantage, para que recompensas grandes não levem os alvos aos extremos.
+ */
+class NeuralReplayTrainer {
+    /**
+     * Inicializa o treinador
+     * @param {number} capacity - Experiências guardadas na memória
+     */
+    constructor(capacity = 200) {
+        this.memory = new NeuralMemory(capacity);
+        this.baseline = 0;        // Média móvel da recompensa (reduz a variância do gradiente)
+        this.variance = 1;        // Variância móvel da recompensa (normaliza a vantagem)
+        this.baselineRate = 0.02; // Peso de cada nova recompensa nas médias
+        this.maxAdvantage = 2;    // Limite da vantagem normalizada (em desvios padrão)
+        this.replays = 0;         // Lotes de replay aplicados
+    }
+
+    /**
+     * Guarda uma experiência e atualiza a baseline e a variância
+     * @param {Array<number>} inputs - Inputs da rede na decisão
+     * @param {Array<number>} outputs - Saídas usadas (com ruído de exploração)
+     * @param {number} reward - Recompensa observada depois da decisão
+     */
+    remember(inputs, outputs, reward) {
+        if (!Array.isArray(inputs) || !Array.isArray(outputs)) return;
+        this.memory.storeExperience(inputs, outputs, reward);
+        const deviation = reward - this.baseline;
+        this.baseline += this.baselineRate * deviation;
+        this.variance += this.baselineRate * (deviation * deviation - this.variance);
+    }
+
+    /**
+     * Vantagem de uma recompensa: distância à baseline em desvios padrão, limitada a ±maxAdvantage
+     * @param {number} reward - Recompensa
+     * @returns {number}
+     */
+    getAdvantage(reward) {
+        const advantage = (reward - this.baseline) / Math.sqrt(this.variance + 1e-6);
+        return Math.max(-this.maxAdvantage, Math.min(this.maxAdvantage, advantage));
+    }
+
+    /**
+     * Treina a rede com um lote sorteado da memória
+     * @param {NeuralNetwork|NeatNetwork} brain - Rede treinada
+     * @param {number} batchSize - Experiências por lote
+     * @param {number} stepSize - Tamanho do passo em direção às saídas vantajosas
+     * @returns {number} - Vantagem normalizada média absoluta do lote (0 sem treino)
+     */
+    replay(brain, batchSize = 16, stepSize = 0.5) {
+        const size = this.memory.inputs.length;
+        if (!brain || size < batchSize) return 0;
+
+        let totalAdvantage = 0;
+        for (let i = 0; i < batchSize; i++) {
+            const experience = this.memory.getExperience(Math.floor(random(size)));
+            const advantage = this.getAdvantage(experience.reward);
+            const predicted = brain.predict(experience.inputs);
+
+            // Alvo: a previsão deslocada na direção (ação - previsão), escalada pela vantagem
+            const targets = predicted.map((output, j) => Math.max(0, Math.min(1,
+                output + stepSize * advantage * (experience.outputs[j] - output)
+            )));
+            brain.train(experience.inputs, targets);
+            totalAdvantage += Math.abs(advantage);
+        }
+
+        this.replays++;
+        return totalAdvantage / batchSize;
+    }
+
+    /**
+     * Esvazia a memória
+     */
+    clear() {
+        this.memory.clear();
+        this.baseline = 0;
+        this.variance = 1;
+        this.replays = 0;
+    }
+}
+
+// Exportar a classe
+window.NeuralReplayTrainer = NeuralReplayTrainer;
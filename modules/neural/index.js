@@ -13,7 +13,9 @@
         'ActivationFunctions.js',
         'Memory.js',
         'Evolution.js',
-        'NeuralNetwork.js'
+        'NeuralNetwork.js',
+        'NeatNetwork.js',
+        'ReplayTrainer.js'
     ];
     
     // Verifica se os módulos já foram carregados corretamente
@@ -22,7 +24,9 @@
             'ActivationFunctions', 
             'NeuralMemory', 
             'NeuralEvolution', 
-            'NeuralNetwork'
+            'NeuralNetwork',
+            'NeatNetwork',
+            'NeuralReplayTrainer'
         ];
         
         const missingClasses = requiredClasses.filter(
@@ -1,47 +1,79 @@
 /**
  * Classe que representa um predador no sistema
  * Herda de Bacteria mas com comportamentos específicos de caça
+ * Cada predador pertence a uma espécie de consumidor (Predator.SPECIES); o que ele come,
+ * e com que eficiência, vem da teia alimentar da simulação (FoodWeb)
  */
 class Predator extends Bacteria {
     /**
      * Cria um novo predador
      * @param {number} x - Posição X inicial
      * @param {number} y - Posição Y inicial
+     * @param {PredatorDNA} dna - Genoma do predador (opcional, fundadores sorteiam um)
+     * @param {string} speciesId - Espécie (chave de Predator.SPECIES)
      */
-    constructor(x, y) {
-        super(x, y);
+    constructor(x, y, dna = null, speciesId = Predator.DEFAULT_SPECIES) {
+        super({ x, y });
         this.isPredator = true;
-        this.huntingRange = 150;
-        this.attackDamage = 20;
-        this.attackRange = 30;
-        this.attackCooldown = 1000; // 1 segundo
+        this.speciesId = Predator.SPECIES[speciesId] ? speciesId : Predator.DEFAULT_SPECIES;
+        this.species = Predator.SPECIES[this.speciesId];
+        this.dna = dna || new PredatorDNA();
+        this.attackRange = this.species.attackRange;
+        this.attackCooldown = this.species.attackCooldown; // Ticks entre ataques
         this.lastAttackTime = 0;
         this.target = null;
         this.state = new PredatorStates(this);
-        this.size = 25;
-        this.color = color(255, 0, 0); // Vermelho sólido
-        
-        // Inicialização do movimento
-        this.maxSpeed = 3;
-        this.velocity = createVector(random(-1, 1), random(-1, 1));
-        this.velocity.setMag(this.maxSpeed);
-        
-        // Inicializa o sistema de movimento apropriado para o predador
-        this.initializeMovement();
+        this.color = color(...this.species.color);
         
         // Configurações de reprodução
         this.canReproduce = true;
         this.reproductionEnergyCost = 40;
-        this.reproductionCooldown = 600; // 10 segundos
+        this.reproductionCooldown = 600; // 10 segundos (em ticks)
         this.lastReproductionTime = 0;
         this.reproductionRange = 50;
         this.minEnergyToReproduce = 80;
         this.mutationRate = 0.1;
         
         // Sobrescreve configurações da bactéria base
-        this.healthLossRate = 0.03; // Perde saúde mais lentamente
         this.starvationTime = 120 * 60; // Mais tempo sem precisar comer
-        this.perceptionRadius = 250; // Maior raio de percepção
+        this.lifespan = random(2, 3) * 60 * 60; // 2 a 3 minutos: renova as gerações de predadores
+        
+        // Traços físicos expressos a partir dos genes
+        this.applyGenes();
+        
+        // Inicialização do movimento (o movimento herdado da bactéria é substituído pelo do predador)
+        this.velocity = createVector(random(-1, 1), random(-1, 1));
+        this.velocity.setMag(this.maxSpeed);
+        this.movement = null;
+        this.initializeMovement();
+        
+        // Toxina das bactérias em quorum (0-1): reduz o dano dos ataques
+        this.toxinLevel = 0;
+    }
+
+    /**
+     * Expressa os genes do PredatorDNA nos traços do predador
+     * Cada gene multiplica o valor base da espécie; todo traço acima de 1 aumenta o custo
+     * de manutenção (perda de saúde), e o metabolismo troca custo por ganho em cada ataque
+     */
+    applyGenes() {
+        const genes = this.dna.genes;
+        const species = this.species;
+        
+        this.maxSpeed = species.maxSpeed * genes.speed;
+        this.huntingRange = species.huntingRange * genes.perception;
+        this.perceptionRadius = species.perceptionRadius * genes.perception;
+        this.attackDamage = species.attackDamage * genes.attack;
+        this.size = species.size * (0.8 + 0.2 * genes.attack);
+        this.camouflageDetection = genes.camouflageDetection;
+        
+        // Manutenção do corpo: média dos traços físicos mais o custo da detecção de camuflagem
+        const upkeep = (genes.speed + genes.perception + genes.stamina + genes.attack) / 4 +
+            genes.camouflageDetection * 0.25;
+        this.healthLossRate = 0.03 * genes.metabolism * upkeep; // Perde saúde mais lentamente que as bactérias
+        this.feedingEfficiency = genes.metabolism;              // Multiplica saúde e energia ganhas ao atacar
+        this.energyDrainRate = 0.04 * genes.speed / genes.stamina; // Energia gasta por tick em movimento
+        this.restRecoveryRate = 0.05 * genes.stamina;           // Energia recuperada por tick em descanso
     }
 
     /**
@@ -157,22 +189,35 @@ class Predator extends Bacteria {
             this.health -= this.healthLossRate * deltaTime;
             this.health = constrain(this.health, 0, 100);
             
-            // Encontra a presa mais próxima
-            const prey = this.findClosestPrey(bacteria);
+            // Presas possíveis pela teia alimentar (bactérias e outros predadores)
+            const candidates = this.getPreyCandidates(bacteria, predators);
+            
+            // Em matilha, a presa é o alvo comum; sozinho, a mais próxima
+            const packTarget = this.pack && this.pack.target && this.canEat(this.pack.target) ? this.pack.target : null;
+            const prey = packTarget || this.findClosestPrey(candidates);
             
             // Procura parceiro para reprodução
             const partner = this.findReproductionPartner(predators);
             
             // Atualiza estado baseado nas condições
             const stateActions = this.state.update({
-                bacteria,
+                bacteria: candidates,
                 predators,
                 canReproduce: this.canReproduce && 
                             this.states && typeof this.states.getEnergy === 'function' &&
                             this.states.getEnergy() >= this.minEnergyToReproduce && 
-                            millis() - this.lastReproductionTime >= this.reproductionCooldown,
-                partnerNearby: partner !== null
+                            SimulationClock.now() - this.lastReproductionTime >= this.reproductionCooldown,
+                partnerNearby: partner !== null,
+                packTarget: packTarget !== null
             });
+            this.applySpeciesBehavior(stateActions, prey);
+
+            // Movimento gasta energia (a resistência reduz o gasto); o descanso recupera
+            if (stateActions.shouldMove) {
+                this.states.removeEnergy(this.energyDrainRate * (stateActions.speedMultiplier || 1) * deltaTime);
+            } else {
+                this.states.addEnergy(this.restRecoveryRate * deltaTime);
+            }
 
             // Atualiza movimento baseado no estado
             this.updateMovement(stateActions, obstacles, prey, partner);
@@ -182,8 +227,9 @@ class Predator extends Bacteria {
                 this.attack(prey);
             }
 
-            // Tenta reproduzir se houver parceiro próximo
-            if (partner && this.canReproduce && this.canReproduceNow()) {
+            // Tenta reproduzir se o parceiro estiver ao alcance
+            if (partner && this.canReproduce && this.canReproduceNow() &&
+                dist(this.pos.x, this.pos.y, partner.pos.x, partner.pos.y) <= this.reproductionRange) {
                 return this.reproduce(partner);
             }
 
@@ -194,6 +240,97 @@ class Predator extends Bacteria {
         }
     }
 
+    /**
+     * Tetos de população padrão por espécie
+     * @returns {Object} - Espécie -> teto
+     */
+    static getDefaultLimits() {
+        const limits = {};
+        for (const [speciesId, species] of Object.entries(Predator.SPECIES)) {
+            limits[speciesId] = species.limit;
+        }
+        return limits;
+    }
+
+    /**
+     * Ajusta as ações do estado ao modo de caça da espécie (species.behavior)
+     * - chase: persegue a presa mais próxima (padrão)
+     * - graze: persegue devagar, preferindo as presas menores (ver findClosestPrey)
+     * - ambush: fica parado até uma presa chegar a metade do alcance de caça e então dá um bote
+     * - filter: não persegue; vaga devagar e come o que passa ao alcance do ataque
+     * @param {Object} stateActions - Ações do estado atual (alteradas no lugar)
+     * @param {Bacteria|Predator|null} prey - Presa mais próxima
+     */
+    applySpeciesBehavior(stateActions, prey) {
+        if (stateActions.targetType === 'mate' || stateActions.targetType === 'encircle' || !stateActions.shouldMove) return;
+
+        switch (this.species.behavior) {
+            case 'ambush': {
+                const striking = prey && dist(this.pos.x, this.pos.y, prey.pos.x, prey.pos.y) < this.huntingRange * 0.5;
+                if (striking) {
+                    stateActions.targetType = 'hunt';
+                    stateActions.speedMultiplier = 2;
+                } else {
+                    stateActions.shouldMove = false;
+                }
+                break;
+            }
+            case 'filter':
+                stateActions.targetType = 'random';
+                stateActions.speedMultiplier = 0.5;
+                break;
+            case 'graze':
+                if (stateActions.targetType === 'hunt') {
+                    stateActions.speedMultiplier = 0.8;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Teia alimentar da simulação
+     * @returns {FoodWeb|null}
+     */
+    getFoodWeb() {
+        const simulation = this.simulation || window.simulation;
+        return simulation && simulation.foodWeb ? simulation.foodWeb : null;
+    }
+
+    /**
+     * Verifica se o predador pode comer uma entidade: a teia alimentar precisa ter a
+     * relação e a presa não pode passar do tamanho máximo da espécie (species.maxPreySize)
+     * Sem teia alimentar, come qualquer bactéria que não seja predador
+     * @param {Bacteria|Predator} prey - Possível presa
+     * @returns {boolean}
+     */
+    canEat(prey) {
+        if (!prey || prey === this) return false;
+        const foodWeb = this.getFoodWeb();
+        const edible = foodWeb ? foodWeb.canEat(this, prey) : !prey.isPredator;
+        return edible && (!this.species.maxPreySize || prey.size <= this.species.maxPreySize);
+    }
+
+    /**
+     * Fração do dano convertida em saúde e energia ao atacar uma presa
+     * @param {Bacteria|Predator} prey - Presa
+     * @returns {number}
+     */
+    getTransferEfficiency(prey) {
+        const foodWeb = this.getFoodWeb();
+        return foodWeb ? foodWeb.getEfficiency(this, prey) : 0.5;
+    }
+
+    /**
+     * Presas possíveis entre as bactérias e os predadores
+     * @param {Array<Bacteria>} bacteria - Bactérias
+     * @param {Array<Predator>} predators - Predadores
+     * @returns {Array}
+     */
+    getPreyCandidates(bacteria, predators) {
+        const all = (bacteria || []).concat(predators || []);
+        return all.filter(entity => this.canEat(entity));
+    }
+
     /**
      * Verifica se pode se reproduzir agora
      * @returns {boolean} - Se pode se reproduzir
@@ -203,7 +340,7 @@ class Predator extends Bacteria {
             return this.states && 
                    typeof this.states.getEnergy === 'function' &&
                    this.states.getEnergy() >= this.minEnergyToReproduce &&
-                   millis() - this.lastReproductionTime > this.reproductionCooldown;
+                   SimulationClock.now() - this.lastReproductionTime > this.reproductionCooldown;
         } catch (error) {
             console.warn("Erro ao verificar se pode reproduzir:", error);
             return false;
@@ -211,7 +348,7 @@ class Predator extends Bacteria {
     }
 
     /**
-     * Encontra um parceiro para reprodução
+     * Encontra um parceiro para reprodução dentro do raio de percepção
      * @param {Array} predators - Lista de predadores
      * @returns {Predator|null} - Parceiro encontrado ou null
      */
@@ -222,7 +359,7 @@ class Predator extends Bacteria {
                 !this.states || 
                 typeof this.states.getEnergy !== 'function' ||
                 this.states.getEnergy() < this.minEnergyToReproduce || 
-                millis() - this.lastReproductionTime < this.reproductionCooldown) {
+                SimulationClock.now() - this.lastReproductionTime < this.reproductionCooldown) {
                 return null;
             }
             
@@ -232,22 +369,24 @@ class Predator extends Bacteria {
             }
 
             // Encontra um parceiro compatível
-            return predators.find(predator => {
+            const partner = predators.find(predator => {
                 // Verifica se o predador é válido e tem os atributos necessários
                 return predator && 
                     predator !== this && 
+                    predator.speciesId === this.speciesId &&
                     predator.canReproduce &&
                     predator.states && 
                     typeof predator.states.getEnergy === 'function' &&
                     predator.states.getEnergy() >= predator.minEnergyToReproduce &&
                     predator.lastReproductionTime !== undefined &&
                     predator.reproductionCooldown !== undefined &&
-                    millis() - predator.lastReproductionTime >= predator.reproductionCooldown &&
+                    SimulationClock.now() - predator.lastReproductionTime >= predator.reproductionCooldown &&
                     predator.pos &&
                     !isNaN(predator.pos.x) && 
                     !isNaN(predator.pos.y) &&
-                    dist(this.pos.x, this.pos.y, predator.pos.x, predator.pos.y) <= this.reproductionRange;
+                    dist(this.pos.x, this.pos.y, predator.pos.x, predator.pos.y) <= this.perceptionRadius;
             });
+            return partner || null;
         } catch (error) {
             console.error("Erro ao procurar parceiro para reprodução:", error);
             return null;
@@ -267,41 +406,34 @@ class Predator extends Bacteria {
         partner.states.removeEnergy(this.reproductionEnergyCost);
 
         // Atualiza tempo da última reprodução
-        this.lastReproductionTime = millis();
-        partner.lastReproductionTime = millis();
+        this.lastReproductionTime = SimulationClock.now();
+        partner.lastReproductionTime = SimulationClock.now();
 
         // Cria novo predador
         const childX = (this.pos.x + partner.pos.x) / 2;
         const childY = (this.pos.y + partner.pos.y) / 2;
         
-        // Cria o filho
-        const child = new Predator(childX, childY);
-        
-        // Herança de características com possibilidade de mutação
-        if (random() < this.mutationRate) {
-            // Mutação aleatória
-            child.attackDamage = constrain(this.attackDamage + random(-5, 5), 10, 25);
-            child.huntingRange = constrain(this.huntingRange + random(-20, 20), 100, 250);
-            child.size = constrain(this.size + random(-2, 2), 20, 30);
-        } else {
-            // Herança média dos pais
-            child.attackDamage = constrain((this.attackDamage + partner.attackDamage) / 2, 10, 25);
-            child.huntingRange = constrain((this.huntingRange + partner.huntingRange) / 2, 100, 250);
-            child.size = constrain((this.size + partner.size) / 2, 20, 30);
-        }
+        // O filho recebe o genoma combinado dos pais, mutado pela taxa configurada
+        const child = new Predator(childX, childY, this.dna.combine(partner.dna, this.mutationRate), this.speciesId);
+        child.simulation = this.simulation;
 
-        // Garante valores mínimos
-        child.attackDamage = max(10, child.attackDamage);
-        child.huntingRange = max(100, child.huntingRange);
-        child.size = max(20, child.size);
+        // Herda as configurações de reprodução e só se reproduz depois de um intervalo
+        child.canReproduce = this.canReproduce;
+        child.reproductionEnergyCost = this.reproductionEnergyCost;
+        child.reproductionCooldown = this.reproductionCooldown;
+        child.minEnergyToReproduce = this.minEnergyToReproduce;
+        child.reproductionRange = this.reproductionRange;
+        child.mutationRate = this.mutationRate;
+        child.lastReproductionTime = SimulationClock.now();
 
         return child;
     }
 
     /**
-     * Encontra a presa mais próxima
-     * @param {Array} bacteria - Lista de bactérias
-     * @returns {Bacteria|null} - Bactéria mais próxima ou null
+     * Encontra a presa mais próxima (espécies com species.preferSmall escolhem a menor
+     * presa percebida, desempatando pela distância)
+     * @param {Array} bacteria - Lista de presas possíveis
+     * @returns {Bacteria|null} - Presa escolhida ou null
      */
     findClosestPrey(bacteria) {
         try {
@@ -311,16 +443,21 @@ class Predator extends Bacteria {
             }
 
             let closest = null;
-            let minDist = this.huntingRange;
+            let minDist = Infinity;
+            let minSize = Infinity;
 
             for (let b of bacteria) {
-                if (b && !b.isPredator && b.pos && 
+                if (b && b !== this && b.pos && 
                     !isNaN(b.pos.x) && !isNaN(b.pos.y) && 
                     !isNaN(this.pos.x) && !isNaN(this.pos.y)) { 
-                    // Não ataca outros predadores e valida posições
+                    // Valida posições (a lista já vem filtrada por canEat)
                     const d = dist(this.pos.x, this.pos.y, b.pos.x, b.pos.y);
-                    if (d < minDist) {
+                    if (d >= this.getDetectionRange(b)) continue;
+                    
+                    const size = this.species.preferSmall ? b.size : 0;
+                    if (size < minSize || (size === minSize && d < minDist)) {
                         minDist = d;
+                        minSize = size;
                         closest = b;
                     }
                 }
@@ -333,12 +470,24 @@ class Predator extends Bacteria {
         }
     }
 
+    /**
+     * Distância máxima em que uma presa é percebida
+     * A camuflagem da presa (gene camouflage) encurta o alcance de caça; a detecção de
+     * camuflagem do predador anula parte desse efeito
+     * @param {Bacteria} prey - Presa
+     * @returns {number}
+     */
+    getDetectionRange(prey) {
+        const camouflage = prey.dna && prey.dna.genes ? prey.dna.genes.camouflage || 0 : 0;
+        return this.huntingRange * (1 - camouflage * (1 - (this.camouflageDetection || 0)));
+    }
+
     /**
      * Verifica se pode atacar
      * @returns {boolean} - Se pode atacar
      */
     canAttack() {
-        return millis() - this.lastAttackTime > this.attackCooldown;
+        return SimulationClock.now() - this.lastAttackTime > this.attackCooldown;
     }
 
     /**
@@ -357,15 +506,48 @@ class Predator extends Bacteria {
             const d = dist(this.pos.x, this.pos.y, prey.pos.x, prey.pos.y);
             
             if (d < this.size + prey.size) {
-                prey.health -= this.attackDamage;
-                this.health += this.attackDamage * 0.5; // Recupera parte da saúde
+                const simulation = this.simulation || window.simulation;
+                
+                // No meio de um grupo a presa pode escapar (diluição do risco)
+                if (simulation && simulation.preyDefense && !simulation.preyDefense.tryAttack(prey)) {
+                    this.lastAttackTime = SimulationClock.now();
+                    return;
+                }
+                
+                // Toxina acumulada e biofilme da presa reduzem o dano
+                const preyProtection = prey.stateManager && typeof prey.stateManager.getDamageMultiplier === 'function'
+                    ? prey.stateManager.getDamageMultiplier()
+                    : 1;
+                const damage = this.attackDamage * (1 - (this.toxinLevel || 0)) * preyProtection;
+                const wasAlive = prey.health > 0;
+                prey.health -= damage;
+                
+                // A eficiência de transferência da teia alimentar define quanto do dano é aproveitado
+                const gain = damage * this.getTransferEfficiency(prey) * this.feedingEfficiency;
+                const packPrey = this.pack && this.pack.target === prey && simulation && simulation.packHunting;
+                if (packPrey) {
+                    // A presa da matilha é dividida entre todos os membros
+                    simulation.packHunting.shareReward(this, gain);
+                } else {
+                    this.health += gain; // Recupera parte da saúde
+                    
+                    // Validação antes de acessar states
+                    if (this.states && typeof this.states.addEnergy === 'function') {
+                        this.states.addEnergy(gain); // Ganha energia ao atacar
+                    }
+                }
                 
-                // Validação antes de acessar states
-                if (this.states && typeof this.states.addEnergy === 'function') {
-                    this.states.addEnergy(10); // Ganha energia ao atacar
+                // Abate: registra na teia alimentar (predadores devorados saem em EntityManager.updatePredators)
+                if (wasAlive && prey.health <= 0) {
+                    if (packPrey) simulation.packHunting.recordKill();
+                    const foodWeb = this.getFoodWeb();
+                    if (foodWeb) foodWeb.recordKill(this, prey);
+                    if (prey.isPredator && simulation && simulation.statsManager) {
+                        simulation.statsManager.stats.predatorsEaten++;
+                    }
                 }
                 
-                this.lastAttackTime = millis();
+                this.lastAttackTime = SimulationClock.now();
                 
                 // Efeito visual do ataque
                 if (window.simulation && typeof window.simulation.addEffect === 'function') {
@@ -414,6 +596,12 @@ class Predator extends Bacteria {
                         target = partner.pos;
                     }
                     break;
+                case 'encircle':
+                    // Ocupa a posição no cerco e avança sobre a presa quando a matilha fecha
+                    if (prey && prey.pos) {
+                        target = this.pack && !this.pack.closing && this.packSlot ? this.packSlot : prey.pos;
+                    }
+                    break;
                 case 'random':
                     if (random() < 0.02) {
                         target = createVector(
@@ -503,7 +691,7 @@ class Predator extends Bacteria {
         
         // Indicador de ataque
         if (!this.canAttack()) {
-            const cooldownProgress = (millis() - this.lastAttackTime) / this.attackCooldown;
+            const cooldownProgress = (SimulationClock.now() - this.lastAttackTime) / this.attackCooldown;
             stroke(255);
             noFill();
             arc(0, 0, this.size + 5, this.size + 5, 0, TWO_PI * cooldownProgress);
@@ -513,5 +701,50 @@ class Predator extends Bacteria {
     }
 }
 
+/**
+ * Espécies de consumidores
+ * Valores base dos traços (multiplicados pelos genes do PredatorDNA), modo de caça
+ * (ver applySpeciesBehavior), caça em matilha (PackHuntingSystem), cor e teto de população
+ * padrão (0 = espécie ausente).
+ * O que cada espécie come está em FoodWeb.DEFAULT_MATRIX.
+ */
+Predator.SPECIES = {
+    hunter: {
+        name: 'Caçador', behavior: 'chase', color: [255, 0, 0],
+        size: 25, maxSpeed: 3, huntingRange: 150, perceptionRadius: 250,
+        attackDamage: 20, attackRange: 30, attackCooldown: 60,
+        packHunting: true,
+        limit: 10
+    },
+    grazer: {
+        name: 'Pastador seletivo', behavior: 'graze', color: [255, 150, 0],
+        size: 18, maxSpeed: 2, huntingRange: 120, perceptionRadius: 200,
+        attackDamage: 8, attackRange: 22, attackCooldown: 30,
+        maxPreySize: 20, preferSmall: true,
+        limit: 0
+    },
+    ambush: {
+        name: 'Emboscador', behavior: 'ambush', color: [170, 0, 90],
+        size: 28, maxSpeed: 4.5, huntingRange: 80, perceptionRadius: 200,
+        attackDamage: 35, attackRange: 30, attackCooldown: 90,
+        limit: 0
+    },
+    filter: {
+        name: 'Filtrador', behavior: 'filter', color: [220, 130, 130],
+        size: 35, maxSpeed: 1, huntingRange: 60, perceptionRadius: 200,
+        attackDamage: 4, attackRange: 45, attackCooldown: 20,
+        maxPreySize: 20,
+        limit: 0
+    },
+    super: {
+        name: 'Superpredador', behavior: 'chase', color: [100, 0, 0],
+        size: 34, maxSpeed: 2.8, huntingRange: 200, perceptionRadius: 300,
+        attackDamage: 30, attackRange: 40, attackCooldown: 90,
+        packHunting: true,
+        limit: 0
+    }
+};
+Predator.DEFAULT_SPECIES = 'hunter';
+
 // Torna a classe global
 window.Predator = Predator; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 /**
  * Sistema de estados específico para predadores
+ * Em PACK_HUNTING o predador segue o alvo e a posição de cerco da matilha (PackHuntingSystem)
  */
 class PredatorStates {
     /**
@@ -51,6 +52,13 @@ class PredatorStates {
                 },
                 update: () => this.handleMatingState()
             },
+            'PACK_HUNTING': {
+                speedMultiplier: 1.1,
+                enter: () => {
+                    if (this.predator.movement) this.predator.movement.resume();
+                },
+                update: () => {} // O cerco é conduzido por Predator.updateMovement (posição na matilha)
+            },
             'PATROLLING': {
                 speedMultiplier: 0.7,
                 enter: () => {
@@ -101,6 +109,10 @@ class PredatorStates {
                     predicate: () => conditions && conditions.canReproduce && conditions.partnerNearby, 
                     state: 'MATING'
                 },
+                { 
+                    predicate: () => conditions && conditions.packTarget, 
+                    state: 'PACK_HUNTING'
+                },
                 { 
                     predicate: () => conditions && conditions.bacteria && 
                                      this.predator.findClosestPrey(conditions.bacteria) !== null, 
@@ -151,6 +163,10 @@ class PredatorStates {
                     stateAction.targetType = 'hunt';
                     stateAction.speedMultiplier = 1.2;
                     break;
+                case 'PACK_HUNTING':
+                    stateAction.targetType = 'encircle';
+                    stateAction.speedMultiplier = 1.1;
+                    break;
                 case 'PATROLLING':
                 default:
                     this.handlePatrollingState();
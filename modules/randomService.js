@@ -0,0 +1,278 @@
+/**
+ * Serviço único de números aleatórios com semente
+ * Todas as fontes de aleatoriedade da simulação (random, randomGaussian, noise)
+ * passam por aqui, de modo que duas execuções com a mesma semente produzem
+ * exatamente a mesma história. Também gera os IDs das entidades a partir de um contador.
+ */
+class RandomService {
+    /**
+     * Cria o serviço
+     * @param {number|string} seed - Semente inicial (gerada automaticamente se omitida)
+     */
+    constructor(seed = null) {
+        this.setSeed(seed === null || seed === undefined || seed === '' ? RandomService.generateSeed() : seed);
+    }
+
+    /**
+     * Gera uma semente nova para quando o usuário não informa nenhuma
+     * Única leitura do relógio: a semente escolhida fica registrada e pode ser reutilizada
+     * @returns {number} - Semente inteira de 32 bits
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0xffffffff)) >>> 0;
+    }
+
+    /**
+     * Converte números ou textos em uma semente inteira de 32 bits
+     * @param {number|string} seed - Semente informada
+     * @returns {number} - Semente normalizada
+     */
+    static normalizeSeed(seed) {
+        const numeric = Number(seed);
+        if (Number.isFinite(numeric)) {
+            return Math.floor(Math.abs(numeric)) >>> 0;
+        }
+
+        // Textos viram número por hash (FNV-1a)
+        let hash = 0x811c9dc5;
+        for (const char of String(seed)) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Reinicia o gerador com uma nova semente
+     * @param {number|string} seed - Nova semente
+     */
+    setSeed(seed) {
+        this.seed = RandomService.normalizeSeed(seed);
+        this.state = this.seed;
+        this.idCounter = 0;
+        this.gaussianSpare = null;
+        this.buildNoise();
+    }
+
+    /**
+     * Próximo número do gerador (Mulberry32) no intervalo [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Mesmo contrato do random() do p5.js
+     * random() -> [0,1), random(max) -> [0,max), random(min,max), random(array) -> elemento
+     * @param {number|Array} min - Mínimo, máximo ou array
+     * @param {number} max - Máximo
+     * @returns {*}
+     */
+    random(min, max) {
+        const rand = this.next();
+        if (typeof min === 'undefined') return rand;
+        if (Array.isArray(min)) return min[Math.floor(rand * min.length)];
+        if (typeof max === 'undefined') return rand * min;
+        if (min > max) [min, max] = [max, min];
+        return rand * (max - min) + min;
+    }
+
+    /**
+     * Número com distribuição normal (Box-Muller), como randomGaussian() do p5.js
+     * @param {number} mean - Média
+     * @param {number} sd - Desvio padrão
+     * @returns {number}
+     */
+    randomGaussian(mean = 0, sd = 1) {
+        let value;
+        if (this.gaussianSpare !== null) {
+            value = this.gaussianSpare;
+            this.gaussianSpare = null;
+        } else {
+            const u = 1 - this.next();
+            const v = this.next();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            value = radius * Math.cos(2 * Math.PI * v);
+            this.gaussianSpare = radius * Math.sin(2 * Math.PI * v);
+        }
+        return mean + sd * value;
+    }
+
+    /**
+     * Monta a tabela de permutação do ruído Perlin a partir da semente
+     * Usa um gerador separado para não consumir a sequência principal
+     */
+    buildNoise() {
+        let noiseState = (this.seed ^ 0x9e3779b9) >>> 0;
+        const nextNoise = () => {
+            noiseState = (noiseState + 0x6d2b79f5) >>> 0;
+            let t = noiseState;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        const perm = Array.from({ length: 256 }, (_, i) => i);
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(nextNoise() * (i + 1));
+            [perm[i], perm[j]] = [perm[j], perm[i]];
+        }
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = perm[i & 255];
+        }
+    }
+
+    /**
+     * Ruído Perlin 3D com 4 oitavas, no intervalo [0, 1], como noise() do p5.js
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {number} z - Coordenada Z
+     * @returns {number}
+     */
+    noise(x = 0, y = 0, z = 0) {
+        let total = 0;
+        let amplitude = 0.5;
+        let frequency = 1;
+        let maxValue = 0;
+
+        for (let octave = 0; octave < 4; octave++) {
+            total += this.perlin(x * frequency, y * frequency, z * frequency) * amplitude;
+            maxValue += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+
+        return Math.max(0, Math.min(1, (total / maxValue + 1) / 2));
+    }
+
+    /**
+     * Uma oitava de ruído Perlin melhorado, no intervalo [-1, 1]
+     */
+    perlin(x, y, z) {
+        const p = this.perm;
+        const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+        const lerpValue = (a, b, t) => a + t * (b - a);
+        const grad = (hash, gx, gy, gz) => {
+            const h = hash & 15;
+            const u = h < 8 ? gx : gy;
+            const v = h < 4 ? gy : (h === 12 || h === 14 ? gx : gz);
+            return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+        };
+
+        const X = Math.floor(x) & 255;
+        const Y = Math.floor(y) & 255;
+        const Z = Math.floor(z) & 255;
+        x -= Math.floor(x);
+        y -= Math.floor(y);
+        z -= Math.floor(z);
+        const u = fade(x);
+        const v = fade(y);
+        const w = fade(z);
+
+        const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
+        const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
+
+        return lerpValue(
+            lerpValue(
+                lerpValue(grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z), u),
+                lerpValue(grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z), u),
+                v
+            ),
+            lerpValue(
+                lerpValue(grad(p[AA + 1], x, y, z - 1), grad(p[BA + 1], x - 1, y, z - 1), u),
+                lerpValue(grad(p[AB + 1], x, y - 1, z - 1), grad(p[BB + 1], x - 1, y - 1, z - 1), u),
+                v
+            ),
+            w
+        );
+    }
+
+    /**
+     * Próximo ID de entidade (contador, nunca derivado do relógio)
+     * @returns {number}
+     */
+    nextId() {
+        this.idCounter++;
+        return this.idCounter;
+    }
+
+    /**
+     * Estado serializável do gerador, para saves
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state,
+            idCounter: this.idCounter,
+            gaussianSpare: this.gaussianSpare
+        };
+    }
+
+    /**
+     * Restaura o estado salvo com getState()
+     * @param {Object} saved - Estado salvo
+     */
+    setState(saved) {
+        if (!saved || saved.seed === undefined) return;
+        this.setSeed(saved.seed);
+        if (typeof saved.state === 'number') this.state = saved.state >>> 0;
+        if (typeof saved.idCounter === 'number') this.idCounter = saved.idCounter;
+        if (typeof saved.gaussianSpare === 'number') this.gaussianSpare = saved.gaussianSpare;
+    }
+
+    /**
+     * Substitui as funções globais de aleatoriedade do p5.js pelas deste serviço
+     * Deve ser chamado depois que o p5.js inicializou o modo global
+     * @param {Object} target - Objeto global (window)
+     */
+    install(target = window) {
+        const bindings = {
+            random: (...args) => this.random(...args),
+            randomGaussian: (...args) => this.randomGaussian(...args),
+            noise: (...args) => this.noise(...args),
+            randomSeed: seed => this.setSeed(seed),
+            noiseSeed: () => this.buildNoise()
+        };
+
+        for (const [name, fn] of Object.entries(bindings)) {
+            // defineProperty evita o aviso do p5.js ao sobrescrever funções globais
+            Object.defineProperty(target, name, {
+                configurable: true,
+                enumerable: true,
+                writable: true,
+                value: fn
+            });
+        }
+
+        // p5.Vector.random2D usa Math.random internamente
+        if (target.p5 && target.p5.Vector) {
+            target.p5.Vector.random2D = () => target.p5.Vector.fromAngle(this.random(Math.PI * 2));
+        }
+
+        RandomService.active = this;
+    }
+
+    /**
+     * ID para uma nova entidade usando o serviço ativo
+     * @returns {number}
+     */
+    static nextId() {
+        if (RandomService.active) {
+            return RandomService.active.nextId();
+        }
+        RandomService.fallbackCounter = (RandomService.fallbackCounter || 0) + 1;
+        return RandomService.fallbackCounter;
+    }
+}
+
+RandomService.active = null;
+
+// Exporta a classe para uso global
+window.RandomService = RandomService;
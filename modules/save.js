@@ -28,16 +28,26 @@ class SaveSystem {
      * @param {Array} food - Lista de comidas
      * @param {Array} obstacles - Lista de obstáculos
      * @param {Object} stats - Estatísticas da simulação
+     * @param {Object} randomState - Estado do gerador aleatório (semente, posição e contador de IDs)
+     * @param {Object} clockState - Estado do relógio da simulação (tick atual)
+     * @param {Object} environmentState - Estado do ciclo dia/noite (EnvironmentSystem.getState)
      * @returns {boolean} - Se o salvamento foi bem sucedido
      */
-    saveState(bacteria, food, obstacles, stats) {
+    saveState(bacteria, food, obstacles, stats, randomState = null, clockState = null, environmentState = null) {
         try {
             const state = {
                 id: Date.now(),
                 date: new Date().toISOString(),
+                seed: randomState ? randomState.seed : null,
+                random: randomState,
+                clock: clockState,
+                environment: environmentState,
                 bacteria: bacteria.map(b => ({
+                    id: b.id,
                     position: { x: b.pos.x, y: b.pos.y },
+                    energy: b.stateManager ? b.stateManager.currentEnergy : b.energy,
                     dna: b.dna,
+                    plasmids: b.plasmids || [],
                     health: b.health,
                     age: b.age,
                     isFemale: b.isFemale
@@ -92,6 +102,7 @@ class SaveSystem {
         return this.saves.map(s => ({
             id: s.id,
             date: s.date,
+            seed: s.seed,
             bacteriaCount: s.bacteria.length,
             foodCount: s.food.length
         }));
@@ -0,0 +1,379 @@
+/**
+ * Sistema de antibióticos e resistência antimicrobiana
+ * Cada antibiótico é um campo do ChemicalFieldSystem (difunde e decai). O usuário pinta
+ * regiões de tratamento ou aplica doses globais, manualmente ou por um esquema de dosagem.
+ * Onde há antibiótico:
+ * - bactérias sensíveis perdem saúde (o gene de resistência correspondente reduz o dano);
+ * - doenças dos tipos tratados por aquele antibiótico podem ser curadas (sem gerar imunidade).
+ * Cada gene de resistência custa energia por tick, proporcional ao seu valor.
+ */
+class AntibioticSystem {
+    /**
+     * Inicializa o sistema de antibióticos
+     * @param {Simulation} simulation - Referência para a simulação principal
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.enabled = true;
+        this.resistanceCost = 0.01;      // Energia por tick por unidade de gene de resistência
+        this.resistanceThreshold = 0.5;  // Alelos a partir deste valor contam como resistentes
+        this.brushRadius = 40;           // Raio do pincel de tratamento (pixels)
+        this.brushDose = 0.2;            // Concentração depositada por célula a cada pincelada
+        this.selectedType = 'ampicillin';
+
+        // Esquema de dosagem automático
+        this.schedule = 'manual';        // Chave de AntibioticSystem.SCHEDULES
+        this.scheduleType = 'ampicillin';
+        this.dose = 0.5;                 // Concentração alvo de cada dose global
+        this.period = 600;               // Ticks entre doses (pulsos e degraus)
+
+        this.historyInterval = 60;       // Ticks entre amostras da frequência de resistência
+        this.maxHistory = 500;
+
+        this.reset();
+    }
+
+    /**
+     * Zera estatísticas e histórico (nova execução)
+     */
+    reset() {
+        this.scheduleStart = SimulationClock.now();
+        this.stats = {
+            kills: 0,
+            cures: 0,
+            doses: 0,
+            byType: {}
+        };
+        for (const id of Object.keys(AntibioticSystem.TYPES)) {
+            this.stats.byType[id] = { kills: 0, cures: 0 };
+        }
+        this.history = [];
+    }
+
+    /**
+     * Escolhe o esquema de dosagem automática
+     * @param {string} schedule - Chave de AntibioticSystem.SCHEDULES
+     * @param {string} type - Antibiótico usado no esquema
+     */
+    setSchedule(schedule, type = this.scheduleType) {
+        if (!AntibioticSystem.SCHEDULES[schedule] || !AntibioticSystem.TYPES[type]) return;
+        this.schedule = schedule;
+        this.scheduleType = type;
+        this.scheduleStart = SimulationClock.now();
+    }
+
+    /**
+     * Pinta antibiótico numa região circular
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {string} type - Antibiótico (padrão: o selecionado)
+     */
+    paint(x, y, type = this.selectedType) {
+        const chemicals = this.simulation.chemicalFields;
+        if (!chemicals || !AntibioticSystem.TYPES[type]) return;
+        chemicals.depositArea(type, x, y, this.brushRadius, this.brushDose);
+    }
+
+    /**
+     * Aplica uma dose em todo o ambiente
+     * @param {string} type - Antibiótico
+     * @param {number} dose - Concentração adicionada a cada célula
+     */
+    applyGlobal(type = this.selectedType, dose = this.dose) {
+        const chemicals = this.simulation.chemicalFields;
+        if (!chemicals || !AntibioticSystem.TYPES[type]) return;
+        chemicals.depositEverywhere(type, dose);
+        this.stats.doses++;
+    }
+
+    /**
+     * Remove um antibiótico (ou todos) do ambiente
+     * @param {string|null} type - Antibiótico (null: todos)
+     */
+    clear(type = null) {
+        const chemicals = this.simulation.chemicalFields;
+        if (!chemicals) return;
+        const types = type ? [type] : Object.keys(AntibioticSystem.TYPES);
+        for (const id of types) {
+            chemicals.clearField(id);
+        }
+    }
+
+    /**
+     * Aplica o esquema de dosagem automático do tick atual
+     */
+    applySchedule() {
+        const chemicals = this.simulation.chemicalFields;
+        const elapsed = SimulationClock.now() - this.scheduleStart;
+
+        switch (this.schedule) {
+            case 'continuous':
+                // Mantém a concentração mínima em todo o ambiente
+                chemicals.raiseTo(this.scheduleType, this.dose);
+                break;
+
+            case 'pulsed':
+                // Uma dose a cada período, que decai até a próxima
+                if (elapsed % this.period === 0) {
+                    this.applyGlobal(this.scheduleType, this.dose);
+                }
+                break;
+
+            case 'escalating': {
+                // Começa com 1/4 da dose e sobe 1/4 a cada período até a dose completa
+                const step = Math.min(4, Math.floor(elapsed / this.period) + 1);
+                chemicals.raiseTo(this.scheduleType, this.dose * step / 4);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Aplica os antibióticos e o custo da resistência a toda a população
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        const chemicals = this.simulation.chemicalFields;
+        if (!this.enabled || !chemicals || !chemicals.enabled) return;
+
+        try {
+            this.applySchedule();
+
+            for (const b of bacteria) {
+                if (!b || !b.pos || !b.dna) continue;
+                this.applyResistanceCost(b);
+
+                for (const [id, type] of Object.entries(AntibioticSystem.TYPES)) {
+                    const concentration = chemicals.sample(id, b.pos.x, b.pos.y);
+                    if (concentration > AntibioticSystem.MIN_CONCENTRATION) {
+                        this.expose(b, id, type, concentration);
+                    }
+                }
+            }
+
+            this.removeKilled(bacteria);
+
+            if (SimulationClock.now() % this.historyInterval === 0) {
+                this.recordHistory(bacteria);
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar antibióticos:", error);
+        }
+    }
+
+    /**
+     * Resistência de uma bactéria a um antibiótico (valor do gene, entre 0 e 1)
+     * @param {Bacteria} bacteria - Bactéria
+     * @param {string} id - Antibiótico
+     * @returns {number}
+     */
+    getResistance(bacteria, id) {
+        const value = bacteria.dna.genes[AntibioticSystem.TYPES[id].gene];
+        return typeof value === 'number' ? Math.min(1, Math.max(0, value)) : 0;
+    }
+
+    /**
+     * Custo metabólico dos genes de resistência
+     * @param {Bacteria} bacteria - Bactéria
+     */
+    applyResistanceCost(bacteria) {
+        if (!bacteria.stateManager) return;
+        let total = 0;
+        for (const id of Object.keys(AntibioticSystem.TYPES)) {
+            total += this.getResistance(bacteria, id);
+        }
+        if (total > 0) {
+            bacteria.stateManager.consumeEnergy(total * this.resistanceCost);
+        }
+    }
+
+    /**
+     * Efeitos de um antibiótico numa bactéria exposta
+     * @param {Bacteria} bacteria - Bactéria
+     * @param {string} id - Antibiótico
+     * @param {Object} type - Definição do antibiótico
+     * @param {number} concentration - Concentração local
+     */
+    expose(bacteria, id, type, concentration) {
+        const susceptibility = 1 - this.getResistance(bacteria, id);
+        if (susceptibility > 0) {
+            bacteria.health -= concentration * type.toxicity * susceptibility;
+            if (bacteria.health <= 0) {
+                bacteria.killedBy = id;
+            }
+        }
+
+        // Cura das doenças tratáveis por este antibiótico
+        if (!bacteria.activeDiseases || bacteria.activeDiseases.size === 0) return;
+        for (const disease of [...bacteria.activeDiseases.values()]) {
+            if (!disease || !type.cures.includes(disease.type)) continue;
+            if (random() < Math.min(1, concentration * type.cureRate)) {
+                disease.recoverBacteria(bacteria, false, 'treated');
+                this.stats.cures++;
+                this.stats.byType[id].cures++;
+            }
+        }
+    }
+
+    /**
+     * Remove as bactérias mortas pelos antibióticos (o corpo fica no ambiente, como na predação)
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    removeKilled(bacteria) {
+        const entityManager = this.simulation.entityManager;
+        for (let i = bacteria.length - 1; i >= 0; i--) {
+            const b = bacteria[i];
+            if (!b || !b.killedBy || b.health > 0) continue;
+
+            this.stats.kills++;
+            this.stats.byType[b.killedBy].kills++;
+            entityManager.addDeadBacteria(b);
+            bacteria.splice(i, 1);
+            if (this.simulation.statsManager) {
+                this.simulation.statsManager.stats.deaths++;
+                this.simulation.statsManager.stats.antibioticKills++;
+            }
+        }
+    }
+
+    /**
+     * Frequência dos alelos de resistência na população
+     * No modo diploide conta os dois alelos de cada bactéria; no haploide, o gene
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @returns {Object} - {antibiótico: frequência (0-1)}
+     */
+    getAlleleFrequencies(bacteria) {
+        const frequencies = {};
+        for (const [id, type] of Object.entries(AntibioticSystem.TYPES)) {
+            let resistant = 0;
+            let total = 0;
+            for (const b of bacteria) {
+                if (!b || !b.dna) continue;
+                const alleles = b.dna.getAlleles(type.gene) || [b.dna.genes[type.gene] || 0];
+                for (const allele of alleles) {
+                    if (allele >= this.resistanceThreshold) resistant++;
+                    total++;
+                }
+            }
+            frequencies[id] = total > 0 ? resistant / total : 0;
+        }
+        return frequencies;
+    }
+
+    /**
+     * Concentração média de cada antibiótico no ambiente
+     * @returns {Object} - {antibiótico: concentração}
+     */
+    getMeanConcentrations() {
+        const chemicals = this.simulation.chemicalFields;
+        const totals = chemicals ? chemicals.getSummary() : {};
+        const cells = chemicals ? chemicals.cols * chemicals.rows : 1;
+        const means = {};
+        for (const id of Object.keys(AntibioticSystem.TYPES)) {
+            means[id] = (totals[id] || 0) / cells;
+        }
+        return means;
+    }
+
+    /**
+     * Registra uma amostra da frequência de resistência e da dosagem
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    recordHistory(bacteria) {
+        this.history.push({
+            tick: SimulationClock.now(),
+            schedule: this.schedule,
+            population: bacteria.length,
+            frequencies: this.getAlleleFrequencies(bacteria),
+            concentrations: this.getMeanConcentrations()
+        });
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Histórico em CSV (uma coluna de frequência e uma de concentração por antibiótico)
+     * @returns {string}
+     */
+    historyToCSV() {
+        const ids = Object.keys(AntibioticSystem.TYPES);
+        const header = ['tick', 'schedule', 'population',
+            ...ids.map(id => `${id}_frequency`), ...ids.map(id => `${id}_concentration`)];
+        const lines = [header.join(',')];
+        for (const sample of this.history) {
+            lines.push([
+                sample.tick,
+                sample.schedule,
+                sample.population,
+                ...ids.map(id => sample.frequencies[id].toFixed(4)),
+                ...ids.map(id => sample.concentrations[id].toFixed(4))
+            ].join(','));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object}
+     */
+    getSummary() {
+        const bacteria = this.simulation.entityManager.bacteria;
+        return {
+            schedule: this.schedule,
+            frequencies: this.getAlleleFrequencies(bacteria),
+            concentrations: this.getMeanConcentrations(),
+            kills: this.stats.kills,
+            cures: this.stats.cures
+        };
+    }
+}
+
+// Concentrações abaixo disto não têm efeito
+AntibioticSystem.MIN_CONCENTRATION = 0.01;
+
+/**
+ * Antibióticos
+ * gene: gene de resistência no DNA; toxicity: saúde perdida por tick por unidade de
+ * concentração (bactéria sem resistência); cures: tipos de doença tratados;
+ * cureRate: chance de cura por tick por unidade de concentração.
+ * As cores e a difusão ficam em ChemicalFieldSystem.FIELDS (mesma chave).
+ */
+AntibioticSystem.TYPES = {
+    ampicillin: {
+        name: 'Ampicilina',
+        gene: 'ampicillinResistance',
+        toxicity: 0.15,
+        cures: ['metabolica', 'degenerativa'],
+        cureRate: 0.01
+    },
+    tetracycline: {
+        name: 'Tetraciclina',
+        gene: 'tetracyclineResistance',
+        toxicity: 0.1,
+        cures: ['motora', 'reprodutiva'],
+        cureRate: 0.01
+    },
+    ciprofloxacin: {
+        name: 'Ciprofloxacino',
+        gene: 'ciprofloxacinResistance',
+        toxicity: 0.25,
+        cures: ['neural', 'genetica'],
+        cureRate: 0.01
+    }
+};
+
+/**
+ * Esquemas de dosagem automática
+ */
+AntibioticSystem.SCHEDULES = {
+    manual: { name: 'Manual (pincel e doses avulsas)' },
+    continuous: { name: 'Contínuo (concentração constante)' },
+    pulsed: { name: 'Pulsado (uma dose por período)' },
+    escalating: { name: 'Escalonado (dose sobe a cada período)' }
+};
+
+// Torna a classe disponível globalmente
+window.AntibioticSystem = AntibioticSystem;
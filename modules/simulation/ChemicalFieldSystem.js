@@ -0,0 +1,341 @@
+/**
+ * Sistema de campos químicos
+ * Cada substância (nutrientes, resíduos e sinalização) é uma grade de concentrações
+ * que se difunde para as células vizinhas e decai a cada tick:
+ * - a comida libera nutrientes;
+ * - os corpos em decomposição liberam resíduos;
+ * - as bactérias vivas liberam moléculas de sinalização;
+ * - os antibióticos são aplicados pelo usuário ou por esquemas de dosagem (AntibioticSystem).
+ * O gradiente resultante (bacteria.chemicalGradient) guia a quimiotaxia no movimento;
+ * o gradiente da sinalização (bacteria.signalGradient) guia a agregação em biofilme.
+ */
+class ChemicalFieldSystem {
+    /**
+     * Inicializa os campos químicos
+     * @param {Simulation} simulation - Referência para a simulação principal
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.enabled = true;
+        this.cellSize = 20;            // Pixels por célula da grade
+        this.foodEmission = 0.02;      // Fração da nutrição liberada por tick
+        this.wasteEmission = 0.5;      // Resíduo liberado por corpo por tick
+        this.signalEmission = 0.1;     // Sinal liberado por bactéria por tick
+        this.wasteRepulsion = 0.5;     // Peso (negativo) do resíduo no gradiente da quimiotaxia
+
+        this.resize(simulation.width, simulation.height);
+    }
+
+    /**
+     * Cria as grades para o tamanho do mundo
+     * @param {number} worldWidth - Largura do mundo
+     * @param {number} worldHeight - Altura do mundo
+     */
+    resize(worldWidth, worldHeight) {
+        this.cols = Math.max(1, Math.ceil(worldWidth / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(worldHeight / this.cellSize));
+        this.fields = {};
+        for (const id of Object.keys(ChemicalFieldSystem.FIELDS)) {
+            this.fields[id] = new Float32Array(this.cols * this.rows);
+        }
+        this.buffer = new Float32Array(this.cols * this.rows);
+    }
+
+    /**
+     * Zera todas as concentrações (nova execução)
+     */
+    reset() {
+        for (const field of Object.values(this.fields)) {
+            field.fill(0);
+        }
+    }
+
+    /**
+     * Índice da célula que contém um ponto (pontos fora do mundo vão para a borda)
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {number}
+     */
+    cellIndex(x, y) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    /**
+     * Libera uma quantidade de substância num ponto
+     * @param {string} id - Campo ('nutrient', 'waste' ou 'signal')
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @param {number} amount - Quantidade
+     */
+    deposit(id, x, y, amount) {
+        const field = this.fields[id];
+        if (!field || !(amount > 0)) return;
+        field[this.cellIndex(x, y)] += amount;
+    }
+
+    /**
+     * Libera uma quantidade de substância em todas as células de um círculo
+     * @param {string} id - Campo
+     * @param {number} x - Coordenada X do centro
+     * @param {number} y - Coordenada Y do centro
+     * @param {number} radius - Raio em pixels
+     * @param {number} amount - Quantidade por célula
+     */
+    depositArea(id, x, y, radius, amount) {
+        const field = this.fields[id];
+        if (!field || !(amount > 0)) return;
+
+        const radiusSq = radius * radius;
+        const minCol = Math.max(0, Math.floor((x - radius) / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor((x + radius) / this.cellSize));
+        const minRow = Math.max(0, Math.floor((y - radius) / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor((y + radius) / this.cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const dx = (col + 0.5) * this.cellSize - x;
+                const dy = (row + 0.5) * this.cellSize - y;
+                if (dx * dx + dy * dy <= radiusSq) {
+                    field[row * this.cols + col] += amount;
+                }
+            }
+        }
+    }
+
+    /**
+     * Libera uma quantidade de substância em todo o mundo
+     * @param {string} id - Campo
+     * @param {number} amount - Quantidade por célula
+     */
+    depositEverywhere(id, amount) {
+        const field = this.fields[id];
+        if (!field || !(amount > 0)) return;
+        for (let i = 0; i < field.length; i++) {
+            field[i] += amount;
+        }
+    }
+
+    /**
+     * Eleva a concentração de todas as células até um nível mínimo
+     * @param {string} id - Campo
+     * @param {number} level - Concentração mínima
+     */
+    raiseTo(id, level) {
+        const field = this.fields[id];
+        if (!field) return;
+        for (let i = 0; i < field.length; i++) {
+            if (field[i] < level) field[i] = level;
+        }
+    }
+
+    /**
+     * Zera um campo
+     * @param {string} id - Campo
+     */
+    clearField(id) {
+        const field = this.fields[id];
+        if (field) field.fill(0);
+    }
+
+    /**
+     * Concentração de uma substância num ponto
+     * @param {string} id - Campo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {number}
+     */
+    sample(id, x, y) {
+        const field = this.fields[id];
+        return field ? field[this.cellIndex(x, y)] : 0;
+    }
+
+    /**
+     * Gradiente de uma substância num ponto (diferenças centrais entre células vizinhas)
+     * @param {string} id - Campo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {{x: number, y: number}} - Direção de maior aumento da concentração
+     */
+    gradient(id, x, y) {
+        const field = this.fields[id];
+        if (!field) return { x: 0, y: 0 };
+
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        const left = field[row * this.cols + Math.max(0, col - 1)];
+        const right = field[row * this.cols + Math.min(this.cols - 1, col + 1)];
+        const up = field[Math.max(0, row - 1) * this.cols + col];
+        const down = field[Math.min(this.rows - 1, row + 1) * this.cols + col];
+
+        return { x: (right - left) / 2, y: (down - up) / 2 };
+    }
+
+    /**
+     * Difusão (laplaciano de 5 pontos, bordas refletoras) seguida de decaimento
+     * @param {string} id - Campo
+     */
+    diffuse(id) {
+        const field = this.fields[id];
+        const { diffusion, decay } = ChemicalFieldSystem.FIELDS[id];
+        const cols = this.cols;
+        const rows = this.rows;
+        const next = this.buffer;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const i = row * cols + col;
+                const center = field[i];
+                const left = col > 0 ? field[i - 1] : center;
+                const right = col < cols - 1 ? field[i + 1] : center;
+                const up = row > 0 ? field[i - cols] : center;
+                const down = row < rows - 1 ? field[i + cols] : center;
+
+                const value = center + diffusion * (left + right + up + down - 4 * center);
+                next[i] = value * (1 - decay);
+            }
+        }
+
+        field.set(next);
+    }
+
+    /**
+     * Libera as substâncias das fontes (comida, corpos e bactérias)
+     */
+    emit() {
+        const entityManager = this.simulation.entityManager;
+
+        for (const food of entityManager.food) {
+            if (food && food.position) {
+                this.deposit('nutrient', food.position.x, food.position.y, food.nutrition * this.foodEmission);
+            }
+        }
+
+        for (const dead of entityManager.deadBacteria) {
+            if (dead && dead.pos) {
+                this.deposit('waste', dead.pos.x, dead.pos.y, this.wasteEmission);
+            }
+        }
+
+        // A sinalização é o autoindutor do quorum sensing (autoindução: quem está em quorum secreta mais)
+        const quorum = this.simulation.quorumSensing;
+        for (const bacteria of entityManager.bacteria) {
+            if (bacteria && bacteria.pos) {
+                const factor = quorum ? quorum.getSecretionFactor(bacteria) : 1;
+                this.deposit('signal', bacteria.pos.x, bacteria.pos.y, this.signalEmission * factor);
+            }
+        }
+    }
+
+    /**
+     * Avança os campos um tick e atualiza o gradiente percebido por cada bactéria
+     */
+    update() {
+        if (!this.enabled) return;
+
+        try {
+            this.emit();
+            for (const id of Object.keys(this.fields)) {
+                this.diffuse(id);
+            }
+
+            // Atração pelos nutrientes, repulsão pelos resíduos
+            for (const bacteria of this.simulation.entityManager.bacteria) {
+                if (!bacteria || !bacteria.pos) continue;
+                const nutrient = this.gradient('nutrient', bacteria.pos.x, bacteria.pos.y);
+                const waste = this.gradient('waste', bacteria.pos.x, bacteria.pos.y);
+                bacteria.chemicalGradient = {
+                    x: nutrient.x - this.wasteRepulsion * waste.x,
+                    y: nutrient.y - this.wasteRepulsion * waste.y
+                };
+                bacteria.signalGradient = this.gradient('signal', bacteria.pos.x, bacteria.pos.y);
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar campos químicos:", error);
+        }
+    }
+
+    /**
+     * Maior concentração de cada campo (usada para normalizar a sobreposição)
+     * @returns {Object} - {campo: máximo}
+     */
+    getMaxima() {
+        const maxima = {};
+        for (const [id, field] of Object.entries(this.fields)) {
+            let max = 0;
+            for (let i = 0; i < field.length; i++) {
+                if (field[i] > max) max = field[i];
+            }
+            maxima[id] = max;
+        }
+        return maxima;
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object} - Quantidade total de cada substância
+     */
+    getSummary() {
+        const totals = {};
+        for (const [id, field] of Object.entries(this.fields)) {
+            let total = 0;
+            for (let i = 0; i < field.length; i++) {
+                total += field[i];
+            }
+            totals[id] = total;
+        }
+        return totals;
+    }
+}
+
+/**
+ * Substâncias dos campos
+ * diffusion: fração trocada com cada vizinha por tick (estável até 0.25);
+ * decay: fração perdida por tick; color: cor da sobreposição.
+ */
+ChemicalFieldSystem.FIELDS = {
+    nutrient: {
+        name: 'Nutrientes',
+        diffusion: 0.2,
+        decay: 0.01,
+        color: [80, 220, 80]
+    },
+    waste: {
+        name: 'Resíduos',
+        diffusion: 0.15,
+        decay: 0.02,
+        color: [190, 120, 50]
+    },
+    signal: {
+        name: 'Autoindutor',
+        diffusion: 0.2,
+        decay: 0.05,
+        color: [190, 90, 255]
+    },
+
+    // Antibióticos (AntibioticSystem.TYPES): difundem pouco e duram bastante
+    ampicillin: {
+        name: 'Ampicilina',
+        diffusion: 0.05,
+        decay: 0.002,
+        color: [255, 255, 255]
+    },
+    tetracycline: {
+        name: 'Tetraciclina',
+        diffusion: 0.05,
+        decay: 0.002,
+        color: [255, 160, 40]
+    },
+    ciprofloxacin: {
+        name: 'Ciprofloxacino',
+        diffusion: 0.05,
+        decay: 0.002,
+        color: [40, 220, 220]
+    }
+};
+
+// Torna a classe disponível globalmente
+window.ChemicalFieldSystem = ChemicalFieldSystem;
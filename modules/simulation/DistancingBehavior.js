@@ -0,0 +1,111 @@
+/**
+ * Distanciamento comportamental durante surtos
+ * Bactérias atentas (gene intelligence ou sociability acima de awarenessThreshold)
+ * percebem vizinhas com sintomas e se afastam delas; quando são elas que têm sintomas,
+ * entram no estado 'isolating' do BacteriaStateManager e evitam todas as vizinhas.
+ * Portadoras assintomáticas e bactérias em incubação não são percebidas como doentes.
+ * Com enabled = false nenhuma bactéria se distancia (para comparar surtos).
+ */
+class DistancingBehavior {
+    /**
+     * Inicializa o comportamento
+     * @param {DiseaseSystem} diseaseSystem - Sistema de doenças
+     */
+    constructor(diseaseSystem) {
+        this.diseaseSystem = diseaseSystem;
+
+        // Configurações
+        this.enabled = true;
+        this.awarenessThreshold = 0.6; // Valor mínimo de intelligence ou sociability para se distanciar
+        this.detectionRange = 100;     // Distância máxima em que os sintomas são percebidos (limitada pela percepção)
+
+        this.reset();
+    }
+
+    /**
+     * Zera as estatísticas (nova execução)
+     */
+    reset() {
+        this.stats = {
+            isolating: 0,  // Bactérias em isolamento no último tick
+            avoiding: 0,   // Bactérias se afastando de doentes no último tick
+            isolations: 0  // Vezes em que uma bactéria entrou em isolamento
+        };
+    }
+
+    /**
+     * Atenção da bactéria aos sintomas das vizinhas (0-1)
+     * @param {Bacteria} bacteria - Bactéria
+     * @returns {number}
+     */
+    getAwareness(bacteria) {
+        if (!bacteria.dna || !bacteria.dna.genes) return 0;
+        const genes = bacteria.dna.genes;
+        return Math.max(genes.intelligence || 0, genes.sociability || 0);
+    }
+
+    /**
+     * Decide quem se isola e de quem cada bactéria se afasta
+     * Depende de bacteria.hasSymptoms (DiseaseSystem.updateSymptoms)
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        try {
+            const spatialGrid = this.diseaseSystem.simulation.spatialGrid;
+            this.stats.isolating = 0;
+            this.stats.avoiding = 0;
+
+            for (const b of bacteria) {
+                if (!b || !b.pos || !b.stateManager) continue;
+
+                const awareness = this.enabled ? this.getAwareness(b) : 0;
+                if (awareness < this.awarenessThreshold) {
+                    b.stateManager.isolating = false;
+                    b.avoidanceTargets = null;
+                    continue;
+                }
+
+                const range = Math.min(this.detectionRange, b.perceptionRadius || this.detectionRange);
+                const nearby = (spatialGrid ? spatialGrid.queryRadius(b.pos, range) : bacteria).filter(other =>
+                    other instanceof Bacteria && other !== b &&
+                    dist(b.pos.x, b.pos.y, other.pos.x, other.pos.y) < range
+                );
+
+                // Doente: isola-se de todas as vizinhas; saudável: afasta-se só das doentes
+                const isolating = !!b.hasSymptoms;
+                const targets = isolating ? nearby : nearby.filter(other => other.hasSymptoms);
+
+                if (isolating && !b.stateManager.isolating) {
+                    this.stats.isolations++;
+                }
+                b.stateManager.isolating = isolating;
+                b.avoidanceTargets = targets.length > 0 ? targets.map(other => other.pos) : null;
+                b.avoidanceWeight = awareness;
+
+                if (isolating) {
+                    this.stats.isolating++;
+                } else if (b.avoidanceTargets) {
+                    this.stats.avoiding++;
+                }
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar distanciamento:", error);
+        }
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object}
+     */
+    getSummary() {
+        return {
+            enabled: this.enabled,
+            isolating: this.stats.isolating,
+            avoiding: this.stats.avoiding,
+            isolations: this.stats.isolations
+        };
+    }
+}
+
+// Torna a classe disponível globalmente
+window.DistancingBehavior = DistancingBehavior;
@@ -20,6 +20,7 @@ class EntityManager {
         
         // Configurações
         this.populationLimit = 100;
+        this.predatorLimits = Predator.getDefaultLimits(); // Teto por espécie (nascimentos param ao atingi-lo)
         this.initialEnergy = 150;
         this.foodValue = 50;
     }
@@ -47,16 +48,24 @@ class EntityManager {
                         aggressiveness: random(0.5, 1.5),
                         sociability: random(0.5, 1.5),
                         curiosity: random(0.5, 1.5),
+                        chemotaxis: random(0, 1),
+                        quorumThreshold: random(0.5, 2.5),
+                        sensorDensity: random(0, 1),
+                        sensorReach: random(0, 1),
                         speed: random(0.5, 1.5),
                         agility: random(0.5, 1.5),
                         perception: random(0.5, 1.5),
                         fertility: random(0.5, 1.5),
+                        fissionTendency: random(0, 1),
                         mutationRate: random(0.01, 0.1),
                         adaptability: random(0.5, 1.5),
                         size: random(0.5, 1.5),
                         colorR: random(0, 1),
                         colorG: random(0, 1),
-                        colorB: random(0, 1)
+                        colorB: random(0, 1),
+                        ampicillinResistance: DNA.randomResistance(),
+                        tetracyclineResistance: DNA.randomResistance(),
+                        ciprofloxacinResistance: DNA.randomResistance()
                     }
                 };
             }
@@ -74,13 +83,13 @@ class EntityManager {
             
             // Verifica sistema de movimento
             if (!bacteria.movement) {
-                console.error("Movimento não inicializado para a bactéria", i);
+                console.error("Movimento não inicializado para a bactéria", bacteria.id);
                 bacteria.movement = new BacteriaMovement(bacteria);
             }
             
             // Garantir que o sistema de movimento esteja completamente inicializado
             if (!bacteria.movement.movement) {
-                console.warn("Sistema de movimento aninhado não existe para a bactéria", i);
+                console.warn("Sistema de movimento aninhado não existe para a bactéria", bacteria.id);
                 // Tenta recriar o sistema de movimento
                 bacteria.movement = new BacteriaMovement(bacteria);
             }
@@ -91,7 +100,7 @@ class EntityManager {
                 typeof bacteria.movement.movement.velocity.mag !== 'function' || 
                 bacteria.movement.movement.velocity.mag() === 0) {
                 
-                console.log(`Inicializando velocidade para bactéria ${i}`);
+                console.log(`Inicializando velocidade para bactéria ${bacteria.id}`);
                 
                 // Cria uma velocidade inicial mais forte
                 const initialVelocity = p5.Vector.random2D();
@@ -103,13 +112,13 @@ class EntityManager {
                         
                         // Garante que a posição do movimento é um vetor p5 válido
                         if (!bacteria.pos) {
-                            console.error(`Bactéria ${i} sem posição válida ao configurar movimento`);
+                            console.error(`Bactéria ${bacteria.id} sem posição válida ao configurar movimento`);
                             bacteria.pos = createVector(x, y);
                         }
                         
                         // Verifica se pos.x é um objeto antes de tentar fazer copy
                         if (typeof bacteria.pos.x === 'object') {
-                            console.warn(`pos.x é um objeto ao configurar movimento da bactéria ${i}, corrigindo`);
+                            console.warn(`pos.x é um objeto ao configurar movimento da bactéria ${bacteria.id}, corrigindo`);
                             const tempPos = createVector(
                                 bacteria.pos.x && typeof bacteria.pos.x.x === 'number' ? bacteria.pos.x.x : x,
                                 bacteria.pos.y && typeof bacteria.pos.y === 'number' ? bacteria.pos.y : y
@@ -127,19 +136,19 @@ class EntityManager {
                         
                         // Valida a posição do movimento
                         if (!bacteria.movement.movement.position || typeof bacteria.movement.movement.position.x !== 'number') {
-                            console.warn(`Posição de movimento inválida para bactéria ${i}, recriando`);
+                            console.warn(`Posição de movimento inválida para bactéria ${bacteria.id}, recriando`);
                             bacteria.movement.movement.position = createVector(x, y);
                         }
                         
                         // Garante que a posição e velocidade são números válidos
                         if (isNaN(bacteria.pos.x) || isNaN(bacteria.pos.y)) {
-                            console.error(`Bactéria ${i} tem posição NaN, corrigindo`);
+                            console.error(`Bactéria ${bacteria.id} tem posição NaN, corrigindo`);
                             bacteria.pos.x = x;
                             bacteria.pos.y = y;
                         }
                         
                         if (isNaN(bacteria.movement.movement.velocity.x) || isNaN(bacteria.movement.movement.velocity.y)) {
-                            console.error(`Bactéria ${i} tem velocidade NaN, corrigindo`);
+                            console.error(`Bactéria ${bacteria.id} tem velocidade NaN, corrigindo`);
                             bacteria.movement.movement.velocity = p5.Vector.random2D().mult(3);
                         }
                         
@@ -156,7 +165,7 @@ class EntityManager {
                         console.log(`Velocidade inicial configurada: ${initialVelocity.mag().toFixed(2)}`);
                     } else {
                         // Em caso de falha na estrutura aninhada, tenta criar um movimento direto
-                        console.warn("Criando um sistema de movimento manual para a bactéria", i);
+                        console.warn("Criando um sistema de movimento manual para a bactéria", bacteria.id);
                         bacteria.movement = {
                             movement: new Movement(bacteria.pos.copy(), bacteria.size),
                             moveRandom: function(dt, speedModifier) {
@@ -177,6 +186,7 @@ class EntityManager {
             
             // Adiciona à lista de bactérias
             this.bacteria.push(bacteria);
+            this.recordBirth(bacteria);
             console.log(`Bactéria adicionada em (${x.toFixed(0)},${y.toFixed(0)}), gênero: ${bacteria.isFemale ? 'feminino' : 'masculino'}`);
             
             // Atualiza estatísticas
@@ -221,19 +231,102 @@ class EntityManager {
         const y = (parent1.pos.y + parent2.pos.y) / 2;
 
         // Determina qual é a mãe
-        const mother = parent1.reproduction.isFemale ? parent1.reproduction : parent2.reproduction;
+        const motherBacteria = parent1.reproduction.isFemale ? parent1 : parent2;
+        const fatherBacteria = motherBacteria === parent1 ? parent2 : parent1;
+        const mother = motherBacteria.reproduction;
 
-        // Obtém o DNA do filho
+        // Sem gestação em andamento, o outro pai fornece o DNA
+        if (!mother.isPregnant) {
+            mother.startPregnancy(fatherBacteria.dna, fatherBacteria.id, fatherBacteria.learning);
+        }
+
+        // Obtém o DNA do filho (com os IDs dos pais para a linhagem)
         const childDNA = mother.giveBirth();
 
         // Chance de mutação
         if (random() < 0.1) {
-            childDNA.mutate(0.1);
-            this.simulation.stats.mutations++;
+            childDNA.mutate();
+            if (this.simulation.statsManager) {
+                this.simulation.statsManager.stats.mutations++;
+            }
         }
 
         return this.addBacteria(x, y, childDNA);
     }
+
+    /**
+     * Fissão binária: a bactéria é substituída por duas filhas mutadas
+     * que dividem sua energia e nascem com metade da área
+     * @param {Bacteria} parent - Bactéria que se divide
+     * @returns {Array<Bacteria>} - Filhas criadas
+     */
+    divideBacteria(parent) {
+        try {
+            const index = this.bacteria.indexOf(parent);
+            if (index === -1) return [];
+
+            const energy = parent.stateManager ? parent.stateManager.currentEnergy : parent.energy;
+            const childDNAs = parent.reproduction.divide();
+            const offset = p5.Vector.random2D().mult(parent.size * 0.3);
+            this.bacteria.splice(index, 1);
+
+            const daughters = [];
+            childDNAs.forEach((childDNA, i) => {
+                const side = i === 0 ? 1 : -1;
+                const daughter = this.addBacteria(
+                    parent.pos.x + offset.x * side,
+                    parent.pos.y + offset.y * side,
+                    childDNA,
+                    energy / 2
+                );
+                if (!daughter) return;
+
+                daughter.health = parent.health;
+                daughter.size = parent.size * Math.SQRT1_2;
+                if (this.simulation.plasmidSystem) {
+                    this.simulation.plasmidSystem.inherit(parent, daughter);
+                }
+                daughters.push(daughter);
+            });
+
+            if (this.simulation.statsManager) {
+                this.simulation.statsManager.stats.fissions++;
+            }
+            if (this.simulation.selectedBacteria === parent) {
+                this.simulation.selectedBacteria = daughters[0] || null;
+            }
+            return daughters;
+        } catch (error) {
+            console.error(`Erro na fissão da bactéria ${parent ? parent.id : '?'}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Registra o nascimento no rastreador de linhagens e nas estatísticas por estratégia
+     * @param {Bacteria} bacteria - Bactéria recém-adicionada
+     */
+    recordBirth(bacteria) {
+        if (this.simulation && this.simulation.lineageTracker) {
+            this.simulation.lineageTracker.registerBirth(bacteria);
+        }
+
+        // Um genitor: fissão; dois genitores: reprodução sexuada; nenhum: fundadora
+        const parents = Array.isArray(bacteria.parentIds) ? bacteria.parentIds.length : 0;
+        const statsManager = this.simulation ? this.simulation.statsManager : null;
+        if (statsManager && parents > 0) {
+            statsManager.stats.births++;
+            if (parents === 1) {
+                statsManager.stats.asexualBirths++;
+            } else {
+                statsManager.stats.naturalBirths++;
+                statsManager.stats.sexualBirths++;
+            }
+            if (bacteria.learning && bacteria.learning.inheritedBrain) {
+                statsManager.stats.inheritedBrains++;
+            }
+        }
+    }
     
     /**
      * Adiciona um efeito visual
@@ -355,6 +448,7 @@ class EntityManager {
                     
                     // Adiciona à lista de bactérias diretamente
                     this.bacteria.push(bacteria);
+                    this.recordBirth(bacteria); // Fundadora (pode se dividir já no primeiro tick)
                     
                     // RADICAL: Força uma atualização inicial
                     try {
@@ -521,6 +615,7 @@ class EntityManager {
         this.obstacles = [];
         this.predators = [];
         this.effects = [];
+        this.deadBacteria = [];
     }
     
     /**
@@ -549,11 +644,17 @@ class EntityManager {
             }
             
             // Adiciona a bactéria à lista de mortas com um temporizador
+            const diseaseSystem = this.simulation.diseaseSystem;
             this.deadBacteria.push({
+                id: bacteria.id,
                 pos: bacteria.pos.copy(), // Copia a posição para evitar referências
                 size: bacteria.size || 10,
                 timer: 180, // 3 segundos a 60 FPS
-                nutrition: Math.max(10, Math.round(bacteria.size * 3)) // Comida proporcional ao tamanho
+                nutrition: Math.max(10, Math.round(bacteria.size * 3)), // Comida proporcional ao tamanho
+                fragments: this.simulation.plasmidSystem ? // DNA livre disponível para transformação
+                    this.simulation.plasmidSystem.getFragments(bacteria) : [],
+                pathogens: diseaseSystem ? // Cepas que continuam infecciosas no corpo
+                    diseaseSystem.reservoir.getCorpsePathogens(bacteria) : []
             });
             
             console.log(`Bactéria adicionada à lista de mortas. Total: ${this.deadBacteria.length}`);
@@ -587,7 +688,7 @@ class EntityManager {
                     );
                     
                     // Adiciona um efeito visual para indicar a transformação
-                    if (this.simulation.effects) {
+                    if (this.simulation.effects && typeof PopEffect === 'function') {
                         const effect = new PopEffect(
                             deadBac.pos.x, 
                             deadBac.pos.y, 
@@ -775,6 +876,8 @@ class EntityManager {
             // Atualiza bactérias
             if (this.bacteria && this.bacteria.length > 0) {
                 const bacteriaMoving = [];
+                const births = [];
+                const fissions = [];
                 
                 // Itera bactérias para atualização
                 for (let i = 0; i < this.bacteria.length; i++) {
@@ -792,6 +895,25 @@ class EntityManager {
                         // Atualiza a bactéria
                         bacteria.update(deltaTime);
                         
+                        // Avança gestação e recuperação; o parto gera o DNA do filho
+                        if (bacteria.reproduction && typeof bacteria.reproduction.update === 'function') {
+                            const childDNA = bacteria.reproduction.update();
+                            if (childDNA) {
+                                // O filho nasce ao lado da mãe (na mesma posição a colisão geraria NaN)
+                                const offset = p5.Vector.random2D().mult(bacteria.size || 10);
+                                births.push({ x: bacteria.pos.x + offset.x, y: bacteria.pos.y + offset.y, dna: childDNA });
+                            }
+                        }
+                        
+                        // Crescimento e fissão binária (estratégia assexuada); espécies NEAT
+                        // maiores que a média se dividem menos (compartilhamento de fitness)
+                        if (typeof bacteria.grow === 'function') {
+                            bacteria.grow();
+                            if (bacteria.canDivide() && this.simulation.neatSpeciation.allowsReproduction(bacteria)) {
+                                fissions.push(bacteria);
+                            }
+                        }
+                        
                         // Verifica se a bactéria se moveu
                         if (prevPos && bacteria.pos) {
                             const dx = bacteria.pos.x - prevPos.x;
@@ -808,6 +930,18 @@ class EntityManager {
                     }
                 }
                 
+                // Adiciona os recém-nascidos depois do laço, respeitando o limite populacional
+                for (const birth of births) {
+                    if (this.bacteria.length >= this.populationLimit) break;
+                    this.addBacteria(birth.x, birth.y, birth.dna);
+                }
+                
+                // Cada fissão acrescenta uma bactéria (a mãe dá lugar a duas filhas)
+                for (const parent of fissions) {
+                    if (this.bacteria.length >= this.populationLimit) break;
+                    this.divideBacteria(parent);
+                }
+                
                 // Registra quantas bactérias estão se movendo
                 if (shouldLog && bacteriaMoving.length > 0) {
                     console.log(`[EntityManager] ${bacteriaMoving.length}/${this.bacteria.length} bactérias se movendo.`);
@@ -820,6 +954,9 @@ class EntityManager {
                 console.warn("[EntityManager] Array de bactérias vazio ou indefinido");
             }
             
+            // Atualiza predadores (caça, reprodução e morte)
+            this.updatePredators(deltaTime);
+            
             // Atualiza comida
             if (this.food && this.food.length > 0) {
                 for (let i = 0; i < this.food.length; i++) {
@@ -877,6 +1014,94 @@ class EntityManager {
         }
     }
 
+    /**
+     * Teto de população de uma espécie de predador
+     * @param {string} speciesId - Chave de Predator.SPECIES
+     * @returns {number}
+     */
+    getPredatorLimit(speciesId) {
+        return this.predatorLimits[speciesId] || 0;
+    }
+
+    /**
+     * Número de predadores vivos de uma espécie
+     * @param {string} speciesId - Chave de Predator.SPECIES
+     * @returns {number}
+     */
+    countPredators(speciesId) {
+        return this.predators.filter(predator => predator.speciesId === speciesId).length;
+    }
+
+    /**
+     * Adiciona um predador fundador
+     * @param {string} speciesId - Chave de Predator.SPECIES
+     * @param {number} x - Posição X (opcional, sorteada)
+     * @param {number} y - Posição Y (opcional, sorteada)
+     * @returns {Predator} - O predador criado
+     */
+    addPredator(speciesId, x = random(this.simulation.width), y = random(this.simulation.height)) {
+        const predator = new Predator(x, y, null, speciesId);
+        predator.simulation = this.simulation;
+        this.predators.push(predator);
+        return predator;
+    }
+
+    /**
+     * Aplica os tetos por espécie: remove o excedente de cada espécie e, como sem um casal
+     * não há reprodução, completa com fundadores até dois (ou até o teto, se menor)
+     */
+    enforcePredatorLimits() {
+        for (const speciesId of Object.keys(Predator.SPECIES)) {
+            const limit = this.getPredatorLimit(speciesId);
+            let count = this.countPredators(speciesId);
+
+            for (let i = this.predators.length - 1; i >= 0 && count > limit; i--) {
+                if (this.predators[i].speciesId === speciesId) {
+                    this.predators.splice(i, 1);
+                    count--;
+                }
+            }
+            while (count < Math.min(2, limit)) {
+                this.addPredator(speciesId);
+                count++;
+            }
+        }
+    }
+
+    /**
+     * Atualiza os predadores: os filhos entram depois do laço, respeitando o teto da
+     * espécie, e os mortos (saúde esgotada, velhice ou devorados) são removidos
+     * @param {number} deltaTime - Tempo desde o último frame
+     */
+    updatePredators(deltaTime = 1) {
+        const births = [];
+        
+        for (const predator of this.predators) {
+            try {
+                const child = predator.update(this.bacteria, this.obstacles, this.predators, deltaTime);
+                if (child) {
+                    births.push(child);
+                }
+            } catch (error) {
+                console.error("[EntityManager] Erro ao atualizar predador:", error);
+            }
+        }
+        
+        const before = this.predators.length;
+        this.predators = this.predators.filter(predator => !predator.isDead());
+        if (this.simulation.statsManager && this.predators.length < before) {
+            this.simulation.statsManager.stats.predatorDeaths += before - this.predators.length;
+        }
+        
+        for (const child of births) {
+            if (this.countPredators(child.speciesId) >= this.getPredatorLimit(child.speciesId)) continue;
+            this.predators.push(child);
+            if (this.simulation.statsManager) {
+                this.simulation.statsManager.stats.predatorBirths++;
+            }
+        }
+    }
+
     /**
      * Implementação de emergência para processar colisões
      * Usado como fallback se o método original não for encontrado
@@ -987,7 +1212,7 @@ class EntityManager {
                         }
                         
                         // Verifica possibilidade de reprodução se forem sexos opostos
-                        if (b1.isFemale !== b2.isFemale && Math.random() < 0.3) {
+                        if (b1.isFemale !== b2.isFemale && random() < 0.3) {
                             // Identifica fêmea e macho
                             const female = b1.isFemale ? b1 : b2;
                             const male = b1.isFemale ? b2 : b1;
@@ -997,11 +1222,14 @@ class EntityManager {
                                 female.stateManager.currentEnergy > 70 && 
                                 male.stateManager.currentEnergy > 70) {
                                 
-                                // Tenta reproduzir se o método existir
-                                if (typeof female.reproduce === 'function') {
+                                // Tenta reproduzir se o método existir (com a preferência pela própria espécie NEAT)
+                                if (typeof female.reproduce === 'function' &&
+                                    this.bacteria.length < this.populationLimit &&
+                                    this.simulation.neatSpeciation.allowsMating(female, male)) {
                                     const child = female.reproduce(male);
                                     if (child) {
                                         this.bacteria.push(child);
+                                        this.recordBirth(child);
                                         console.log(`Nova bactéria nasceu! ID: ${child.id}`);
                                     }
                                 }
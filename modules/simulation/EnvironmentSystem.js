@@ -1,6 +1,9 @@
 /**
  * Sistema de ambiente da simulação
- * Responsável pelas condições ambientais como ciclo dia/noite
+ * Responsável pelas condições ambientais como ciclo dia/noite e pelas zonas
+ * ambientais (água, escuridão, calor e frio). Dentro de uma zona, bactérias
+ * adaptadas ao nicho correspondente (dna.adaptedToEnvironment) ganham energia ou
+ * velocidade e as não adaptadas pagam uma penalidade.
  */
 class EnvironmentSystem {
     /**
@@ -13,13 +16,121 @@ class EnvironmentSystem {
         // Configurações do ambiente
         this.dayNightEnabled = true;
         this.dayTime = true; // True = dia, False = noite
-        this.dayLength = 3600; // Frames por ciclo (1min em 60fps)
+        this.dayLength = 3600; // Ticks por ciclo (1min simulado)
         this.currentTime = 0;
         
         // Configurações de geração de comida
         this.foodRate = 0.8;
         this.foodSpawnInterval = 3;
         this.foodSpawnAmount = 8;
+        
+        // Zonas ambientais
+        this.zonesEnabled = true;
+        this.zoneCount = 6;
+        this.zoneRadius = { min: 60, max: 120 };
+        this.nicheUpkeep = 0.005; // Energia por tick gasta por nicho adaptado
+        this.zones = [];
+    }
+    
+    /**
+     * Sorteia as zonas ambientais, alternando os tipos para que todos apareçam
+     */
+    generateZones() {
+        this.zones = [];
+        const types = Object.keys(EnvironmentSystem.ZONE_TYPES);
+        const width = this.simulation.width;
+        const height = this.simulation.height;
+        
+        for (let i = 0; i < this.zoneCount; i++) {
+            this.zones.push({
+                type: types[i % types.length],
+                x: random(width),
+                y: random(height),
+                radius: random(this.zoneRadius.min, this.zoneRadius.max)
+            });
+        }
+    }
+    
+    /**
+     * Zonas que contêm um ponto
+     * @param {p5.Vector} pos - Posição
+     * @returns {Array<Object>} - Zonas
+     */
+    getZonesAt(pos) {
+        return this.zones.filter(zone => {
+            const dx = pos.x - zone.x;
+            const dy = pos.y - zone.y;
+            return dx * dx + dy * dy <= zone.radius * zone.radius;
+        });
+    }
+    
+    /**
+     * Aplica os efeitos das zonas e o custo de manutenção dos nichos
+     * Define bacteria.zoneSpeedFactor (usado no movimento) e bacteria.currentZones
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    applyZoneEffects(bacteria) {
+        try {
+            for (const b of bacteria) {
+                if (!b || !b.pos || !b.stateManager) continue;
+                
+                const niches = b.dna && Array.isArray(b.dna.adaptedToEnvironment)
+                    ? b.dna.adaptedToEnvironment
+                    : [];
+                let speedFactor = 1;
+                let energy = -this.nicheUpkeep * niches.length;
+                const zoneTypes = [];
+                
+                for (const zone of this.getZonesAt(b.pos)) {
+                    const type = EnvironmentSystem.ZONE_TYPES[zone.type];
+                    if (zoneTypes.includes(zone.type)) continue;
+                    zoneTypes.push(zone.type);
+                    
+                    const effect = niches.includes(type.niche) ? type.adapted : type.unadapted;
+                    speedFactor *= effect.speed;
+                    energy += effect.energy;
+                }
+                
+                b.zoneSpeedFactor = speedFactor;
+                b.currentZones = zoneTypes;
+                
+                if (energy > 0) {
+                    b.stateManager.addEnergy(energy);
+                } else if (energy < 0) {
+                    b.stateManager.consumeEnergy(-energy);
+                }
+            }
+        } catch (error) {
+            console.error("Erro ao aplicar efeitos das zonas:", error);
+        }
+    }
+    
+    /**
+     * Ocupação das zonas: quantas bactérias estão em cada tipo de zona e quantas delas
+     * são adaptadas, além do número de adaptadas em toda a população
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @returns {Object} - {tipo: {inside, adaptedInside, adapted}}
+     */
+    getNicheSummary(bacteria = this.simulation.entityManager.bacteria) {
+        const summary = {};
+        for (const [id, type] of Object.entries(EnvironmentSystem.ZONE_TYPES)) {
+            summary[id] = { niche: type.niche, inside: 0, adaptedInside: 0, adapted: 0 };
+        }
+        
+        for (const b of bacteria) {
+            const niches = b.dna && Array.isArray(b.dna.adaptedToEnvironment)
+                ? b.dna.adaptedToEnvironment
+                : [];
+            for (const [id, entry] of Object.entries(summary)) {
+                const adapted = niches.includes(entry.niche);
+                if (adapted) entry.adapted++;
+                if (Array.isArray(b.currentZones) && b.currentZones.includes(id)) {
+                    entry.inside++;
+                    if (adapted) entry.adaptedInside++;
+                }
+            }
+        }
+        return summary;
     }
     
     /**
@@ -29,8 +140,14 @@ class EnvironmentSystem {
         // Atualiza ciclo dia/noite
         this.updateDayNightCycle();
         
-        // Gera alimento periodicamente
-        if (this.simulation.time % (this.foodSpawnInterval * 60 / this.simulation.speed) === 0) {
+        // Zonas ambientais favorecem as bactérias adaptadas
+        if (this.zonesEnabled) {
+            this.applyZoneEffects(this.simulation.entityManager.bacteria);
+        }
+        
+        // Gera alimento periodicamente (intervalo em ticks, independente da velocidade)
+        const spawnIntervalTicks = Math.max(1, this.simulation.clock.secondsToTicks(this.foodSpawnInterval));
+        if (this.simulation.clock.tick % spawnIntervalTicks === 0) {
             let amount = this.foodSpawnAmount;
             if (!this.dayTime && this.dayNightEnabled) {
                 amount = Math.floor(amount * 0.3); // Menos comida à noite
@@ -47,6 +164,23 @@ class EnvironmentSystem {
         }
     }
     
+    /**
+     * Estado serializável do ciclo dia/noite, para saves
+     * @returns {{currentTime: number, dayTime: boolean}}
+     */
+    getState() {
+        return { currentTime: this.currentTime, dayTime: this.dayTime };
+    }
+
+    /**
+     * Restaura o estado salvo com getState()
+     * @param {Object} saved - Estado salvo
+     */
+    setState(saved) {
+        if (typeof saved.currentTime === 'number') this.currentTime = saved.currentTime;
+        if (typeof saved.dayTime === 'boolean') this.dayTime = saved.dayTime;
+    }
+
     /**
      * Atualiza ciclo dia/noite
      */
@@ -81,5 +215,41 @@ class EnvironmentSystem {
     }
 }
 
+/**
+ * Tipos de zona ambiental
+ * niche: nicho do DNA que adapta a bactéria à zona; adapted/unadapted: multiplicador
+ * de velocidade e energia por tick (negativa = gasto) dentro da zona.
+ */
+EnvironmentSystem.ZONE_TYPES = {
+    water: {
+        name: 'Água',
+        niche: 'aquatic',
+        color: [40, 110, 220],
+        adapted: { speed: 1.3, energy: 0.02 },
+        unadapted: { speed: 0.6, energy: -0.02 }
+    },
+    dark: {
+        name: 'Escuridão',
+        niche: 'dark',
+        color: [15, 15, 35],
+        adapted: { speed: 1.0, energy: 0.05 },
+        unadapted: { speed: 0.8, energy: -0.05 }
+    },
+    hot: {
+        name: 'Calor',
+        niche: 'hot',
+        color: [230, 90, 30],
+        adapted: { speed: 1.1, energy: 0.05 },
+        unadapted: { speed: 1.0, energy: -0.1 }
+    },
+    cold: {
+        name: 'Frio',
+        niche: 'cold',
+        color: [160, 220, 255],
+        adapted: { speed: 1.0, energy: 0.04 },
+        unadapted: { speed: 0.6, energy: -0.04 }
+    }
+};
+
 // Torna a classe disponível globalmente
 window.EnvironmentSystem = EnvironmentSystem; 
\ No newline at end of file
@@ -0,0 +1,458 @@
+/**
+ * Rastreador epidemiológico das doenças
+ * Cada surto (doença espontânea e todas as cepas que descendem dela) tem:
+ * - uma série temporal de suscetíveis, infectados e recuperados (S, I, R) por tick, com os
+ *   infectados ainda em incubação (E) e os portadores assintomáticos (A), ambos contados em I;
+ * - os casos individuais, com quem infectou quem (cadeias de transmissão);
+ * - estimativas do número básico (R0) e efetivo (Rt) de reprodução, do intervalo de geração
+ *   (infecção a infecção) e do intervalo serial (início dos sintomas a início dos sintomas);
+ * - a contagem de infecções por via de transmissão (contato, alimento, ambiente, cadáver).
+ * Alimentado pelo DiseaseSystem (infecções, recuperações e remoções de infectados).
+ * As séries ficam completas em colunas tipadas que crescem sob demanda; o painel desenha
+ * só uma amostra reduzida (getSamples).
+ */
+class EpidemiologyTracker {
+    /**
+     * Inicializa o rastreador
+     * @param {DiseaseSystem} diseaseSystem - Sistema de doenças observado
+     */
+    constructor(diseaseSystem) {
+        this.diseaseSystem = diseaseSystem;
+
+        // Configurações
+        this.earlyCases = 20;       // Primeiros casos usados na estimativa do R0
+        this.rtWindow = 500;        // Janela (ticks de infecção) usada na estimativa do Rt
+        this.maxOutbreaks = 20;     // Surtos guardados (os encerrados mais antigos saem primeiro)
+
+        this.reset();
+    }
+
+    /**
+     * Esquece todos os surtos (nova execução)
+     */
+    reset() {
+        this.outbreaks = new Map(); // ID da cepa fundadora -> surto
+    }
+
+    /**
+     * Surto ao qual uma cepa pertence (criado na primeira infecção)
+     * @param {Disease} disease - Cepa
+     * @returns {Object} - Surto
+     */
+    getOutbreak(disease) {
+        const id = disease.rootStrainId;
+        if (!this.outbreaks.has(id)) {
+            this.outbreaks.set(id, {
+                id: id,
+                name: disease.baseName,
+                type: disease.type,
+                startTick: SimulationClock.now(),
+                endTick: null,
+                cases: [],                 // Todos os casos, em ordem de infecção
+                openCases: new Map(),      // ID da bactéria -> caso em andamento
+                recovered: new Set(),      // IDs das bactérias que já se recuperaram
+                latestCases: new Map(),    // ID da bactéria -> caso mais recente (transmissores já mortos)
+                routes: {},                // Via -> infecções por ela
+                transmissions: [],         // {tick, from, to, strainId, fromCase, toCase, generationInterval}
+                series: EpidemiologyTracker.createSeries(), // Colunas tick, S, I, R, E, A
+                peak: 0                    // Maior número de infectados numa amostra
+            });
+            this.pruneOutbreaks();
+        }
+        return this.outbreaks.get(id);
+    }
+
+    /**
+     * Registra uma nova infecção
+     * @param {Disease} disease - Cepa transmitida
+     * @param {Bacteria} bacteria - Bactéria infectada
+     * @param {number|null} infectorId - ID da bactéria transmissora (null para o paciente zero)
+     * @param {string|null} route - Via de transmissão (null para o paciente zero)
+     */
+    recordInfection(disease, bacteria, infectorId = null, route = null) {
+        const outbreak = this.getOutbreak(disease);
+        const now = SimulationClock.now();
+        const infectedCase = {
+            index: outbreak.cases.length,  // Posição em outbreak.cases
+            bacteriaId: bacteria.id,
+            strainId: disease.strainId,
+            infectorId: infectorId,
+            route: route,
+            infectedTick: now,
+            onsetTick: null,               // Primeiro tick com sintomas (null para assintomáticos)
+            endTick: null,
+            outcome: null,                 // 'recovered', 'treated' (antibiótico), 'removed' (morte) ou 'cleared' (doença eliminada)
+            secondary: 0                   // Infecções causadas por este caso
+        };
+        outbreak.cases.push(infectedCase);
+        outbreak.openCases.set(bacteria.id, infectedCase);
+        outbreak.latestCases.set(bacteria.id, infectedCase);
+        outbreak.endTick = null; // Reservatórios podem reacender um surto sem infectados
+        if (route) {
+            outbreak.routes[route] = (outbreak.routes[route] || 0) + 1;
+        }
+
+        // O transmissor pode já ter morrido (comida contaminada e corpos)
+        const infector = infectorId !== null ? outbreak.latestCases.get(infectorId) : null;
+        if (infector) {
+            infector.secondary++;
+            outbreak.transmissions.push({
+                tick: now,
+                from: infectorId,
+                to: bacteria.id,
+                strainId: disease.strainId,
+                fromCase: infector.index,
+                toCase: infectedCase.index,
+                generationInterval: now - infector.infectedTick
+            });
+        }
+    }
+
+    /**
+     * Encerra o caso de uma bactéria
+     * @param {Disease} disease - Cepa
+     * @param {number} bacteriaId - ID da bactéria
+     * @param {string} outcome - 'recovered', 'treated', 'removed' ou 'cleared'
+     */
+    recordEnd(disease, bacteriaId, outcome) {
+        const outbreak = this.outbreaks.get(disease.rootStrainId);
+        if (!outbreak) return;
+        this.closeCase(outbreak, bacteriaId, outcome);
+    }
+
+    /**
+     * Fecha um caso em andamento
+     * @param {Object} outbreak - Surto
+     * @param {number} bacteriaId - ID da bactéria
+     * @param {string} outcome - Desfecho
+     */
+    closeCase(outbreak, bacteriaId, outcome) {
+        const openCase = outbreak.openCases.get(bacteriaId);
+        if (!openCase) return;
+        openCase.endTick = SimulationClock.now();
+        openCase.outcome = outcome;
+        outbreak.openCases.delete(bacteriaId);
+        // Curados por antibiótico não ganham imunidade e voltam a ser suscetíveis
+        if (outcome === 'recovered') {
+            outbreak.recovered.add(bacteriaId);
+        }
+    }
+
+    /**
+     * Registra a amostra S/I/R do tick e encerra os surtos sem cepas ativas
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        if (this.outbreaks.size === 0) return;
+
+        try {
+            const now = SimulationClock.now();
+            const activeRoots = new Set(this.diseaseSystem.diseases.map(disease => disease.rootStrainId));
+
+            for (const outbreak of this.outbreaks.values()) {
+                if (outbreak.endTick !== null) continue;
+
+                // Cepas eliminadas de fora (controles): os casos abertos são encerrados
+                if (!activeRoots.has(outbreak.id)) {
+                    for (const bacteriaId of [...outbreak.openCases.keys()]) {
+                        this.closeCase(outbreak, bacteriaId, 'cleared');
+                    }
+                }
+
+                let infected = 0;
+                let recovered = 0;
+                let exposed = 0;
+                let asymptomatic = 0;
+                for (const b of bacteria) {
+                    if (outbreak.openCases.has(b.id)) {
+                        infected++;
+                        const openCase = outbreak.openCases.get(b.id);
+                        const stage = this.getStage(openCase);
+                        if (stage === 'exposed') exposed++;
+                        else if (stage === 'asymptomatic') asymptomatic++;
+                        else if (openCase.onsetTick === null) openCase.onsetTick = now;
+                    } else if (outbreak.recovered.has(b.id)) {
+                        recovered++;
+                    }
+                }
+
+                EpidemiologyTracker.appendSample(outbreak.series, {
+                    tick: now,
+                    S: bacteria.length - infected - recovered,
+                    I: infected,
+                    R: recovered,
+                    E: exposed,
+                    A: asymptomatic
+                });
+                outbreak.peak = Math.max(outbreak.peak, infected);
+
+                // Encerrado quando não há infectados nem cepas ativas (nos reservatórios)
+                if (outbreak.openCases.size === 0 && !activeRoots.has(outbreak.id)) {
+                    outbreak.endTick = now;
+                }
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar epidemiologia:", error);
+        }
+    }
+
+    /**
+     * Série S/I/R vazia: uma coluna tipada por campo e o número de amostras
+     * @returns {Object} - {length, tick, S, I, R, E, A}
+     */
+    static createSeries() {
+        const series = { length: 0 };
+        for (const key of EpidemiologyTracker.SERIES_COLUMNS) {
+            series[key] = new Uint32Array(256);
+        }
+        return series;
+    }
+
+    /**
+     * Acrescenta uma amostra à série, dobrando a capacidade das colunas quando cheias
+     * @param {Object} series - Série do surto
+     * @param {Object} sample - {tick, S, I, R, E, A}
+     */
+    static appendSample(series, sample) {
+        if (series.length === series.tick.length) {
+            for (const key of EpidemiologyTracker.SERIES_COLUMNS) {
+                const column = new Uint32Array(series[key].length * 2);
+                column.set(series[key]);
+                series[key] = column;
+            }
+        }
+        for (const key of EpidemiologyTracker.SERIES_COLUMNS) {
+            series[key][series.length] = sample[key];
+        }
+        series.length++;
+    }
+
+    /**
+     * Amostra de uma posição da série
+     * @param {Object} series - Série do surto
+     * @param {number} index - Posição
+     * @returns {{tick: number, S: number, I: number, R: number, E: number, A: number}}
+     */
+    static getSample(series, index) {
+        const sample = {};
+        for (const key of EpidemiologyTracker.SERIES_COLUMNS) {
+            sample[key] = series[key][index];
+        }
+        return sample;
+    }
+
+    /**
+     * Série de um surto reduzida a maxPoints amostras igualmente espaçadas (para desenhar),
+     * mais a última quando ela não cai no espaçamento
+     * @param {Object} outbreak - Surto
+     * @param {number} maxPoints - Número máximo de pontos
+     * @returns {Array<Object>} - Amostras {tick, S, I, R, E, A}
+     */
+    getSamples(outbreak, maxPoints = Infinity) {
+        const series = outbreak.series;
+        const step = Math.max(1, Math.ceil(series.length / maxPoints));
+        const samples = [];
+        for (let i = 0; i < series.length; i += step) {
+            samples.push(EpidemiologyTracker.getSample(series, i));
+        }
+        if (series.length > 0 && (series.length - 1) % step !== 0) {
+            samples.push(EpidemiologyTracker.getSample(series, series.length - 1));
+        }
+        return samples;
+    }
+
+    /**
+     * Remove os surtos encerrados mais antigos além do limite
+     */
+    pruneOutbreaks() {
+        for (const [id, outbreak] of this.outbreaks) {
+            if (this.outbreaks.size <= this.maxOutbreaks) break;
+            if (outbreak.endTick !== null) {
+                this.outbreaks.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Média de casos secundários de uma lista de casos encerrados
+     * @param {Array<Object>} cases - Casos
+     * @returns {number|null} - null se nenhum caso terminou
+     */
+    meanSecondary(cases) {
+        const closed = cases.filter(c => c.endTick !== null);
+        if (closed.length === 0) return null;
+        return closed.reduce((sum, c) => sum + c.secondary, 0) / closed.length;
+    }
+
+    /**
+     * Número básico de reprodução: casos secundários médios dos primeiros casos do surto
+     * (população ainda quase toda suscetível). Só conta casos que já terminaram.
+     * @param {Object} outbreak - Surto
+     * @returns {number|null}
+     */
+    getR0(outbreak) {
+        return this.meanSecondary(outbreak.cases.slice(0, this.earlyCases));
+    }
+
+    /**
+     * Número efetivo de reprodução: casos secundários médios dos casos infectados na
+     * janela recente (rtWindow) que já terminaram
+     * @param {Object} outbreak - Surto
+     * @param {number} tick - Tick de referência
+     * @returns {number|null}
+     */
+    getRt(outbreak, tick = SimulationClock.now()) {
+        const end = outbreak.endTick !== null ? outbreak.endTick : tick;
+        return this.meanSecondary(outbreak.cases.filter(c => c.infectedTick >= end - this.rtWindow));
+    }
+
+    /**
+     * Média e desvio padrão de uma lista de intervalos
+     * @param {Array<number>} intervals - Intervalos (ticks)
+     * @returns {{mean: number, sd: number, count: number}|null} - null sem intervalos
+     */
+    summarizeIntervals(intervals) {
+        if (intervals.length === 0) return null;
+        const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+        const variance = intervals.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / intervals.length;
+        return { mean: mean, sd: Math.sqrt(variance), count: intervals.length };
+    }
+
+    /**
+     * Intervalo de geração: ticks entre a infecção do transmissor e a do infectado
+     * @param {Object} outbreak - Surto
+     * @returns {{mean: number, sd: number, count: number}|null}
+     */
+    getGenerationInterval(outbreak) {
+        return this.summarizeIntervals(outbreak.transmissions.map(t => t.generationInterval));
+    }
+
+    /**
+     * Intervalo serial: ticks entre o início dos sintomas do transmissor e o do infectado
+     * Só conta pares em que os dois já tiveram sintomas; transmissões antes dos sintomas
+     * do transmissor podem dar intervalos negativos
+     * @param {Object} outbreak - Surto
+     * @returns {{mean: number, sd: number, count: number}|null}
+     */
+    getSerialInterval(outbreak) {
+        const intervals = [];
+        for (const transmission of outbreak.transmissions) {
+            const from = outbreak.cases[transmission.fromCase].onsetTick;
+            const to = outbreak.cases[transmission.toCase].onsetTick;
+            if (from !== null && to !== null) {
+                intervals.push(to - from);
+            }
+        }
+        return this.summarizeIntervals(intervals);
+    }
+
+    /**
+     * Cadeia de transmissão de uma bactéria até o paciente zero
+     * @param {number} outbreakId - ID do surto
+     * @param {number} bacteriaId - ID da bactéria
+     * @returns {Array<number>} - IDs do paciente zero até a bactéria
+     */
+    getChain(outbreakId, bacteriaId) {
+        const outbreak = this.outbreaks.get(outbreakId);
+        if (!outbreak) return [];
+
+        const latest = outbreak.latestCases;
+        const chain = [];
+        const visited = new Set();
+        let current = latest.get(bacteriaId);
+        while (current && !visited.has(current.bacteriaId)) {
+            visited.add(current.bacteriaId);
+            chain.unshift(current.bacteriaId);
+            current = current.infectorId !== null ? latest.get(current.infectorId) : null;
+        }
+        return chain;
+    }
+
+    /**
+     * Estágio de um caso em andamento
+     * @param {Object} openCase - Caso
+     * @returns {string} - 'exposed' (em incubação), 'asymptomatic' ou 'symptomatic'
+     */
+    getStage(openCase) {
+        const record = this.diseaseSystem.strains.get(openCase.strainId);
+        const disease = record ? record.disease : null;
+        if (!disease || typeof disease.isSymptomatic !== 'function') return 'symptomatic';
+        if (disease.asymptomaticBacteria.has(openCase.bacteriaId)) return 'asymptomatic';
+        return disease.isSymptomatic(openCase.bacteriaId) ? 'symptomatic' : 'exposed';
+    }
+
+    /**
+     * Resumo de um surto
+     * @param {Object} outbreak - Surto
+     * @returns {Object}
+     */
+    summarizeOutbreak(outbreak) {
+        const series = outbreak.series;
+        const last = series.length > 0
+            ? EpidemiologyTracker.getSample(series, series.length - 1)
+            : { S: 0, I: 0, R: 0, E: 0, A: 0 };
+        return {
+            id: outbreak.id,
+            name: outbreak.name,
+            type: outbreak.type,
+            startTick: outbreak.startTick,
+            endTick: outbreak.endTick,
+            cases: outbreak.cases.length,
+            S: last.S,
+            I: last.I,
+            R: last.R,
+            E: last.E,
+            A: last.A,
+            peak: outbreak.peak,
+            routes: { ...outbreak.routes },
+            R0: this.getR0(outbreak),
+            Rt: this.getRt(outbreak),
+            generationInterval: this.getGenerationInterval(outbreak),
+            serialInterval: this.getSerialInterval(outbreak)
+        };
+    }
+
+    /**
+     * Resumo de todos os surtos guardados
+     * @returns {Array<Object>}
+     */
+    getSummaries() {
+        return [...this.outbreaks.values()].map(outbreak => this.summarizeOutbreak(outbreak));
+    }
+
+    /**
+     * Séries S/I/R (com E e A) de todos os surtos em CSV
+     * @returns {string}
+     */
+    toCSV() {
+        const lines = ['outbreak_id,disease,tick,S,I,R,E,A'];
+        for (const outbreak of this.outbreaks.values()) {
+            const name = `"${outbreak.name.replace(/"/g, '""')}"`;
+            const series = outbreak.series;
+            for (let i = 0; i < series.length; i++) {
+                lines.push(`${outbreak.id},${name},${series.tick[i]},${series.S[i]},${series.I[i]},${series.R[i]},${series.E[i]},${series.A[i]}`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Surtos completos (resumo, séries, casos e transmissões) em JSON
+     * @returns {string}
+     */
+    toJSON() {
+        const outbreaks = [...this.outbreaks.values()].map(outbreak => ({
+            ...this.summarizeOutbreak(outbreak),
+            series: this.getSamples(outbreak),
+            cases: outbreak.cases,
+            transmissions: outbreak.transmissions
+        }));
+        return JSON.stringify({ tick: SimulationClock.now(), outbreaks: outbreaks }, null, 2);
+    }
+}
+
+// Colunas das séries S/I/R de cada surto
+EpidemiologyTracker.SERIES_COLUMNS = ['tick', 'S', 'I', 'R', 'E', 'A'];
+
+// Torna a classe disponível globalmente
+window.EpidemiologyTracker = EpidemiologyTracker;
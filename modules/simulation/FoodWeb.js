@@ -0,0 +1,140 @@
+/**
+ * Teia alimentar dos consumidores
+ * A matriz diz quem come quem: para cada consumidor (espécie de Predator.SPECIES), a
+ * eficiência de transferência de energia de cada presa ('bacteria' ou outra espécie de
+ * predador), isto é, a fração do dano do ataque que vira saúde e energia do consumidor.
+ * Sem entrada (ou com eficiência 0) o consumidor não ataca a presa.
+ */
+class FoodWeb {
+    /**
+     * Inicializa a teia com a matriz padrão
+     * @param {Simulation} simulation - Simulação
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.matrix = FoodWeb.getDefaultMatrix();
+        this.reset();
+    }
+
+    /**
+     * Zera as contagens de presas abatidas (nova execução); a matriz configurada é mantida
+     */
+    reset() {
+        this.kills = {}; // 'consumidor>presa' -> presas abatidas
+    }
+
+    /**
+     * Cópia da matriz padrão
+     * @returns {Object}
+     */
+    static getDefaultMatrix() {
+        return JSON.parse(JSON.stringify(FoodWeb.DEFAULT_MATRIX));
+    }
+
+    /**
+     * Volta à matriz padrão
+     */
+    restoreDefaults() {
+        this.matrix = FoodWeb.getDefaultMatrix();
+    }
+
+    /**
+     * Chave de uma entidade na matriz
+     * @param {Bacteria|Predator} entity - Entidade
+     * @returns {string} - Espécie do predador ou 'bacteria'
+     */
+    static getKey(entity) {
+        return entity && entity.isPredator ? entity.speciesId : 'bacteria';
+    }
+
+    /**
+     * Chaves das presas possíveis (colunas da matriz)
+     * @returns {Array<string>}
+     */
+    static getPreyKeys() {
+        return ['bacteria', ...Object.keys(Predator.SPECIES)];
+    }
+
+    /**
+     * Eficiência de transferência entre duas chaves
+     * @param {string} consumerKey - Espécie do consumidor
+     * @param {string} preyKey - Chave da presa
+     * @returns {number} - 0 se o consumidor não come a presa
+     */
+    getEfficiencyByKey(consumerKey, preyKey) {
+        const row = this.matrix[consumerKey];
+        return row && typeof row[preyKey] === 'number' ? row[preyKey] : 0;
+    }
+
+    /**
+     * Eficiência de transferência de um ataque
+     * @param {Predator} consumer - Consumidor
+     * @param {Bacteria|Predator} prey - Presa
+     * @returns {number}
+     */
+    getEfficiency(consumer, prey) {
+        return this.getEfficiencyByKey(FoodWeb.getKey(consumer), FoodWeb.getKey(prey));
+    }
+
+    /**
+     * Verifica se a matriz permite o consumidor comer a presa
+     * @param {Predator} consumer - Consumidor
+     * @param {Bacteria|Predator} prey - Presa
+     * @returns {boolean}
+     */
+    canEat(consumer, prey) {
+        return !!prey && prey !== consumer && this.getEfficiency(consumer, prey) > 0;
+    }
+
+    /**
+     * Altera uma entrada da matriz (0 remove a relação)
+     * @param {string} consumerKey - Espécie do consumidor
+     * @param {string} preyKey - Chave da presa
+     * @param {number} efficiency - Eficiência (0-1)
+     */
+    setEfficiency(consumerKey, preyKey, efficiency) {
+        const value = constrain(Number(efficiency) || 0, 0, 1);
+        if (!this.matrix[consumerKey]) this.matrix[consumerKey] = {};
+        if (value > 0) {
+            this.matrix[consumerKey][preyKey] = value;
+        } else {
+            delete this.matrix[consumerKey][preyKey];
+        }
+    }
+
+    /**
+     * Registra uma presa abatida
+     * @param {Predator} consumer - Consumidor
+     * @param {Bacteria|Predator} prey - Presa
+     */
+    recordKill(consumer, prey) {
+        const key = `${FoodWeb.getKey(consumer)}>${FoodWeb.getKey(prey)}`;
+        this.kills[key] = (this.kills[key] || 0) + 1;
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object} - Matriz atual e presas abatidas por relação
+     */
+    getSummary() {
+        return {
+            matrix: JSON.parse(JSON.stringify(this.matrix)),
+            kills: { ...this.kills }
+        };
+    }
+}
+
+/**
+ * Matriz padrão: consumidor -> presa -> eficiência de transferência
+ * O caçador mantém a eficiência original dos predadores (metade do dano vira saúde)
+ */
+FoodWeb.DEFAULT_MATRIX = {
+    hunter: { bacteria: 0.5 },
+    grazer: { bacteria: 0.6 },
+    ambush: { bacteria: 0.7 },
+    filter: { bacteria: 0.8 },
+    super: { hunter: 0.4, grazer: 0.4, ambush: 0.3, filter: 0.3 }
+};
+
+// Torna a classe disponível globalmente
+window.FoodWeb = FoodWeb;
@@ -61,6 +61,11 @@ class InteractionSystem {
                         // Atualiza tamanho baseado na nutrição restante
                         f.size = map(f.nutrition, 10, 50, 5, 15);
                     }
+
+                    // Transmissão pelo alimento: a mordida expõe a bactéria e contamina o que sobrou
+                    if (this.simulation.diseaseSystem) {
+                        this.simulation.diseaseSystem.reservoir.handleFeeding(bacteria, f);
+                    }
                 }
             }
         }
@@ -120,6 +125,14 @@ class InteractionSystem {
                     if (d < bacteria.size + otherBacteria.size + 5) {
                         stats.matingAttempts++;
                         
+                        // Espécies NEAT: preferência pela própria espécie e compartilhamento de fitness
+                        const mother = bacteria.isFemale ? bacteria : otherBacteria;
+                        const father = mother === bacteria ? otherBacteria : bacteria;
+                        if (bacteria.isFemale !== otherBacteria.isFemale &&
+                            !this.simulation.neatSpeciation.allowsMating(mother, father)) {
+                            continue;
+                        }
+                        
                         // Tenta acasalar e registra o sucesso
                         const success = bacteria.reproduction.mate(otherBacteria.reproduction);
                         if (success) {
@@ -134,25 +147,37 @@ class InteractionSystem {
             }
         }
         
-        // Interações bactéria-predador (predação)
+        // Predação: quem come quem (e com que eficiência) vem da teia alimentar
+        const foodWeb = this.simulation.foodWeb;
         for (let i = entityManager.predators.length - 1; i >= 0; i--) {
             const predator = entityManager.predators[i];
+            if (!predator || predator.health <= 0) continue;
             
-            // Usa o grid para verificar apenas bactérias próximas
+            // Respeita o intervalo entre ataques do predador
+            if (typeof predator.canAttack === 'function' && !predator.canAttack()) continue;
+            
+            // Usa o grid para verificar apenas presas próximas (bactérias ou outros predadores)
             const nearbyEntities = spatialGrid.queryRadius(predator.pos, predator.attackRange);
-            const nearbyBacteria = nearbyEntities.filter(e => e instanceof Bacteria);
+            const nearbyPrey = nearbyEntities.filter(e => e instanceof Bacteria && e.health > 0 &&
+                (foodWeb ? foodWeb.canEat(predator, e) : !e.isPredator) &&
+                (typeof predator.canEat !== 'function' || predator.canEat(e))
+            );
             
-            for (let bacteria of nearbyBacteria) {
-                const d = dist(predator.pos.x, predator.pos.y, bacteria.pos.x, bacteria.pos.y);
+            for (let prey of nearbyPrey) {
+                const d = dist(predator.pos.x, predator.pos.y, prey.pos.x, prey.pos.y);
                 
                 if (d < predator.attackRange) {
-                    // Predador ataca bactéria
-                    predator.attack(bacteria);
+                    // Predador ataca a presa
+                    predator.attack(prey);
                     
-                    // Se a bactéria morreu pelo ataque
-                    if (bacteria.health <= 0) {
-                        const index = entityManager.bacteria.indexOf(bacteria);
+                    // Se a presa morreu pelo ataque
+                    if (prey.health <= 0) {
+                        // Predadores devorados saem da lista em EntityManager.updatePredators
+                        if (prey.isPredator) continue;
+                        const index = entityManager.bacteria.indexOf(prey);
                         if (index > -1) {
+                            // O corpo fica no ambiente com seus fragmentos de DNA
+                            entityManager.addDeadBacteria(prey);
                             entityManager.bacteria.splice(index, 1);
                             stats.deaths++;
                             stats.predatorKills++;
@@ -165,10 +190,12 @@ class InteractionSystem {
     
     /**
      * Processa colisões entre bactérias e aplica forças de repulsão
+     * Bactérias em contato também trocam plasmídeos (conjugação)
      */
     handleBacteriaCollisions() {
         const entityManager = this.simulation.entityManager;
         const spatialGrid = this.simulation.spatialGrid;
+        const plasmidSystem = this.simulation.plasmidSystem;
         
         // Para cada bactéria, verifica colisões com outras bactérias
         for (let i = 0; i < entityManager.bacteria.length; i++) {
@@ -196,6 +223,11 @@ class InteractionSystem {
                     
                     // Se estão muito próximas (colisão)
                     if (d < minDistance) {
+                        // Contato direto permite a conjugação de plasmídeos
+                        if (plasmidSystem) {
+                            plasmidSystem.tryConjugation(bacteria, otherBacteria);
+                        }
+                        
                         // Calcula vetor de repulsão
                         const repulsion = createVector(
                             bacteria.pos.x - otherBacteria.pos.x,
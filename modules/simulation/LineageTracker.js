@@ -0,0 +1,286 @@
+/**
+ * Rastreador de linhagens das bactérias
+ * Mantém um grafo de ancestralidade (mãe e pai de cada nascimento) durante toda
+ * a execução. Ramos extintos são podados periodicamente: sobrevivem apenas as
+ * bactérias vivas, toda a linha materna delas e os parentes próximos (pais e avós),
+ * de modo que a memória não cresce com o número total de nascimentos.
+ */
+class LineageTracker {
+    constructor() {
+        this.pruneInterval = 300;   // Ticks entre podas do grafo
+        this.pedigreeDepth = 2;     // Gerações de parentes (por pai e mãe) mantidas para cada bactéria viva
+        this.reset();
+    }
+
+    /**
+     * Esquece todo o grafo (nova execução)
+     */
+    reset() {
+        this.nodes = new Map();
+        this.lastPruneTick = 0;
+        this.totalBirths = 0;
+        this.totalFounders = 0;
+    }
+
+    /**
+     * Registra uma bactéria no grafo
+     * Bactérias sem pais conhecidos entram como fundadoras
+     * @param {Bacteria} bacteria - Bactéria recém-criada
+     * @param {Array<number>} parentIds - IDs [mãe, pai] (usa bacteria.parentIds se omitido)
+     * @returns {Object|null} - Nó registrado
+     */
+    registerBirth(bacteria, parentIds = null) {
+        if (!bacteria || bacteria.id === undefined) return null;
+        if (this.nodes.has(bacteria.id)) return this.nodes.get(bacteria.id);
+
+        const ids = (parentIds || bacteria.parentIds || []).filter(id => id !== null && id !== undefined);
+        const node = {
+            id: bacteria.id,
+            motherId: ids.length > 0 ? ids[0] : null,
+            fatherId: ids.length > 1 ? ids[1] : null,
+            generation: bacteria.dna ? bacteria.dna.generation : 1,
+            isFemale: bacteria.isFemale === true,
+            birthTick: typeof bacteria.birthTick === 'number' ? bacteria.birthTick : SimulationClock.now(),
+            deathTick: null,
+            alive: true,
+            founderId: bacteria.id
+        };
+
+        // A fundadora da linhagem segue a linha materna
+        const mother = this.nodes.get(node.motherId);
+        if (mother) {
+            node.founderId = mother.founderId;
+        } else if (node.motherId !== null) {
+            node.founderId = node.motherId;
+        }
+
+        this.nodes.set(node.id, node);
+        if (ids.length === 0) {
+            this.totalFounders++;
+        } else {
+            this.totalBirths++;
+        }
+        return node;
+    }
+
+    /**
+     * Marca uma bactéria como morta
+     * @param {number} id - ID da bactéria
+     * @param {number} tick - Tick da morte
+     */
+    registerDeath(id, tick = SimulationClock.now()) {
+        const node = this.nodes.get(id);
+        if (!node || !node.alive) return;
+        node.alive = false;
+        node.deathTick = tick;
+    }
+
+    /**
+     * Sincroniza o grafo com a população atual
+     * Registra bactérias que entraram por outros caminhos e marca como mortas as que sumiram
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        try {
+            const living = new Set();
+            for (const b of bacteria) {
+                if (!b || b.id === undefined) continue;
+                living.add(b.id);
+                if (!this.nodes.has(b.id)) {
+                    this.registerBirth(b);
+                }
+            }
+
+            const now = SimulationClock.now();
+            for (const node of this.nodes.values()) {
+                if (node.alive && !living.has(node.id)) {
+                    this.registerDeath(node.id, now);
+                }
+            }
+
+            if (now - this.lastPruneTick >= this.pruneInterval) {
+                this.prune();
+                this.lastPruneTick = now;
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar linhagens:", error);
+        }
+    }
+
+    /**
+     * Remove do grafo os ramos sem descendentes vivos
+     */
+    prune() {
+        const keep = this.getSurvivorIds();
+
+        for (const node of this.nodes.values()) {
+            if (!node.alive) continue;
+            // Pais e avós ficam disponíveis para a árvore genealógica
+            let frontier = [node];
+            for (let depth = 0; depth < this.pedigreeDepth && frontier.length > 0; depth++) {
+                const next = [];
+                for (const current of frontier) {
+                    for (const parentId of [current.motherId, current.fatherId]) {
+                        const parent = this.nodes.get(parentId);
+                        if (parent) {
+                            keep.add(parent.id);
+                            next.push(parent);
+                        }
+                    }
+                }
+                frontier = next;
+            }
+        }
+
+        for (const id of [...this.nodes.keys()]) {
+            if (!keep.has(id)) {
+                this.nodes.delete(id);
+            }
+        }
+    }
+
+    /**
+     * IDs das bactérias vivas e de toda a sua linha materna
+     * @returns {Set<number>}
+     */
+    getSurvivorIds() {
+        const ids = new Set();
+        for (const node of this.nodes.values()) {
+            if (!node.alive) continue;
+            let current = node;
+            while (current && !ids.has(current.id)) {
+                ids.add(current.id);
+                current = this.nodes.get(current.motherId);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Árvore das linhagens sobreviventes pela linha materna
+     * Ancestrais mortos com um único filho são colapsados no ramo
+     * @returns {Array<Object>} - Raízes no formato {id, alive, birthTick, length, children}
+     */
+    getSurvivorTree() {
+        const ids = this.getSurvivorIds();
+        const children = new Map();
+        const roots = [];
+
+        for (const id of ids) {
+            const node = this.nodes.get(id);
+            if (ids.has(node.motherId)) {
+                if (!children.has(node.motherId)) children.set(node.motherId, []);
+                children.get(node.motherId).push(node);
+            } else {
+                roots.push(node);
+            }
+        }
+
+        const build = (node, length) => {
+            let current = node;
+            let kids = children.get(current.id) || [];
+
+            // Colapsa cadeias de ancestrais mortos sem ramificação
+            while (!current.alive && kids.length === 1) {
+                length += kids[0].birthTick - current.birthTick;
+                current = kids[0];
+                kids = children.get(current.id) || [];
+            }
+
+            return {
+                id: current.id,
+                alive: current.alive,
+                founderId: current.founderId,
+                birthTick: current.birthTick,
+                length: length,
+                children: kids
+                    .sort((a, b) => a.birthTick - b.birthTick)
+                    .map(kid => build(kid, kid.birthTick - current.birthTick))
+            };
+        };
+
+        return roots
+            .sort((a, b) => a.id - b.id)
+            .map(root => build(root, 0));
+    }
+
+    /**
+     * Árvore genealógica de uma bactéria: pais, avós e filhos conhecidos
+     * @param {number} id - ID da bactéria
+     * @returns {Object|null} - {node, ancestors: [{node, mother, father}...], children}
+     */
+    getFamily(id) {
+        const node = this.nodes.get(id);
+        if (!node) return null;
+
+        const describe = (current, depth) => {
+            if (!current) return null;
+            return {
+                node: current,
+                mother: depth > 0 ? describe(this.nodes.get(current.motherId), depth - 1) : null,
+                father: depth > 0 ? describe(this.nodes.get(current.fatherId), depth - 1) : null,
+                motherId: current.motherId,
+                fatherId: current.fatherId
+            };
+        };
+
+        const children = [];
+        for (const other of this.nodes.values()) {
+            if (other.motherId === id || other.fatherId === id) {
+                children.push(other);
+            }
+        }
+
+        return {
+            node: node,
+            pedigree: describe(node, this.pedigreeDepth),
+            children: children.sort((a, b) => a.birthTick - b.birthTick)
+        };
+    }
+
+    /**
+     * Exporta a árvore das linhagens sobreviventes no formato Newick
+     * Comprimentos dos ramos em ticks; várias fundadoras viram filhas de uma raiz sem nome
+     * @returns {string}
+     */
+    toNewick() {
+        const label = tree => `B${tree.id}`;
+        const format = (tree, isRoot) => {
+            const inner = tree.children.length > 0
+                ? `(${tree.children.map(child => format(child, false)).join(',')})`
+                : '';
+            const length = isRoot ? '' : `:${tree.length}`;
+            return `${inner}${label(tree)}${length}`;
+        };
+
+        const roots = this.getSurvivorTree();
+        if (roots.length === 0) return ';';
+        if (roots.length === 1) return `${format(roots[0], true)};`;
+        return `(${roots.map(root => `${format(root, true)}:0`).join(',')});`;
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object}
+     */
+    getSummary() {
+        const founders = new Set();
+        let living = 0;
+        for (const node of this.nodes.values()) {
+            if (node.alive) {
+                living++;
+                founders.add(node.founderId);
+            }
+        }
+        return {
+            living: living,
+            nodes: this.nodes.size,
+            survivingLineages: founders.size,
+            totalBirths: this.totalBirths,
+            totalFounders: this.totalFounders
+        };
+    }
+}
+
+// Torna a classe disponível globalmente
+window.LineageTracker = LineageTracker;
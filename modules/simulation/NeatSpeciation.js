@@ -0,0 +1,206 @@
+/**
+ * Especiação dos cérebros NEAT
+ * A cada updateInterval ticks, o genótipo do cérebro (DNA.brain) de cada bactéria com
+ * NeatNetwork é comparado aos representantes das espécies pela distância de compatibilidade
+ *     δ = c1·E/N + c2·D/N + c3·W̄
+ * (E: genes excedentes, D: disjuntos, W̄: diferença média de peso dos genes em comum,
+ * N: genes do maior genoma, 1 para genomas pequenos). Genes que saem de entradas que só um
+ * dos genomas tem (mais sensores) não contam: o número de sensores é um gene à parte e não
+ * deve separar espécies sozinho. Entra na primeira espécie com
+ * δ < compatibilityThreshold ou funda uma nova; espécies sem membros são extintas.
+ * As espécies entram na reprodução:
+ * - compartilhamento de fitness: como no NEAT, cada espécie gera descendentes em proporção
+ *   à fitness média dos membros, então membros de espécies maiores que a média se reproduzem
+ *   menos (getReproductionShare) e topologias novas, em espécies pequenas, ficam protegidas;
+ * - preferência pela própria espécie: acasalamentos entre espécies só acontecem com
+ *   chance interspeciesMatingRate.
+ * Bactérias ainda não classificadas (recém-nascidas) ou sem cérebro NEAT não são afetadas.
+ */
+class NeatSpeciation {
+    /**
+     * Inicializa a especiação
+     * @param {Simulation} simulation - Simulação
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.updateInterval = 60;           // Ticks entre reclassificações
+        this.compatibilityThreshold = 3.0;  // Distância máxima ao representante da espécie
+        this.excessCoefficient = 1.0;       // c1
+        this.disjointCoefficient = 1.0;     // c2
+        this.weightCoefficient = 0.4;       // c3
+        this.smallGenomeSize = 400;         // Abaixo disso N = 1 (a rede mínima já tem (entradas + bias) × 5 genes, até 275 com 12 sensores)
+        this.fitnessSharing = true;         // Espécies maiores que a média se reproduzem menos
+        this.interspeciesMatingRate = 0.05; // Chance de aceitar um parceiro de outra espécie
+
+        this.reset();
+    }
+
+    /**
+     * Extingue as espécies (nova execução)
+     */
+    reset() {
+        this.species = []; // {id, representative, members, createdAt}
+        this.sizes = new Map(); // ID da espécie -> membros na última classificação
+        this.meanSize = 0;      // Membros médios por espécie
+        this.nextSpeciesId = 1;
+        this.totalSpecies = 0; // Espécies já surgidas
+    }
+
+    /**
+     * Distância de compatibilidade entre dois genomas NEAT
+     * @param {NeatNetwork} a - Primeiro genoma
+     * @param {NeatNetwork} b - Segundo genoma
+     * @returns {number}
+     */
+    compatibility(a, b) {
+        const sharedInputs = Math.min(a.inputSize, b.inputSize);
+        // Entradas têm ids abaixo de NeatNetwork.BIAS_ID; bias, saídas e ocultos sempre contam
+        const compared = connection => connection.from < sharedInputs || connection.from >= NeatNetwork.BIAS_ID;
+        const genesA = new Map(a.connections.filter(compared).map(connection => [connection.innovation, connection]));
+        const genesB = new Map(b.connections.filter(compared).map(connection => [connection.innovation, connection]));
+        const maxA = Math.max(0, ...genesA.keys());
+        const maxB = Math.max(0, ...genesB.keys());
+        const cutoff = Math.min(maxA, maxB);
+
+        let excess = 0;
+        let disjoint = 0;
+        let matching = 0;
+        let weightDifference = 0;
+        for (const innovation of new Set([...genesA.keys(), ...genesB.keys()])) {
+            const geneA = genesA.get(innovation);
+            const geneB = genesB.get(innovation);
+            if (geneA && geneB) {
+                matching++;
+                weightDifference += Math.abs(geneA.weight - geneB.weight);
+            } else if (innovation > cutoff) {
+                excess++;
+            } else {
+                disjoint++;
+            }
+        }
+
+        const size = Math.max(genesA.size, genesB.size);
+        const n = size < this.smallGenomeSize ? 1 : size;
+        return this.excessCoefficient * excess / n +
+            this.disjointCoefficient * disjoint / n +
+            this.weightCoefficient * (matching > 0 ? weightDifference / matching : 0);
+    }
+
+    /**
+     * Reclassifica os cérebros NEAT das bactérias vivas
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        if (SimulationClock.now() % this.updateInterval !== 0) return;
+
+        try {
+            for (const species of this.species) {
+                species.members = [];
+            }
+
+            for (const b of bacteria) {
+                const genome = b && b.dna ? b.dna.brain : null;
+                if (!(genome instanceof NeatNetwork)) continue;
+
+                let species = this.species.find(candidate =>
+                    this.compatibility(genome, candidate.representative) < this.compatibilityThreshold
+                );
+                if (!species) {
+                    species = {
+                        id: this.nextSpeciesId++,
+                        representative: genome,
+                        members: [],
+                        createdAt: SimulationClock.now()
+                    };
+                    this.species.push(species);
+                    this.totalSpecies++;
+                }
+                species.members.push(b);
+                genome.speciesId = species.id;
+                if (b.learning && b.learning.brain) {
+                    b.learning.brain.speciesId = species.id;
+                }
+            }
+
+            // Espécies sem membros são extintas; o primeiro membro passa a representar a espécie
+            this.species = this.species.filter(species => species.members.length > 0);
+            this.sizes = new Map();
+            let classified = 0;
+            for (const species of this.species) {
+                species.representative = species.members[0].dna.brain;
+                this.sizes.set(species.id, species.members.length);
+                classified += species.members.length;
+            }
+            this.meanSize = this.species.length > 0 ? classified / this.species.length : 0;
+        } catch (error) {
+            console.error("Erro ao atualizar espécies NEAT:", error);
+        }
+    }
+
+    /**
+     * Espécie do genótipo do cérebro de uma bactéria
+     * @param {Bacteria} b - Bactéria
+     * @returns {number|null} - null sem cérebro NEAT ou antes da primeira classificação
+     */
+    getSpeciesId(b) {
+        const genome = b && b.dna ? b.dna.brain : null;
+        if (!(genome instanceof NeatNetwork) || !this.sizes.has(genome.speciesId)) return null;
+        return genome.speciesId;
+    }
+
+    /**
+     * Compartilhamento de fitness: chance relativa de uma bactéria se reproduzir
+     * Membros de uma espécie com n membros valem 1/n; normalizado pelo tamanho médio das espécies
+     * @param {Bacteria} b - Bactéria
+     * @returns {number} - 0-1 (1 para espécies até o tamanho médio e bactérias sem espécie)
+     */
+    getReproductionShare(b) {
+        const speciesId = this.getSpeciesId(b);
+        if (!this.fitnessSharing || speciesId === null) return 1;
+        return Math.min(1, this.meanSize / this.sizes.get(speciesId));
+    }
+
+    /**
+     * Sorteia se uma bactéria se reproduz agora, segundo getReproductionShare
+     * @param {Bacteria} b - Bactéria (a mãe, no acasalamento)
+     * @returns {boolean}
+     */
+    allowsReproduction(b) {
+        const share = this.getReproductionShare(b);
+        return share >= 1 || random() < share;
+    }
+
+    /**
+     * Sorteia se um casal acasala: parceiros de outra espécie só com chance
+     * interspeciesMatingRate, e a mãe passa pelo compartilhamento de fitness
+     * @param {Bacteria} mother - Fêmea
+     * @param {Bacteria} father - Macho
+     * @returns {boolean}
+     */
+    allowsMating(mother, father) {
+        const motherSpecies = this.getSpeciesId(mother);
+        const fatherSpecies = this.getSpeciesId(father);
+        if (motherSpecies !== null && fatherSpecies !== null && motherSpecies !== fatherSpecies &&
+            random() >= this.interspeciesMatingRate) {
+            return false;
+        }
+        return this.allowsReproduction(mother);
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object} - Espécies vivas, já surgidas e tamanho de cada uma
+     */
+    getSummary() {
+        return {
+            species: this.species.length,
+            totalSpecies: this.totalSpecies,
+            sizes: this.species.map(species => ({ id: species.id, members: species.members.length }))
+        };
+    }
+}
+
+// Torna a classe disponível globalmente
+window.NeatSpeciation = NeatSpeciation;
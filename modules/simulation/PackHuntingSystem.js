@@ -0,0 +1,269 @@
+/**
+ * Caça em matilha
+ * Predadores de espécies sociais (species.packHunting) próximos uns dos outros formam
+ * matilhas: escolhem juntos uma presa (a mais próxima do centro da matilha), ocupam
+ * posições em volta dela (cerco) e só então avançam. O ganho de cada ataque à presa
+ * da matilha é dividido igualmente entre os membros.
+ * Com enabled = false cada predador caça sozinho (Predator.findClosestPrey).
+ */
+class PackHuntingSystem {
+    /**
+     * Inicializa o sistema
+     * @param {Simulation} simulation - Simulação
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.enabled = true;
+        this.packRadius = 150;     // Distância máxima de um membro ao centro da matilha
+        this.maxPackSize = 4;      // Membros por matilha
+        this.encircleRadius = 45;  // Raio do cerco em volta da presa
+        this.closeInTime = 90;     // Ticks máximos de cerco antes de avançar mesmo sem o cerco completo
+
+        this.reset();
+    }
+
+    /**
+     * Desfaz as matilhas e zera as estatísticas (nova execução)
+     */
+    reset() {
+        this.packs = [];
+        this.nextPackId = 1;
+        this.stats = {
+            packKills: 0,     // Presas abatidas por matilhas
+            sharedReward: 0   // Saúde e energia divididas entre os membros
+        };
+    }
+
+    /**
+     * Forma e mantém as matilhas, escolhe os alvos e as posições do cerco
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @param {Array<Predator>} predators - Predadores vivos
+     */
+    update(bacteria, predators) {
+        try {
+            for (const predator of predators) {
+                predator.pack = null;
+            }
+            if (!this.enabled) {
+                this.packs = [];
+                return;
+            }
+
+            this.updateMembers(predators);
+            this.recruit(predators);
+
+            for (const pack of this.packs) {
+                pack.members.forEach(member => { member.pack = pack; });
+                this.updateTarget(pack, bacteria, predators);
+                this.updateFormation(pack);
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar caça em matilha:", error);
+        }
+    }
+
+    /**
+     * Verifica se um predador pode caçar em matilha agora
+     * @param {Predator} predator - Predador
+     * @returns {boolean}
+     */
+    isEligible(predator) {
+        return !!predator && predator.health > 0 && !!predator.species && !!predator.species.packHunting &&
+            predator.state && predator.state.currentState !== 'RESTING' && predator.state.currentState !== 'MATING';
+    }
+
+    /**
+     * Centro de um grupo de predadores
+     * @param {Array<Predator>} members - Membros
+     * @returns {{x: number, y: number}}
+     */
+    getCentroid(members) {
+        let x = 0;
+        let y = 0;
+        for (const member of members) {
+            x += member.pos.x;
+            y += member.pos.y;
+        }
+        return { x: x / members.length, y: y / members.length };
+    }
+
+    /**
+     * Remove das matilhas os membros mortos, cansados ou afastados; matilhas com menos
+     * de dois membros se desfazem
+     * @param {Array<Predator>} predators - Predadores vivos
+     */
+    updateMembers(predators) {
+        const alive = new Set(predators);
+        for (const pack of this.packs) {
+            pack.members = pack.members.filter(member => alive.has(member) && this.isEligible(member));
+            if (pack.members.length < 2) continue;
+
+            const center = this.getCentroid(pack.members);
+            pack.members = pack.members.filter(member =>
+                dist(member.pos.x, member.pos.y, center.x, center.y) <= this.packRadius
+            );
+        }
+        this.packs = this.packs.filter(pack => pack.members.length >= 2);
+    }
+
+    /**
+     * Predadores sem matilha entram na matilha próxima da mesma espécie ou formam uma
+     * nova com outros predadores sozinhos por perto
+     * @param {Array<Predator>} predators - Predadores vivos
+     */
+    recruit(predators) {
+        const inPack = new Set();
+        this.packs.forEach(pack => pack.members.forEach(member => inPack.add(member)));
+
+        for (const predator of predators) {
+            if (inPack.has(predator) || !this.isEligible(predator)) continue;
+
+            // Entra na matilha da mesma espécie mais próxima com vaga
+            let best = null;
+            let bestDistance = this.packRadius;
+            for (const pack of this.packs) {
+                if (pack.speciesId !== predator.speciesId || pack.members.length >= this.maxPackSize) continue;
+                const center = this.getCentroid(pack.members);
+                const d = dist(predator.pos.x, predator.pos.y, center.x, center.y);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = pack;
+                }
+            }
+            if (best) {
+                best.members.push(predator);
+                inPack.add(predator);
+                continue;
+            }
+
+            // Forma uma matilha com outro predador sozinho da mesma espécie
+            const partner = predators.find(other =>
+                other !== predator && !inPack.has(other) && this.isEligible(other) &&
+                other.speciesId === predator.speciesId &&
+                dist(predator.pos.x, predator.pos.y, other.pos.x, other.pos.y) <= this.packRadius
+            );
+            if (partner) {
+                this.packs.push({
+                    id: this.nextPackId++,
+                    speciesId: predator.speciesId,
+                    members: [predator, partner],
+                    target: null,
+                    targetSince: 0,
+                    closing: false
+                });
+                inPack.add(predator);
+                inPack.add(partner);
+            }
+        }
+    }
+
+    /**
+     * Mantém o alvo da matilha enquanto ele estiver vivo e percebido por algum membro;
+     * senão escolhe a presa percebida mais próxima do centro da matilha
+     * @param {Object} pack - Matilha
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @param {Array<Predator>} predators - Predadores vivos
+     */
+    updateTarget(pack, bacteria, predators) {
+        const perceives = (member, prey) =>
+            dist(member.pos.x, member.pos.y, prey.pos.x, prey.pos.y) < member.getDetectionRange(prey);
+
+        const target = pack.target;
+        const targetAlive = target && target.health > 0 &&
+            (target.isPredator ? predators.includes(target) : bacteria.includes(target));
+        if (targetAlive && pack.members.some(member => perceives(member, target))) {
+            return;
+        }
+
+        const center = this.getCentroid(pack.members);
+        let best = null;
+        let bestDistance = Infinity;
+        for (const member of pack.members) {
+            for (const prey of member.getPreyCandidates(bacteria, predators)) {
+                if (pack.members.includes(prey) || !perceives(member, prey)) continue;
+                const d = dist(center.x, center.y, prey.pos.x, prey.pos.y);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = prey;
+                }
+            }
+        }
+
+        pack.target = best;
+        pack.targetSince = SimulationClock.now();
+        pack.closing = false;
+    }
+
+    /**
+     * Distribui os membros em volta da presa e decide quando a matilha avança: com todos
+     * no cerco ou depois de closeInTime ticks
+     * @param {Object} pack - Matilha
+     */
+    updateFormation(pack) {
+        if (!pack.target) return;
+
+        const target = pack.target.pos;
+        const center = this.getCentroid(pack.members);
+        // O cerco começa do lado em que a matilha está e fecha do outro
+        const baseAngle = Math.atan2(center.y - target.y, center.x - target.x);
+
+        let surrounded = true;
+        pack.members.forEach((member, i) => {
+            const angle = baseAngle + (i * TWO_PI) / pack.members.length;
+            member.packSlot = createVector(
+                target.x + Math.cos(angle) * this.encircleRadius,
+                target.y + Math.sin(angle) * this.encircleRadius
+            );
+            if (dist(member.pos.x, member.pos.y, member.packSlot.x, member.packSlot.y) > this.encircleRadius * 0.5) {
+                surrounded = false;
+            }
+        });
+
+        if (surrounded || SimulationClock.now() - pack.targetSince >= this.closeInTime) {
+            pack.closing = true;
+        }
+    }
+
+    /**
+     * Divide o ganho de um ataque à presa da matilha entre todos os membros
+     * @param {Predator} attacker - Predador que atacou
+     * @param {number} gain - Saúde e energia obtidas no ataque
+     */
+    shareReward(attacker, gain) {
+        const members = attacker.pack ? attacker.pack.members : [attacker];
+        const share = gain / members.length;
+        for (const member of members) {
+            member.health += share;
+            if (member.states && typeof member.states.addEnergy === 'function') {
+                member.states.addEnergy(share);
+            }
+        }
+        this.stats.sharedReward += gain;
+    }
+
+    /**
+     * Registra uma presa abatida pela matilha
+     */
+    recordKill() {
+        this.stats.packKills++;
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object}
+     */
+    getSummary() {
+        return {
+            enabled: this.enabled,
+            packs: this.packs.length,
+            members: this.packs.reduce((sum, pack) => sum + pack.members.length, 0),
+            packKills: this.stats.packKills,
+            sharedReward: this.stats.sharedReward
+        };
+    }
+}
+
+// Torna a classe disponível globalmente
+window.PackHuntingSystem = PackHuntingSystem;
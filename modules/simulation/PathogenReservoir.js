@@ -0,0 +1,327 @@
+/**
+ * Reservatórios ambientais dos patógenos
+ * Além do contato entre bactérias próximas, cada cepa pode usar outras vias
+ * (declaradas em disease.routes, chaves de Disease.ROUTES):
+ * - food: bactérias infectadas contaminam a comida que comem parcialmente;
+ * - environment: infectados deixam carga de patógeno no chão, que decai com o tempo;
+ * - corpse: corpos em EntityManager.deadBacteria continuam infecciosos até virarem comida.
+ * Enquanto há carga em algum reservatório a cepa continua ativa, mesmo sem hospedeiros.
+ */
+class PathogenReservoir {
+    /**
+     * Inicializa os reservatórios
+     * @param {DiseaseSystem} diseaseSystem - Sistema de doenças dono das cepas
+     */
+    constructor(diseaseSystem) {
+        this.diseaseSystem = diseaseSystem;
+
+        // Configurações
+        this.cellSize = 20;            // Pixels por célula da grade de carga no chão
+        this.sheddingRate = 0.02;      // Carga deixada no chão por tick por infectado (× contágio)
+        this.groundDecay = 0.005;      // Fração da carga no chão perdida por tick
+        this.groundExposure = 0.2;     // Fator de infecção por unidade de carga no chão
+        this.foodLoad = 1;             // Carga deixada em cada mordida de um infectado
+        this.foodDecay = 0.001;        // Fração da carga na comida perdida por tick
+        this.foodExposure = 1;         // Fator de infecção por unidade de carga na comida (por mordida)
+        this.corpseRange = 15;         // Distância além do raio do corpo em que há exposição
+        this.corpseExposure = 0.05;    // Fator de infecção por tick perto de um corpo infeccioso
+        this.minLoad = 0.001;          // Cargas abaixo disto são descartadas
+
+        this.reset();
+    }
+
+    /**
+     * Esvazia todos os reservatórios (nova execução)
+     */
+    reset() {
+        this.ground = new Map();       // ID da cepa -> carga por célula (Float32Array)
+        this.cols = 0;
+        this.rows = 0;
+    }
+
+    /**
+     * Cepa ativa pelo ID
+     * @param {number} strainId - ID da cepa
+     * @returns {Disease|null}
+     */
+    getDisease(strainId) {
+        const record = this.diseaseSystem.strains.get(strainId);
+        return record ? record.disease : null;
+    }
+
+    /**
+     * Verifica se uma cepa usa uma via de transmissão
+     * @param {Disease} disease - Cepa
+     * @param {string} route - Chave de Disease.ROUTES
+     * @returns {boolean}
+     */
+    usesRoute(disease, route) {
+        return !!disease && Array.isArray(disease.routes) && disease.routes.includes(route);
+    }
+
+    /**
+     * Cepas carregadas por uma bactéria
+     * @param {Bacteria} bacteria - Bactéria
+     * @returns {Array<Disease>}
+     */
+    getCarriedDiseases(bacteria) {
+        if (!bacteria.activeDiseases) return [];
+        return [...bacteria.activeDiseases.values()].filter(disease => disease && disease.strainId !== null);
+    }
+
+    /**
+     * Índice da célula da grade numa posição (a grade é criada no primeiro uso)
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {number}
+     */
+    cellIndex(x, y) {
+        if (this.cols === 0) {
+            const simulation = this.diseaseSystem.simulation;
+            this.cols = Math.max(1, Math.ceil((simulation.width || 800) / this.cellSize));
+            this.rows = Math.max(1, Math.ceil((simulation.height || 600) / this.cellSize));
+        }
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    /**
+     * Avança os reservatórios um tick: decaimento, eliminação pelo chão e exposição
+     * ao chão e aos corpos
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        try {
+            this.decayGround();
+            this.decayFood();
+            this.shed(bacteria);
+            this.exposeToGround(bacteria);
+            this.exposeToCorpses(bacteria);
+        } catch (error) {
+            console.error("Erro ao atualizar reservatórios de patógenos:", error);
+        }
+    }
+
+    /**
+     * Decaimento da carga no chão (cepas sem carga saem do mapa)
+     */
+    decayGround() {
+        for (const [strainId, field] of this.ground) {
+            let total = 0;
+            for (let i = 0; i < field.length; i++) {
+                if (field[i] === 0) continue;
+                field[i] *= 1 - this.groundDecay;
+                if (field[i] < this.minLoad) field[i] = 0;
+                total += field[i];
+            }
+            if (total === 0) {
+                this.ground.delete(strainId);
+            }
+        }
+    }
+
+    /**
+     * Decaimento da carga nas comidas contaminadas
+     */
+    decayFood() {
+        for (const food of this.diseaseSystem.simulation.entityManager.food) {
+            if (!food || !food.pathogens) continue;
+            for (const [strainId, contamination] of food.pathogens) {
+                contamination.load *= 1 - this.foodDecay;
+                if (contamination.load < this.minLoad) {
+                    food.pathogens.delete(strainId);
+                }
+            }
+            if (food.pathogens.size === 0) {
+                food.pathogens = null;
+            }
+        }
+    }
+
+    /**
+     * Infectados por cepas com a via 'environment' deixam carga no chão
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    shed(bacteria) {
+        for (const b of bacteria) {
+            if (!b || !b.pos || !b.isInfected) continue;
+            for (const disease of this.getCarriedDiseases(b)) {
+                if (!this.usesRoute(disease, 'environment')) continue;
+                if (!this.ground.has(disease.strainId)) {
+                    this.cellIndex(0, 0);
+                    this.ground.set(disease.strainId, new Float32Array(this.cols * this.rows));
+                }
+                this.ground.get(disease.strainId)[this.cellIndex(b.pos.x, b.pos.y)] +=
+                    this.sheddingRate * disease.contagion;
+            }
+        }
+    }
+
+    /**
+     * Exposição das bactérias à carga no chão da célula onde estão
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    exposeToGround(bacteria) {
+        for (const [strainId, field] of [...this.ground]) {
+            const disease = this.getDisease(strainId);
+            if (!disease) continue;
+            for (const b of bacteria) {
+                if (!b || !b.pos) continue;
+                const load = field[this.cellIndex(b.pos.x, b.pos.y)];
+                if (load > 0) {
+                    this.diseaseSystem.tryTransmission(disease, null, b, 'environment',
+                        Math.min(1, load * this.groundExposure));
+                }
+            }
+        }
+    }
+
+    /**
+     * Exposição das bactérias aos corpos infecciosos próximos
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    exposeToCorpses(bacteria) {
+        const simulation = this.diseaseSystem.simulation;
+        const spatialGrid = simulation.spatialGrid;
+        const deadBacteria = simulation.entityManager.deadBacteria;
+        if (!deadBacteria || deadBacteria.length === 0) return;
+
+        for (const dead of deadBacteria) {
+            if (!dead || !dead.pos || !Array.isArray(dead.pathogens) || dead.pathogens.length === 0) continue;
+            const range = dead.size / 2 + this.corpseRange;
+            const nearby = spatialGrid
+                ? spatialGrid.queryRadius(dead.pos, range).filter(e => e instanceof Bacteria)
+                : bacteria;
+
+            for (const strainId of dead.pathogens) {
+                const disease = this.getDisease(strainId);
+                if (!disease) continue;
+                for (const b of nearby) {
+                    if (!b || !b.pos) continue;
+                    if (dist(b.pos.x, b.pos.y, dead.pos.x, dead.pos.y) >= range) continue;
+                    this.diseaseSystem.tryTransmission(disease, dead.id, b, 'corpse', this.corpseExposure);
+                }
+            }
+        }
+    }
+
+    /**
+     * Cepas com a via 'corpse' que ficam no corpo de uma bactéria morta
+     * @param {Bacteria} bacteria - Bactéria que morreu
+     * @returns {Array<number>} - IDs das cepas
+     */
+    getCorpsePathogens(bacteria) {
+        return this.getCarriedDiseases(bacteria)
+            .filter(disease => this.usesRoute(disease, 'corpse'))
+            .map(disease => disease.strainId);
+    }
+
+    /**
+     * Uma bactéria comeu parte de uma comida: pode se infectar pela carga da comida
+     * e, se estiver infectada, contamina o que sobrou
+     * @param {Bacteria} bacteria - Bactéria que comeu
+     * @param {Food} food - Comida mordida
+     */
+    handleFeeding(bacteria, food) {
+        try {
+            if (food.pathogens) {
+                for (const [strainId, contamination] of [...food.pathogens]) {
+                    const disease = this.getDisease(strainId);
+                    if (!disease) continue;
+                    this.diseaseSystem.tryTransmission(disease, contamination.sourceId, bacteria, 'food',
+                        Math.min(1, contamination.load * this.foodExposure));
+                }
+            }
+
+            if (food.nutrition <= 0 || !bacteria.isInfected) return;
+            for (const disease of this.getCarriedDiseases(bacteria)) {
+                if (!this.usesRoute(disease, 'food')) continue;
+                if (!food.pathogens) food.pathogens = new Map();
+                const previous = food.pathogens.get(disease.strainId);
+                food.pathogens.set(disease.strainId, {
+                    load: (previous ? previous.load : 0) + this.foodLoad,
+                    sourceId: bacteria.id
+                });
+            }
+        } catch (error) {
+            console.error("Erro ao processar contaminação da comida:", error);
+        }
+    }
+
+    /**
+     * Verifica se uma cepa ainda tem carga em algum reservatório
+     * @param {Disease} disease - Cepa
+     * @returns {boolean}
+     */
+    hasReservoir(disease) {
+        if (this.ground.has(disease.strainId)) return true;
+
+        const entityManager = this.diseaseSystem.simulation.entityManager;
+        if (entityManager.food.some(food => food && food.pathogens && food.pathogens.has(disease.strainId))) {
+            return true;
+        }
+        return entityManager.deadBacteria.some(dead =>
+            dead && Array.isArray(dead.pathogens) && dead.pathogens.includes(disease.strainId)
+        );
+    }
+
+    /**
+     * Remove a carga de uma cepa de todos os reservatórios
+     * @param {Disease} disease - Cepa eliminada
+     */
+    clearStrain(disease) {
+        const entityManager = this.diseaseSystem.simulation.entityManager;
+        this.ground.delete(disease.strainId);
+        for (const food of entityManager.food) {
+            if (food && food.pathogens) {
+                food.pathogens.delete(disease.strainId);
+                if (food.pathogens.size === 0) food.pathogens = null;
+            }
+        }
+        for (const dead of entityManager.deadBacteria) {
+            if (dead && Array.isArray(dead.pathogens)) {
+                dead.pathogens = dead.pathogens.filter(id => id !== disease.strainId);
+            }
+        }
+    }
+
+    /**
+     * Carga total no chão somada por célula (usada na sobreposição)
+     * @returns {Float32Array|null} - null se não há carga
+     */
+    getGroundTotals() {
+        if (this.ground.size === 0) return null;
+        const totals = new Float32Array(this.cols * this.rows);
+        for (const field of this.ground.values()) {
+            for (let i = 0; i < field.length; i++) {
+                totals[i] += field[i];
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object} - Carga no chão, comidas contaminadas e corpos infecciosos
+     */
+    getSummary() {
+        const entityManager = this.diseaseSystem.simulation.entityManager;
+        let groundLoad = 0;
+        for (const field of this.ground.values()) {
+            for (let i = 0; i < field.length; i++) {
+                groundLoad += field[i];
+            }
+        }
+        return {
+            groundLoad: groundLoad,
+            contaminatedFood: entityManager.food.filter(food => food && food.pathogens).length,
+            infectiousCorpses: entityManager.deadBacteria.filter(dead =>
+                dead && Array.isArray(dead.pathogens) && dead.pathogens.length > 0
+            ).length
+        };
+    }
+}
+
+// Torna a classe disponível globalmente
+window.PathogenReservoir = PathogenReservoir;
@@ -0,0 +1,365 @@
+/**
+ * Sistema de plasmídeos (transferência horizontal de genes)
+ * Plasmídeos são pequenos elementos de DNA carregados junto ao DNA principal
+ * (bacteria.plasmids, lista de IDs). Cada um codifica um traço com um custo de
+ * manutenção e se espalha de três formas:
+ * - vertical: o filho herda os plasmídeos da mãe (com chance de perda);
+ * - conjugação: cópia direta entre bactérias que se tocam;
+ * - transformação: absorção de fragmentos de DNA deixados por bactérias mortas.
+ */
+class PlasmidSystem {
+    /**
+     * Inicializa o sistema de plasmídeos
+     * @param {Simulation} simulation - Referência para a simulação principal
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.segregationLoss = 0.05;     // Chance de o filho não herdar cada plasmídeo da mãe
+        this.transformationRate = 0.01;  // Chance por tick de absorver um fragmento próximo
+        this.plentifulFood = 1;          // Comida por bactéria a partir da qual não há escassez
+        this.historyInterval = 60;       // Ticks entre amostras do histórico
+        this.maxHistory = 300;
+
+        this.reset();
+    }
+
+    /**
+     * Zera estatísticas e histórico (nova execução)
+     */
+    reset() {
+        this.stats = {
+            conjugations: 0,
+            transformations: 0,
+            losses: 0,
+            byType: {}
+        };
+        for (const id of Object.keys(PlasmidSystem.TYPES)) {
+            this.stats.byType[id] = { conjugations: 0, transformations: 0 };
+        }
+        this.history = [];
+        this.foodScarcity = 0;
+    }
+
+    /**
+     * Escassez de comida: 0 com plentifulFood itens por bactéria ou mais, 1 sem comida
+     * @param {number} population - Bactérias vivas
+     * @returns {number}
+     */
+    getFoodScarcity(population) {
+        const food = this.simulation.entityManager ? this.simulation.entityManager.food.length : 0;
+        if (population === 0) return 0;
+        return 1 - Math.min(1, food / (population * this.plentifulFood));
+    }
+
+    /**
+     * Soma o valor de um traço em todos os plasmídeos da bactéria
+     * @param {Bacteria} bacteria - Bactéria
+     * @param {string} trait - Nome do traço (ex.: 'diseaseResistance')
+     * @returns {number}
+     */
+    static getTrait(bacteria, trait) {
+        if (!bacteria || !Array.isArray(bacteria.plasmids)) return 0;
+        let total = 0;
+        for (const id of bacteria.plasmids) {
+            const type = PlasmidSystem.TYPES[id];
+            if (type && typeof type.traits[trait] === 'number') {
+                total += type.traits[trait];
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Fração da taxa de crescimento perdida para replicar os plasmídeos (até 90%)
+     * @param {Bacteria} bacteria - Bactéria
+     * @returns {number}
+     */
+    static getGrowthCost(bacteria) {
+        if (!bacteria || !Array.isArray(bacteria.plasmids)) return 0;
+        let total = 0;
+        for (const id of bacteria.plasmids) {
+            const type = PlasmidSystem.TYPES[id];
+            if (type) total += type.growthCost;
+        }
+        return Math.min(0.9, total);
+    }
+
+    /**
+     * Atualiza os plasmídeos de toda a população
+     * Atribui plasmídeos às bactérias novas e aplica custos e benefícios
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        try {
+            const byId = new Map();
+            for (const b of bacteria) {
+                if (b && b.id !== undefined) byId.set(b.id, b);
+            }
+            this.foodScarcity = this.getFoodScarcity(bacteria.length);
+
+            for (const b of bacteria) {
+                if (!b) continue;
+                if (!Array.isArray(b.plasmids)) {
+                    this.assignInitialPlasmids(b, byId);
+                }
+                if (b.plasmids.length > 0) {
+                    this.applyTraits(b);
+                }
+            }
+
+            if (SimulationClock.now() % this.historyInterval === 0) {
+                this.recordHistory(bacteria);
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar plasmídeos:", error);
+        }
+    }
+
+    /**
+     * Define os plasmídeos de uma bactéria recém-chegada
+     * Filhos herdam da mãe; fundadoras recebem plasmídeos ao acaso
+     * @param {Bacteria} bacteria - Bactéria sem plasmídeos atribuídos
+     * @param {Map<number, Bacteria>} byId - Bactérias vivas por ID
+     */
+    assignInitialPlasmids(bacteria, byId) {
+        bacteria.plasmids = [];
+        const parentIds = Array.isArray(bacteria.parentIds) ? bacteria.parentIds : [];
+
+        if (parentIds.length === 0) {
+            for (const [id, type] of Object.entries(PlasmidSystem.TYPES)) {
+                if (random() < type.founderRate) {
+                    bacteria.plasmids.push(id);
+                }
+            }
+            return;
+        }
+
+        const mother = byId.get(parentIds[0]);
+        if (mother) {
+            this.inherit(mother, bacteria);
+        }
+    }
+
+    /**
+     * Herança vertical: o filho recebe os plasmídeos da mãe, com chance de perda de cada um
+     * @param {Bacteria} mother - Mãe (ou bactéria que se dividiu)
+     * @param {Bacteria} child - Filho
+     */
+    inherit(mother, child) {
+        // A mãe pode se dividir antes do seu primeiro tick (fundadora recém-criada)
+        if (!Array.isArray(mother.plasmids)) {
+            this.assignInitialPlasmids(mother, new Map());
+        }
+
+        child.plasmids = [];
+
+        for (const id of mother.plasmids) {
+            if (random() < this.segregationLoss) {
+                this.stats.losses++;
+            } else {
+                child.plasmids.push(id);
+            }
+        }
+    }
+
+    /**
+     * Aplica o custo de manutenção e o benefício metabólico dos plasmídeos
+     * O benefício metabólico acompanha a escassez de comida: com comida sobrando só resta o custo
+     * @param {Bacteria} bacteria - Bactéria portadora
+     */
+    applyTraits(bacteria) {
+        const stateManager = bacteria.stateManager;
+        if (!stateManager) return;
+
+        let cost = 0;
+        for (const id of bacteria.plasmids) {
+            const type = PlasmidSystem.TYPES[id];
+            if (type) cost += type.cost;
+        }
+        const gain = PlasmidSystem.getTrait(bacteria, 'metabolicEfficiency') * this.foodScarcity;
+
+        if (gain > cost) {
+            stateManager.addEnergy(gain - cost);
+        } else if (cost > gain) {
+            stateManager.consumeEnergy(cost - gain);
+        }
+    }
+
+    /**
+     * Tenta copiar plasmídeos do doador para o receptor (bactérias em contato)
+     * @param {Bacteria} donor - Bactéria doadora
+     * @param {Bacteria} recipient - Bactéria receptora
+     * @returns {number} - Número de plasmídeos transferidos
+     */
+    tryConjugation(donor, recipient) {
+        if (!donor || !recipient) return 0;
+        if (!Array.isArray(donor.plasmids) || !Array.isArray(recipient.plasmids)) return 0;
+        if (donor.plasmids.length === 0) return 0;
+
+        // Plasmídeos conjugativos (fator F) facilitam a transferência dos demais
+        const boost = 1 + PlasmidSystem.getTrait(donor, 'conjugationBoost');
+        let transferred = 0;
+
+        for (const id of donor.plasmids) {
+            if (recipient.plasmids.includes(id)) continue;
+            const type = PlasmidSystem.TYPES[id];
+            if (!type) continue;
+
+            if (random() < type.conjugationRate * boost) {
+                recipient.plasmids.push(id);
+                this.stats.conjugations++;
+                this.stats.byType[id].conjugations++;
+                transferred++;
+            }
+        }
+        return transferred;
+    }
+
+    /**
+     * Fragmentos de DNA que uma bactéria deixa ao morrer
+     * @param {Bacteria} bacteria - Bactéria morta
+     * @returns {Array<string>} - IDs dos plasmídeos
+     */
+    getFragments(bacteria) {
+        return Array.isArray(bacteria.plasmids) ? [...bacteria.plasmids] : [];
+    }
+
+    /**
+     * Transformação: bactérias próximas de corpos absorvem seus fragmentos de DNA
+     * @param {Array<Object>} deadBacteria - Corpos em decomposição (EntityManager.deadBacteria)
+     */
+    processFragments(deadBacteria) {
+        const spatialGrid = this.simulation.spatialGrid;
+        if (!spatialGrid || !deadBacteria || deadBacteria.length === 0) return;
+
+        try {
+            for (const dead of deadBacteria) {
+                if (!dead.fragments || dead.fragments.length === 0) continue;
+
+                const radius = dead.size * 2;
+                const nearby = spatialGrid.queryRadius(dead.pos, radius).filter(e =>
+                    e instanceof Bacteria && Array.isArray(e.plasmids)
+                );
+
+                for (const bacteria of nearby) {
+                    for (const id of dead.fragments) {
+                        if (bacteria.plasmids.includes(id)) continue;
+                        if (random() < this.transformationRate) {
+                            bacteria.plasmids.push(id);
+                            this.stats.transformations++;
+                            this.stats.byType[id].transformations++;
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            console.error("Erro ao processar fragmentos de DNA:", error);
+        }
+    }
+
+    /**
+     * Número de portadoras de cada plasmídeo
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @returns {Object} - {id: quantidade}
+     */
+    countCarriers(bacteria) {
+        const carriers = {};
+        for (const id of Object.keys(PlasmidSystem.TYPES)) {
+            carriers[id] = 0;
+        }
+        for (const b of bacteria) {
+            if (!b || !Array.isArray(b.plasmids)) continue;
+            for (const id of b.plasmids) {
+                if (id in carriers) carriers[id]++;
+            }
+        }
+        return carriers;
+    }
+
+    /**
+     * Registra uma amostra da prevalência de cada plasmídeo
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    recordHistory(bacteria) {
+        this.history.push({
+            tick: SimulationClock.now(),
+            population: bacteria.length,
+            carriers: this.countCarriers(bacteria)
+        });
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object}
+     */
+    getSummary() {
+        const bacteria = this.simulation.entityManager.bacteria;
+        const carriers = this.countCarriers(bacteria);
+        const prevalence = {};
+        for (const [id, count] of Object.entries(carriers)) {
+            prevalence[id] = bacteria.length > 0 ? count / bacteria.length : 0;
+        }
+
+        let fragments = 0;
+        for (const dead of this.simulation.entityManager.deadBacteria) {
+            fragments += dead.fragments ? dead.fragments.length : 0;
+        }
+
+        return {
+            carriers: carriers,
+            prevalence: prevalence,
+            conjugations: this.stats.conjugations,
+            transformations: this.stats.transformations,
+            losses: this.stats.losses,
+            fragments: fragments
+        };
+    }
+}
+
+/**
+ * Tipos de plasmídeo
+ * traits: diseaseResistance reduz a chance de contágio; metabolicEfficiency devolve
+ * energia por tick com comida escassa (proporcional à escassez); conjugationBoost
+ * multiplica a taxa de conjugação do portador.
+ * cost: energia consumida por tick; growthCost: fração da taxa de crescimento perdida.
+ * Fora da condição seletiva (sem doença para pR, com comida sobrando para pM) os custos
+ * superam o benefício e o plasmídeo tende a se perder; founderRate: chance em cada fundadora.
+ * conjugationRate: chance por tick de contato, baixa porque o contato dura vários ticks.
+ */
+PlasmidSystem.TYPES = {
+    pR: {
+        name: 'pR (resistência)',
+        color: [230, 70, 70],
+        traits: { diseaseResistance: 0.5 },
+        cost: 0.02,
+        growthCost: 0.15,
+        conjugationRate: 0.0002,
+        founderRate: 0.1
+    },
+    pM: {
+        name: 'pM (metabólico)',
+        color: [240, 200, 40],
+        traits: { metabolicEfficiency: 0.06 },
+        cost: 0.02,
+        growthCost: 0.25,
+        conjugationRate: 0.0002,
+        founderRate: 0.1
+    },
+    F: {
+        name: 'F (conjugativo)',
+        color: [80, 160, 255],
+        traits: { conjugationBoost: 2 },
+        cost: 0.005,
+        growthCost: 0.1,
+        conjugationRate: 0.0004,
+        founderRate: 0.05
+    }
+};
+
+// Torna a classe disponível globalmente
+window.PlasmidSystem = PlasmidSystem;
@@ -0,0 +1,352 @@
+/**
+ * Dinâmica populacional predador-presa
+ * Guarda o histórico completo (sem janela deslizante) das contagens de presas (bactérias)
+ * e predadores e, a partir dele:
+ * - ajusta o modelo de Lotka–Volterra
+ *     dx/dt = α·x − β·x·y    (presas)
+ *     dy/dt = δ·x·y − γ·y    (predadores)
+ *   por mínimos quadrados nas taxas per capita: d(ln x)/dt = α − β·y e d(ln y)/dt = δ·x − γ;
+ * - mede o período e a amplitude das oscilações observadas de cada população.
+ * As taxas são por tick; as séries são suavizadas (média móvel) antes das derivadas.
+ * As amostras ficam em colunas tipadas (12 bytes por amostra). Os gráficos de população e
+ * predadores de SimulationVisualization.statsGraphs leem a última amostra daqui, e o painel
+ * desenha só uma amostra reduzida (getSamples).
+ */
+class PopulationDynamicsTracker {
+    /**
+     * Inicializa o rastreador
+     * @param {Simulation} simulation - Simulação observada
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.sampleInterval = 1;       // Ticks entre amostras (1 = resolução completa)
+        this.maxSamples = 1000000;     // Teto do histórico (~4,6 h a 60 ticks/s); as mais antigas saem
+        this.smoothingTicks = 50;      // Janela da média móvel usada no ajuste e nas oscilações
+        this.minDuration = 200;        // Ticks de coexistência necessários para o ajuste
+        this.oscillationBand = 0.5;    // Meia largura da faixa em torno da média (em desvios padrão) que um ciclo precisa atravessar
+        this.noiseBand = 3;            // Meia largura mínima, em erros padrão do ruído que sobra na média móvel
+
+        this.reset();
+    }
+
+    /**
+     * Apaga o histórico (nova execução)
+     */
+    reset() {
+        this.length = 0;
+        this.ticks = new Uint32Array(1024);
+        this.prey = new Uint32Array(1024);
+        this.predators = new Uint32Array(1024);
+    }
+
+    /**
+     * Registra uma amostra a cada sampleInterval ticks
+     */
+    record() {
+        const tick = SimulationClock.now();
+        if (tick % this.sampleInterval !== 0) return;
+
+        if (this.length >= this.maxSamples) {
+            this.discardOldest(Math.ceil(this.maxSamples / 10));
+        } else if (this.length === this.ticks.length) {
+            this.grow(Math.min(this.maxSamples, this.ticks.length * 2));
+        }
+
+        const entityManager = this.simulation.entityManager;
+        this.ticks[this.length] = tick;
+        this.prey[this.length] = entityManager.bacteria.length;
+        this.predators[this.length] = entityManager.predators.length;
+        this.length++;
+    }
+
+    /**
+     * Aumenta a capacidade das colunas
+     * @param {number} capacity - Nova capacidade (amostras)
+     */
+    grow(capacity) {
+        for (const key of ['ticks', 'prey', 'predators']) {
+            const column = new Uint32Array(capacity);
+            column.set(this[key].subarray(0, this.length));
+            this[key] = column;
+        }
+    }
+
+    /**
+     * Remove as amostras mais antigas
+     * @param {number} count - Quantas remover
+     */
+    discardOldest(count) {
+        for (const key of ['ticks', 'prey', 'predators']) {
+            this[key].copyWithin(0, count, this.length);
+        }
+        this.length -= count;
+    }
+
+    /**
+     * Valores guardados de uma coluna (sem cópia)
+     * @param {string} key - 'ticks', 'prey' ou 'predators'
+     * @returns {Uint32Array}
+     */
+    column(key) {
+        return this[key].subarray(0, this.length);
+    }
+
+    /**
+     * Amostra mais recente
+     * @returns {{tick: number, prey: number, predators: number}|null}
+     */
+    getLatest() {
+        if (this.length === 0) return null;
+        const i = this.length - 1;
+        return { tick: this.ticks[i], prey: this.prey[i], predators: this.predators[i] };
+    }
+
+    /**
+     * Histórico reduzido a no máximo maxPoints amostras igualmente espaçadas (para desenhar)
+     * @param {number} maxPoints - Número máximo de pontos
+     * @returns {Array<{tick: number, prey: number, predators: number}>}
+     */
+    getSamples(maxPoints) {
+        const step = Math.max(1, Math.ceil(this.length / maxPoints));
+        const samples = [];
+        for (let i = 0; i < this.length; i += step) {
+            samples.push({ tick: this.ticks[i], prey: this.prey[i], predators: this.predators[i] });
+        }
+        const last = this.getLatest();
+        if (last && (samples.length === 0 || samples[samples.length - 1].tick !== last.tick)) {
+            samples.push(last);
+        }
+        return samples;
+    }
+
+    /**
+     * Janela da média móvel em amostras
+     * @returns {number}
+     */
+    getSmoothingWindow() {
+        return Math.max(1, Math.round(this.smoothingTicks / this.sampleInterval));
+    }
+
+    /**
+     * Média móvel centrada (somas acumuladas, linear no tamanho da série)
+     * @param {ArrayLike<number>} values - Valores
+     * @param {number} window - Tamanho da janela (amostras)
+     * @returns {Float64Array}
+     */
+    static movingAverage(values, window) {
+        const half = Math.floor(window / 2);
+        const prefix = new Float64Array(values.length + 1);
+        for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+
+        const averages = new Float64Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const start = Math.max(0, i - half);
+            const end = Math.min(values.length, i + half + 1);
+            averages[i] = (prefix[end] - prefix[start]) / (end - start);
+        }
+        return averages;
+    }
+
+    /**
+     * Regressão linear simples por mínimos quadrados
+     * @param {Array<number>} xs - Variável independente
+     * @param {Array<number>} ys - Variável dependente
+     * @returns {{slope: number, intercept: number, r2: number}|null} - null sem variação em xs
+     */
+    static linearRegression(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return null;
+
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (xs[i] - meanX) * (xs[i] - meanX);
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+            syy += (ys[i] - meanY) * (ys[i] - meanY);
+        }
+        if (sxx === 0) return null;
+
+        const slope = sxy / sxx;
+        return {
+            slope: slope,
+            intercept: meanY - slope * meanX,
+            r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 0
+        };
+    }
+
+    /**
+     * Ajusta os parâmetros de Lotka–Volterra ao histórico
+     * @returns {Object|null} - α, β, γ, δ (por tick), R² de cada equação, equilíbrio e
+     *                          período previsto; null com poucas amostras ou sem variação
+     */
+    fitLotkaVolterra() {
+        const window = this.getSmoothingWindow();
+        const ticks = this.column('ticks');
+        const prey = PopulationDynamicsTracker.movingAverage(this.column('prey'), window);
+        const predators = PopulationDynamicsTracker.movingAverage(this.column('predators'), window);
+
+        // Taxas per capita entre amostras consecutivas (só onde as duas populações existem)
+        const preyRates = [];
+        const predatorRates = [];
+        const preyAt = [];
+        const predatorsAt = [];
+        for (let i = 1; i < this.length; i++) {
+            if (prey[i] <= 0 || prey[i - 1] <= 0 || predators[i] <= 0 || predators[i - 1] <= 0) continue;
+            const dt = ticks[i] - ticks[i - 1];
+            if (dt <= 0) continue;
+
+            preyRates.push((Math.log(prey[i]) - Math.log(prey[i - 1])) / dt);
+            predatorRates.push((Math.log(predators[i]) - Math.log(predators[i - 1])) / dt);
+            preyAt.push((prey[i] + prey[i - 1]) / 2);
+            predatorsAt.push((predators[i] + predators[i - 1]) / 2);
+        }
+        if (preyRates.length < this.minDuration / this.sampleInterval) return null;
+
+        // d(ln x)/dt = α − β·y      d(ln y)/dt = δ·x − γ
+        const preyFit = PopulationDynamicsTracker.linearRegression(predatorsAt, preyRates);
+        const predatorFit = PopulationDynamicsTracker.linearRegression(preyAt, predatorRates);
+        if (!preyFit || !predatorFit) return null;
+
+        const alpha = preyFit.intercept;
+        const beta = -preyFit.slope;
+        const gamma = -predatorFit.intercept;
+        const delta = predatorFit.slope;
+
+        return {
+            alpha: alpha,
+            beta: beta,
+            gamma: gamma,
+            delta: delta,
+            r2Prey: preyFit.r2,
+            r2Predators: predatorFit.r2,
+            samples: preyRates.length,
+            // Ponto fixo e período das pequenas oscilações (só com todos os parâmetros positivos)
+            equilibrium: beta > 0 && delta > 0 ? { prey: gamma / delta, predators: alpha / beta } : null,
+            predictedPeriod: alpha > 0 && gamma > 0 ? (2 * Math.PI) / Math.sqrt(alpha * gamma) : null
+        };
+    }
+
+    /**
+     * Período e amplitude das oscilações de uma população
+     * Cada ciclo vai de uma subida pela média até a seguinte; a amplitude é metade da
+     * diferença entre o máximo e o mínimo do ciclo. Com histerese: uma subida só conta se a
+     * série esteve abaixo da faixa média ± oscillationBand·σ e depois passa acima dela, então
+     * flutuações pequenas em torno da média não viram ciclos. A faixa nunca é menor que
+     * noiseBand erros padrão do ruído (desvio da série bruta em relação à suavizada, dividido
+     * pela raiz da janela), para que uma série só de ruído não tenha ciclos
+     * @param {string} key - 'prey' ou 'predators'
+     * @returns {Object|null} - Período (ticks), amplitude, média, meia largura da faixa e ciclos;
+     *                          null sem ciclo completo
+     */
+    analyzeOscillation(key) {
+        if (this.length < 3) return null;
+
+        const ticks = this.column('ticks');
+        const raw = this.column(key);
+        const window = this.getSmoothingWindow();
+        const values = PopulationDynamicsTracker.movingAverage(raw, window);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        let variance = 0;
+        let noise = 0;
+        for (let i = 0; i < values.length; i++) {
+            variance += (values[i] - mean) * (values[i] - mean);
+            noise += (raw[i] - values[i]) * (raw[i] - values[i]);
+        }
+        const band = Math.max(
+            this.oscillationBand * Math.sqrt(variance / values.length),
+            this.noiseBand * Math.sqrt(noise / values.length / window)
+        );
+
+        // A subida pela média é registrada quando a série, vinda de baixo da faixa, passa acima dela
+        const crossings = [];
+        let below = false;
+        let lastRise = 0;
+        for (let i = 1; i < values.length; i++) {
+            if (values[i - 1] < mean && values[i] >= mean) lastRise = i;
+            if (values[i] < mean - band) {
+                below = true;
+            } else if (below && values[i] > mean + band) {
+                crossings.push(lastRise);
+                below = false;
+            }
+        }
+        if (crossings.length < 2) return null;
+
+        const periods = [];
+        const amplitudes = [];
+        for (let c = 1; c < crossings.length; c++) {
+            let max = -Infinity;
+            let min = Infinity;
+            for (let i = crossings[c - 1]; i <= crossings[c]; i++) {
+                max = Math.max(max, values[i]);
+                min = Math.min(min, values[i]);
+            }
+            periods.push(ticks[crossings[c]] - ticks[crossings[c - 1]]);
+            amplitudes.push((max - min) / 2);
+        }
+
+        return {
+            period: periods.reduce((sum, p) => sum + p, 0) / periods.length,
+            amplitude: amplitudes.reduce((sum, a) => sum + a, 0) / amplitudes.length,
+            mean: mean,
+            band: band,
+            cycles: periods.length
+        };
+    }
+
+    /**
+     * Trajetória do modelo ajustado (integração de Euler), para comparar com a observada
+     * @param {Object} fit - Parâmetros de fitLotkaVolterra
+     * @param {number} prey - Presas iniciais
+     * @param {number} predators - Predadores iniciais
+     * @param {number} ticks - Duração
+     * @param {number} step - Ticks por ponto
+     * @returns {Array<{tick: number, prey: number, predators: number}>}
+     */
+    static integrate(fit, prey, predators, ticks, step = 1) {
+        const points = [{ tick: 0, prey: prey, predators: predators }];
+        let x = prey;
+        let y = predators;
+        for (let t = step; t <= ticks; t += step) {
+            const dx = (fit.alpha * x - fit.beta * x * y) * step;
+            const dy = (fit.delta * x * y - fit.gamma * y) * step;
+            x = Math.max(0, x + dx);
+            y = Math.max(0, y + dy);
+            points.push({ tick: t, prey: x, predators: y });
+        }
+        return points;
+    }
+
+    /**
+     * Análise completa do histórico
+     * @returns {Object} - Amostras, ajuste de Lotka–Volterra e oscilações
+     */
+    getAnalysis() {
+        return {
+            samples: this.length,
+            fit: this.fitLotkaVolterra(),
+            prey: this.analyzeOscillation('prey'),
+            predators: this.analyzeOscillation('predators')
+        };
+    }
+
+    /**
+     * Histórico em CSV
+     * @returns {string}
+     */
+    toCSV() {
+        const lines = ['tick,prey,predators'];
+        for (let i = 0; i < this.length; i++) {
+            lines.push(`${this.ticks[i]},${this.prey[i]},${this.predators[i]}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// Torna a classe disponível globalmente
+window.PopulationDynamicsTracker = PopulationDynamicsTracker;
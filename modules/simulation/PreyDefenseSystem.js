@@ -0,0 +1,212 @@
+/**
+ * Defesa coletiva das presas
+ * - Diluição: cada bactéria vizinha dentro de groupRadius reduz a chance de a presa
+ *   atacada ser atingida (1 / (1 + dilutionStrength × vizinhas)); com um predador por
+ *   perto as bactérias se agrupam (BacteriaMovement.flock com as vizinhas da mesma espécie).
+ * - Ataque coletivo (mobbing): bactérias com papel 'protetor' (BacteriaSocial.determineCommunityRole)
+ *   avançam juntas sobre um predador próximo quando há pelo menos minMobbers delas,
+ *   e cada uma encostada no predador causa dano proporcional à sua agressividade.
+ * Com enabled = false nenhuma das defesas atua.
+ */
+class PreyDefenseSystem {
+    /**
+     * Inicializa o sistema
+     * @param {Simulation} simulation - Simulação
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.enabled = true;
+        this.threatRange = 120;       // Distância em que um predador faz o grupo se juntar
+        this.groupRadius = 50;        // Vizinhas até esta distância diluem o risco de predação
+        this.dilutionStrength = 0.3;  // Peso de cada vizinha na diluição
+        this.mobRange = 100;          // Distância máxima de uma protetora ao predador atacado
+        this.minMobbers = 2;          // Protetoras necessárias para o ataque coletivo
+        this.mobDamage = 1.5;         // Dano por tick de cada protetora encostada (× agressividade)
+        this.mobEnergyCost = 0.2;     // Energia gasta por tick pela protetora que ataca
+        this.minMobEnergy = 30;       // Protetoras com menos energia não atacam
+
+        this.reset();
+    }
+
+    /**
+     * Zera as estatísticas (nova execução)
+     */
+    reset() {
+        this.stats = {
+            grouping: 0,         // Bactérias se agrupando no último tick
+            mobbing: 0,          // Protetoras atacando predadores no último tick
+            dilutedAttacks: 0,   // Ataques de predadores que erraram por diluição
+            mobDamage: 0,        // Dano total causado pelas protetoras
+            predatorsMobbed: 0   // Predadores mortos pelo ataque coletivo
+        };
+    }
+
+    /**
+     * Verifica se a bactéria tem o papel de protetora
+     * @param {Bacteria} bacteria - Bactéria
+     * @returns {boolean}
+     */
+    isProtector(bacteria) {
+        return !!bacteria.social && bacteria.social.communityRole === 'protetor';
+    }
+
+    /**
+     * Bactérias (não predadoras) próximas de uma posição
+     * @param {p5.Vector} pos - Posição
+     * @param {number} radius - Raio
+     * @param {Bacteria} except - Bactéria a ignorar
+     * @returns {Array<Bacteria>}
+     */
+    queryBacteria(pos, radius, except = null) {
+        const spatialGrid = this.simulation.spatialGrid;
+        const candidates = spatialGrid ? spatialGrid.queryRadius(pos, radius) : this.simulation.entityManager.bacteria;
+        return candidates.filter(e =>
+            e instanceof Bacteria && !e.isPredator && e !== except && e.health > 0 &&
+            dist(pos.x, pos.y, e.pos.x, e.pos.y) < radius
+        );
+    }
+
+    /**
+     * Predador mais próximo de uma bactéria dentro de um raio
+     * @param {Bacteria} bacteria - Bactéria
+     * @param {number} radius - Raio
+     * @returns {Predator|null}
+     */
+    findThreat(bacteria, radius) {
+        const spatialGrid = this.simulation.spatialGrid;
+        const candidates = spatialGrid ? spatialGrid.queryRadius(bacteria.pos, radius) : this.simulation.entityManager.predators;
+        let closest = null;
+        let minDist = radius;
+        for (const entity of candidates) {
+            if (!entity || !entity.isPredator || entity.health <= 0) continue;
+            const d = dist(bacteria.pos.x, bacteria.pos.y, entity.pos.x, entity.pos.y);
+            if (d < minDist) {
+                minDist = d;
+                closest = entity;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Decide quem se agrupa e quem ataca, e aplica o dano das protetoras encostadas
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        try {
+            this.stats.grouping = 0;
+            this.stats.mobbing = 0;
+            const mobs = new Map(); // Predador -> protetoras dispostas a atacá-lo
+
+            for (const b of bacteria) {
+                if (!b || !b.pos) continue;
+                b.flockmates = null;
+                b.mobTarget = null;
+                if (!this.enabled) continue;
+
+                const threat = this.findThreat(b, Math.max(this.threatRange, this.mobRange));
+                if (!threat) continue;
+                const threatDistance = dist(b.pos.x, b.pos.y, threat.pos.x, threat.pos.y);
+
+                // Agrupamento com as vizinhas da mesma espécie
+                if (threatDistance < this.threatRange) {
+                    const range = Math.min(b.perceptionRadius || this.threatRange, this.threatRange);
+                    const mates = this.queryBacteria(b.pos, range, b).filter(other =>
+                        !b.environment || typeof b.environment.isSameSpecies !== 'function' ||
+                        b.environment.isSameSpecies(other)
+                    );
+                    if (mates.length > 0) {
+                        b.flockmates = mates;
+                        this.stats.grouping++;
+                    }
+                }
+
+                // Protetoras com energia se oferecem para atacar o predador
+                const energy = b.stateManager ? b.stateManager.getEnergy() : 0;
+                if (threatDistance < this.mobRange && this.isProtector(b) && energy >= this.minMobEnergy) {
+                    if (!mobs.has(threat)) mobs.set(threat, []);
+                    mobs.get(threat).push(b);
+                }
+            }
+
+            // Só há ataque com protetoras suficientes
+            for (const [predator, mobbers] of mobs) {
+                if (mobbers.length < this.minMobbers) continue;
+                for (const b of mobbers) {
+                    b.mobTarget = predator;
+                    this.stats.mobbing++;
+                    this.applyMobDamage(b, predator);
+                }
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar defesa coletiva das presas:", error);
+        }
+    }
+
+    /**
+     * Protetora encostada no predador causa dano e gasta energia
+     * @param {Bacteria} bacteria - Protetora
+     * @param {Predator} predator - Predador atacado
+     */
+    applyMobDamage(bacteria, predator) {
+        const contact = (bacteria.size + predator.size) / 2 + 5;
+        if (dist(bacteria.pos.x, bacteria.pos.y, predator.pos.x, predator.pos.y) > contact) return;
+
+        const aggressiveness = bacteria.dna && bacteria.dna.genes ? bacteria.dna.genes.aggressiveness || 0 : 0;
+        const damage = this.mobDamage * aggressiveness;
+        const wasAlive = predator.health > 0;
+        predator.health -= damage;
+        this.stats.mobDamage += damage;
+        if (bacteria.stateManager) {
+            bacteria.stateManager.consumeEnergy(this.mobEnergyCost);
+        }
+
+        // O predador morto sai da lista em EntityManager.updatePredators
+        if (wasAlive && predator.health <= 0) {
+            this.stats.predatorsMobbed++;
+        }
+    }
+
+    /**
+     * Fração do risco de predação que resta para uma presa no meio do grupo
+     * @param {Bacteria} prey - Presa
+     * @returns {number} - 1 para presas sozinhas, menor quanto maior o grupo
+     */
+    getDilutionFactor(prey) {
+        if (!this.enabled || prey.isPredator) return 1;
+        const neighbours = this.queryBacteria(prey.pos, this.groupRadius, prey).length;
+        return 1 / (1 + this.dilutionStrength * neighbours);
+    }
+
+    /**
+     * Sorteia se o ataque a uma presa acerta, pela diluição do risco no grupo
+     * @param {Bacteria} prey - Presa atacada
+     * @returns {boolean} - false se a presa escapou no meio do grupo
+     */
+    tryAttack(prey) {
+        const factor = this.getDilutionFactor(prey);
+        if (factor >= 1 || random() < factor) return true;
+        this.stats.dilutedAttacks++;
+        return false;
+    }
+
+    /**
+     * Resumo para estatísticas
+     * @returns {Object}
+     */
+    getSummary() {
+        return {
+            enabled: this.enabled,
+            grouping: this.stats.grouping,
+            mobbing: this.stats.mobbing,
+            dilutedAttacks: this.stats.dilutedAttacks,
+            mobDamage: this.stats.mobDamage,
+            predatorsMobbed: this.stats.predatorsMobbed
+        };
+    }
+}
+
+// Torna a classe disponível globalmente
+window.PreyDefenseSystem = PreyDefenseSystem;
@@ -0,0 +1,143 @@
+/**
+ * Sistema de quorum sensing
+ * As bactérias secretam um autoindutor (campo 'signal' do ChemicalFieldSystem). Quando a
+ * concentração local passa do limiar do gene quorumThreshold, a bactéria fica "em quorum"
+ * e o BacteriaStateManager troca para um comportamento coletivo:
+ * - biofilm: agregação lenta e econômica, que reduz o dano sofrido de predadores;
+ * - defending: com um predador por perto, libera uma toxina compartilhada que inibe seus ataques.
+ * Bactérias em quorum também emitem bioluminescência (apenas visual).
+ */
+class QuorumSensingSystem {
+    /**
+     * Inicializa o sistema de quorum sensing
+     * @param {Simulation} simulation - Referência para a simulação principal
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Configurações
+        this.enabled = true;
+        this.autoinductionFactor = 1.5;  // Bactérias em quorum secretam mais autoindutor
+        this.threatRadius = 150;         // Distância em que um predador dispara a defesa
+        this.toxinRadius = 60;           // Alcance da toxina de cada bactéria defensora
+        this.toxinPerBacterium = 0.02;   // Toxina acumulada no predador por defensora por tick
+        this.toxinDecay = 0.005;         // Toxina eliminada pelo predador por tick
+
+        this.reset();
+    }
+
+    /**
+     * Zera as estatísticas (nova execução)
+     */
+    reset() {
+        this.stats = {
+            activations: 0 // Vezes em que uma bactéria entrou em quorum
+        };
+    }
+
+    /**
+     * Mede o autoindutor de cada bactéria e decide o comportamento coletivo
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     */
+    update(bacteria) {
+        const chemicals = this.simulation.chemicalFields;
+        if (!this.enabled || !chemicals || !chemicals.enabled) return;
+
+        try {
+            const predators = this.simulation.entityManager.predators;
+
+            for (const b of bacteria) {
+                if (!b || !b.pos || !b.stateManager) continue;
+
+                b.autoinducerLevel = chemicals.sample('signal', b.pos.x, b.pos.y);
+                const threshold = b.dna && typeof b.dna.genes.quorumThreshold === 'number'
+                    ? b.dna.genes.quorumThreshold
+                    : 1;
+
+                let quorumState = null;
+                if (b.autoinducerLevel >= threshold) {
+                    quorumState = this.isThreatened(b, predators) ? 'defending' : 'biofilm';
+                    if (!b.stateManager.quorumState) {
+                        this.stats.activations++;
+                    }
+                }
+                b.stateManager.quorumState = quorumState;
+            }
+
+            this.releaseToxin(bacteria, predators);
+        } catch (error) {
+            console.error("Erro ao atualizar quorum sensing:", error);
+        }
+    }
+
+    /**
+     * Verifica se há um predador perto da bactéria
+     * @param {Bacteria} bacteria - Bactéria
+     * @param {Array<Predator>} predators - Predadores
+     * @returns {boolean}
+     */
+    isThreatened(bacteria, predators) {
+        const radiusSq = this.threatRadius * this.threatRadius;
+        for (const predator of predators) {
+            if (!predator || !predator.pos) continue;
+            const dx = predator.pos.x - bacteria.pos.x;
+            const dy = predator.pos.y - bacteria.pos.y;
+            if (dx * dx + dy * dy < radiusSq) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Bactérias defensoras acumulam toxina nos predadores ao seu alcance
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @param {Array<Predator>} predators - Predadores
+     */
+    releaseToxin(bacteria, predators) {
+        const defenders = bacteria.filter(b =>
+            b && b.stateManager && b.stateManager.getCurrentState() === 'defending'
+        );
+        const radiusSq = this.toxinRadius * this.toxinRadius;
+
+        for (const predator of predators) {
+            if (!predator || !predator.pos) continue;
+
+            let toxin = Math.max(0, (predator.toxinLevel || 0) - this.toxinDecay);
+            for (const b of defenders) {
+                const dx = predator.pos.x - b.pos.x;
+                const dy = predator.pos.y - b.pos.y;
+                if (dx * dx + dy * dy < radiusSq) {
+                    toxin += this.toxinPerBacterium;
+                }
+            }
+            predator.toxinLevel = Math.min(1, toxin);
+        }
+    }
+
+    /**
+     * Quantidade de autoindutor secretada por uma bactéria
+     * @param {Bacteria} bacteria - Bactéria
+     * @returns {number} - Multiplicador da secreção básica
+     */
+    getSecretionFactor(bacteria) {
+        return bacteria.stateManager && bacteria.stateManager.quorumState ? this.autoinductionFactor : 1;
+    }
+
+    /**
+     * Contagem das bactérias em quorum por comportamento
+     * @param {Array<Bacteria>} bacteria - Bactérias vivas
+     * @returns {Object} - {active, biofilm, defending}
+     */
+    countActive(bacteria) {
+        const counts = { active: 0, biofilm: 0, defending: 0 };
+        for (const b of bacteria) {
+            const state = b && b.stateManager ? b.stateManager.quorumState : null;
+            if (!state) continue;
+            counts.active++;
+            if (state in counts) counts[state]++;
+        }
+        return counts;
+    }
+}
+
+// Torna a classe disponível globalmente
+window.QuorumSensingSystem = QuorumSensingSystem;
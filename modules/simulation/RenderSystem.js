@@ -342,6 +342,22 @@ class RenderSystem {
             text(`Mortes: ${stats.deaths || 0}`, 10, 120);
             text(`Mortes por doença: ${stats.diseaseDeaths || 0}`, 10, 140);
             text(`Mortes por predador: ${stats.predatorKills || 0}`, 10, 160);
+            text(`Mortes por antibiótico: ${stats.antibioticKills || 0}`, 10, 180);
+            text(`Geração máx. predadores: ${stats.highestPredatorGeneration || 1}`, 10, 200);
+            text(`Predadores devorados: ${stats.predatorsEaten || 0}`, 10, 220);
+            if (this.simulation.packHunting && this.simulation.preyDefense) {
+                const packs = this.simulation.packHunting.getSummary();
+                const defense = this.simulation.preyDefense.getSummary();
+                text(`Matilhas: ${packs.packs} (abates: ${packs.packKills}) | Ataques diluídos: ${defense.dilutedAttacks} | Predadores mortos por protetoras: ${defense.predatorsMobbed}`, 10, 240);
+            }
+            
+            // Predadores vivos por espécie
+            let y = 260;
+            for (const [speciesId, count] of Object.entries(stats.predatorsBySpecies || {})) {
+                if (count === 0) continue;
+                text(`${Predator.SPECIES[speciesId].name}: ${count}`, 10, y);
+                y += 20;
+            }
         }
         
         pop();
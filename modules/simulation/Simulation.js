@@ -5,18 +5,74 @@
 class Simulation {
     /**
      * Inicializa a simulação
+     * @param {Object} canvas - Canvas do p5.js (null no modo headless)
+     * @param {Object} options - Opções de criação
+     * @param {boolean} options.headless - Executa sem renderização, DOM ou teclado
+     * @param {number} options.width - Largura do mundo simulado
+     * @param {number} options.height - Altura do mundo simulado
+     * @param {number|string} options.seed - Semente do gerador aleatório (aleatória se omitida)
+     * @param {boolean} options.diploid - Fundadoras com genoma diploide (dois alelos por traço)
+     * @param {string} options.reproduction - Modo reprodutivo: 'sexual', 'asexual' ou 'mixed'
      */
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
+        // Modo headless: sem canvas, sem controles de interface e sem teclado
+        this.headless = options.headless === true;
+        
+        // Gerador aleatório com semente: substitui random/noise do p5.js antes de criar entidades
+        this.rng = new RandomService(options.seed);
+        this.rng.install();
+        console.log(`Semente da simulação: ${this.rng.seed}`);
+        
+        // Modo genético das novas fundadoras
+        DNA.diploidMode = options.diploid === true;
+        
+        // Estratégia reprodutiva: sexuada, fissão binária ou decidida pelo gene fissionTendency
+        Reproduction.strategyMode = Reproduction.STRATEGY_MODES.includes(options.reproduction)
+            ? options.reproduction
+            : 'sexual';
+        
+        // Herança dos cérebros: pesos do genótipo (darwiniana) ou aprendidos em vida (lamarckiana)
+        Reproduction.brainInheritance = Reproduction.BRAIN_INHERITANCE_MODES.includes(options.brainInheritance)
+            ? options.brainInheritance
+            : 'darwinian';
+        
+        // Tipo de cérebro das novas fundadoras: rede de topologia fixa ou NEAT
+        BacteriaLearning.brainType = BacteriaLearning.BRAIN_TYPES.includes(options.brain)
+            ? options.brain
+            : 'fixed';
+        
+        // Aprendizado: rede neural treinada por replay + Q-Learning, ou só Q-Learning
+        BacteriaLearning.mode = BacteriaLearning.MODES.includes(options.learning)
+            ? options.learning
+            : 'neural';
+        
+        // Sensores direcionais: setores ou raios; com sensorCount o número de sensores é fixo (sem evolução)
+        // e limitado a minCount-maxCount, para que os ids das entradas NEAT fiquem abaixo de NeatNetwork.BIAS_ID
+        BacteriaSensors.config.type = BacteriaSensors.TYPES.includes(options.sensors)
+            ? options.sensors
+            : 'sectors';
+        BacteriaSensors.config.evolve = !(options.sensorCount > 0);
+        if (options.sensorCount > 0) {
+            BacteriaSensors.config.count = constrain(Math.round(options.sensorCount),
+                BacteriaSensors.config.minCount, BacteriaSensors.config.maxCount);
+        }
+        
         // Propriedades básicas
-        this.width = 800;
-        this.height = 600;
+        this.width = options.width || 800;
+        this.height = options.height || 600;
         this.time = 0;
+        this.timePassed = 0;
+        
+        // Relógio de passo fixo: todos os tempos da simulação são medidos em ticks
+        this.clock = new SimulationClock();
+        SimulationClock.active = this.clock;
         this.maxObstacles = 5; // Valor inicial de obstáculos
         
         // Propriedades para interação do mouse
         this.selectedBacteria = null;
         this.isDragging = false;
         this.isPlacingObstacle = false;
+        this.isPaintingAntibiotic = false; // Pincel de tratamento (AntibioticControls)
         this.obstacleStart = null;
         this.effects = []; // Para efeitos visuais
         
@@ -27,6 +83,8 @@ class Simulation {
         this.trailLength = 30;
         this.showGender = true;
         this.showEnergy = true;
+        this.showPlasmids = false; // Anéis coloridos nas portadoras de plasmídeos
+        this.showChemicals = false; // Sobreposição dos campos químicos
         
         // Sistemas
         this.initSystems();
@@ -34,14 +92,16 @@ class Simulation {
         // Sistemas externos
         this.saveSystem = new SaveSystem();
         this.randomEvents = new RandomEvents();
-        this.controls = new Controls();
+        this.controls = this.headless ? null : new Controls();
         this.diseaseSystem = new DiseaseSystem(this);
         
         // Sistema de particionamento espacial
         this.spatialGrid = new SpatialGrid(this.width, this.height, 50); // Células de 50px
         
-        // Configuração de controles
-        if (typeof createDiv === 'function') {
+        // Configuração de controles (inexistentes no modo headless)
+        if (this.headless) {
+            console.log('Simulação iniciada em modo headless');
+        } else if (typeof createDiv === 'function') {
             this.controlSystem.setupControls();
         } else {
             console.warn('p5.js não está pronto ainda. Os controles serão inicializados posteriormente.');
@@ -51,6 +111,14 @@ class Simulation {
         }
     }
     
+    /**
+     * Tick atual da simulação (compatível com o antigo contador de frames)
+     * @returns {number}
+     */
+    get frameCount() {
+        return this.clock.tick;
+    }
+    
     /**
      * Inicializa todos os subsistemas da simulação
      */
@@ -62,6 +130,16 @@ class Simulation {
         this.environmentSystem = new EnvironmentSystem(this);
         this.renderSystem = new RenderSystem(this);
         this.controlSystem = new SimulationControlSystem(this);
+        this.lineageTracker = new LineageTracker();
+        this.plasmidSystem = new PlasmidSystem(this);
+        this.chemicalFields = new ChemicalFieldSystem(this);
+        this.quorumSensing = new QuorumSensingSystem(this);
+        this.antibioticSystem = new AntibioticSystem(this);
+        this.foodWeb = new FoodWeb(this);
+        this.packHunting = new PackHuntingSystem(this);
+        this.preyDefense = new PreyDefenseSystem(this);
+        this.populationDynamics = new PopulationDynamicsTracker(this);
+        this.neatSpeciation = new NeatSpeciation(this);
     }
     
     /**
@@ -97,24 +175,20 @@ class Simulation {
      */
     update(deltaTime = 1) {
         try {
-            // Incrementa contador de frames
-            this.frameCount++;
-            
-            // Loga status a cada 60 frames
-            const shouldLog = (this.frameCount % 60) === 0;
-            
             // Verifica referências para depuração
             if (!this.entityManager) {
                 console.error("EntityManager não inicializado!");
                 return;
             }
             
-            // Alterna pausar com a tecla 'P' ou Espaço
-            if (keyIsDown(80) && !this.lastPauseKeyState) {
-                this.isPaused = !this.isPaused;
-                console.log(`Simulação ${this.isPaused ? 'pausada' : 'retomada'}`);
+            // Alterna pausar com a tecla 'P' (não existe teclado no modo headless)
+            if (!this.headless) {
+                if (keyIsDown(80) && !this.lastPauseKeyState) {
+                    this.isPaused = !this.isPaused;
+                    console.log(`Simulação ${this.isPaused ? 'pausada' : 'retomada'}`);
+                }
+                this.lastPauseKeyState = keyIsDown(80);
             }
-            this.lastPauseKeyState = keyIsDown(80);
             
             // Se a simulação estiver pausada, não atualiza
             if (this.isPaused) {
@@ -125,6 +199,34 @@ class Simulation {
                 return;
             }
             
+            // Executa quantos ticks de passo fixo couberem neste quadro (avanço rápido)
+            const ticks = this.clock.ticksForFrame();
+            for (let i = 0; i < ticks; i++) {
+                this.tick(1);
+            }
+            
+            // Atualiza a visualização
+            if (this.visualization) {
+                this.visualization.update();
+            }
+        } catch (error) {
+            console.error("Erro ao atualizar simulação:", error);
+        }
+    }
+    
+    /**
+     * Avança a simulação em um tick de passo fixo, sem renderização nem entrada do usuário
+     * @param {number} deltaTime - Tempo do passo (sempre 1 tick)
+     */
+    tick(deltaTime = 1) {
+        try {
+            // Avança o relógio da simulação
+            this.clock.advance();
+            this.time = this.clock.tick;
+            
+            // Loga status a cada 60 frames
+            const shouldLog = (this.frameCount % 60) === 0 && !this.headless;
+            
             // SOLUÇÃO RADICAL: Forçar movimento de todas as bactérias periodicamente
             if (this.frameCount % 10 === 0) { // A cada 10 frames
                 this.forceMoveBacteria();
@@ -133,9 +235,27 @@ class Simulation {
             // Atualiza a contagem de tempo
             this.timePassed += deltaTime / 60; // Converte para segundos se deltaTime for em frames
             
-            // Atualiza a grade espacial
-            if (this.spatialGrid && typeof this.spatialGrid.update === 'function') {
-                this.spatialGrid.update();
+            // Difusão dos campos químicos e gradientes da quimiotaxia
+            if (this.chemicalFields) {
+                this.chemicalFields.update();
+            }
+            
+            // Quorum sensing: comportamentos coletivos pela concentração de autoindutor
+            if (this.quorumSensing) {
+                this.quorumSensing.update(this.entityManager.bacteria);
+            }
+            
+            // Antibióticos: dosagem, morte de sensíveis, curas e custo da resistência
+            if (this.antibioticSystem) {
+                this.antibioticSystem.update(this.entityManager.bacteria);
+            }
+            
+            // Matilhas de predadores e defesa coletiva das presas (usam a grade do tick anterior)
+            if (this.packHunting) {
+                this.packHunting.update(this.entityManager.bacteria, this.entityManager.predators);
+            }
+            if (this.preyDefense) {
+                this.preyDefense.update(this.entityManager.bacteria);
             }
             
             // Atualiza o gerenciador de entidades
@@ -143,6 +263,31 @@ class Simulation {
                 this.entityManager.update(deltaTime);
             }
             
+            // Herança, custos e benefícios dos plasmídeos
+            if (this.plasmidSystem) {
+                this.plasmidSystem.update(this.entityManager.bacteria);
+            }
+            
+            // Atualiza a grade espacial e processa interações (alimentação, acasalamento, predação)
+            this.updateSpatialGrid();
+            if (this.interactionSystem) {
+                this.interactionSystem.checkInteractionsOptimized();
+            }
+            
+            // Corpos em decomposição: fragmentos de DNA são absorvidos e o resto vira comida
+            if (this.plasmidSystem) {
+                this.plasmidSystem.processFragments(this.entityManager.deadBacteria);
+            }
+            this.entityManager.processDeadBacteria();
+            
+            // Atualiza doenças e ambiente
+            if (this.diseaseSystem && typeof this.diseaseSystem.update === 'function') {
+                this.diseaseSystem.update();
+            }
+            if (this.environmentSystem) {
+                this.environmentSystem.update();
+            }
+            
             // Gera comida periodicamente se tiver poucos itens
             if (this.autoFoodGeneration && this.foodGenerationRate > 0) {
                 this.foodTimer += deltaTime;
@@ -162,18 +307,28 @@ class Simulation {
                 }
             }
             
-            // Atualiza a visualização
-            if (this.visualization) {
-                this.visualization.update();
-            }
-            
             // Atualiza as estatísticas
             if (this.statsManager) {
                 this.statsManager.update();
             }
             
+            // Histórico completo de presas e predadores (dinâmica populacional)
+            if (this.populationDynamics) {
+                this.populationDynamics.record();
+            }
+            
+            // Especiação dos cérebros NEAT pela distância de compatibilidade
+            if (this.neatSpeciation) {
+                this.neatSpeciation.update(this.entityManager.bacteria);
+            }
+            
+            // Sincroniza o grafo de linhagens com a população (mortes e podas)
+            if (this.lineageTracker) {
+                this.lineageTracker.update(this.entityManager.bacteria);
+            }
+            
             // Verifica se deve registrar população a cada 5 segundos (300 frames a 60fps)
-            if (this.frameCount % 300 === 0) {
+            if (this.frameCount % 300 === 0 && typeof this.recordPopulation === 'function') {
                 this.recordPopulation();
             }
             
@@ -183,10 +338,27 @@ class Simulation {
             }
             
         } catch (error) {
-            console.error("Erro ao atualizar simulação:", error);
+            console.error("Erro ao avançar simulação:", error);
         }
     }
     
+    /**
+     * Avança a simulação n passos sem tocar em renderização, DOM ou controles
+     * Usado principalmente pelo modo headless (modules/headless/HeadlessRunner.js)
+     * @param {number} n - Número de passos
+     * @returns {number} - Contador de frames após os passos
+     */
+    step(n = 1) {
+        for (let i = 0; i < n; i++) {
+            // Sem p5 o frameCount global é mantido pela própria simulação
+            if (this.headless) {
+                window.frameCount = this.clock.tick + 1;
+            }
+            this.tick(1);
+        }
+        return this.frameCount;
+    }
+    
     /**
      * SOLUÇÃO RADICAL: Força todas as bactérias a se moveram
      * Isso é usado para garantir que o movimento está funcionando
@@ -321,6 +493,23 @@ class Simulation {
      * Reseta a simulação
      */
     reset() {
+        // Reinicia o gerador: a semente dos controles (ou a atual) reproduz a mesma história
+        const controlsState = this.controls ? this.controls.getState() : {};
+        this.setSeed(controlsState.seed ? controlsState.seed : this.rng.seed);
+        this.clock.reset();
+        this.lineageTracker.reset();
+        this.plasmidSystem.reset();
+        this.chemicalFields.reset();
+        this.quorumSensing.reset();
+        this.antibioticSystem.reset();
+        this.foodWeb.reset();
+        this.packHunting.reset();
+        this.preyDefense.reset();
+        this.populationDynamics.reset();
+        this.neatSpeciation.reset();
+        NeatNetwork.resetInnovations();
+        this.diseaseSystem.reset();
+        
         // Limpa entidades
         this.entityManager.clear();
 
@@ -334,14 +523,70 @@ class Simulation {
         this.setup();
     }
     
+    /**
+     * Salva o estado atual no SaveSystem, com o gerador aleatório, o relógio e o ciclo dia/noite
+     * @returns {boolean} - Se o salvamento foi bem sucedido
+     */
+    saveState() {
+        return this.saveSystem.saveState(
+            this.entityManager.bacteria,
+            this.entityManager.food,
+            this.entityManager.obstacles,
+            this.statsManager.stats,
+            this.rng.getState(),
+            this.clock.getState(),
+            this.environmentSystem.getState()
+        );
+    }
+    
     /**
      * Carrega um estado salvo
+     * Predadores, doenças e o que as bactérias aprenderam em vida não fazem parte do save
      * @param {Object} state - Estado a ser carregado
      */
     loadState(state) {
-        this.entityManager.bacteria = state.bacteria.map(b => 
-            new Bacteria(b.position.x, b.position.y, b.dna)
-        );
+        // Os sorteios feitos ao recriar as entidades saem do estado salvo, então o mundo carregado
+        // não depende da simulação em que o save é aberto
+        if (state.random) {
+            this.rng.setState(state.random);
+        }
+        if (state.clock) {
+            this.clock.setState(state.clock);
+        }
+        
+        // As bactérias carregadas viram fundadoras de novas linhagens
+        this.lineageTracker.reset();
+        this.plasmidSystem.reset();
+        this.chemicalFields.reset();
+        this.quorumSensing.reset();
+        this.antibioticSystem.reset();
+        this.foodWeb.reset();
+        this.packHunting.reset();
+        this.preyDefense.reset();
+        this.populationDynamics.reset();
+        this.neatSpeciation.reset();
+        NeatNetwork.resetInnovations();
+        this.diseaseSystem.reset();
+        
+        this.entityManager.bacteria = state.bacteria.map(b => {
+            const bacteria = new Bacteria({
+                x: b.position.x,
+                y: b.position.y,
+                dna: DNA.fromJSON(b.dna),
+                energy: typeof b.energy === 'number' ? b.energy : undefined,
+                isFemale: b.isFemale === true
+            });
+            if (typeof b.id === 'number') {
+                bacteria.id = b.id;
+                bacteria.reproduction.ownerId = b.id;
+            }
+            if (typeof b.health === 'number') bacteria.health = b.health;
+            if (typeof b.age === 'number') bacteria.age = b.age;
+            if (Array.isArray(b.plasmids)) {
+                bacteria.plasmids = [...b.plasmids];
+            }
+            return bacteria;
+        });
         
         this.entityManager.food = state.food.map(f =>
             new Food(f.position.x, f.position.y, f.nutrition)
@@ -351,7 +596,19 @@ class Simulation {
             new Obstacle(o.x, o.y, o.w, o.h)
         );
         
-        this.statsManager.stats = state.stats;
+        this.statsManager.stats = JSON.parse(JSON.stringify(state.stats));
+
+        if (state.environment) {
+            this.environmentSystem.setState(state.environment);
+        }
+
+        // O gerador volta ao estado salvo por último: recriar as entidades consome sorteios e
+        // IDs, e a simulação carregada deve continuar a mesma sequência da salva
+        if (state.random) {
+            this.rng.setState(state.random);
+        } else if (state.seed !== undefined && state.seed !== null) {
+            this.setSeed(state.seed);
+        }
     }
     
     /**
@@ -369,6 +626,9 @@ class Simulation {
 
         // Adiciona obstáculos iniciais
         this.entityManager.generateObstacles(this.maxObstacles);
+
+        // Sorteia as zonas ambientais
+        this.environmentSystem.generateZones();
     }
     
     /**
@@ -378,12 +638,8 @@ class Simulation {
         // Inicializa arrays através do entityManager
         this.entityManager.clear();
         
-        // Cria predadores iniciais
-        for (let i = 0; i < 2; i++) {
-            const predator = new Predator(random(this.width), random(this.height));
-            predator.simulation = this;
-            this.entityManager.predators.push(predator);
-        }
+        // Cria predadores iniciais (fundadores de cada espécie com teto)
+        this.entityManager.enforcePredatorLimits();
 
         // Cria comida inicial
         const state = this.controls.getState();
@@ -687,11 +943,29 @@ class Simulation {
     
     /**
      * Define a velocidade da simulação
+     * A velocidade é o número de ticks por quadro: não altera o equilíbrio entre entidades
      * @param {number} speed - Nova velocidade da simulação
      */
     setSimulationSpeed(speed) {
         this.simulationSpeed = speed;
-        console.log(`Velocidade da simulação definida para ${speed}`);
+        this.clock.setTicksPerFrame(speed);
+        console.log(`Velocidade da simulação definida para ${speed} ticks por quadro`);
+    }
+    
+    /**
+     * Define a semente do gerador aleatório e reinicia sua sequência
+     * @param {number|string} seed - Nova semente
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        
+        // Mostra a semente em uso no campo dos controles
+        const seedInput = this.controls?.simulationControls?.seedInput;
+        if (seedInput && typeof seedInput.value === 'function') {
+            seedInput.value(String(this.rng.seed));
+        }
+        
+        console.log(`Semente da simulação definida para ${this.rng.seed}`);
     }
     
     /**
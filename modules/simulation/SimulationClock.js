@@ -0,0 +1,110 @@
+/**
+ * Relógio da simulação com passo fixo
+ * Conta ticks de simulação independentes da taxa de quadros e do relógio real.
+ * Cada quadro renderizado executa um número arbitrário de ticks (avanço rápido),
+ * e todos os tempos de espera (cooldowns) da simulação são medidos em ticks.
+ */
+class SimulationClock {
+    /**
+     * Cria o relógio
+     * @param {number} ticksPerSecond - Ticks que equivalem a um segundo simulado
+     */
+    constructor(ticksPerSecond = 60) {
+        this.ticksPerSecond = ticksPerSecond;
+        this.maxTicksPerFrame = 50;   // Limite para não travar a renderização
+        this.reset();
+        this.setTicksPerFrame(1);
+    }
+
+    /**
+     * Volta o relógio para o tick zero
+     */
+    reset() {
+        this.tick = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Define quantos ticks rodam por quadro renderizado (aceita frações, ex.: 0.5)
+     * @param {number} ticksPerFrame - Ticks por quadro
+     */
+    setTicksPerFrame(ticksPerFrame) {
+        const value = Number(ticksPerFrame);
+        this.ticksPerFrame = Number.isFinite(value) ? Math.max(0, Math.min(this.maxTicksPerFrame, value)) : 1;
+    }
+
+    /**
+     * Quantos ticks devem ser executados neste quadro
+     * Frações se acumulam entre quadros para manter a média exata
+     * @returns {number} - Número inteiro de ticks
+     */
+    ticksForFrame() {
+        this.accumulator += this.ticksPerFrame;
+        const ticks = Math.floor(this.accumulator);
+        this.accumulator -= ticks;
+        return ticks;
+    }
+
+    /**
+     * Avança um tick
+     * @returns {number} - Tick atual
+     */
+    advance() {
+        this.tick++;
+        return this.tick;
+    }
+
+    /**
+     * Converte segundos simulados em ticks
+     * @param {number} seconds - Segundos
+     * @returns {number} - Ticks
+     */
+    secondsToTicks(seconds) {
+        return Math.round(seconds * this.ticksPerSecond);
+    }
+
+    /**
+     * Converte ticks em segundos simulados
+     * @param {number} ticks - Ticks
+     * @returns {number} - Segundos
+     */
+    ticksToSeconds(ticks) {
+        return ticks / this.ticksPerSecond;
+    }
+
+    /**
+     * Estado serializável, para saves
+     * @returns {Object}
+     */
+    getState() {
+        return { tick: this.tick, ticksPerFrame: this.ticksPerFrame };
+    }
+
+    /**
+     * Restaura o estado salvo com getState()
+     * @param {Object} saved - Estado salvo
+     */
+    setState(saved) {
+        if (!saved) return;
+        if (typeof saved.tick === 'number') this.tick = saved.tick;
+        if (typeof saved.ticksPerFrame === 'number') this.setTicksPerFrame(saved.ticksPerFrame);
+        this.accumulator = 0;
+    }
+
+    /**
+     * Tick atual do relógio ativo
+     * Usado pelas entidades, que não têm referência direta à simulação
+     * @returns {number}
+     */
+    static now() {
+        if (SimulationClock.active) {
+            return SimulationClock.active.tick;
+        }
+        return typeof frameCount === 'number' ? frameCount : 0;
+    }
+}
+
+SimulationClock.active = null;
+
+// Torna a classe disponível globalmente
+window.SimulationClock = SimulationClock;
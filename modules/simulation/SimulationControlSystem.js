@@ -39,19 +39,18 @@ class SimulationControlSystem {
                     console.log(`Evento: ${event.name} - ${event.description}`);
                 }
             },
+            onSeedChange: (seed) => {
+                console.log(`Semente ${seed || '(aleatória)'} será usada ao reiniciar`);
+            },
             onSave: () => {
-                if (this.simulation.saveSystem.saveState(
-                    this.simulation.entityManager.bacteria, 
-                    this.simulation.entityManager.food, 
-                    this.simulation.entityManager.obstacles, 
-                    this.simulation.statsManager.stats)) {
+                if (this.simulation.saveState()) {
                     console.log('Estado salvo com sucesso!');
                 }
             },
             onLoad: () => {
                 const saves = this.simulation.saveSystem.getSavesList();
                 if (saves.length > 0) {
-                    const state = this.simulation.saveSystem.loadState(saves[0].id);
+                    const state = this.simulation.saveSystem.loadState(saves[saves.length - 1].id);
                     if (state) {
                         this.simulation.loadState(state);
                         console.log('Estado carregado com sucesso!');
@@ -60,6 +59,7 @@ class SimulationControlSystem {
             },
             onSpeedChange: (value) => {
                 this.speed = value;
+                this.simulation.setSimulationSpeed(value);
                 console.log('Velocidade alterada para:', value);
             },
             onLifespanChange: (value) => {
@@ -166,9 +166,6 @@ class SimulationControlSystem {
                                 child.dna.mutate();
                                 this.simulation.statsManager.stats.mutations++;
                             }
-                            
-                            this.simulation.statsManager.stats.births++;
-                            this.simulation.statsManager.stats.naturalBirths++;
                         }
                     }
                 }
@@ -237,6 +234,7 @@ class SimulationControlSystem {
         
         // Atualiza configurações com validação
         this.speed = Math.max(0.1, Math.min(5, state.simulationSpeed || 1));
+        if (this.simulation.clock) this.simulation.clock.setTicksPerFrame(this.speed);
         this.simulation.entityManager.populationLimit = Math.max(20, Math.min(500, state.populationLimit || 100));
         this.simulation.entityManager.initialEnergy = Math.max(50, Math.min(150, state.initialEnergy || 150));
         this.simulation.entityManager.foodValue = Math.max(10, Math.min(50, state.foodValue || 50));
@@ -244,6 +242,18 @@ class SimulationControlSystem {
         this.simulation.maxObstacles = Math.max(0, Math.min(20, state.maxObstacles || 0));
         this.simulation.environmentSystem.foodSpawnInterval = Math.max(1, Math.min(10, state.foodSpawnInterval || 3));
         this.simulation.environmentSystem.foodSpawnAmount = Math.max(1, Math.min(10, state.foodSpawnAmount || 8));
+        DNA.diploidMode = state.diploid === true;
+        if (Reproduction.STRATEGY_MODES.includes(state.reproductionMode)) {
+            Reproduction.strategyMode = state.reproductionMode;
+        }
+        if (Reproduction.BRAIN_INHERITANCE_MODES.includes(state.brainInheritance)) {
+            Reproduction.brainInheritance = state.brainInheritance;
+        }
+        if (BacteriaLearning.BRAIN_TYPES.includes(state.brain)) {
+            BacteriaLearning.brainType = state.brain;
+        }
+        this.simulation.showPlasmids = state.showPlasmids === true;
+        this.simulation.showChemicals = state.showChemicals === true;
         
         // Atualiza visualização
         this.simulation.renderSystem.updateSettings({
@@ -275,22 +285,25 @@ class SimulationControlSystem {
                 this.simulation.entityManager.predators.forEach(predator => {
                     predator.canReproduce = predatorState.predatorReproductionEnabled;
                     predator.reproductionEnergyCost = predatorState.predatorReproductionCost;
-                    predator.reproductionCooldown = predatorState.predatorReproductionCooldown;
+                    predator.reproductionCooldown = predatorState.predatorReproductionCooldown * 60; // Segundos em ticks
                     predator.minEnergyToReproduce = predatorState.predatorMinEnergy;
                     predator.reproductionRange = predatorState.predatorReproductionRange;
                     predator.mutationRate = predatorState.predatorMutationRate;
                 });
 
-                // Ajusta a quantidade de predadores com base no limite
-                const predatorLimit = predatorState.predatorLimit;
-                while (this.simulation.entityManager.predators.length > predatorLimit) {
-                    this.simulation.entityManager.predators.pop();
+                // Caça em matilha e defesa coletiva das presas
+                if (this.simulation.packHunting && predatorState.packHuntingEnabled !== undefined) {
+                    this.simulation.packHunting.enabled = predatorState.packHuntingEnabled;
+                }
+                if (this.simulation.preyDefense && predatorState.preyDefenseEnabled !== undefined) {
+                    this.simulation.preyDefense.enabled = predatorState.preyDefenseEnabled;
                 }
-                while (this.simulation.entityManager.predators.length < predatorLimit) {
-                    const x = random(width);
-                    const y = random(height);
-                    this.simulation.entityManager.predators.push(new Predator(x, y));
+
+                // Cada espécie tem um teto de população, que cresce por reprodução
+                if (predatorState.speciesLimits) {
+                    this.simulation.entityManager.predatorLimits = { ...predatorState.speciesLimits };
                 }
+                this.simulation.entityManager.enforcePredatorLimits();
             } catch (error) {
                 console.warn("Erro ao atualizar parâmetros dos predadores:", error);
             }
@@ -29,6 +29,20 @@ class StatsManager {
             highestGeneration: 1,
             births: 0,
             naturalBirths: 0,     // Nascimentos por reprodução natural
+            sexualBirths: 0,      // Nascimentos por reprodução sexuada
+            asexualBirths: 0,     // Filhas geradas por fissão binária
+            fissions: 0,          // Fissões realizadas
+            inheritedBrains: 0,   // Nascidas com o cérebro herdado dos pais
+            sexualBacterias: 0,   // Bactérias vivas com estratégia sexuada
+            asexualBacterias: 0,  // Bactérias vivas com estratégia de fissão
+            averageFissionTendency: 0,
+            averageBrainNodes: 0,       // Neurônios médios dos cérebros (NEAT cresce com as mutações)
+            averageBrainConnections: 0, // Conexões ativas médias dos cérebros
+            averageSensorCount: 0,      // Sensores direcionais médios (genes sensorDensity)
+            averageSensorRange: 0,      // Alcance médio dos sensores (genes sensorReach)
+            quorumActiveBacterias: 0, // Bactérias em quorum (autoindutor acima do limiar)
+            biofilmBacterias: 0,
+            defendingBacterias: 0,
             matingAttempts: 0,    // Tentativas de acasalamento
             successfulMatings: 0,  // Acasalamentos bem-sucedidos
             deaths: 0,
@@ -37,20 +51,40 @@ class StatsManager {
             eventsTriggered: 0,
             averageHealth: 0,
             totalChildren: 0,
-            averageReward: 0,
-            explorationRate: 0,
+            averageReward: 0,      // Média móvel da recompensa das bactérias vivas (curva de aprendizado)
+            explorationRate: 0,    // ε médio
+            averageTDError: 0,     // Erro TD absoluto médio
             learningProgress: 0,
             initialPopulation: 0,
             currentPopulation: 0,
             foodEaten: 0,
             successfulMates: 0,
             predatorKills: 0,
+            predatorBirths: 0,     // Predadores nascidos por reprodução
+            predatorDeaths: 0,     // Predadores mortos (saúde esgotada, velhice ou devorados)
+            predatorsEaten: 0,     // Predadores devorados por outros predadores
+            predatorsBySpecies: {}, // Espécie -> predadores vivos
+            predatorGeneration: 1, // Geração média dos predadores vivos
+            highestPredatorGeneration: 1,
+            averagePredatorGenes: null, // Média de cada gene do PredatorDNA (null sem predadores)
+            averagePreyCamouflage: 0,   // Média do gene camouflage das bactérias
+            antibioticKills: 0,    // Mortes por antibióticos
             escapes: 0,
             diseaseCases: 0,       // Total de casos de doenças
             diseaseDeaths: 0,      // Mortes por doenças
             immunityAcquired: 0,   // Imunidade adquirida
             diseaseSpreads: 0      // Total de contágios
         };
+        
+        // Série temporal das duas estratégias reprodutivas
+        this.strategyHistory = [];
+        this.strategyHistoryInterval = 300; // Ticks entre amostras
+        this.maxStrategyHistory = 200;
+        
+        // Curva de aprendizado: recompensa, exploração e erro TD ao longo do tempo
+        this.learningHistory = [];
+        this.learningHistoryInterval = 60; // Ticks entre amostras
+        this.maxLearningHistory = 500;
     }
     
     /**
@@ -71,11 +105,24 @@ class StatsManager {
         this.stats.pregnantBacterias = 0;
         this.stats.restingBacterias = 0;
         this.stats.hungryBacterias = 0;
+        this.stats.sexualBacterias = 0;
+        this.stats.asexualBacterias = 0;
+        this.stats.quorumActiveBacterias = 0;
+        this.stats.biofilmBacterias = 0;
+        this.stats.defendingBacterias = 0;
 
         // Variáveis para médias
+        let totalFissionTendency = 0;
+        let totalCamouflage = 0;
+        let totalBrainNodes = 0;
+        let totalBrainConnections = 0;
+        let totalSensorCount = 0;
+        let totalSensorRange = 0;
         let totalHealth = 0;
         let totalReward = 0;
-        let totalExplorationActions = 0;
+        let totalEpsilon = 0;
+        let totalTDError = 0;
+        let learners = 0;
         let totalQValues = 0;
         let totalQEntries = 0;
 
@@ -99,28 +146,46 @@ class StatsManager {
                 this.stats.hungryBacterias++;
             }
 
+            // Contagem por estratégia reprodutiva
+            if (bact.reproduction && bact.reproduction.getStrategy() === 'asexual') {
+                this.stats.asexualBacterias++;
+            } else {
+                this.stats.sexualBacterias++;
+            }
+            // Contagem por comportamento de quorum sensing
+            const quorumState = bact.stateManager ? bact.stateManager.quorumState : null;
+            if (quorumState) {
+                this.stats.quorumActiveBacterias++;
+                if (quorumState === 'biofilm') this.stats.biofilmBacterias++;
+                if (quorumState === 'defending') this.stats.defendingBacterias++;
+            }
+            totalFissionTendency += bact.dna && typeof bact.dna.genes.fissionTendency === 'number' ?
+                bact.dna.genes.fissionTendency : 0;
+            totalCamouflage += bact.dna && typeof bact.dna.genes.camouflage === 'number' ?
+                bact.dna.genes.camouflage : 0;
+            if (bact.learning && bact.learning.brain && typeof bact.learning.brain.getSize === 'function') {
+                const size = bact.learning.brain.getSize();
+                totalBrainNodes += size.nodes;
+                totalBrainConnections += size.connections;
+            }
+            if (bact.learning && bact.learning.sensors) {
+                totalSensorCount += bact.learning.sensors.count;
+                totalSensorRange += bact.learning.sensors.range;
+            }
+
             // Soma saúde para média
             totalHealth += bact.health;
 
-            // Estatísticas do Q-Learning
-            let reward = 0;
-            if (typeof bact.calculateReward === 'function') {
-                reward = bact.calculateReward();
-            } else {
-                // Valor fallback baseado na saúde e energia
-                reward = (bact.health / 100) * 0.5;
-                if (bact.states && typeof bact.states.getEnergy === 'function') {
-                    reward += (bact.states.getEnergy() / 100) * 0.5;
-                } else if (bact.energy) {
-                    reward += (bact.energy / 100) * 0.5;
+            // Estatísticas do aprendizado: recompensa média recente, ε e erro TD de cada bactéria
+            if (bact.learning && bact.learning.qLearning) {
+                totalEpsilon += bact.learning.qLearning.epsilon;
+                // Recém-nascidas ainda sem recompensa não entram nas médias
+                if (bact.learning.rewardSamples > 0) {
+                    totalReward += bact.learning.averageReward;
+                    totalTDError += bact.learning.averageTDError;
+                    learners++;
                 }
             }
-            totalReward += reward;
-
-            // Conta ações de exploração (quando random < 0.1)
-            if (random() < 0.1) {
-                totalExplorationActions++;
-            }
 
             // Calcula média dos Q-values
             // Verifica acesso seguro à qTable considerando a nova estrutura
@@ -148,6 +213,34 @@ class StatsManager {
         // Calcula média de saúde
         this.stats.averageHealth = bacteria.length > 0 ? 
             totalHealth / bacteria.length : 0;
+        this.stats.averageFissionTendency = bacteria.length > 0 ?
+            totalFissionTendency / bacteria.length : 0;
+        this.stats.averagePreyCamouflage = bacteria.length > 0 ?
+            totalCamouflage / bacteria.length : 0;
+        this.stats.averageBrainNodes = bacteria.length > 0 ?
+            totalBrainNodes / bacteria.length : 0;
+        this.stats.averageBrainConnections = bacteria.length > 0 ?
+            totalBrainConnections / bacteria.length : 0;
+        this.stats.averageSensorCount = bacteria.length > 0 ?
+            totalSensorCount / bacteria.length : 0;
+        this.stats.averageSensorRange = bacteria.length > 0 ?
+            totalSensorRange / bacteria.length : 0;
+
+        // Co-evolução: geração e genes médios dos predadores
+        const predators = entityManager.predators;
+        if (predators.length > 0) {
+            this.stats.predatorGeneration = predators.reduce((sum, p) => sum + p.dna.generation, 0) / predators.length;
+            for (const predator of predators) {
+                if (predator.dna.generation > this.stats.highestPredatorGeneration) {
+                    this.stats.highestPredatorGeneration = predator.dna.generation;
+                }
+            }
+        }
+        this.stats.averagePredatorGenes = PredatorDNA.averageGenes(predators);
+        this.stats.predatorsBySpecies = {};
+        for (const speciesId of Object.keys(Predator.SPECIES)) {
+            this.stats.predatorsBySpecies[speciesId] = entityManager.countPredators(speciesId);
+        }
 
         // Atualiza geração mais alta
         for (let bact of bacteria) {
@@ -157,10 +250,12 @@ class StatsManager {
         }
 
         // Atualiza estatísticas do Q-Learning
-        this.stats.averageReward = bacteria.length > 0 ? 
-            totalReward / bacteria.length : 0;
+        this.stats.averageReward = learners > 0 ? 
+            totalReward / learners : 0;
         this.stats.explorationRate = bacteria.length > 0 ? 
-            totalExplorationActions / bacteria.length : 0;
+            totalEpsilon / bacteria.length : 0;
+        this.stats.averageTDError = learners > 0 ?
+            totalTDError / learners : 0;
         this.stats.learningProgress = totalQEntries > 0 ? 
             totalQValues / totalQEntries : 0;
     }
@@ -194,6 +289,16 @@ class StatsManager {
         text(`Grávidas: ${this.stats.pregnantBacterias}`, 10, y); y += 20;
         text(`Acasalamentos: ${this.stats.successfulMatings}`, 10, y); y += 20;
         text(`Nascimentos: ${this.stats.naturalBirths}`, 10, y); y += 20;
+        if (Reproduction.strategyMode !== 'sexual') {
+            text(`Fissões: ${this.stats.fissions} (${this.stats.asexualBacterias} vivas por fissão)`, 10, y); y += 20;
+        }
+        if (BacteriaLearning.brainType === 'neat') {
+            const species = this.simulation.neatSpeciation ? this.simulation.neatSpeciation.species.length : 0;
+            text(`Cérebros NEAT: ${this.stats.averageBrainNodes.toFixed(1)} neurônios, ${this.stats.averageBrainConnections.toFixed(1)} conexões, ${species} espécies`, 10, y); y += 20;
+        }
+        text(`Sensores: ${this.stats.averageSensorCount.toFixed(1)} (${BacteriaSensors.config.type === 'rays' ? 'raios' : 'setores'}), alcance ${this.stats.averageSensorRange.toFixed(0)}`, 10, y); y += 20;
+        text(`Em quorum: ${this.stats.quorumActiveBacterias} (biofilme ${this.stats.biofilmBacterias}, defesa ${this.stats.defendingBacterias})`, 10, y); y += 20;
+        text(`Aprendizado: recompensa ${this.stats.averageReward.toFixed(2)}, ε ${this.stats.explorationRate.toFixed(2)}`, 10, y); y += 20;
         text(`Mortes: ${this.stats.deaths}`, 10, y); y += 20;
         text(`Comida: ${this.stats.foodConsumed}`, 10, y);
     }
@@ -222,6 +327,128 @@ class StatsManager {
      */
     update() {
         this.updateStats();
+        
+        if (SimulationClock.now() % this.strategyHistoryInterval === 0) {
+            this.recordStrategySample();
+        }
+        if (SimulationClock.now() % this.learningHistoryInterval === 0) {
+            this.recordLearningSample();
+        }
+    }
+    
+    /**
+     * Registra uma amostra comparando as estratégias sexuada e de fissão
+     */
+    recordStrategySample() {
+        this.strategyHistory.push({
+            tick: SimulationClock.now(),
+            sexual: this.stats.sexualBacterias,
+            asexual: this.stats.asexualBacterias,
+            sexualBirths: this.stats.sexualBirths,
+            asexualBirths: this.stats.asexualBirths,
+            averageFissionTendency: this.stats.averageFissionTendency
+        });
+        if (this.strategyHistory.length > this.maxStrategyHistory) {
+            this.strategyHistory.shift();
+        }
+    }
+    
+    /**
+     * Registra uma amostra da curva de aprendizado
+     */
+    recordLearningSample() {
+        this.learningHistory.push({
+            tick: SimulationClock.now(),
+            averageReward: this.stats.averageReward,
+            explorationRate: this.stats.explorationRate,
+            averageTDError: this.stats.averageTDError
+        });
+        if (this.learningHistory.length > this.maxLearningHistory) {
+            this.learningHistory.shift();
+        }
+    }
+    
+    /**
+     * Curva de aprendizado em CSV
+     * @returns {string}
+     */
+    learningHistoryToCSV() {
+        const lines = ['tick,average_reward,exploration_rate,average_td_error'];
+        for (const sample of this.learningHistory) {
+            lines.push([
+                sample.tick,
+                sample.averageReward.toFixed(4),
+                sample.explorationRate.toFixed(4),
+                sample.averageTDError.toFixed(4)
+            ].join(','));
+        }
+        return lines.join('\n');
+    }
+    
+    /**
+     * Resumo do aprendizado por reforço
+     * @returns {Object} - Modo, recompensa média, ε e erro TD atuais e a recompensa média no
+     * primeiro e no último décimo da curva (3 casas)
+     */
+    getLearningSummary() {
+        const round = value => Number(value.toFixed(3));
+        const history = this.learningHistory;
+        const span = Math.max(1, Math.floor(history.length / 10));
+        const mean = samples => samples.length > 0
+            ? samples.reduce((sum, sample) => sum + sample.averageReward, 0) / samples.length
+            : 0;
+        return {
+            mode: BacteriaLearning.mode,
+            averageReward: round(this.stats.averageReward),
+            explorationRate: round(this.stats.explorationRate),
+            averageTDError: round(this.stats.averageTDError),
+            earlyReward: round(mean(history.slice(0, span))),
+            lateReward: round(mean(history.slice(-span))),
+            samples: history.length
+        };
+    }
+    
+    /**
+     * Resumo das estratégias reprodutivas
+     * @returns {Object}
+     */
+    getStrategySummary() {
+        return {
+            mode: Reproduction.strategyMode,
+            sexual: this.stats.sexualBacterias,
+            asexual: this.stats.asexualBacterias,
+            sexualBirths: this.stats.sexualBirths,
+            asexualBirths: this.stats.asexualBirths,
+            fissions: this.stats.fissions,
+            averageFissionTendency: this.stats.averageFissionTendency
+        };
+    }
+    
+    /**
+     * Resumo da herança dos cérebros
+     * @returns {Object} - Modo, tipo de cérebro, nascidas com cérebro herdado, fitness médio das vivas (3 casas),
+     * tamanho médio das redes, espécies NEAT vivas e sensores direcionais médios
+     */
+    getBrainSummary() {
+        const bacteria = this.simulation.entityManager.bacteria.filter(b => b && b.learning);
+        const fitness = bacteria.reduce((sum, b) => sum + b.learning.getFitness(), 0);
+        const speciation = this.simulation.neatSpeciation ? this.simulation.neatSpeciation.getSummary() : null;
+        return {
+            inheritance: Reproduction.brainInheritance,
+            type: BacteriaLearning.brainType,
+            inherited: this.stats.inheritedBrains,
+            averageFitness: bacteria.length > 0 ? Number((fitness / bacteria.length).toFixed(3)) : 0,
+            averageNodes: Number(this.stats.averageBrainNodes.toFixed(2)),
+            averageConnections: Number(this.stats.averageBrainConnections.toFixed(2)),
+            species: speciation ? speciation.species : 0,
+            totalSpecies: speciation ? speciation.totalSpecies : 0,
+            sensors: {
+                type: BacteriaSensors.config.type,
+                evolve: BacteriaSensors.config.evolve,
+                averageCount: Number(this.stats.averageSensorCount.toFixed(2)),
+                averageRange: Number(this.stats.averageSensorRange.toFixed(1))
+            }
+        };
     }
     
     /**
@@ -249,7 +476,7 @@ class StatsManager {
             
             // Adiciona o valor ao array de dados
             this.dataPoints[statName].push({
-                time: Date.now(),
+                time: SimulationClock.now(), // Tick da simulação
                 value: value
             });
             
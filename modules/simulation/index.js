@@ -6,6 +6,24 @@
 // Importa os módulos (na ordem correta de dependência)
 // Comentários para lembrar a ordem de carregamento no HTML
 
+// Relógio de passo fixo (ticks de simulação)
+// 0. SimulationClock.js
+
+// Grafo de ancestralidade (linhagens e exportação Newick)
+// 0.1 LineageTracker.js
+
+// Plasmídeos e transferência horizontal de genes
+// 0.2 PlasmidSystem.js
+
+// Campos químicos com difusão (nutrientes, resíduos e sinalização)
+// 0.3 ChemicalFieldSystem.js
+
+// Quorum sensing (biofilme e toxina de defesa)
+// 0.4 QuorumSensingSystem.js
+
+// Antibióticos, zonas de tratamento e resistência antimicrobiana
+// 0.5 AntibioticSystem.js
+
 // Gerenciadores de entidades e componentes físicos da simulação
 // 1. EntityManager.js
 
@@ -42,7 +42,7 @@ function radiansToDegrees(radians) {
  * @returns {string} - Cor no formato HSL
  */
 function randomColor(saturation = 100, lightness = 50) {
-    const hue = Math.floor(Math.random() * 360);
+    const hue = Math.floor(random(360));
     return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
 }
 
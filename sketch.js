@@ -9,6 +9,9 @@ let setupComplete = false;
 let controlsWidth = 250; // Largura do painel de controles à direita
 let chatWidth = 250;     // Largura do painel de chat à esquerda
 let communication;       // Sistema de comunicação
+let lineagePanel;        // Painel de linhagens
+let strainPanel;         // Painel de cepas dos patógenos
+let brainInspector;      // Inspetor de cérebro da bactéria selecionada
 
 /**
  * Configuração inicial
@@ -60,6 +63,15 @@ function setup() {
         // Inicializa os controles de interface
         initControls();
         
+        // Painel de linhagens
+        lineagePanel = new LineagePanel();
+        
+        // Painel de cepas
+        strainPanel = new StrainPanel();
+        
+        // Inspetor de cérebro
+        brainInspector = new BrainInspector();
+        
         // Marca setup como completo
         setupComplete = true;
         
@@ -166,6 +178,16 @@ function draw() {
         }
     }
     
+    // Redesenha o painel de linhagens a cada 30 frames
+    if (lineagePanel && frameCount % 30 === 0) {
+        lineagePanel.update(simulation);
+    }
+    
+    // Redesenha o painel de cepas a cada 60 frames
+    if (strainPanel && frameCount % 60 === 0) {
+        strainPanel.update(simulation);
+    }
+    
     // Estatísticas de depuração
     if (frameCount % 300 === 0) { // A cada 5 segundos aproximadamente
         console.log("Estatísticas de bactérias:", {
@@ -212,6 +234,9 @@ function displayBacteriaInfo(bacteria) {
         <div>
             <p><span class="info-label">ID:</span> <span class="info-value">${bacteria.id || 'Desconhecido'}</span></p>
             <p><span class="info-label">Geração:</span> <span class="info-value">${bacteria.dna?.generation || 1}</span></p>
+            <p><span class="info-label">Genoma:</span> <span class="info-value">${bacteria.dna?.genome ? 'Diploide' : 'Haploide'}</span></p>
+            <p><span class="info-label">Nichos:</span> <span class="info-value">${bacteria.dna?.adaptedToEnvironment?.length ? bacteria.dna.adaptedToEnvironment.join(', ') : 'Nenhum'}</span></p>
+            <p><span class="info-label">Plasmídeos:</span> <span class="info-value">${bacteria.plasmids?.length ? bacteria.plasmids.join(', ') : 'Nenhum'}</span></p>
             <p><span class="info-label">Idade:</span> <span class="info-value" id="bacteria-age">${formatNumber(bacteria.age / 60)} segundos</span></p>
             <p><span class="info-label">Saúde:</span> <span class="info-value" id="bacteria-health">${formatNumber(bacteria.health)}</span></p>
             <p><span class="info-label">Energia:</span> <span class="info-value" id="bacteria-energy">${formatNumber(bacteria.energy)}</span></p>
@@ -243,10 +268,16 @@ function displayBacteriaInfo(bacteria) {
         mainGenes.forEach(({ name, gene }) => {
             const value = bacteria.dna.genes[gene];
             if (value !== undefined) {
+                // No modo diploide mostra os dois alelos (* = heterozigoto)
+                const alleles = typeof bacteria.dna.getAlleles === 'function' ? bacteria.dna.getAlleles(gene) : null;
+                const allelesText = alleles
+                    ? `<span class="info-value">(${formatNumber(alleles[0])} / ${formatNumber(alleles[1])})${bacteria.dna.isHeterozygous(gene) ? '*' : ''}</span>`
+                    : '';
                 html += `
                     <p>
                         <span class="info-label">${name}:</span> 
                         <span class="info-value">${formatNumber(value)}</span>
+                        ${allelesText}
                         ${createGeneBar(value)}
                     </p>
                 `;
@@ -298,6 +329,11 @@ function displayBacteriaInfo(bacteria) {
     
     // Atualiza o conteúdo do painel
     infoContent.innerHTML = html;
+    
+    // Atualiza o inspetor de cérebro
+    if (brainInspector) {
+        brainInspector.update(bacteria);
+    }
 }
 
 /**
@@ -308,6 +344,9 @@ function clearBacteriaInfo() {
     if (infoContent) {
         infoContent.innerHTML = '<p class="info-message">Clique em uma bactéria para ver suas informações.</p>';
     }
+    if (brainInspector) {
+        brainInspector.clear();
+    }
 }
 
 /**
@@ -324,6 +363,9 @@ function mousePressed() {
     if (simulation.isPlacingObstacle) {
         simulation.obstacleStart = createVector(mouseX, mouseY);
         return false;
+    } else if (simulation.isPaintingAntibiotic) {
+        simulation.antibioticSystem.paint(mouseX, mouseY);
+        return false;
     } else {
         // Verifica se clicou em alguma bactéria
         for (let b of simulation.entityManager.bacteria) {
@@ -410,6 +452,12 @@ function windowResized() {
 function mouseDragged() {
     if (!simulation || !setupComplete) return false;
     
+    // Pincel de tratamento: pinta antibiótico ao longo do arraste
+    if (simulation.isPaintingAntibiotic && mouseX >= 0 && mouseX < width && mouseY >= 0 && mouseY < height) {
+        simulation.antibioticSystem.paint(mouseX, mouseY);
+        return false;
+    }
+    
     if (simulation.isDragging && simulation.selectedBacteria) {
         simulation.selectedBacteria.pos.x = constrain(mouseX, 10, width - 10);
         simulation.selectedBacteria.pos.y = constrain(mouseY, 10, height - 10);